@@ -75,6 +75,39 @@ export class InvalidSyntaxError extends CustomError {
     }
 }
 
+/**
+ * @classdesc Error thrown when a file contains several syntax errors, which are all reported at once.
+ */
+export class SyntaxErrorList extends InvalidSyntaxError {
+    /**
+     * @constructs SyntaxErrorList
+     * @param {InvalidSyntaxError[]} errors The errors, in the order in which they appear in the file.
+     */
+    constructor(errors) {
+        super(errors[0].pos_start, errors[0].pos_end, errors[0].details);
+        this.errors = errors;
+    }
+
+    toString() {
+        return this.errors.map((e) => e.toString()).join("\n\n");
+    }
+}
+
+/**
+ * @classdesc Error thrown when a piece of code cannot be compiled into JavaScript.
+ */
+export class CompilerError extends CustomError {
+    /**
+     * @constructs CompilerError
+     * @param {Position} pos_start The starting position.
+     * @param {Position} pos_end The end position.
+     * @param {string} details Details about the error.
+     */
+    constructor(pos_start, pos_end, details) {
+        super(pos_start, pos_end, "Compiler Error", details);
+    }
+}
+
 class BaseRuntime extends CustomError {
     /**
      * @constructs RuntimeError
@@ -141,4 +174,21 @@ export class CustomTypeError extends BaseRuntime {
     constructor(pos_start, pos_end, details, context) {
         super(pos_start, pos_end, "Type Error", details, context);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * @classdesc Error thrown by the `throw` statement. It carries the thrown value so that a `catch` block can get it back.
+ */
+export class ThrownError extends BaseRuntime {
+    /**
+     * @constructs ThrownError
+     * @param {Position} pos_start The starting position.
+     * @param {Position} pos_end The end position.
+     * @param {any} value The thrown value.
+     * @param {Context} context The context where the error occured.
+     */
+    constructor(pos_start, pos_end, value, context) {
+        super(pos_start, pos_end, "Uncaught Error", value.repr ? value.repr() : value.toString(), context);
+        this.value = value;
+    }
+}
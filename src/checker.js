@@ -0,0 +1,710 @@
+"use strict";
+
+import { CustomNode, NumberNode, AddNode, SubtractNode, MultiplyNode, DivideNode, PlusNode, MinusNode, PowerNode, ModuloNode, VarAssignNode, VarAccessNode, VarModifyNode, AndNode, OrNode, NotNode, EqualsNode, LessThanNode, GreaterThanNode, LessThanOrEqualNode, GreaterThanOrEqualNode, NotEqualsNode, NullishOperatorNode, ListNode, ListAccessNode, ListAssignmentNode, ListPushBracketsNode, ListBinarySelector, StringNode, IfNode, ForNode, WhileNode, FuncDefNode, CallNode, ReturnNode, ContinueNode, BreakNode, DefineNode, DeleteNode, PrefixOperationNode, PostfixOperationNode, DictionnaryNode, ForeachNode, ClassDefNode, ClassCallNode, CallPropertyNode, AssignPropertyNode, CallMethodNode, CallStaticPropertyNode, SuperNode, EnumNode, SwitchNode, NoneNode, BooleanNode, BinaryShiftLeftNode, BinaryShiftRightNode, UnsignedBinaryShiftRightNode, NullishAssignmentNode, LogicalAndNode, LogicalOrNode, LogicalXORNode, BinaryNotNode, AndAssignmentNode, OrAssignmentNode, TypeofNode, InstanceofNode, IsNode, TagDefNode, HtmlNode, ArgumentNode, TryNode, ThrowNode, YieldNode, ImportNode, ExportNode, ListPatternNode, DictPatternNode, DestructuringAssignNode, SpreadNode, FormattedStringNode } from './nodes.js';
+import { CustomTypeError } from './Exceptions.js';
+import { Context } from './context.js';
+import { Position } from './position.js';
+import { Token, Types } from './tokens.js';
+import { NATIVE_FUNCTIONS } from './native.js';
+import { DictType, FunctionType, ListType, NONE, Type, UnionType, element_type_at, is_type_assignable, to_type } from './types.js';
+
+/**
+ * Checks if a node is an operation between two numbers that gives a number.
+ * @param {CustomNode} node
+ * @returns {boolean}
+ */
+function is_numeric_operation(node) {
+    return node instanceof SubtractNode || node instanceof MultiplyNode || node instanceof DivideNode ||
+        node instanceof PowerNode || node instanceof ModuloNode ||
+        node instanceof BinaryShiftLeftNode || node instanceof BinaryShiftRightNode || node instanceof UnsignedBinaryShiftRightNode ||
+        node instanceof LogicalAndNode || node instanceof LogicalOrNode || node instanceof LogicalXORNode;
+}
+
+/**
+ * Checks if a node is an operation that always gives a boolean.
+ * @param {CustomNode} node
+ * @returns {boolean}
+ */
+function is_boolean_operation(node) {
+    return node instanceof AndNode || node instanceof OrNode || node instanceof EqualsNode || node instanceof NotEqualsNode ||
+        node instanceof LessThanNode || node instanceof GreaterThanNode || node instanceof LessThanOrEqualNode || node instanceof GreaterThanOrEqualNode;
+}
+
+/**
+ * Checks if the execution of a block can never reach its end, because every path returns or throws.
+ * Otherwise, the function that contains the block implicitly returns none.
+ * @param {CustomNode|null} node
+ * @returns {boolean}
+ */
+function always_returns(node) {
+    if (node instanceof ReturnNode || node instanceof ThrowNode) return true;
+    if (node instanceof ListNode) return node.element_nodes.some((v) => always_returns(v));
+    if (node instanceof IfNode) return Boolean(node.else_case) && node.cases.every(([_, body]) => always_returns(body)) && always_returns(node.else_case);
+    if (node instanceof SwitchNode) return Boolean(node.default_case) && node.cases.every(({ body }) => always_returns(body)) && always_returns(node.default_case);
+    if (node instanceof TryNode) {
+        if (node.finally_body && always_returns(node.finally_body)) return true;
+        return always_returns(node.try_body) && (!node.catch_body || always_returns(node.catch_body));
+    }
+    return false;
+}
+
+/**
+ * @typedef {{args: ArgumentNode[], return_type: Type|string}} Signature
+ * @typedef {{type: Type|string, signature: Signature|null}} Variable
+ * @typedef {{name: string, parent: string|null, members: Map<string, Variable>}} ClassInfo
+ */
+
+/**
+ * @classdesc Checks the types of a program before it is interpreted.
+ * The types are inferred from the literals, the annotations, the returned values of the functions and the members of the classes.
+ * When a type cannot be inferred, it's 'any' and everything can be assigned to it, so the checker only reports the certain mismatches.
+ */
+export class TypeChecker {
+    /**
+     * @constructs TypeChecker
+     * @param {Context} context The context in which the program will be executed (used for the tracebacks).
+     */
+    constructor(context=new Context("<program>")) {
+        this.context = context;
+        /**
+         * The declared variables.
+         * @type {Array<Map<string, Variable>>}
+         */
+        this.scopes = [new Map()];
+        /**
+         * The declared classes, by name.
+         * @type {Map<string, ClassInfo>}
+         */
+        this.classes = new Map();
+        /**
+         * The names of the declared enums.
+         * @type {Set<string>}
+         */
+        this.enums = new Set();
+        /**
+         * The values returned by the functions we are in (the last one is the current function).
+         * @type {Array<Array<{type: Type|string, node: ReturnNode}>>}
+         */
+        this.returns = [];
+        /**
+         * The signatures of the functions that have been checked.
+         * @type {Map<FuncDefNode, Signature>}
+         */
+        this.signatures = new Map();
+        /** @type {CustomTypeError[]} */
+        this.errors = [];
+    }
+
+    /**
+     * Checks the whole program.
+     * @param {ListNode} tree The tree returned by the parser.
+     * @returns {CustomTypeError[]} All the mismatches, in the order of the program.
+     */
+    check(tree) {
+        if (tree) this.visit(tree);
+        return this.errors;
+    }
+
+    /**
+     * Declares a variable in the current scope.
+     * @param {string} name The name of the variable.
+     * @param {Type|string} type The type of the variable.
+     * @param {Signature|null} signature The signature if the variable is a function.
+     */
+    declare(name, type, signature=null) {
+        this.scopes[this.scopes.length - 1].set(name, { type, signature });
+    }
+
+    /**
+     * Searches for a variable in the scopes.
+     * @param {string} name The name of the variable.
+     * @returns {Variable|null} Null if the variable has not been declared (it might be a native function or a variable from the shell).
+     */
+    lookup(name) {
+        for (let i = this.scopes.length - 1; i >= 0; i--) {
+            if (this.scopes[i].has(name)) return this.scopes[i].get(name);
+        }
+        return null;
+    }
+
+    /**
+     * Executes a callback inside a new scope, like the interpreter does with a new context.
+     * @template T
+     * @param {string} context_name The name of the context (in the tracebacks).
+     * @param {Position} pos_start The position where the context is created.
+     * @param {() => T} callback
+     * @returns {T}
+     */
+    in_scope(context_name, pos_start, callback) {
+        let parent_context = this.context;
+        this.context = new Context(context_name, parent_context, pos_start);
+        this.scopes.push(new Map());
+        try {
+            return callback();
+        } finally {
+            this.scopes.pop();
+            this.context = parent_context;
+        }
+    }
+
+    /**
+     * Checks if a value of a certain type can be assigned to a variable of another type.
+     * @param {Type|string} expected The type of the variable.
+     * @param {Type|string} actual The type of the value.
+     * @returns {boolean}
+     */
+    is_assignable(expected, actual) {
+        return is_type_assignable(expected, actual, (name) => this.classes.get(name)?.parent, (name) => this.enums.has(name));
+    }
+
+    /**
+     * Reports an error if a value cannot be assigned to a variable.
+     * @param {Type|string} expected The type of the variable.
+     * @param {Type|string} actual The type of the value.
+     * @param {CustomNode} node The node to highlight.
+     */
+    expect(expected, actual, node) {
+        if (this.is_assignable(expected, actual)) return;
+        this.errors.push(new CustomTypeError(
+            node.pos_start, node.pos_end,
+            `Type '${actual}' is not assignable to type '${expected}'`,
+            this.context
+        ));
+    }
+
+    /**
+     * The type of a variable that has no type annotation: the type of its initial value,
+     * without the types of the elements because another list can be assigned to it.
+     * A value that might be none gives 'any', like none, because the type of the variable is the type of the actual value.
+     * @param {Type|string} type The type of the value.
+     * @returns {Type|string}
+     */
+    widen(type) {
+        if (type instanceof ListType) return Types.LIST;
+        if (type instanceof DictType) return Types.DICT;
+        if (type instanceof FunctionType) return Types.FUNCTION;
+        if (type instanceof UnionType && type.types.some((t) => String(t) === NONE)) return Types.ANY;
+        return String(type) === NONE ? Types.ANY : type;
+    }
+
+    /**
+     * The type of the elements of a list, or of the values of a dictionnary.
+     * @param {Array<Type|string>} types The types of the elements.
+     * @returns {Type|string} 'any' if a type is unknown.
+     */
+    union(types) {
+        let names = new Set(types.map((t) => String(t)));
+        if (names.has(Types.ANY)) return Types.ANY;
+        let unique = types.filter((t, i) => types.findIndex((u) => String(u) === String(t)) === i);
+        return unique.length === 1 ? unique[0] : new UnionType(unique.map((t) => to_type(t)));
+    }
+
+    /**
+     * Infers the type of a node and checks its children.
+     * @param {CustomNode} node The node.
+     * @returns {Type|string} The type, 'any' if it cannot be inferred.
+     */
+    visit(node) {
+        if (node instanceof NumberNode) {
+            return typeof node.value === "bigint" ? Types.BIGINT : Types.NUMBER;
+        } else if (node instanceof StringNode) {
+            return Types.STRING;
+        } else if (node instanceof FormattedStringNode) {
+            for (let part of node.parts) {
+                if (typeof part === "string") continue;
+                let type = this.visit(part.node);
+                // all the types of format specifiers except 's' are for numbers
+                if (part.format_spec?.type && part.format_spec.type !== "s" && String(type) !== Types.BIGINT) this.expect(Types.NUMBER, type, part);
+            }
+            return Types.STRING;
+        } else if (node instanceof BooleanNode) {
+            return Types.BOOLEAN;
+        } else if (node instanceof NoneNode) {
+            return NONE;
+        } else if (node instanceof AddNode) {
+            let a = String(this.visit(node.node_a));
+            let b = String(this.visit(node.node_b));
+            if (a === b && (a === Types.NUMBER || a === Types.BIGINT || a === Types.STRING)) return a;
+            return Types.ANY;
+        } else if (is_numeric_operation(node)) {
+            let a = String(this.visit(node.node_a));
+            let b = String(this.visit(node.node_b));
+            return a === b && (a === Types.NUMBER || a === Types.BIGINT) ? a : Types.ANY;
+        } else if (is_boolean_operation(node)) {
+            this.visit(node.node_a);
+            this.visit(node.node_b);
+            return Types.BOOLEAN;
+        } else if (node instanceof NotNode) {
+            this.visit(node.node);
+            return Types.BOOLEAN;
+        } else if (node instanceof PlusNode || node instanceof MinusNode || node instanceof BinaryNotNode || node instanceof PrefixOperationNode || node instanceof PostfixOperationNode) {
+            let type = String(this.visit(node.node));
+            return type === Types.NUMBER || type === Types.BIGINT ? type : Types.ANY;
+        } else if (node instanceof NullishOperatorNode) {
+            let a = this.visit(node.node_a);
+            let b = this.visit(node.node_b);
+            if (String(a) === NONE) return b;
+            return String(a) === String(b) ? a : Types.ANY;
+        } else if (node instanceof NullishAssignmentNode || node instanceof AndAssignmentNode || node instanceof OrAssignmentNode) {
+            this.visit(node.node_a);
+            this.visit(node.node_b);
+            return Types.ANY;
+        } else if (node instanceof VarAssignNode) {
+            return this.check_VarAssignNode(node);
+        } else if (node instanceof DefineNode) {
+            return this.check_DefineNode(node);
+        } else if (node instanceof VarAccessNode) {
+            return this.lookup(node.var_name_tok.value)?.type ?? Types.ANY;
+        } else if (node instanceof VarModifyNode) {
+            return this.check_VarModifyNode(node);
+        } else if (node instanceof SpreadNode) {
+            return this.check_SpreadNode(node, Types.LIST);
+        } else if (node instanceof ListNode) {
+            let element_types = node.element_nodes.map((v) => this.visit(v));
+            if (element_types.length === 0) return Types.LIST;
+            let element_type = this.union(element_types);
+            return String(element_type) === Types.ANY ? Types.LIST : new ListType(to_type(element_type));
+        } else if (node instanceof DictionnaryNode) {
+            let value_types = node.element_nodes.map((v) => v instanceof SpreadNode ? this.check_SpreadNode(v, Types.DICT) : this.visit(v.value));
+            if (value_types.length === 0) return Types.DICT;
+            let value_type = this.union(value_types);
+            return String(value_type) === Types.ANY ? Types.DICT : new DictType(to_type(Types.STRING), to_type(value_type));
+        } else if (node instanceof ListAccessNode) {
+            this.check_ListAccessNode(node);
+            return Types.ANY;
+        } else if (node instanceof ListAssignmentNode) {
+            this.check_ListAccessNode(node.accessor);
+            let type = this.visit(node.new_value_node);
+            let list_nodes = node.accessor.list_nodes;
+            let variable = node.accessor.node_to_access instanceof VarAccessNode ? this.lookup(node.accessor.node_to_access.var_name_tok.value) : null;
+            if (variable && !list_nodes.some(({ node: index_node }) => index_node instanceof ListBinarySelector)) {
+                let is_push = list_nodes.at(-1).node instanceof ListPushBracketsNode;
+                this.expect(element_type_at(variable.type, list_nodes.length, is_push), type, node.new_value_node);
+            }
+            return type;
+        } else if (node instanceof IfNode) {
+            for (let [condition, body] of node.cases) {
+                this.visit(condition);
+                this.visit(body);
+            }
+            if (node.else_case) this.visit(node.else_case);
+            return Types.ANY;
+        } else if (node instanceof ForNode) {
+            if (node.start_value_node) this.visit(node.start_value_node);
+            this.visit(node.end_value_node);
+            if (node.step_value_node) this.visit(node.step_value_node);
+            this.in_scope("<for>", node.pos_start, () => {
+                this.declare(node.var_name_tok.value, Types.NUMBER);
+                this.visit(node.body_node);
+            });
+            return Types.ANY;
+        } else if (node instanceof ForeachNode) {
+            this.visit(node.list_node);
+            this.in_scope("<foreach>", node.pos_start, () => {
+                if (node.key_name_tok) this.declare(node.key_name_tok.value, Types.ANY);
+                this.declare(node.value_name_tok.value, Types.ANY);
+                this.visit(node.body_node);
+            });
+            return Types.ANY;
+        } else if (node instanceof WhileNode) {
+            this.visit(node.condition_node);
+            this.in_scope("<while>", node.pos_start, () => this.visit(node.body_node));
+            return Types.ANY;
+        } else if (node instanceof SwitchNode) {
+            this.visit(node.primary_value);
+            for (let { conditions, body } of node.cases) {
+                for (let condition of conditions) this.visit(condition);
+                this.in_scope("<switch>", body.pos_start, () => this.visit(body));
+            }
+            if (node.default_case) this.in_scope("<switch>", node.default_case.pos_start, () => this.visit(node.default_case));
+            return Types.ANY;
+        } else if (node instanceof FuncDefNode) {
+            let signature = this.check_FuncDefNode(node);
+            if (node.args.some((arg) => arg.is_rest)) return Types.FUNCTION;
+            let required_count = node.args.filter((arg) => !arg.is_optional).length;
+            return new FunctionType(node.args.map((arg) => to_type(arg.type)), to_type(signature.return_type), required_count);
+        } else if (node instanceof CallNode) {
+            return this.check_CallNode(node);
+        } else if (node instanceof ReturnNode) {
+            let type = node.node_to_return ? this.visit(node.node_to_return) : NONE;
+            if (this.returns.length > 0) this.returns[this.returns.length - 1].push({ type, node });
+            return Types.ANY;
+        } else if (node instanceof YieldNode) {
+            if (node.node_to_yield) this.visit(node.node_to_yield);
+            return Types.ANY;
+        } else if (node instanceof ContinueNode || node instanceof BreakNode || node instanceof ListPushBracketsNode) {
+            return Types.ANY;
+        } else if (node instanceof DeleteNode) {
+            this.visit(node.node_to_delete);
+            return Types.ANY;
+        } else if (node instanceof ClassDefNode) {
+            this.check_ClassDefNode(node);
+            return node.class_name_tok.value;
+        } else if (node instanceof ClassCallNode) {
+            return this.check_ClassCallNode(node);
+        } else if (node instanceof CallPropertyNode) {
+            return this.get_member(node)?.type ?? Types.ANY;
+        } else if (node instanceof CallStaticPropertyNode) {
+            this.visit(node.node_to_call);
+            return Types.ANY;
+        } else if (node instanceof CallMethodNode) {
+            // the origin is also the base of the called property
+            return this.visit(node.node_to_call);
+        } else if (node instanceof AssignPropertyNode) {
+            return this.check_AssignPropertyNode(node);
+        } else if (node instanceof SuperNode) {
+            for (let arg of node.arg_nodes) this.visit(arg);
+            return Types.ANY;
+        } else if (node instanceof EnumNode) {
+            this.declare(node.enum_name_tok.value, Types.OBJECT);
+            this.enums.add(node.enum_name_tok.value);
+            return Types.OBJECT;
+        } else if (node instanceof TypeofNode) {
+            this.visit(node.node);
+            return Types.STRING;
+        } else if (node instanceof InstanceofNode || node instanceof IsNode) {
+            this.visit(node.node_a);
+            return Types.BOOLEAN;
+        } else if (node instanceof TagDefNode) {
+            this.check_TagDefNode(node);
+            return Types.TAG;
+        } else if (node instanceof HtmlNode) {
+            for (let [, value] of node.attributes) this.visit(value);
+            for (let [, callback] of node.events) this.visit(callback);
+            for (let child of node.children) this.visit(child);
+            return Types.HTML;
+        } else if (node instanceof TryNode) {
+            this.in_scope("<try>", node.pos_start, () => this.visit(node.try_body));
+            if (node.catch_body) {
+                this.in_scope("<catch>", node.pos_start, () => {
+                    if (node.catch_var_name_tok) this.declare(node.catch_var_name_tok.value, Types.ANY);
+                    this.visit(node.catch_body);
+                });
+            }
+            if (node.finally_body) this.in_scope("<finally>", node.pos_start, () => this.visit(node.finally_body));
+            return Types.ANY;
+        } else if (node instanceof ThrowNode) {
+            this.visit(node.node_to_throw);
+            return Types.ANY;
+        } else if (node instanceof ImportNode) {
+            // the imported files are checked when they are loaded
+            if (node.namespace_tok) {
+                this.declare(node.namespace_tok.value, Types.OBJECT);
+            } else {
+                for (let [name_tok, alias_tok] of node.names) this.declare((alias_tok ?? name_tok).value, Types.ANY);
+            }
+            return Types.ANY;
+        } else if (node instanceof ExportNode) {
+            return this.visit(node.node);
+        } else if (node instanceof DestructuringAssignNode) {
+            let value_type = this.visit(node.value_node);
+            this.check_pattern(node.pattern, node.is_declaration);
+            return value_type;
+        } else {
+            throw new Error(`There is no check method for node '${node.constructor.name}'`);
+        }
+    }
+
+    /**
+     * @param {VarAssignNode} node
+     * @returns {Type|string}
+     */
+    check_VarAssignNode(node) {
+        let value_type = this.visit(node.value_node);
+        if (node.type) this.expect(node.type, value_type, node);
+        let signature = node.value_node instanceof FuncDefNode ? this.signatures.get(node.value_node) : null;
+        this.declare(node.var_name_tok.value, node.type ?? this.widen(value_type), signature);
+        return value_type;
+    }
+
+    /**
+     * The constants are declared in the global scope.
+     * @param {DefineNode} node
+     * @returns {Type|string}
+     */
+    check_DefineNode(node) {
+        let value_type = this.visit(node.value_node);
+        if (node.type) this.expect(node.type, value_type, node);
+        let signature = node.value_node instanceof FuncDefNode ? this.signatures.get(node.value_node) : null;
+        this.scopes[0].set(node.var_name_tok.value, { type: node.type ?? this.widen(value_type), signature });
+        return value_type;
+    }
+
+    /**
+     * @param {VarModifyNode} node
+     * @returns {Type|string}
+     */
+    check_VarModifyNode(node) {
+        let value_type = this.visit(node.value_node);
+        let variable = this.lookup(node.var_name_tok.value);
+        if (variable) {
+            this.expect(variable.type, value_type, node);
+            variable.signature = node.value_node instanceof FuncDefNode ? this.signatures.get(node.value_node) : null;
+        }
+        return value_type;
+    }
+
+    /**
+     * Checks the default values of a destructuring pattern and declares its variables.
+     * The types of the parts of the value are not inferred: a variable is 'any' if its type is not specified.
+     * @param {ListPatternNode|DictPatternNode} pattern
+     * @param {boolean} is_declaration Are the variables declared? Otherwise, they already exist and keep their type.
+     */
+    check_pattern(pattern, is_declaration) {
+        let elements = pattern instanceof ListPatternNode ? pattern.elements : pattern.entries.map(([, element]) => element);
+        if (pattern.rest) elements = [...elements, pattern.rest];
+
+        for (let element of elements) {
+            if (element.default_value_node) {
+                let default_type = this.visit(element.default_value_node);
+                if (element.type) this.expect(element.type, default_type, element.default_value_node);
+            }
+
+            if (element.target instanceof Token) {
+                let type = element.type;
+                // the rest element gets a list or a dictionnary
+                if (!type && element === pattern.rest) type = pattern instanceof ListPatternNode ? Types.LIST : Types.DICT;
+                if (is_declaration) {
+                    this.declare(element.target.value, type ?? Types.ANY);
+                } else {
+                    let variable = this.lookup(element.target.value);
+                    if (variable && type) this.expect(variable.type, type, element);
+                }
+            } else {
+                this.check_pattern(element.target, is_declaration);
+            }
+        }
+    }
+
+    /**
+     * @param {ListAccessNode} node
+     */
+    check_ListAccessNode(node) {
+        this.visit(node.node_to_access);
+        for (let { node: index_node } of node.list_nodes) {
+            if (index_node instanceof ListBinarySelector) {
+                if (index_node.node_a) this.visit(index_node.node_a);
+                if (index_node.node_b) this.visit(index_node.node_b);
+            } else {
+                this.visit(index_node);
+            }
+        }
+    }
+
+    /**
+     * Checks the default values of the arguments and the body of a function,
+     * and infers the type of its returned value if it's not specified.
+     * @param {FuncDefNode} node
+     * @returns {Signature}
+     */
+    check_FuncDefNode(node) {
+        let name = node.var_name_tok ? node.var_name_tok.value : "<anonymous>";
+        /** @type {Signature} */
+        let signature = { args: node.args, return_type: node.return_type ?? (node.is_generator ? Types.GENERATOR : Types.ANY) };
+        this.signatures.set(node, signature);
+        // declared before the body for the recursive calls
+        if (node.var_name_tok) this.declare(name, Types.FUNCTION, signature);
+
+        this.in_scope(name, node.pos_start, () => {
+            for (let arg of node.args) {
+                if (arg.default_value_node) {
+                    let default_type = this.visit(arg.default_value_node);
+                    if (!arg.is_rest && !(arg.is_optional && String(default_type) === NONE)) this.expect(arg.type ?? Types.ANY, default_type, arg.default_value_node);
+                }
+                this.declare(arg.arg_name_tok.value, arg.type ?? Types.ANY);
+                if (arg.pattern) this.check_pattern(arg.pattern, true);
+            }
+
+            this.returns.push([]);
+            let body_type = this.visit(node.body_node);
+            let returned_values = this.returns.pop();
+            let returned_types = returned_values.map((v) => v.type);
+
+            if (node.is_generator) {
+                // a generator function always returns a generator, 'return' only stops it
+                if (node.return_type) this.expect(node.return_type, Types.GENERATOR, node);
+            } else if (node.return_type) {
+                if (node.should_auto_return) {
+                    this.expect(node.return_type, body_type, node.body_node);
+                } else if (returned_values.length === 0) {
+                    // the function always returns none
+                    this.expect(node.return_type, NONE, node);
+                }
+                for (let { type, node: return_node } of returned_values) this.expect(node.return_type, type, return_node);
+            } else if (node.should_auto_return) {
+                signature.return_type = this.widen(body_type);
+            } else if (returned_types.length > 0 && returned_types.every((v) => String(v) === String(returned_types[0]))) {
+                // the function returns none if the end of its body is reached
+                signature.return_type = always_returns(node.body_node) ? returned_types[0] : this.union([returned_types[0], NONE]);
+            }
+        });
+
+        return signature;
+    }
+
+    /**
+     * Checks that a spread value (`...list`) is a list, or a dictionnary inside of a dictionnary.
+     * @param {SpreadNode} node
+     * @param {string} expected `Types.LIST` or `Types.DICT`.
+     * @returns {Type|string} The type of the inserted elements (or of the values of the dictionnary).
+     */
+    check_SpreadNode(node, expected) {
+        let type = this.visit(node.node_to_spread);
+        this.expect(expected, type, node);
+        if (type instanceof ListType && expected === Types.LIST) return type.element_type;
+        if (type instanceof DictType && expected === Types.DICT) return type.value_type;
+        return Types.ANY;
+    }
+
+    /**
+     * Checks the arguments given to a function.
+     * @param {ArgumentNode[]} args The arguments of the function.
+     * @param {CustomNode[]} arg_nodes The given arguments.
+     * @param {Array<Type|string>} arg_types The types of the given arguments.
+     */
+    check_arguments(args, arg_nodes, arg_types) {
+        // the positions of the arguments that follow a spread list are unknown
+        let spread_index = arg_nodes.findIndex((v) => v instanceof SpreadNode);
+        if (spread_index !== -1) arg_nodes = arg_nodes.slice(0, spread_index);
+        for (let i = 0; i < Math.min(args.length, arg_nodes.length); i++) {
+            let arg = args[i];
+            if (arg.is_rest) {
+                // the remaining given arguments are the elements of the list
+                if (arg.type instanceof ListType) {
+                    for (let j = i; j < arg_nodes.length; j++) this.expect(arg.type.element_type, arg_types[j], arg_nodes[j]);
+                }
+                break;
+            }
+            if (arg.is_optional && String(arg_types[i]) === NONE) continue;
+            this.expect(arg.type ?? Types.ANY, arg_types[i], arg_nodes[i]);
+        }
+    }
+
+    /**
+     * @param {CallNode} node
+     * @returns {Type|string} The type of the returned value.
+     */
+    check_CallNode(node) {
+        let signature = null;
+        if (node.node_to_call instanceof VarAccessNode) {
+            let name = node.node_to_call.var_name_tok.value;
+            let variable = this.lookup(name);
+            if (variable) {
+                signature = variable.signature;
+            } else if (Object.prototype.hasOwnProperty.call(NATIVE_FUNCTIONS, name)) {
+                let native_function = NATIVE_FUNCTIONS[name];
+                signature = { args: native_function.args ?? [], return_type: native_function.return_type ?? Types.ANY };
+            }
+        } else if (node.node_to_call instanceof CallPropertyNode) {
+            signature = this.get_member(node.node_to_call)?.signature ?? null;
+        } else {
+            this.visit(node.node_to_call);
+        }
+
+        let arg_types = node.arg_nodes.map((v) => this.visit(v));
+        if (!signature) return Types.ANY;
+
+        this.check_arguments(signature.args, node.arg_nodes, arg_types);
+        return signature.return_type;
+    }
+
+    /**
+     * Gets the member of a class (`instance.property`).
+     * @param {CallPropertyNode} node
+     * @returns {Variable|null} Null if the type of the instance or the member is unknown.
+     */
+    get_member(node) {
+        let base_type = this.visit(node.node_to_call);
+        return this.classes.get(String(base_type))?.members.get(node.property_tok.value) ?? null;
+    }
+
+    /**
+     * Declares a class and checks its members.
+     * @param {ClassDefNode} node
+     */
+    check_ClassDefNode(node) {
+        let name = node.class_name_tok.value;
+        let parent = node.parent_class_tok ? this.classes.get(node.parent_class_tok.value) : null;
+        /** @type {ClassInfo} */
+        let info = { name, parent: parent ? parent.name : null, members: new Map(parent ? parent.members : []) };
+        this.classes.set(name, info);
+        this.declare(name, name);
+
+        this.in_scope(`<Class ${name}>`, node.pos_start, () => {
+            this.declare("self", name);
+
+            for (let property of node.properties) {
+                let value_type = this.visit(property.value_node);
+                if (property.type) this.expect(property.type, value_type, property);
+                info.members.set(property.property_name_tok.value, { type: property.type ?? this.widen(value_type), signature: null });
+            }
+
+            for (let method of node.methods) {
+                let signature = this.check_FuncDefNode(method.func);
+                info.members.set(method.func.var_name_tok.value, { type: Types.FUNCTION, signature });
+            }
+
+            // the getters are used like properties
+            for (let getter of node.getters) {
+                let signature = this.check_FuncDefNode(getter.func);
+                info.members.set(getter.func.var_name_tok.value, { type: signature.return_type, signature: null });
+            }
+
+            for (let setter of node.setters) this.check_FuncDefNode(setter.func);
+        });
+    }
+
+    /**
+     * @param {ClassCallNode} node
+     * @returns {string} The name of the class.
+     */
+    check_ClassCallNode(node) {
+        let name = node.class_name_tok.value;
+        let arg_types = node.arg_nodes.map((v) => this.visit(v));
+        let init = this.classes.get(name)?.members.get("__init");
+        if (init?.signature) this.check_arguments(init.signature.args, node.arg_nodes, arg_types);
+        return name;
+    }
+
+    /**
+     * @param {AssignPropertyNode} node
+     * @returns {Type|string}
+     */
+    check_AssignPropertyNode(node) {
+        let member = null;
+        if (node.property instanceof CallPropertyNode) {
+            member = this.get_member(node.property);
+        } else {
+            this.visit(node.property);
+        }
+
+        let value_type = this.visit(node.value_node);
+        // a method cannot be replaced by something else but it's not a question of type
+        if (member && !member.signature) this.expect(member.type, value_type, node);
+        return value_type;
+    }
+
+    /**
+     * Checks the default values of the props and the states of a tag, and its methods.
+     * @param {TagDefNode} node
+     */
+    check_TagDefNode(node) {
+        let name = node.tag_name_tok.value;
+        this.declare(name, Types.TAG);
+
+        this.in_scope(`<Tag ${name}>`, node.pos_start, () => {
+            for (let prop of node.props) {
+                let value_type = this.visit(prop.value_node);
+                // a prop without a default value is given when the tag is instantiated
+                if (prop.type && String(value_type) !== NONE) this.expect(prop.type, value_type, prop);
+            }
+
+            for (let state of node.states) {
+                let value_type = this.visit(state.value_node);
+                if (state.type) this.expect(state.type, value_type, state);
+            }
+
+            for (let method of node.methods) this.check_FuncDefNode(method);
+        });
+    }
+}
@@ -0,0 +1,191 @@
+"use strict";
+
+import fs from 'fs';
+import process from 'process';
+import { Lexer } from './lexer.js';
+import { Parser } from './parser.js';
+import { execute } from './run.js';
+import { TypeChecker } from './checker.js';
+import { Formatter } from './formatter.js';
+import { Compiler } from './compiler.js';
+import { CustomError } from './Exceptions.js';
+import { set_argv } from './symbol_table.js';
+
+/**
+ * The exit codes of the command-line tool.
+ */
+export class ExitCode {
+    static SUCCESS = 0;
+    static ERROR   = 1; // the program raised an error (syntax error, runtime error, etc.)
+    static USAGE   = 2; // invalid options or unreadable file
+}
+
+export const USAGE = `Usage:
+    versa [options] <file.vjs> [args...]   runs a file
+    versa [options] -e <code> [args...]    runs a string
+    versa [options] - [args...]            runs the code given on stdin
+    versa                                  opens the shell (or reads stdin if it's not a terminal)
+
+Options:
+    --tokens    prints the tokens instead of running the program
+    --ast       prints the tree instead of running the program
+    --check     checks the types without running the program
+    --format    prints the formatted code instead of running the program
+    --compile   prints the code compiled into an ES module instead of running the program
+    -h, --help  prints this message
+
+The arguments that follow the program are available in the list 'argv'.`;
+
+/**
+ * @classdesc Error thrown when the command-line arguments are invalid.
+ */
+export class UsageError extends Error {
+    /**
+     * @constructs UsageError
+     * @param {string} message
+     */
+    constructor(message) {
+        super(message);
+        this.name = "UsageError";
+    }
+}
+
+/**
+ * @typedef {{mode: "run"|"tokens"|"ast"|"check"|"format"|"compile"|"help"|"shell", source: "file"|"eval"|"stdin"|null, file: string|null, code: string|null, script_args: string[]}} CliOptions
+ */
+
+/**
+ * Reads the command-line arguments.
+ * The options must be placed before the program, everything after the program belongs to the script.
+ * @param {string[]} args The arguments (without 'node' and the name of the script).
+ * @param {boolean} is_stdin_tty Is stdin a terminal? If not and no program is given, the code is read from stdin.
+ * @returns {CliOptions}
+ * @throws {UsageError}
+ */
+export function parse_arguments(args, is_stdin_tty=true) {
+    /** @type {CliOptions} */
+    let options = { mode: "run", source: null, file: null, code: null, script_args: [] };
+
+    let i = 0;
+    for (; i < args.length; i++) {
+        let arg = args[i];
+        if (arg === "--tokens" || arg === "--ast" || arg === "--check" || arg === "--format" || arg === "--compile") {
+            if (options.mode !== "run") throw new UsageError("'--tokens', '--ast', '--check', '--format' and '--compile' cannot be used together");
+            options.mode = arg.slice(2);
+        } else if (arg === "-h" || arg === "--help") {
+            options.mode = "help";
+            return options;
+        } else if (arg === "-e") {
+            if (i + 1 >= args.length) throw new UsageError("'-e' expects some code");
+            options.source = "eval";
+            options.code = args[i + 1];
+            i += 2;
+            break;
+        } else if (arg === "-") {
+            options.source = "stdin";
+            i += 1;
+            break;
+        } else if (arg.startsWith("-")) {
+            throw new UsageError(`Unknown option '${arg}'`);
+        } else {
+            options.source = "file";
+            options.file = arg;
+            i += 1;
+            break;
+        }
+    }
+
+    options.script_args = args.slice(i);
+
+    if (options.source === null) {
+        if (is_stdin_tty) {
+            if (options.mode !== "run") throw new UsageError("Expected a program");
+            options.mode = "shell";
+        } else {
+            options.source = "stdin";
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Reads the source code of the program.
+ * @param {CliOptions} options
+ * @returns {{text: string, filename: string}}
+ * @throws {UsageError}
+ */
+function read_program(options) {
+    if (options.source === "eval") return { text: options.code, filename: "<eval>" };
+    if (options.source === "stdin") return { text: fs.readFileSync(0, 'utf8'), filename: "<stdin>" };
+    try {
+        return { text: fs.readFileSync(options.file, 'utf8'), filename: options.file };
+    } catch (e) {
+        throw new UsageError(`Failed to load script "${options.file}"`);
+    }
+}
+
+/**
+ * Runs the command-line tool.
+ * @param {string[]} args The arguments (without 'node' and the name of the script).
+ * @returns {Promise<number>} The exit code.
+ */
+export async function main(args) {
+    try {
+        let options = parse_arguments(args, process.stdin.isTTY ?? false);
+
+        if (options.mode === "help") {
+            console.log(USAGE);
+            return ExitCode.SUCCESS;
+        }
+
+        if (options.mode === "shell") {
+            await import('./shell.js');
+            return ExitCode.SUCCESS;
+        }
+
+        let { text, filename } = read_program(options);
+
+        if (options.mode === "tokens") {
+            for (let token of new Lexer(text, filename).generate_tokens()) console.log(token.toString());
+        } else if (options.mode === "ast") {
+            // the tree is printed even if it contains syntax errors, which are replaced by error nodes
+            let parser = new Parser(new Lexer(text, filename).generate_tokens());
+            let tree = parser.parse_with_errors();
+            if (tree) console.log(tree.toString());
+            if (parser.errors.length > 0) {
+                console.error(parser.errors.map((v) => v.toString()).join("\n\n"));
+                return ExitCode.ERROR;
+            }
+        } else if (options.mode === "check") {
+            // every type error is printed, not only the first one
+            let tree = new Parser(new Lexer(text, filename).generate_tokens()).parse();
+            let type_errors = new TypeChecker().check(tree);
+            if (type_errors.length > 0) {
+                console.error(type_errors.map((v) => v.toString()).join("\n\n"));
+                return ExitCode.ERROR;
+            }
+        } else if (options.mode === "format") {
+            process.stdout.write(new Formatter(text, filename).format());
+        } else if (options.mode === "compile") {
+            // the generated module imports compiler_runtime.js from its own folder
+            let tree = new Parser(new Lexer(text, filename).generate_tokens()).parse();
+            process.stdout.write(new Compiler().compile(tree));
+        } else {
+            set_argv(options.script_args);
+            execute(text, filename);
+        }
+
+        return ExitCode.SUCCESS;
+    } catch (e) {
+        if (e instanceof UsageError) {
+            console.error(`${e.message}\n\n${USAGE}`);
+            return ExitCode.USAGE;
+        }
+        if (e instanceof CustomError) {
+            console.error(e.toString());
+            return ExitCode.ERROR;
+        }
+        throw e;
+    }
+}
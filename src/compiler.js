@@ -0,0 +1,1259 @@
+"use strict";
+
+import { CustomNode, NumberNode, AddNode, SubtractNode, MultiplyNode, DivideNode, PlusNode, MinusNode, PowerNode, ModuloNode, VarAssignNode, VarAccessNode, VarModifyNode, AndNode, OrNode, NotNode, EqualsNode, LessThanNode, GreaterThanNode, LessThanOrEqualNode, GreaterThanOrEqualNode, NotEqualsNode, NullishOperatorNode, ListNode, ListAccessNode, ListAssignmentNode, ListPushBracketsNode, ListBinarySelector, StringNode, IfNode, ForNode, WhileNode, FuncDefNode, CallNode, ReturnNode, ContinueNode, BreakNode, DefineNode, DeleteNode, PrefixOperationNode, PostfixOperationNode, DictionnaryNode, ForeachNode, ClassDefNode, ClassPropertyDefNode, ClassMethodDefNode, ClassCallNode, CallPropertyNode, AssignPropertyNode, CallMethodNode, CallStaticPropertyNode, SuperNode, EnumNode, SwitchNode, NoneNode, BooleanNode, BinaryShiftLeftNode, BinaryShiftRightNode, UnsignedBinaryShiftRightNode, NullishAssignmentNode, LogicalAndNode, LogicalOrNode, LogicalXORNode, BinaryNotNode, AndAssignmentNode, OrAssignmentNode, TypeofNode, InstanceofNode, IsNode, TagDefNode, TagPropDefNode, TagStateDefNode, HtmlNode, ArgumentNode, TryNode, ThrowNode, YieldNode, ImportNode, ExportNode, ListPatternNode, DictPatternNode, DestructuringAssignNode, SpreadNode, FormattedStringNode } from './nodes.js';
+import { CompilerError } from './Exceptions.js';
+import { DICT_METHODS, LIST_METHODS, NATIVE_FUNCTIONS, STRING_METHODS } from './native.js';
+import { is_in } from './miscellaneous.js';
+import { Token, Types } from './tokens.js';
+import { ListType, Type } from './types.js';
+
+/**
+ * The name of the namespace in which the runtime helpers are imported (see compiler_runtime.js).
+ */
+const RUNTIME = "$versa";
+
+/**
+ * The words that cannot be used as identifiers in JavaScript, but can be used in VersaJS.
+ */
+const JS_RESERVED_WORDS = [
+    "arguments", "await", "case", "catch", "class", "const", "debugger", "default", "delete",
+    "do", "else", "enum", "eval", "export", "extends", "finally", "for", "function", "if",
+    "implements", "import", "in", "instanceof", "interface", "let", "new", "null", "package",
+    "private", "protected", "public", "return", "static", "super", "switch", "this", "throw",
+    "try", "typeof", "undefined", "var", "void", "while", "with", "yield", "true", "false",
+];
+
+/**
+ * The names of the native methods of the strings, the lists and the dictionnaries (see native.js).
+ * JavaScript doesn't have them, so the calls to these methods go through the runtime.
+ */
+const NATIVE_METHOD_NAMES = [...new Set([STRING_METHODS, LIST_METHODS, DICT_METHODS].flatMap((methods) => Object.keys(methods)))];
+
+/**
+ * @classdesc Compiles the nodes produced by the parser into an ES module.
+ * The semantics that JavaScript lacks are implemented by compiler_runtime.js.
+ */
+export class Compiler {
+    /**
+     * @constructs Compiler
+     * @param {string} runtime_path The path to compiler_runtime.js, as it will be imported by the generated module.
+     */
+    constructor(runtime_path="./compiler_runtime.js") {
+        this.runtime_path = runtime_path;
+        this.indentation = 0;
+        /**
+         * The declared variables and their type (null when the type is inferred from the value).
+         * @type {Array<Map<string, string|null>>}
+         */
+        this.scopes = [new Map()];
+        /**
+         * The classes (or tags) we are in.
+         * @type {Array<{name: string, private_names: string[], has_parent: boolean}>}
+         */
+        this.classes = [];
+        /**
+         * The return types of the functions we are in (null if it's not specified).
+         * @type {Array<Type|null>}
+         */
+        this.return_types = [];
+        /** @type {string|null} */
+        this.method_name = null;
+        // 'self' becomes 'this' in the methods,
+        // but the default values of the props and states of a tag receive 'self' as argument.
+        this.self_name = "this";
+    }
+
+    /**
+     * Compiles the whole program.
+     * @param {ListNode} tree The tree returned by the parser.
+     * @returns {string} The source code of the ES module.
+     */
+    compile(tree) {
+        let code = `import * as ${RUNTIME} from ${JSON.stringify(this.runtime_path)};\n\n`;
+        if (tree) {
+            code += tree.element_nodes.map((node) => this.visit_statement(node)).join("\n") + "\n";
+        }
+        return code;
+    }
+
+    /**
+     * Generates the indentation of the current line.
+     * @returns {string}
+     */
+    indent() {
+        return "    ".repeat(this.indentation);
+    }
+
+    /**
+     * Declares a variable in the current scope.
+     * @param {string} name The name of the variable.
+     * @param {string|null} type The type of the variable, null if it's inferred from its value.
+     */
+    declare(name, type=null) {
+        this.scopes[this.scopes.length - 1].set(name, type);
+    }
+
+    /**
+     * Searches for a variable in the scopes.
+     * @param {string} name The name of the variable.
+     * @returns {{type: string|null}|null} Null if the variable has not been declared.
+     */
+    lookup(name) {
+        for (let i = this.scopes.length - 1; i >= 0; i--) {
+            if (this.scopes[i].has(name)) return { type: this.scopes[i].get(name) };
+        }
+        return null;
+    }
+
+    /**
+     * Executes a callback inside a new scope.
+     * @template T
+     * @param {() => T} callback
+     * @returns {T}
+     */
+    in_scope(callback) {
+        this.scopes.push(new Map());
+        this.indentation++;
+        try {
+            return callback();
+        } finally {
+            this.indentation--;
+            this.scopes.pop();
+        }
+    }
+
+    /**
+     * Transforms a VersaJS identifier into a valid JavaScript identifier.
+     * @param {string} name The name of the variable.
+     * @returns {string}
+     */
+    identifier(name) {
+        if (name === "self") return this.self_name;
+        if (is_in(name, JS_RESERVED_WORDS)) return "$" + name;
+        return name;
+    }
+
+    /**
+     * Wraps a value so that its type is checked at runtime.
+     * @param {string} value The compiled value.
+     * @param {Type|string|null} type The expected type. If null, the type is inferred from the current value of the variable.
+     * @param {string} name The name of the variable.
+     * @returns {string}
+     */
+    typed(value, type, name) {
+        if (type !== null && String(type) === Types.ANY) return value;
+        let type_code = type === null ? `${RUNTIME}.type_of(${this.identifier(name)})` : JSON.stringify(type);
+        return `${RUNTIME}.typed(${value}, ${type_code}, ${JSON.stringify(name)})`;
+    }
+
+    /**
+     * Checks if a node can only be a statement.
+     * @param {CustomNode} node
+     * @returns {boolean}
+     */
+    is_statement_only(node) {
+        return node instanceof VarAssignNode ||
+            (node instanceof DestructuringAssignNode && node.is_declaration) ||
+            node instanceof DefineNode ||
+            (node instanceof FuncDefNode && node.var_name_tok !== null) ||
+            node instanceof ClassDefNode ||
+            node instanceof TagDefNode ||
+            node instanceof EnumNode ||
+            node instanceof ReturnNode ||
+            node instanceof YieldNode ||
+            node instanceof ContinueNode ||
+            node instanceof BreakNode ||
+            node instanceof DeleteNode ||
+            node instanceof TryNode ||
+            node instanceof ThrowNode ||
+            node instanceof ImportNode ||
+            node instanceof ExportNode;
+    }
+
+    /**
+     * Wraps a returned value so that its type is checked at runtime, if the function we are in has a return type.
+     * @param {string} value The compiled value.
+     * @returns {string}
+     */
+    returned(value) {
+        let type = this.return_types[this.return_types.length - 1] ?? null;
+        if (type === null || String(type) === Types.ANY) return value;
+        return `${RUNTIME}.typed(${value}, ${JSON.stringify(type)}, "return")`;
+    }
+
+    /**
+     * Compiles a node as a statement.
+     * @param {CustomNode} node The node.
+     * @returns {string} The indented lines.
+     */
+    visit_statement(node) {
+        if (node instanceof VarAssignNode) {
+            return this.compile_VarAssignNode(node);
+        } else if (node instanceof DestructuringAssignNode && node.is_declaration) {
+            return this.compile_DestructuringAssignNode(node);
+        } else if (node instanceof DefineNode) {
+            return this.compile_DefineNode(node);
+        } else if (node instanceof FuncDefNode && node.var_name_tok !== null) {
+            return this.compile_FuncDefStatement(node);
+        } else if (node instanceof ClassDefNode) {
+            return this.compile_ClassDefNode(node);
+        } else if (node instanceof TagDefNode) {
+            return this.compile_TagDefNode(node);
+        } else if (node instanceof EnumNode) {
+            return this.compile_EnumNode(node);
+        } else if (node instanceof IfNode) {
+            return this.compile_IfStatement(node);
+        } else if (node instanceof ForNode || node instanceof ForeachNode || node instanceof WhileNode) {
+            return this.compile_LoopStatement(node);
+        } else if (node instanceof SwitchNode) {
+            return this.compile_SwitchStatement(node);
+        } else if (node instanceof ReturnNode) {
+            return this.indent() + `return ${this.returned(node.node_to_return ? this.visit(node.node_to_return) : "null")};`;
+        } else if (node instanceof YieldNode) {
+            return this.indent() + `yield ${node.node_to_yield ? this.visit(node.node_to_yield) : "null"};`;
+        } else if (node instanceof ContinueNode) {
+            return this.indent() + "continue;";
+        } else if (node instanceof BreakNode) {
+            return this.indent() + "break;";
+        } else if (node instanceof DeleteNode) {
+            return this.indent() + this.compile_DeleteNode(node) + ";";
+        } else if (node instanceof TryNode) {
+            return this.compile_TryStatement(node);
+        } else if (node instanceof ThrowNode) {
+            return this.indent() + `throw ${this.visit(node.node_to_throw)};`;
+        } else if (node instanceof ImportNode) {
+            return this.compile_ImportNode(node);
+        } else if (node instanceof ExportNode) {
+            return this.compile_ExportNode(node);
+        } else if (node instanceof VarModifyNode || node instanceof AssignPropertyNode || node instanceof DestructuringAssignNode) {
+            // the parenthesis are only needed when the assignment is used as a value
+            return this.indent() + this.visit(node).slice(1, -1) + ";";
+        } else {
+            return this.indent() + this.visit(node) + ";";
+        }
+    }
+
+    /**
+     * Compiles the body of a structure (if, loops, functions...).
+     * @param {CustomNode} node A list of statements or a single expression.
+     * @returns {string}
+     */
+    visit_block(node) {
+        return this.in_scope(() => {
+            let statements = node instanceof ListNode ? node.element_nodes : [node];
+            return statements.map((v) => this.visit_statement(v)).join("\n");
+        });
+    }
+
+    /**
+     * Compiles the body of a structure so that the values of its statements are pushed into a list.
+     * This is how a loop used as a value (inside html for example) builds its list.
+     * @param {CustomNode} node A list of statements or a single expression.
+     * @param {string} target The name of the list.
+     * @returns {string}
+     */
+    visit_collecting_block(node, target) {
+        return this.in_scope(() => {
+            let statements = node instanceof ListNode ? node.element_nodes : [node];
+            return statements.map((v) => {
+                if (this.is_statement_only(v)) return this.visit_statement(v);
+                return this.indent() + `${target}.push(${this.visit(v)});`;
+            }).join("\n");
+        });
+    }
+
+    /**
+     * Wraps some statements into a function that is immediately called
+     * so that they can be used as an expression.
+     * @param {(target: string) => string} callback Generates the body (one level deeper).
+     * @returns {string}
+     */
+    iife(callback) {
+        this.indentation++;
+        let body = callback("$elements");
+        this.indentation--;
+        return `(() => {\n${body}\n${this.indent()}})()`;
+    }
+
+    /**
+     * Compiles a node as an expression.
+     * @param {CustomNode} node The node.
+     * @returns {string}
+     */
+    visit(node) {
+        if (node instanceof NumberNode) {
+            return this.compile_NumberNode(node);
+        } else if (node instanceof StringNode) {
+            return this.compile_StringNode(node);
+        } else if (node instanceof FormattedStringNode) {
+            return this.compile_FormattedStringNode(node);
+        } else if (node instanceof NoneNode) {
+            return "null";
+        } else if (node instanceof BooleanNode) {
+            return node.state ? "true" : "false";
+        } else if (node instanceof AddNode) {
+            return `${RUNTIME}.add(${this.visit(node.node_a)}, ${this.visit(node.node_b)})`;
+        } else if (node instanceof MultiplyNode) {
+            return `${RUNTIME}.mul(${this.visit(node.node_a)}, ${this.visit(node.node_b)})`;
+        } else if (node instanceof SubtractNode) {
+            return this.overloadable_operation(node, "-");
+        } else if (node instanceof DivideNode) {
+            return this.overloadable_operation(node, "/");
+        } else if (node instanceof PowerNode) {
+            return this.overloadable_operation(node, "**");
+        } else if (node instanceof ModuloNode) {
+            return this.overloadable_operation(node, "%");
+        } else if (node instanceof BinaryShiftLeftNode) {
+            return this.binary_operation(node, "<<");
+        } else if (node instanceof BinaryShiftRightNode) {
+            return this.binary_operation(node, ">>");
+        } else if (node instanceof UnsignedBinaryShiftRightNode) {
+            return this.binary_operation(node, ">>>");
+        } else if (node instanceof LogicalAndNode) {
+            return this.binary_operation(node, "&");
+        } else if (node instanceof LogicalOrNode) {
+            return this.binary_operation(node, "|");
+        } else if (node instanceof LogicalXORNode) {
+            return this.binary_operation(node, "^");
+        } else if (node instanceof LessThanNode) {
+            return this.overloadable_operation(node, "<");
+        } else if (node instanceof GreaterThanNode) {
+            return this.overloadable_operation(node, ">");
+        } else if (node instanceof LessThanOrEqualNode) {
+            return this.overloadable_operation(node, "<=");
+        } else if (node instanceof GreaterThanOrEqualNode) {
+            return this.overloadable_operation(node, ">=");
+        } else if (node instanceof AndNode) {
+            // like in the interpreter, 'and' gives a boolean
+            return `(${RUNTIME}.is_true(${this.visit(node.node_a)}) && ${RUNTIME}.is_true(${this.visit(node.node_b)}))`;
+        } else if (node instanceof OrNode) {
+            return `${RUNTIME}.or(${this.visit(node.node_a)}, ${this.visit(node.node_b)})`;
+        } else if (node instanceof NullishOperatorNode) {
+            return this.binary_operation(node, "??");
+        } else if (node instanceof EqualsNode) {
+            return `${RUNTIME}.equals(${this.visit(node.node_a)}, ${this.visit(node.node_b)})`;
+        } else if (node instanceof NotEqualsNode) {
+            return `!${RUNTIME}.equals(${this.visit(node.node_a)}, ${this.visit(node.node_b)})`;
+        } else if (node instanceof PlusNode) {
+            return `(+${this.visit(node.node)})`;
+        } else if (node instanceof MinusNode) {
+            return `${RUNTIME}.neg(${this.visit(node.node)})`;
+        } else if (node instanceof BinaryNotNode) {
+            return `(~${this.visit(node.node)})`;
+        } else if (node instanceof NotNode) {
+            return `(!${this.visit(node.node)})`;
+        } else if (node instanceof PrefixOperationNode) {
+            // '++a' doesn't modify 'a'
+            return `(${this.visit(node.node)} + ${node.difference})`;
+        } else if (node instanceof PostfixOperationNode) {
+            return this.compile_PostfixOperationNode(node);
+        } else if (node instanceof VarAccessNode) {
+            return this.compile_VarAccessNode(node);
+        } else if (node instanceof VarModifyNode) {
+            return this.compile_VarModifyNode(node);
+        } else if (node instanceof DestructuringAssignNode && !node.is_declaration) {
+            return this.compile_DestructuringAssignNode(node);
+        } else if (node instanceof SpreadNode) {
+            // inside of a list or of the arguments of a call (a dictionnary compiles its own spread elements)
+            return `...${RUNTIME}.spread(${this.visit(node.node_to_spread)}, "list")`;
+        } else if (node instanceof NullishAssignmentNode) {
+            return this.compile_LogicalAssignment(node, "??=", "??");
+        } else if (node instanceof AndAssignmentNode) {
+            return this.compile_LogicalAssignment(node, "&&=", "&&");
+        } else if (node instanceof OrAssignmentNode) {
+            return this.compile_LogicalAssignment(node, "||=", "||");
+        } else if (node instanceof ListNode) {
+            return `[${node.element_nodes.map((v) => this.visit(v)).join(", ")}]`;
+        } else if (node instanceof DictionnaryNode) {
+            return this.compile_DictionnaryNode(node);
+        } else if (node instanceof ListAccessNode) {
+            return this.compile_ListAccessNode(node);
+        } else if (node instanceof ListAssignmentNode) {
+            return this.compile_ListAssignmentNode(node);
+        } else if (node instanceof IfNode) {
+            return this.compile_IfExpression(node);
+        } else if (node instanceof ForNode || node instanceof ForeachNode || node instanceof WhileNode) {
+            return this.compile_LoopExpression(node);
+        } else if (node instanceof SwitchNode) {
+            return this.iife(() => this.compile_SwitchStatement(node, true));
+        } else if (node instanceof FuncDefNode) {
+            return this.compile_FuncDefExpression(node);
+        } else if (node instanceof CallNode) {
+            return this.compile_CallNode(node);
+        } else if (node instanceof CallMethodNode) {
+            return this.visit(node.node_to_call);
+        } else if (node instanceof CallPropertyNode) {
+            return this.compile_CallPropertyNode(node);
+        } else if (node instanceof CallStaticPropertyNode) {
+            return this.compile_CallStaticPropertyNode(node);
+        } else if (node instanceof AssignPropertyNode) {
+            return `(${this.visit(node.property)} = ${this.visit(node.value_node)})`;
+        } else if (node instanceof ClassCallNode) {
+            return `new ${this.identifier(node.class_name_tok.value)}(${node.arg_nodes.map((v) => this.visit(v)).join(", ")})`;
+        } else if (node instanceof SuperNode) {
+            return this.compile_SuperNode(node);
+        } else if (node instanceof TypeofNode) {
+            return `${RUNTIME}.type_of(${this.visit(node.node)})`;
+        } else if (node instanceof InstanceofNode) {
+            return `${RUNTIME}.instance_of(${this.visit(node.node_a)}, ${this.identifier(node.class_name_tok.value)})`;
+        } else if (node instanceof IsNode) {
+            return `${RUNTIME}.is_type(${this.visit(node.node_a)}, ${JSON.stringify(node.type)})`;
+        } else if (node instanceof HtmlNode) {
+            return this.compile_HtmlNode(node);
+        } else if (node instanceof DeleteNode) {
+            return this.compile_DeleteNode(node);
+        } else if (this.is_statement_only(node)) {
+            throw new CompilerError(
+                node.pos_start, node.pos_end,
+                "This statement cannot be used as a value in JavaScript."
+            );
+        } else {
+            throw new Error(`There is no compile method for node '${node.constructor.name}'`);
+        }
+    }
+
+    /**
+     * Compiles an operation between two values that behaves the same way in JavaScript.
+     * @param {CustomNode & {node_a: CustomNode, node_b: CustomNode}} node The node.
+     * @param {string} operator The JavaScript operator.
+     * @returns {string}
+     */
+    binary_operation(node, operator) {
+        return `(${this.visit(node.node_a)} ${operator} ${this.visit(node.node_b)})`;
+    }
+
+    /**
+     * Compiles a binary operation that a class can overload (`a - b` calls `a.__sub(b)`, see `operation` in the runtime).
+     * @param {CustomNode & {node_a: CustomNode, node_b: CustomNode}} node The node.
+     * @param {string} operator The JavaScript operator.
+     * @returns {string}
+     */
+    overloadable_operation(node, operator) {
+        return `${RUNTIME}.operation(${JSON.stringify(operator)}, ${this.visit(node.node_a)}, ${this.visit(node.node_b)})`;
+    }
+
+    /**
+     * @param {NumberNode} node
+     * @returns {string}
+     */
+    compile_NumberNode(node) {
+        return typeof node.value === "bigint" ? `${node.value}n` : node.value.toString();
+    }
+
+    /**
+     * @param {StringNode} node
+     * @returns {string}
+     */
+    compile_StringNode(node) {
+        return JSON.stringify(node.token.value);
+    }
+
+    /**
+     * A formatted string (`f"Hello ${name}"`) becomes a template literal.
+     * @param {FormattedStringNode} node
+     * @returns {string}
+     */
+    compile_FormattedStringNode(node) {
+        const escape = (text) => text.replace(/\\/g, "\\\\").replace(/`/g, "\\`").replace(/\$\{/g, "\\${").replace(/\n/g, "\\n").replace(/\r/g, "\\r").replace(/\t/g, "\\t");
+        let output = node.parts.map((part) => {
+            if (typeof part === "string") return escape(part);
+            let value = this.visit(part.node);
+            return "${" + (part.format_spec ? `${RUNTIME}.format(${value}, ${JSON.stringify(part.format_spec)})` : `${RUNTIME}.repr(${value})`) + "}";
+        }).join("");
+        return "`" + output + "`";
+    }
+
+    /**
+     * @param {VarAccessNode} node
+     * @returns {string}
+     */
+    compile_VarAccessNode(node) {
+        let name = node.var_name_tok.value;
+        if (!this.lookup(name) && is_in(name, Object.keys(NATIVE_FUNCTIONS))) {
+            return `${RUNTIME}.${name}`;
+        }
+        return this.identifier(name);
+    }
+
+    /**
+     * @param {VarAssignNode} node
+     * @returns {string}
+     */
+    compile_VarAssignNode(node) {
+        let name = node.var_name_tok.value;
+        let value = this.visit(node.value_node);
+        if (node.type) value = this.typed(value, node.type, name);
+        this.declare(name, node.type ?? null);
+        return this.indent() + `let ${this.identifier(name)} = ${value};`;
+    }
+
+    /**
+     * @param {DefineNode} node
+     * @returns {string}
+     */
+    compile_DefineNode(node) {
+        let name = node.var_name_tok.value;
+        let value = this.visit(node.value_node);
+        if (node.type) value = this.typed(value, node.type, name);
+        this.declare(name, node.type ?? null);
+        return this.indent() + `const ${this.identifier(name)} = ${value};`;
+    }
+
+    /**
+     * A modification of a variable keeps checking the type of the variable.
+     * @param {VarModifyNode} node
+     * @returns {string}
+     */
+    compile_VarModifyNode(node) {
+        let name = node.var_name_tok.value;
+        let variable = this.lookup(name);
+        let value = this.visit(node.value_node);
+        return `(${this.identifier(name)} = ${this.typed(value, variable ? variable.type : null, name)})`;
+    }
+
+    /**
+     * `var [a, b] = list` declares the variables, `[a, b] = [b, a]` modifies them (and keeps checking their types).
+     * @param {DestructuringAssignNode} node
+     * @returns {string}
+     */
+    compile_DestructuringAssignNode(node) {
+        let value = this.visit(node.value_node);
+        let variables = [];
+        let pattern = this.compile_pattern(node.pattern, node.is_declaration, variables);
+        let names = `[${variables.map(([name]) => this.identifier(name)).join(", ")}]`;
+        if (node.is_declaration) {
+            for (let [name, type] of variables) this.declare(name, type);
+            return this.indent() + `let ${names} = ${RUNTIME}.destructure(${value}, ${pattern});`;
+        }
+        return `(${names} = ${RUNTIME}.destructure(${value}, ${pattern}))`;
+    }
+
+    /**
+     * Compiles the description of a pattern that `$versa.destructure` uses.
+     * @param {ListPatternNode|DictPatternNode} pattern
+     * @param {boolean} is_declaration Are the variables declared? If not, the new values must match the types of the variables.
+     * @param {[string, Type|null][]} variables Receives the names and the types of the variables, in the order of the values returned by `$versa.destructure`.
+     * @returns {string}
+     */
+    compile_pattern(pattern, is_declaration, variables) {
+        const compile_element = (element) => {
+            let properties = [];
+            let type = element.type ? JSON.stringify(element.type) : null;
+            if (element.target instanceof Token) {
+                let name = element.target.value;
+                variables.push([name, element.type ?? null]);
+                properties.push(`name: ${JSON.stringify(name)}`);
+                if (!is_declaration && type === null) {
+                    let variable = this.lookup(name);
+                    type = variable && variable.type !== null ? JSON.stringify(variable.type) : `${RUNTIME}.type_of(${this.identifier(name)})`;
+                }
+            } else {
+                properties.push(`pattern: ${this.compile_pattern(element.target, is_declaration, variables)}`);
+            }
+            if (type !== null) properties.push(`type: ${type}`);
+            if (element.default_value_node) properties.push(`default: () => ${this.visit(element.default_value_node)}`);
+            return `{ ${properties.join(", ")} }`;
+        };
+        let elements = pattern instanceof ListPatternNode
+            ? `list: [${pattern.elements.map(compile_element).join(", ")}]`
+            : `dict: [${pattern.entries.map(([key_tok, element]) => `[${JSON.stringify(key_tok.value)}, ${compile_element(element)}]`).join(", ")}]`;
+        return `{ ${elements}, rest: ${pattern.rest ? compile_element(pattern.rest) : "null"} }`;
+    }
+
+    /**
+     * `a++` modifies the variable and returns the new value.
+     * @param {PostfixOperationNode} node
+     * @returns {string}
+     */
+    compile_PostfixOperationNode(node) {
+        if (!(node.node instanceof VarAccessNode)) {
+            throw new CompilerError(
+                node.pos_start, node.pos_end,
+                "Expected a variable to increment"
+            );
+        }
+        return `(${this.identifier(node.node.var_name_tok.value)} += ${node.difference})`;
+    }
+
+    /**
+     * Compiles `??=`, `&&=` and `||=`.
+     * @param {NullishAssignmentNode|AndAssignmentNode|OrAssignmentNode} node
+     * @param {string} assignment_operator
+     * @param {string} operator
+     * @returns {string}
+     */
+    compile_LogicalAssignment(node, assignment_operator, operator) {
+        if (node.node_a instanceof ListAccessNode) {
+            // we cannot assign a value to a function call
+            return `(${this.visit(node.node_a)} ${operator} ${this.compile_ListAssignmentNode(new ListAssignmentNode(node.node_a, node.node_b))})`;
+        }
+        return `(${this.visit(node.node_a)} ${assignment_operator} ${this.visit(node.node_b)})`;
+    }
+
+    /**
+     * @param {DictionnaryNode} node
+     * @returns {string}
+     */
+    compile_DictionnaryNode(node) {
+        if (node.element_nodes.length === 0) return "{}";
+        return `{ ${node.element_nodes.map((element) => {
+            if (element instanceof SpreadNode) return `...${RUNTIME}.spread(${this.visit(element.node_to_spread)}, "dict")`;
+            return `${JSON.stringify(element.key.token.value)}: ${this.visit(element.value)}`;
+        }).join(", ")} }`;
+    }
+
+    /**
+     * Compiles the access to an element of a list or a dictionnary.
+     * @param {ListAccessNode} node
+     * @param {number} depth The number of brackets to compile (all of them by default).
+     * @returns {string}
+     */
+    compile_ListAccessNode(node, depth=node.list_nodes.length) {
+        let output = this.visit(node.node_to_access);
+        for (let i = 0; i < depth; i++) {
+            let index_node = node.list_nodes[i].node;
+            let is_optional = node.list_nodes[i].is_optional ? ", true" : "";
+            if (index_node instanceof ListBinarySelector) {
+                let a = index_node.node_a ? this.visit(index_node.node_a) : "null";
+                let b = index_node.node_b ? this.visit(index_node.node_b) : "null";
+                output = `${RUNTIME}.slice(${output}, ${a}, ${b}${is_optional})`;
+            } else if (index_node instanceof ListPushBracketsNode) {
+                throw new CompilerError(
+                    index_node.pos_start, index_node.pos_end,
+                    "Empty brackets can only be used to add a new element."
+                );
+            } else {
+                output = `${RUNTIME}.get(${output}, ${this.visit(index_node)}${is_optional})`;
+            }
+        }
+        return output;
+    }
+
+    /**
+     * Compiles the modification of an element of a list or a dictionnary.
+     * @param {ListAssignmentNode} node
+     * @returns {string}
+     */
+    compile_ListAssignmentNode(node) {
+        let accessor = node.accessor;
+        let container = this.compile_ListAccessNode(accessor, accessor.list_nodes.length - 1);
+        let last = accessor.list_nodes[accessor.list_nodes.length - 1].node;
+        let value = this.visit(node.new_value_node);
+        if (last instanceof ListPushBracketsNode) {
+            return `${RUNTIME}.push(${container}, ${value})`;
+        } else if (last instanceof ListBinarySelector) {
+            let a = last.node_a ? this.visit(last.node_a) : "null";
+            let b = last.node_b ? this.visit(last.node_b) : "null";
+            return `${RUNTIME}.replace(${container}, ${a}, ${b}, ${value})`;
+        } else {
+            return `${RUNTIME}.set(${container}, ${this.visit(last)}, ${value})`;
+        }
+    }
+
+    /**
+     * @param {DeleteNode} node
+     * @returns {string}
+     */
+    compile_DeleteNode(node) {
+        let node_to_delete = node.node_to_delete;
+        if (node_to_delete instanceof ListAccessNode) {
+            let container = this.compile_ListAccessNode(node_to_delete, node_to_delete.list_nodes.length - 1);
+            let last = node_to_delete.list_nodes[node_to_delete.list_nodes.length - 1].node;
+            return `${RUNTIME}.remove(${container}, ${this.visit(last)})`;
+        }
+        throw new CompilerError(
+            node.pos_start, node.pos_end,
+            "Only the elements of a list or a dictionnary can be deleted in JavaScript."
+        );
+    }
+
+    /**
+     * @param {IfNode} node
+     * @returns {string}
+     */
+    compile_IfStatement(node) {
+        let output = "";
+        for (let i = 0; i < node.cases.length; i++) {
+            let [condition, body] = node.cases[i];
+            output += (i === 0 ? this.indent() + "if" : " else if") + ` (${this.visit(condition)}) {\n${this.visit_block(body)}\n${this.indent()}}`;
+        }
+        if (node.else_case) {
+            output += ` else {\n${this.visit_block(node.else_case)}\n${this.indent()}}`;
+        }
+        return output;
+    }
+
+    /**
+     * The imported file is expected to be compiled next to the current one, with the extension '.js'.
+     * @param {ImportNode} node
+     * @returns {string}
+     */
+    compile_ImportNode(node) {
+        if (this.scopes.length > 1) {
+            throw new CompilerError(
+                node.pos_start, node.pos_end,
+                "In JavaScript, an import must be at the top level of the file."
+            );
+        }
+        let path = node.path_tok.value.replace(/\.vjs$/, ".js");
+        let imported = "";
+        if (node.namespace_tok) {
+            this.declare(node.namespace_tok.value);
+            imported = `* as ${this.identifier(node.namespace_tok.value)}`;
+        } else {
+            imported = "{ " + node.names.map(([name_tok, alias_tok]) => {
+                let local_name = (alias_tok ?? name_tok).value;
+                this.declare(local_name);
+                return alias_tok ? `${this.identifier(name_tok.value)} as ${this.identifier(local_name)}` : this.identifier(local_name);
+            }).join(", ") + " }";
+        }
+        return this.indent() + `import ${imported} from ${JSON.stringify(path)};`;
+    }
+
+    /**
+     * @param {ExportNode} node
+     * @returns {string}
+     */
+    compile_ExportNode(node) {
+        if (this.scopes.length > 1) {
+            throw new CompilerError(
+                node.pos_start, node.pos_end,
+                "'export' can only be used at the top level of a file."
+            );
+        }
+        return this.indent() + "export " + this.visit_statement(node.node).trimStart();
+    }
+
+    /**
+     * @param {TryNode} node
+     * @returns {string}
+     */
+    compile_TryStatement(node) {
+        let output = this.indent() + `try {\n${this.visit_block(node.try_body)}\n${this.indent()}}`;
+        if (node.catch_body) {
+            if (node.catch_var_name_tok) {
+                let name = node.catch_var_name_tok.value;
+                this.scopes.push(new Map());
+                this.declare(name);
+                try {
+                    output += ` catch (${this.identifier(name)}) {\n${this.visit_block(node.catch_body)}\n${this.indent()}}`;
+                } finally {
+                    this.scopes.pop();
+                }
+            } else {
+                output += ` catch {\n${this.visit_block(node.catch_body)}\n${this.indent()}}`;
+            }
+        }
+        if (node.finally_body) {
+            output += ` finally {\n${this.visit_block(node.finally_body)}\n${this.indent()}}`;
+        }
+        return output;
+    }
+
+    /**
+     * A condition used as a value (inside html for example).
+     * @param {IfNode} node
+     * @returns {string}
+     */
+    compile_IfExpression(node) {
+        let returns_null = node.should_return_null && !node.prevent_null_return;
+        let bodies = node.cases.map((v) => v[1]).concat(node.else_case ? [node.else_case] : []);
+
+        // a simple ternary when possible
+        if (!returns_null && bodies.every((v) => !(v instanceof ListNode) && !this.is_statement_only(v))) {
+            let output = "";
+            for (let [condition, body] of node.cases) {
+                output += `${this.visit(condition)} ? ${this.visit(body)} : `;
+            }
+            output += node.else_case ? this.visit(node.else_case) : "null";
+            return `(${output})`;
+        }
+
+        return this.iife((target) => {
+            const compile_body = (body) => {
+                if (returns_null) return this.visit_block(body) + "\n" + this.indent() + "    return null;";
+                return this.indent() + `    const ${target} = [];\n` + this.visit_collecting_block(body, target) + "\n" + this.indent() + `    return ${target};`;
+            };
+            let output = "";
+            for (let i = 0; i < node.cases.length; i++) {
+                let [condition, body] = node.cases[i];
+                output += (i === 0 ? this.indent() + "if" : " else if") + ` (${this.visit(condition)}) {\n${compile_body(body)}\n${this.indent()}}`;
+            }
+            if (node.else_case) {
+                output += ` else {\n${compile_body(node.else_case)}\n${this.indent()}}`;
+            }
+            return output + "\n" + this.indent() + "return null;";
+        });
+    }
+
+    /**
+     * Compiles the beginning of a loop and declares its variables.
+     * @param {ForNode|ForeachNode|WhileNode} node
+     * @returns {string} The loop without its body.
+     */
+    loop_header(node) {
+        if (node instanceof ForNode) {
+            let start = node.start_value_node ? this.visit(node.start_value_node) : "0";
+            let end = this.visit(node.end_value_node);
+            let step = node.step_value_node ? ", " + this.visit(node.step_value_node) : "";
+            return `for (const ${this.identifier(node.var_name_tok.value)} of ${RUNTIME}.range(${start}, ${end}${step}))`;
+        } else if (node instanceof ForeachNode) {
+            let key = node.key_name_tok ? this.identifier(node.key_name_tok.value) : "";
+            return `for (const [${key}, ${this.identifier(node.value_name_tok.value)}] of ${RUNTIME}.entries(${this.visit(node.list_node)}))`;
+        } else {
+            return `while (${this.visit(node.condition_node)})`;
+        }
+    }
+
+    /**
+     * Compiles the body of a loop in which the loop variables are declared.
+     * @param {ForNode|ForeachNode|WhileNode} node
+     * @param {(body: CustomNode) => string} callback
+     * @returns {string}
+     */
+    loop_body(node, callback) {
+        this.scopes.push(new Map());
+        if (node instanceof ForNode) this.declare(node.var_name_tok.value, Types.NUMBER);
+        if (node instanceof ForeachNode) {
+            if (node.key_name_tok) this.declare(node.key_name_tok.value);
+            this.declare(node.value_name_tok.value);
+        }
+        try {
+            return callback(node.body_node);
+        } finally {
+            this.scopes.pop();
+        }
+    }
+
+    /**
+     * @param {ForNode|ForeachNode|WhileNode} node
+     * @returns {string}
+     */
+    compile_LoopStatement(node) {
+        let header = this.loop_header(node);
+        let body = this.loop_body(node, (body) => this.visit_block(body));
+        return this.indent() + `${header} {\n${body}\n${this.indent()}}`;
+    }
+
+    /**
+     * A loop used as a value returns the list of the values of each iteration.
+     * @param {ForNode|ForeachNode|WhileNode} node
+     * @returns {string}
+     */
+    compile_LoopExpression(node) {
+        return this.iife((target) => {
+            if (node.should_return_null) {
+                return this.compile_LoopStatement(node) + "\n" + this.indent() + "return null;";
+            }
+            let header = this.loop_header(node);
+            let body = this.loop_body(node, (body) => this.visit_collecting_block(body, target));
+            return this.indent() + `const ${target} = [];\n` + this.indent() + `${header} {\n${body}\n${this.indent()}}\n` + this.indent() + `return ${target};`;
+        });
+    }
+
+    /**
+     * @param {SwitchNode} node
+     * @param {boolean} as_value Should the cases return the values of their statements?
+     * @returns {string}
+     */
+    compile_SwitchStatement(node, as_value=false) {
+        const compile_body = (body) => {
+            if (!as_value) return this.visit_block(body);
+            return this.indent() + "    const $elements = [];\n" + this.visit_collecting_block(body, "$elements") + "\n" + this.indent() + "    return $elements;";
+        };
+
+        let output = "";
+        for (let i = 0; i < node.cases.length; i++) {
+            let { conditions, body } = node.cases[i];
+            let condition = conditions.map((v) => this.visit(v)).join(" || ");
+            output += (i === 0 ? this.indent() + "if" : " else if") + ` (${condition}) {\n${compile_body(body)}\n${this.indent()}}`;
+        }
+        if (node.default_case) {
+            if (node.cases.length === 0) {
+                output += this.indent() + `{\n${compile_body(node.default_case)}\n${this.indent()}}`;
+            } else {
+                output += ` else {\n${compile_body(node.default_case)}\n${this.indent()}}`;
+            }
+        }
+        if (as_value) output += "\n" + this.indent() + "return null;";
+        return output;
+    }
+
+    /**
+     * Gets the name of an argument in the compiled function.
+     * An argument that is a pattern gets a name that cannot be used in VersaJS.
+     * @param {ArgumentNode} arg
+     * @param {number} index The position of the argument.
+     * @returns {string}
+     */
+    argument_name(arg, index) {
+        return arg.pattern ? `$argument${index}` : this.identifier(arg.arg_name_tok.value);
+    }
+
+    /**
+     * Compiles the arguments of a function and declares them.
+     * @param {ArgumentNode[]} args
+     * @returns {string}
+     */
+    compile_arguments(args) {
+        return args.map((arg, i) => {
+            let name = this.argument_name(arg, i);
+            if (arg.is_rest) return "..." + name;
+            if (arg.is_optional) {
+                let default_value = arg.default_value_node ? this.visit(arg.default_value_node) : "null";
+                return `${name} = ${default_value}`;
+            }
+            return name;
+        }).join(", ");
+    }
+
+    /**
+     * Compiles the body of a function, including the type checks of the arguments.
+     * Must be called inside the scope of the function.
+     * @param {FuncDefNode} node
+     * @returns {string}
+     */
+    compile_function_body(node) {
+        let lines = [];
+        for (let [i, arg] of node.args.entries()) {
+            let name = arg.arg_name_tok.value;
+            if (!arg.pattern) this.declare(name, arg.type ?? Types.ANY);
+            // the elements of a rest parameter are checked only if their type is specified (`...numbers: list<number>`)
+            if ((arg.is_rest && !(arg.type instanceof ListType)) || String(arg.type ?? Types.ANY) === Types.ANY) continue;
+            let check = `${RUNTIME}.typed(${this.argument_name(arg, i)}, ${JSON.stringify(arg.type)}, ${JSON.stringify(name)});`;
+            // an optional argument can be none
+            lines.push(this.indent() + (arg.is_optional ? `if (${this.argument_name(arg, i)} !== null) ${check}` : check));
+        }
+        // the patterns are destructured once all the arguments are declared
+        for (let [i, arg] of node.args.entries()) {
+            if (!arg.pattern) continue;
+            let variables = [];
+            let pattern = this.compile_pattern(arg.pattern, true, variables);
+            for (let [name, type] of variables) this.declare(name, type);
+            lines.push(this.indent() + `let [${variables.map(([name]) => this.identifier(name)).join(", ")}] = ${RUNTIME}.destructure(${this.argument_name(arg, i)}, ${pattern});`);
+        }
+
+        // the body of a generator function is executed when its values are requested
+        if (node.is_generator) {
+            this.indentation++;
+            // 'return' only stops the generator, the returned value is not checked
+            this.return_types.push(null);
+            let statements = node.body_node instanceof ListNode ? node.body_node.element_nodes : [node.body_node];
+            let body = statements.map((statement) => this.visit_statement(statement)).join("\n");
+            this.return_types.pop();
+            this.indentation--;
+            this.return_types.push(node.return_type ?? null);
+            lines.push(this.indent() + `return ${this.returned(`${RUNTIME}.generator(function* () {\n${body}\n${this.indent()}}.call(this))`)};`);
+            this.return_types.pop();
+            return lines.join("\n");
+        }
+
+        this.return_types.push(node.return_type ?? null);
+        try {
+            if (node.should_auto_return) {
+                lines.push(this.indent() + `return ${this.returned(this.visit(node.body_node))};`);
+            } else {
+                let statements = node.body_node instanceof ListNode ? node.body_node.element_nodes : [node.body_node];
+                for (let statement of statements) lines.push(this.visit_statement(statement));
+                // the function returns none if it reaches the end
+                if (node.return_type && !(statements[statements.length - 1] instanceof ReturnNode)) {
+                    lines.push(this.indent() + `return ${this.returned("null")};`);
+                }
+            }
+        } finally {
+            this.return_types.pop();
+        }
+
+        return lines.join("\n");
+    }
+
+    /**
+     * Compiles a function with its name and its arguments.
+     * @param {FuncDefNode} node
+     * @param {string} prefix What comes before the arguments ("function name", "name", "static name", etc.)
+     * @returns {string}
+     */
+    compile_function(node, prefix) {
+        return this.in_scope(() => {
+            let args = this.compile_arguments(node.args);
+            let body = this.compile_function_body(node);
+            this.indentation--;
+            let output = `${prefix}(${args}) {\n${body}\n${this.indent()}}`;
+            this.indentation++;
+            return output;
+        });
+    }
+
+    /**
+     * @param {FuncDefNode} node
+     * @returns {string}
+     */
+    compile_FuncDefStatement(node) {
+        let name = node.var_name_tok.value;
+        this.declare(name, Types.FUNCTION);
+        // inside a class, an arrow function keeps the right 'this'
+        if (this.classes.length > 0) {
+            return this.indent() + `const ${this.identifier(name)} = ${this.compile_FuncDefExpression(node)};`;
+        }
+        return this.indent() + this.compile_function(node, `function ${this.identifier(name)}`);
+    }
+
+    /**
+     * @param {FuncDefNode} node
+     * @returns {string}
+     */
+    compile_FuncDefExpression(node) {
+        let has_typed_args = node.args.some((v) => (!v.is_rest || v.type instanceof ListType) && String(v.type ?? Types.ANY) !== Types.ANY);
+        let has_patterns = node.args.some((v) => v.pattern);
+        if (node.should_auto_return && !has_typed_args && !has_patterns && !node.return_type) {
+            return this.in_scope(() => {
+                let args = this.compile_arguments(node.args);
+                for (let arg of node.args) this.declare(arg.arg_name_tok.value, arg.type ?? Types.ANY);
+                let body = this.visit(node.body_node);
+                // an object literal must be wrapped in parenthesis
+                return `(${args}) => ${body.startsWith("{") ? `(${body})` : body}`;
+            });
+        }
+        let output = this.compile_function(node, "");
+        return output.replace(/^\((.*?)\) \{/, "($1) => {");
+    }
+
+    /**
+     * @param {CallNode} node
+     * @returns {string}
+     */
+    compile_CallNode(node) {
+        let args = node.arg_nodes.map((v) => this.visit(v)).join(", ");
+        let method = node.node_to_call;
+        // `"abc".upper()` calls a native method, unless the value turns out to be an object that defines it
+        if (method instanceof CallPropertyNode && is_in(method.property_tok.value, NATIVE_METHOD_NAMES) && !this.is_private_property(method)) {
+            return `${RUNTIME}.call_method(${this.visit(method.node_to_call)}, "${method.property_tok.value}", [${args}], ${method.is_optional})`;
+        }
+        let callee = this.visit(node.node_to_call);
+        return `${callee}${node.is_optional ? "?." : ""}(${args})`;
+    }
+
+    /**
+     * Checks if a property is a private member of the current class (`self.name` where 'name' is private).
+     * @param {CallPropertyNode} node
+     * @returns {boolean}
+     */
+    is_private_property(node) {
+        let current_class = this.classes[this.classes.length - 1];
+        return Boolean(
+            current_class &&
+            node.node_to_call instanceof VarAccessNode &&
+            node.node_to_call.var_name_tok.value === "self" &&
+            is_in(node.property_tok.value, current_class.private_names)
+        );
+    }
+
+    /**
+     * @param {CallPropertyNode} node
+     * @returns {string}
+     */
+    compile_CallPropertyNode(node) {
+        let base = this.visit(node.node_to_call);
+        let property_name = node.property_tok.value;
+        if (this.is_private_property(node)) {
+            return `${base}.#${property_name}`;
+        }
+        return `${base}${node.is_optional ? "?." : "."}${property_name}`;
+    }
+
+    /**
+     * `self::name` becomes `ClassName.name`.
+     * @param {CallStaticPropertyNode} node
+     * @returns {string}
+     */
+    compile_CallStaticPropertyNode(node) {
+        let current_class = this.classes[this.classes.length - 1];
+        let base;
+        if (current_class && node.node_to_call instanceof VarAccessNode && node.node_to_call.var_name_tok.value === "self") {
+            base = current_class.name;
+        } else {
+            base = this.visit(node.node_to_call);
+        }
+        let property_name = node.property_tok.value;
+        if (current_class && base === current_class.name && is_in(property_name, current_class.private_names)) {
+            return `${base}.#${property_name}`;
+        }
+        return `${base}${node.is_optional ? "?." : "."}${property_name}`;
+    }
+
+    /**
+     * @param {SuperNode} node
+     * @returns {string}
+     */
+    compile_SuperNode(node) {
+        let args = node.arg_nodes.map((v) => this.visit(v)).join(", ");
+        if (this.method_name === null) {
+            throw new CompilerError(
+                node.pos_start, node.pos_end,
+                "The super function cannot be called outside of a method."
+            );
+        }
+        if (this.method_name === "__init") return `super(${args})`;
+        return `super.${this.method_name}(${args})`;
+    }
+
+    /**
+     * Compiles a method of a class.
+     * @param {FuncDefNode} func
+     * @param {string} prefix 'static', 'get', etc.
+     * @param {string} name The name of the method in JavaScript.
+     * @returns {string}
+     */
+    compile_method(func, prefix, name) {
+        let previous_method_name = this.method_name;
+        this.method_name = func.var_name_tok.value;
+        try {
+            return this.indent() + this.compile_function(func, prefix + name);
+        } finally {
+            this.method_name = previous_method_name;
+        }
+    }
+
+    /**
+     * @param {ClassDefNode} node
+     * @returns {string}
+     */
+    compile_ClassDefNode(node) {
+        let class_name = node.class_name_tok.value;
+        let parent = node.parent_class_tok ? ` extends ${this.identifier(node.parent_class_tok.value)}` : "";
+        let members = [...node.properties, ...node.methods, ...node.getters, ...node.setters];
+        let private_names = members
+            .filter((v) => v.status === 0)
+            .map((v) => v instanceof ClassPropertyDefNode ? v.property_name_tok.value : v.func.var_name_tok.value);
+
+        this.declare(class_name, null);
+        this.classes.push({ name: this.identifier(class_name), private_names, has_parent: !!node.parent_class_tok });
+        this.indentation++;
+
+        let lines = [];
+
+        for (let property of node.properties) {
+            let name = property.property_name_tok.value;
+            let value = this.visit(property.value_node);
+            if (property.type) value = this.typed(value, property.type, name);
+            let prefix = (property.static_prop ? "static " : "") + (property.status === 0 ? "#" : "");
+            lines.push(this.indent() + `${prefix}${name} = ${value};`);
+        }
+
+        for (let method of node.methods) {
+            let name = method.func.var_name_tok.value;
+            if (name === "__init") {
+                lines.push(this.compile_constructor(method.func, !!node.parent_class_tok));
+            } else if (name === "__repr") {
+                lines.push(this.compile_method(method.func, "", "toString"));
+            } else {
+                let prefix = (method.static_prop ? "static " : "") + (method.status === 0 ? "#" : "");
+                lines.push(this.compile_method(method.func, prefix, name));
+            }
+        }
+
+        for (let getter of node.getters) {
+            lines.push(this.compile_method(getter.func, (getter.static_prop ? "static " : "") + "get ", getter.func.var_name_tok.value));
+        }
+
+        for (let setter of node.setters) {
+            lines.push(this.compile_method(setter.func, "set ", setter.func.var_name_tok.value));
+        }
+
+        this.indentation--;
+        this.classes.pop();
+
+        return this.indent() + `class ${this.identifier(class_name)}${parent} {\n${lines.join("\n")}\n${this.indent()}}`;
+    }
+
+    /**
+     * Compiles the __init method.
+     * A child class must call the constructor of its parent before using 'this'.
+     * @param {FuncDefNode} func
+     * @param {boolean} has_parent
+     * @returns {string}
+     */
+    compile_constructor(func, has_parent) {
+        let output = this.compile_method(func, "", "constructor");
+        let statements = func.body_node instanceof ListNode ? func.body_node.element_nodes : [func.body_node];
+        if (has_parent && !statements.some((v) => v instanceof SuperNode)) {
+            output = output.replace(/\{\n/, `{\n${this.indent()}    super();\n`);
+        }
+        return output;
+    }
+
+    /**
+     * Compiles a tag into a class that extends the Tag class of the runtime.
+     * @param {TagDefNode} node
+     * @returns {string}
+     */
+    compile_TagDefNode(node) {
+        let tag_name = node.tag_name_tok.value;
+        this.declare(tag_name, null);
+        this.classes.push({ name: this.identifier(tag_name), private_names: [], has_parent: true });
+        this.indentation++;
+
+        /**
+         * @param {Array<TagPropDefNode|TagStateDefNode>} definitions
+         * @param {boolean} are_props
+         */
+        const compile_definitions = (definitions, are_props) => {
+            if (definitions.length === 0) return "{}";
+            this.indentation++;
+            // the default value can use the other props: `state count = self.start`
+            this.self_name = "self";
+            let lines = definitions.map((v) => {
+                let type = JSON.stringify(v.type ?? Types.ANY);
+                let optional = are_props ? `, optional: ${v.optional ? "true" : "false"}` : "";
+                return this.indent() + `${v.property_name_tok.value}: { type: ${type}${optional}, default: (self) => ${this.visit(v.value_node)} },`;
+            });
+            this.self_name = "this";
+            this.indentation--;
+            return `{\n${lines.join("\n")}\n${this.indent()}}`;
+        };
+
+        let lines = [
+            this.indent() + `static props = ${compile_definitions(node.props, true)};`,
+            this.indent() + `static states = ${compile_definitions(node.states, false)};`,
+        ];
+
+        for (let method of node.methods) {
+            lines.push(this.compile_method(method, "", method.var_name_tok.value));
+        }
+
+        this.indentation--;
+        this.classes.pop();
+
+        return this.indent() + `class ${this.identifier(tag_name)} extends ${RUNTIME}.Tag {\n${lines.join("\n")}\n${this.indent()}}`;
+    }
+
+    /**
+     * @param {EnumNode} node
+     * @returns {string}
+     */
+    compile_EnumNode(node) {
+        let name = node.enum_name_tok.value;
+        let properties = node.properties.map((v) => JSON.stringify(v.value)).join(", ");
+        this.declare(name, Types.OBJECT);
+        return this.indent() + `const ${this.identifier(name)} = ${RUNTIME}.enumeration(${JSON.stringify(name)}, [${properties}]);`;
+    }
+
+    /**
+     * @param {HtmlNode} node
+     * @returns {string}
+     */
+    compile_HtmlNode(node) {
+        let tagname = "null";
+        if (node.tagname_tok) {
+            let name = node.tagname_tok.value;
+            // a custom tag is a class
+            tagname = this.lookup(name) ? this.identifier(name) : JSON.stringify(name);
+        }
+        let classes = `[${node.classes.map((v) => JSON.stringify(v)).join(", ")}]`;
+        let id = node.id ? JSON.stringify(node.id) : "null";
+        let attributes = node.attributes.length ? `{ ${node.attributes.map((v) => `${JSON.stringify(v[0].value)}: ${this.visit(v[1])}`).join(", ")} }` : "{}";
+        let events = node.events.length ? `{ ${node.events.map((v) => `${JSON.stringify(v[0].value)}: ${this.visit(v[1])}`).join(", ")} }` : "{}";
+        let children = `[${node.children.map((v) => this.visit(v)).join(", ")}]`;
+        return `${RUNTIME}.html(${tagname}, ${classes}, ${id}, ${attributes}, ${events}, ${children})`;
+    }
+}
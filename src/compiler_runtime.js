@@ -0,0 +1,906 @@
+"use strict";
+
+// This file is imported by the JavaScript code generated by the compiler (see compiler.js).
+// It must not depend on the interpreter: the goal is to run VersaJS code in a browser
+// without shipping the whole tree-walking interpreter.
+
+const ENUM_MARKER = Symbol("enum");
+
+/**
+ * The enums that have been created, by name, because a variable can be of the type of an enum.
+ * @type {Map<string, Object<string, number>>}
+ */
+const ENUMS = new Map();
+
+/**
+ * @classdesc An error of the program, the equivalent of the "Runtime Error" of the interpreter.
+ * As in the interpreter, a `catch` block gets its name (`e.name`) and its description (`e.details`).
+ */
+export class RuntimeError extends Error {
+    /**
+     * @constructs RuntimeError
+     * @param {string} details Details about the error.
+     */
+    constructor(details) {
+        super(details);
+        this.name = "Runtime Error";
+        this.details = details;
+    }
+}
+
+/**
+ * @classdesc A value that doesn't match a type, the equivalent of the "Type Error" of the interpreter.
+ * It's also a JavaScript TypeError.
+ */
+export class CustomTypeError extends TypeError {
+    /**
+     * @constructs CustomTypeError
+     * @param {string} details Details about the error.
+     */
+    constructor(details) {
+        super(details);
+        this.name = "Type Error";
+        this.details = details;
+    }
+}
+
+/**
+ * @classdesc The virtual representation of an html element, the equivalent of HtmlValue in the compiled code.
+ */
+export class HtmlElement {
+    /**
+     * @constructs HtmlElement
+     * @param {string|Function|null} tagname The name of the tag, a custom tag (class) or null for a fragment.
+     * @param {string[]} classes The CSS classes.
+     * @param {string|null} id The id.
+     * @param {Object<string, any>} attributes The attributes.
+     * @param {Object<string, Function>} events The events.
+     * @param {any[]} children The children.
+     */
+    constructor(tagname, classes, id, attributes, events, children) {
+        this.tagname = tagname;
+        this.classes = classes;
+        this.id = id;
+        this.attributes = attributes;
+        this.events = events;
+        this.children = children;
+    }
+}
+
+/**
+ * @classdesc The base class of the compiled custom tags.
+ */
+export class Tag {
+    /**
+     * Describes the props: `{ name: { type, optional, default } }`
+     * @type {Object<string, {type: string, optional: boolean, default: (self: Tag) => any}>}
+     */
+    static props = {};
+
+    /**
+     * Describes the states: `{ name: { type, default } }`
+     * @type {Object<string, {type: string, default: (self: Tag) => any}>}
+     */
+    static states = {};
+
+    /**
+     * @constructs Tag
+     * @param {Object<string, any>} props The given props.
+     */
+    constructor(props={}) {
+        const definition = /** @type {typeof Tag} */ (this.constructor);
+        for (let [name, prop] of Object.entries(definition.props)) {
+            if (name in props) {
+                this[name] = typed(props[name], prop.type, name);
+            } else if (prop.optional) {
+                this[name] = prop.default(this);
+            } else {
+                throw new RuntimeError(`The prop '${name}' is missing for the tag '${definition.name}'.`);
+            }
+        }
+        for (let [name, state] of Object.entries(definition.states)) {
+            this[name] = typed(state.default(this), state.type, name);
+        }
+    }
+}
+
+/**
+ * Creates an html element.
+ * @param {string|Function|null} tagname The name of the tag, a custom tag (class) or null for a fragment.
+ * @param {string[]} classes The CSS classes.
+ * @param {string|null} id The id.
+ * @param {Object<string, any>} attributes The attributes.
+ * @param {Object<string, Function>} events The events.
+ * @param {any[]} children The children.
+ * @returns {HtmlElement}
+ */
+export const html = (tagname, classes, id, attributes, events, children) => {
+    // loops return lists, that's why we flatten them
+    return new HtmlElement(tagname, classes, id, attributes, events, children.flat(Infinity));
+};
+
+/**
+ * Creates an enum.
+ * @param {string} name The name of the enum.
+ * @param {string[]} properties The properties of the enum.
+ * @returns {Object<string, number>}
+ */
+export const enumeration = (name, properties) => {
+    let value = Object.fromEntries(properties.map((v, i) => [v, i]));
+    Object.defineProperty(value, ENUM_MARKER, { value: name });
+    ENUMS.set(name, value);
+    return Object.freeze(value);
+};
+
+/**
+ * Checks if a value is a dictionnary (a plain object).
+ * @param {any} value The value.
+ * @returns {boolean}
+ */
+export const is_dict = (value) => {
+    if (value === null || typeof value !== "object") return false;
+    let proto = Object.getPrototypeOf(value);
+    return (proto === Object.prototype || proto === null) && !(ENUM_MARKER in value);
+};
+
+/**
+ * Checks if a value is an object that defines a method to overload an operator (`__add`, `__getitem`, etc.).
+ * @param {any} value
+ * @param {string} method
+ * @returns {boolean}
+ */
+const overloads = (value, method) => typeof value === "object" && value !== null && typeof value[method] === "function";
+
+/**
+ * Gets the type of a value, just like `typeof` in VersaJS.
+ * @param {any} value The value.
+ * @returns {string}
+ */
+export const type_of = (value) => {
+    if (value === null || value === undefined) return "any";
+    if (typeof value === "number") return "number";
+    if (typeof value === "bigint") return "bigint";
+    if (typeof value === "string") return "string";
+    if (typeof value === "boolean") return "boolean";
+    if (typeof value === "function") return "function";
+    if (Array.isArray(value)) return "list";
+    if (value instanceof HtmlElement) return "html";
+    if (value instanceof Tag) return "TAG";
+    if (value instanceof Generator) return "generator";
+    if (is_dict(value)) return "dict";
+    if (ENUM_MARKER in value) return "object";
+    return value.constructor.name;
+};
+
+/**
+ * Writes a type as it is written in the annotations.
+ * @param {string|Object} type The description of the type generated by the compiler (see `toJSON` in types.js).
+ * @returns {string}
+ */
+const type_to_string = (type) => {
+    if (typeof type === "string") return type;
+    if ("list" in type) return `list<${type_to_string(type.list)}>`;
+    if ("dict" in type) return `dict<${type_to_string(type.dict[0])}, ${type_to_string(type.dict[1])}>`;
+    if ("union" in type) {
+        const wrap = (t) => typeof t === "object" && "function" in t ? `(${type_to_string(t)})` : type_to_string(t);
+        if (type.union.length === 2 && type.union[1] === "none") return `${wrap(type.union[0])}?`;
+        return type.union.map(wrap).join(" | ");
+    }
+    return `(${type.function[0].map(type_to_string).join(", ")}) -> ${type_to_string(type.function[1])}`;
+};
+
+/**
+ * Checks if a value matches a type (`value is type` in VersaJS).
+ * @param {any} value The value.
+ * @param {string|Object} type The description of the type generated by the compiler.
+ * @returns {boolean}
+ */
+export const is_type = (value, type) => {
+    if (typeof type === "object") {
+        if ("union" in type) return type.union.some((t) => is_type(value, t));
+        if ("list" in type) return Array.isArray(value) && value.every((v) => is_type(v, type.list));
+        if ("dict" in type) return is_dict(value) && Object.entries(value).every(([k, v]) => is_type(k, type.dict[0]) && is_type(v, type.dict[1]));
+        // the arguments of a function are checked when it's called
+        return typeof value === "function";
+    }
+
+    switch (type) {
+        case "any": return true;
+        case "dynamic": return value !== null && value !== undefined;
+        case "none": return value === null || value === undefined;
+        case "object": return value !== null && typeof value === "object" && !Array.isArray(value) && !is_dict(value);
+    }
+
+    if (type_of(value) === type) return true;
+
+    // the members of an enum are numbers
+    if (ENUMS.has(type)) return Object.values(ENUMS.get(type)).includes(value);
+
+    // an instance of a class is also an instance of its parent classes
+    if (value !== null && typeof value === "object") {
+        for (let proto = Object.getPrototypeOf(value); proto; proto = Object.getPrototypeOf(proto)) {
+            if (proto.constructor?.name === type) return true;
+        }
+    }
+
+    return false;
+};
+
+/**
+ * `instanceof` in VersaJS: the class can also be an enum.
+ * @param {any} value The value.
+ * @param {Function|Object} target The class, the enum or a native object.
+ * @returns {boolean}
+ */
+export const instance_of = (value, target) => {
+    if (typeof target === "function") return value instanceof target;
+    // the members of an enum are numbers
+    if (ENUM_MARKER in target) return Object.values(target).includes(value);
+    return value === target;
+};
+
+/**
+ * Checks the type of a value before assigning it to a typed variable.
+ * @param {any} value The value.
+ * @param {string|Object} type The expected type.
+ * @param {string} name The name of the variable.
+ * @returns {any} The value itself.
+ */
+export const typed = (value, type, name) => {
+    if (!is_type(value, type)) {
+        let value_type = value === null || value === undefined ? "none" : type_of(value);
+        throw new CustomTypeError(`Type '${value_type}' is not assignable to type '${type_to_string(type)}' (${name})`);
+    }
+    return value;
+};
+
+/**
+ * Generates the numbers of a `for` loop.
+ * Without step, the loop goes from `start` to `end` by increasing or decreasing automatically.
+ * @param {number} start The starting point.
+ * @param {number} end The end point (excluded).
+ * @param {number|null} step The step.
+ */
+export function* range(start, end, step=null) {
+    if (step === null) step = start < end ? 1 : -1;
+    if (step >= 0) {
+        for (let i = start; i < end; i += step) yield i;
+    } else {
+        for (let i = start; i > end; i += step) yield i;
+    }
+}
+
+/**
+ * @classdesc The value returned by a generator function (`func*`), the equivalent of GeneratorValue in the compiled code.
+ */
+export class Generator {
+    /** @type {{value: any}|null} */
+    #next = null;
+    #done = false;
+
+    /**
+     * @constructs Generator
+     * @param {Iterator<any>} iterator The JavaScript generator that executes the body of the function.
+     */
+    constructor(iterator) {
+        this.iterator = iterator;
+    }
+
+    /**
+     * True if there is no more values. The generator is executed until the next 'yield' to know it.
+     * @type {boolean}
+     */
+    get done() {
+        if (!this.#done && !this.#next) {
+            let result = this.iterator.next();
+            if (result.done) {
+                this.#done = true;
+            } else {
+                this.#next = { value: result.value };
+            }
+        }
+        return this.#done;
+    }
+
+    /**
+     * Gets the next value.
+     * @returns {any} Null if there is no more values.
+     */
+    next() {
+        if (this.done) return null;
+        let value = this.#next.value;
+        this.#next = null;
+        return value;
+    }
+
+    *[Symbol.iterator]() {
+        while (!this.done) yield this.next();
+    }
+}
+
+/**
+ * Creates the value returned by a generator function.
+ * @param {Iterator<any>} iterator The execution of the body of the function.
+ * @returns {Generator}
+ */
+export const generator = (iterator) => new Generator(iterator);
+
+/**
+ * Gets the values of an iterable value one by one (see `Interpreter.iterate`):
+ * the elements of a list, the keys of a dictionnary, the characters of a string, the values of a generator,
+ * or the values of an object whose method `__iter` returns an iterable value or an iterator (with a method `__next`, and maybe `__has_next`).
+ * @param {any} iterable The iterable value.
+ * @returns {Generator<any>}
+ */
+function* iterate(iterable) {
+    if (Array.isArray(iterable) || typeof iterable === "string" || iterable instanceof Generator) {
+        yield* iterable;
+    } else if (is_dict(iterable)) {
+        yield* Object.keys(iterable);
+    } else if (typeof iterable?.__iter === "function") {
+        let iterator = iterable.__iter();
+        if (typeof iterator?.__next === "function") {
+            if (typeof iterator.__has_next === "function") {
+                while (iterator.__has_next()) yield iterator.__next();
+            } else {
+                // none means that there is no more values
+                for (let value = iterator.__next(); value !== null && value !== undefined; value = iterator.__next()) yield value;
+            }
+        } else {
+            yield* iterate(iterator);
+        }
+    } else {
+        throw new RuntimeError("Must loop on an iterable value: a list, a dictionnary, a string, a generator or an object with an '__iter' method");
+    }
+}
+
+/**
+ * Generates the pairs `[key, value]` of a `foreach` loop.
+ * The key is the index for a list or any other iterable value.
+ * @param {any} iterable A dictionnary or an iterable value.
+ * @returns {Iterable<[number|string, any]>}
+ */
+export const entries = (iterable) => {
+    if (Array.isArray(iterable)) return iterable.map((v, i) => [i, v]);
+    if (is_dict(iterable)) return Object.entries(iterable);
+    // the values are requested one by one (a generator might never end)
+    return (function* () {
+        let i = 0;
+        for (let value of iterate(iterable)) yield [i++, value];
+    })();
+};
+
+/**
+ * Creates a list from the values of an iterable value (`list()` in VersaJS).
+ * @param {any} iterable
+ * @returns {any[]}
+ */
+export const list = (iterable) => Array.from(iterate(iterable));
+
+/**
+ * Checks a spread value (`...list`): a list in a list or in the arguments of a call, a dictionnary in a dictionnary.
+ * @param {any} value The spread value.
+ * @param {"list"|"dict"} type The expected type.
+ * @returns {any}
+ */
+export const spread = (value, type) => {
+    if (type === "list" ? !Array.isArray(value) : !is_dict(value)) {
+        throw new CustomTypeError(`Cannot spread a value of type '${type_of(value)}' here, expected a ${type === "list" ? "list" : "dictionnary"}`);
+    }
+    return value;
+};
+
+/**
+ * Gets the values of the variables of a destructuring pattern, in the order in which they are written (see `Interpreter.destructure`).
+ * @param {any} value The destructured value.
+ * @param {{list?: object[], dict?: [string, object][], rest: object|null}} pattern The elements of the pattern:
+ * each of them has either a `name` or a nested `pattern`, and optionally a `type` and a `default` (a function that returns the default value).
+ * @returns {any[]}
+ */
+export const destructure = (value, pattern) => {
+    let values = [];
+    const assign = (element, part, description) => {
+        if (part === undefined) {
+            if (!element.default) throw new RuntimeError(`The destructured value has no ${description}, and there is no default value`);
+            part = element.default();
+        }
+        if (element.type) typed(part, element.type, element.name ?? description);
+        if (element.pattern) values.push(...destructure(part, element.pattern));
+        else values.push(part);
+    };
+    if (pattern.list) {
+        let iterator = iterate(value);
+        pattern.list.forEach((element, i) => {
+            let next = iterator.next();
+            assign(element, next.done ? undefined : next.value, `index ${i}`);
+        });
+        // the values are requested only if they are needed, a generator might never end
+        if (pattern.rest) assign(pattern.rest, Array.from(iterator), "rest");
+    } else {
+        if (!is_dict(value)) throw new RuntimeError(`Cannot destructure a value of type '${type_of(value)}' with a dictionnary pattern`);
+        for (let [key, element] of pattern.dict) assign(element, Object.hasOwn(value, key) ? value[key] : undefined, `key '${key}'`);
+        if (pattern.rest) {
+            let keys = pattern.dict.map(([key]) => key);
+            assign(pattern.rest, Object.fromEntries(Object.entries(value).filter(([key]) => !keys.includes(key))), "rest");
+        }
+    }
+    return values;
+};
+
+/**
+ * Gets an element from a list or a dictionnary (`list[index]`), or calls the method `__getitem` of an object.
+ * A negative index starts from the end of the list.
+ * @param {any[]|Object<string, any>|null} value The list, the dictionnary or the object.
+ * @param {number|string} index The index or the key.
+ * @param {boolean} is_optional Is it an optional call (`list?.[index]`)?
+ * @returns {any} The element or null if it doesn't exist.
+ */
+export const get = (value, index, is_optional=false) => {
+    if ((value === null || value === undefined) && is_optional) return null;
+    if (overloads(value, "__getitem")) return value.__getitem(index);
+    if (Array.isArray(value)) {
+        if (typeof index !== "number") throw new RuntimeError("Unable to retrieve an element from a list without a number as index.");
+        if (index < 0) index = value.length + index;
+        return value[index] ?? null;
+    }
+    if (is_dict(value)) {
+        if (typeof index !== "string") throw new RuntimeError("Unable to retrieve an element from a dictionnary without a string as index.");
+        return value[index] ?? null;
+    }
+    throw new RuntimeError("Cannot access value at a certain index if this is not a list or a dictionnary.");
+};
+
+/**
+ * Gets several elements from a list (`list[a:b]`).
+ * @param {any[]|null} value The list.
+ * @param {number|null} a The beginning of the selection.
+ * @param {number|null} b The end of the selection (excluded). A negative number starts from the end of the list.
+ * @param {boolean} is_optional Is it an optional call (`list?.[a:b]`)?
+ * @returns {any[]|null}
+ */
+export const slice = (value, a, b, is_optional=false) => {
+    if ((value === null || value === undefined) && is_optional) return null;
+    if (!Array.isArray(value)) throw new RuntimeError("Invalid binary selector: cannot get several elements from a dictionnary.");
+    a = a ?? 0;
+    if (a < 0) throw new RuntimeError("The binary selector of a list cannot start with a negative number.");
+    if (b === null || b === undefined) b = value.length;
+    else if (b < 0) b = value.length + b;
+    return value.slice(a, b);
+};
+
+/**
+ * Modifies an element of a list or a dictionnary (`list[index] = new_value`), or calls the method `__setitem` of an object.
+ * @param {any[]|Object<string, any>} value The list, the dictionnary or the object.
+ * @param {number|string} index The index or the key.
+ * @param {any} new_value The new value.
+ * @returns {any} The new value.
+ */
+export const set = (value, index, new_value) => {
+    if (overloads(value, "__setitem")) {
+        value.__setitem(index, new_value);
+    } else if (Array.isArray(value)) {
+        if (typeof index !== "number") throw new RuntimeError("Cannot retrieve an element from a list with a string as index.");
+        if (index < 0) index = value.length + index;
+        // every previous element must be defined
+        for (let i = value.length; i < index; i++) value[i] = null;
+        value[index] = new_value;
+    } else if (is_dict(value)) {
+        if (typeof index !== "string") throw new RuntimeError("Cannot retrieve an element from a dictionnary without a string");
+        value[index] = new_value;
+    } else {
+        throw new RuntimeError("Cannot assign a new value to a value that is not a list or a dictionnary.");
+    }
+    return new_value;
+};
+
+/**
+ * Adds an element at the end of a list (`list[] = new_value`)
+ * or merges two dictionnaries.
+ * @param {any[]|Object<string, any>} value The list or the dictionnary.
+ * @param {any} new_value The new value.
+ * @returns {any} The new value.
+ */
+export const push = (value, new_value) => {
+    if (Array.isArray(value)) {
+        value.push(new_value);
+    } else if (is_dict(value)) {
+        if (!is_dict(new_value)) throw new RuntimeError("In order to add an element in a dictionnary, the new value must be a dictionnary too.");
+        Object.assign(value, new_value);
+    } else {
+        throw new RuntimeError("Cannot assign a new value to a value that is not a list or a dictionnary.");
+    }
+    return new_value;
+};
+
+/**
+ * Replaces several elements of a list (`list[a:b] = new_value`).
+ * @param {any[]} value The list.
+ * @param {number|null} a The beginning of the selection.
+ * @param {number|null} b The end of the selection (excluded).
+ * @param {any} new_value The new value (a list is merged into the list).
+ * @returns {any} The new value.
+ */
+export const replace = (value, a, b, new_value) => {
+    if (!Array.isArray(value)) throw new RuntimeError("Invalid binary selector: cannot get several elements from a dictionnary.");
+    a = a ?? 0;
+    if (b === null || b === undefined) b = value.length;
+    else if (b < 0) b = value.length + b;
+    value.splice(a, b - a, ...(Array.isArray(new_value) ? new_value : [new_value]));
+    return new_value;
+};
+
+/**
+ * Deletes an element from a list or a dictionnary (`delete list[index]`).
+ * @param {any[]|Object<string, any>} value The list or the dictionnary.
+ * @param {number|string} index The index or the key.
+ */
+export const remove = (value, index) => {
+    if (Array.isArray(value)) {
+        if (index < 0) index = value.length + index;
+        value.splice(index, 1);
+    } else if (is_dict(value)) {
+        delete value[index];
+    } else {
+        throw new RuntimeError("Cannot delete an element from a value that is not a list or a dictionnary.");
+    }
+    return null;
+};
+
+/**
+ * Checks if two values are equal.
+ * Lists and dictionnaries are compared element by element, and an object can define `__eq`.
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+export const equals = (a, b) => {
+    if (a === undefined) a = null;
+    if (b === undefined) b = null;
+    if (overloads(a, "__eq")) return Boolean(a.__eq(b));
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((v, i) => equals(v, b[i]));
+    }
+    if (is_dict(a) && is_dict(b)) {
+        let keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every((k) => k in b && equals(a[k], b[k]));
+    }
+    // none == 0
+    if (a === null && typeof b === "number") return b === 0;
+    if (b === null && typeof a === "number") return a === 0;
+    // "5" == 5
+    if (typeof a === "string" && typeof b === "number") return a === b.toString();
+    if (typeof a === "number" && typeof b === "string") return b === a.toString();
+    // 5n == 5
+    if ((typeof a === "bigint" && typeof b === "number") || (typeof a === "number" && typeof b === "bigint")) return a == b;
+    // yes == 1
+    if (typeof a === "boolean" && typeof b === "number") return Number(a) === b;
+    if (typeof a === "number" && typeof b === "boolean") return a === Number(b);
+    return a === b;
+};
+
+/**
+ * The addition of VersaJS (`a + b`).
+ * Adding a value to a list adds an element to the list. Adding two dictionnaries merges them.
+ * @param {any} a
+ * @param {any} b
+ * @returns {any}
+ */
+export const add = (a, b) => {
+    if (overloads(a, "__add")) return a.__add(b);
+    if (Array.isArray(a) && Array.isArray(b)) return [...a, ...b];
+    if (Array.isArray(a)) return [...a, b];
+    if (Array.isArray(b)) return [a, ...b];
+    if (is_dict(a) && is_dict(b)) return { ...a, ...b };
+    // none is an empty string and a boolean is 'yes' or 'no'
+    if (typeof a === "string" || typeof b === "string") return [a, b].map((v) => typeof v === "boolean" ? (v ? "yes" : "no") : (v ?? "")).join("");
+    // a bigint cannot be converted into a number without losing its precision
+    if (typeof a === "bigint" || typeof b === "bigint") return (a ?? 0n) + (b ?? 0n);
+    return Number(a ?? 0) + Number(b ?? 0);
+};
+
+/**
+ * The multiplication of VersaJS (`a * b`).
+ * Multiplying a list or a string by a number repeats its elements.
+ * @param {any} a
+ * @param {any} b
+ * @returns {any}
+ */
+export const mul = (a, b) => {
+    if (overloads(a, "__mul")) return a.__mul(b);
+    if (typeof a === "string" && typeof b === "number") return a.repeat(b);
+    if (typeof a === "number" && typeof b === "string") return b.repeat(a);
+    if (Array.isArray(a) && typeof b === "number") return Array(b).fill(a).flat(1);
+    if (typeof a === "number" && Array.isArray(b)) return Array(a).fill(b).flat(1);
+    if (typeof a === "bigint" || typeof b === "bigint") return (a ?? 0n) * (b ?? 0n);
+    return Number(a ?? 0) * Number(b ?? 0);
+};
+
+/**
+ * The other operators that an object can overload, with their method and their default behavior.
+ * @type {Object<string, [string, (a: any, b: any) => any]>}
+ */
+const OPERATORS = {
+    "-": ["__sub", (a, b) => a - b],
+    "/": ["__div", (a, b) => a / b],
+    "%": ["__mod", (a, b) => a % b],
+    "**": ["__pow", (a, b) => a ** b],
+    "<": ["__lt", (a, b) => a < b],
+    "<=": ["__le", (a, b) => a <= b],
+    ">": ["__gt", (a, b) => a > b],
+    ">=": ["__ge", (a, b) => a >= b],
+};
+
+/**
+ * A binary operation that calls the method of the left operand if it overloads the operator (`a - b` calls `a.__sub(b)`).
+ * The comparisons always give a boolean.
+ * @param {string} operator One of the keys of `OPERATORS`.
+ * @param {any} a
+ * @param {any} b
+ * @returns {any}
+ */
+export const operation = (operator, a, b) => {
+    const [method, operate] = OPERATORS[operator];
+    if (!overloads(a, method)) return operate(a, b);
+    let result = a[method](b);
+    return operator.startsWith("<") || operator.startsWith(">") ? Boolean(result) : result;
+};
+
+/**
+ * The negation (`-a`), which calls `a.__neg()` if it's defined.
+ * @param {any} a
+ * @returns {any}
+ */
+export const neg = (a) => overloads(a, "__neg") ? a.__neg() : -a;
+
+/**
+ * Converts a value that is inside of a list or a dictionnary into a string, like the interpreter does:
+ * the strings are between quotes and the lists keep their brackets.
+ * @param {any} value
+ * @returns {string}
+ */
+const to_string = (value) => {
+    if (value === null || value === undefined) return "none";
+    if (typeof value === "string") return `"${value}"`;
+    if (typeof value === "boolean") return value ? "yes" : "no";
+    if (Array.isArray(value)) return `[${value.map((v) => to_string(v)).join(', ')}]`;
+    if (is_dict(value)) return `{${Object.entries(value).map(([k, v]) => `${k}: ${to_string(v)}`).join(',')}}`;
+    if (typeof value === "function") {
+        if (Function.prototype.toString.call(value).startsWith("class")) return `<Class ${value.name}>`;
+        return `<function ${value.name || "<anonymous>"}>`;
+    }
+    return value.toString();
+};
+
+/**
+ * Converts a value into a string (used by `log()` and the formatted strings: `f"$var"`), like the interpreter does.
+ * @param {any} value
+ * @returns {string}
+ */
+export const repr = (value) => {
+    if (typeof value === "string") return value;
+    // a list is displayed as a one dimensional array
+    if (Array.isArray(value)) return value.length === 0 ? "[]" : value.flat(Infinity).map((v) => typeof v === "string" ? v : to_string(v)).join(', ');
+    return to_string(value);
+};
+
+/**
+ * Checks if a value is truthy in VersaJS: an empty list or an empty dictionnary is falsy, unlike in JavaScript.
+ * The method `__bool` decides whether an object is truthy.
+ * @param {any} value
+ * @returns {boolean}
+ */
+export const is_true = (value) => {
+    if (value === null || value === undefined) return false;
+    if (overloads(value, "__bool")) return is_true(value.__bool());
+    if (typeof value === "boolean") return value;
+    if (typeof value === "number") return value !== 0;
+    if (typeof value === "bigint") return value !== 0n;
+    if (typeof value === "string" || Array.isArray(value)) return value.length > 0;
+    if (is_dict(value)) return Object.keys(value).length > 0;
+    return true;
+};
+
+/**
+ * The operator `or`, which gives the left operand if it's truthy, otherwise the right one.
+ * Like in the interpreter, both operands are evaluated.
+ * @param {any} a
+ * @param {any} b
+ * @returns {any}
+ */
+export const or = (a, b) => is_true(a) ? a : b;
+
+/**
+ * Formats an interpolated value (`f"${price:.2f}"`).
+ * @param {any} value The value: a number is formatted as a number, any other value as its representation.
+ * @param {{fill: string, align: string|null, sign: string, width: number, grouping: boolean, precision: number|null, type: string|null}} spec The format specifier (see `parse_format_spec` in lexer.js).
+ * @returns {string}
+ */
+export const format = (value, spec) => {
+    let is_number = (typeof value === "number" || typeof value === "bigint") && spec.type !== "s";
+    let text;
+    let sign = "";
+    if (is_number) {
+        // works with the bigints too, unlike Math.abs
+        let number = value < 0 ? -value : value;
+        switch (spec.type) {
+            case "f": text = Number(number).toFixed(spec.precision ?? 6); break;
+            case "e": text = Number(number).toExponential(spec.precision ?? 6); break;
+            case "%": text = (Number(number) * 100).toFixed(spec.precision ?? 6) + "%"; break;
+            case "d": case "x": case "X": case "b": case "o":
+                if (typeof value !== "bigint" && !Number.isInteger(value)) throw new CustomTypeError(`The format '${spec.type}' expects an integer`);
+                text = number.toString({ d: 10, x: 16, X: 16, b: 2, o: 8 }[spec.type]);
+                if (spec.type === "X") text = text.toUpperCase();
+                break;
+            default: text = spec.precision !== null ? Number(number).toFixed(spec.precision) : String(number);
+        }
+        if (spec.grouping) text = text.replace(/^\d+/, (digits) => digits.replace(/\B(?=(\d{3})+$)/g, ","));
+        sign = value < 0 ? "-" : (spec.sign === "-" ? "" : spec.sign);
+    } else {
+        if (spec.type !== null && spec.type !== "s") throw new CustomTypeError(`The format '${spec.type}' expects a number`);
+        text = repr(value);
+        if (spec.precision !== null) text = Array.from(text).slice(0, spec.precision).join("");
+    }
+
+    let padding = Math.max(spec.width - Array.from(sign + text).length, 0);
+    const fill = (count) => spec.fill.repeat(count);
+    // by default, the numbers are aligned to the right and the other values to the left
+    switch (spec.align ?? (is_number ? ">" : "<")) {
+        case "<": return sign + text + fill(padding);
+        case "^": return fill(Math.floor(padding / 2)) + sign + text + fill(Math.ceil(padding / 2));
+        case "=": return sign + fill(padding) + text;
+        default: return fill(padding) + sign + text;
+    }
+};
+
+/**
+ * The native function `log()`.
+ * @param  {...any} values
+ */
+export const log = (...values) => {
+    console.log(values.map((v) => repr(v)).join(' '));
+    return null;
+};
+
+/**
+ * The native function `len()`.
+ * @param {string|any[]|Object<string, any>} value A string, a list, a dictionnary or an object with a method `__len`.
+ * @returns {number}
+ */
+export const len = (value) => {
+    if (overloads(value, "__len")) {
+        let length = value.__len();
+        if (!Number.isInteger(length) || length < 0) throw new CustomTypeError("The method __len must return a non-negative integer");
+        return length;
+    }
+    if (typeof value === "string" || Array.isArray(value)) return value.length;
+    if (is_dict(value)) return Object.keys(value).length;
+    throw new RuntimeError("Invalid type of argument for function len()");
+};
+
+/**
+ * Throws an error if an argument of a native method is not an integer (an index or a length for example).
+ * @param {any} value The argument.
+ * @param {string} name The name of the argument.
+ * @returns {number}
+ */
+const expect_integer = (value, name) => {
+    if (!Number.isInteger(value)) throw new RuntimeError(`The argument '${name}' must be an integer`);
+    return value;
+};
+
+/**
+ * Compares two elements of a list when `sort` has no comparator.
+ * Only numbers and strings can be compared that way.
+ * @param {any} a
+ * @param {any} b
+ * @returns {number}
+ */
+const default_compare = (a, b) => {
+    if (typeof a === "number" && typeof b === "number") return a - b;
+    if (typeof a === "string" && typeof b === "string") return a < b ? -1 : (a > b ? 1 : 0);
+    throw new RuntimeError(`Cannot compare '${type_of(a)}' with '${type_of(b)}' without a comparator`);
+};
+
+/**
+ * The native methods of the strings (see `STRING_METHODS` in native.js).
+ * @type {Object<string, (self: string, ...args: any[]) => any>}
+ */
+const STRING_METHODS = {
+    split: (self, separator) => self.split(separator),
+    join: (self, list) => list.map((v) => repr(v)).join(self),
+    trim: (self) => self.trim(),
+    trim_start: (self) => self.trimStart(),
+    trim_end: (self) => self.trimEnd(),
+    upper: (self) => self.toUpperCase(),
+    lower: (self) => self.toLowerCase(),
+    replace: (self, search, replacement) => self.replace(search, () => replacement),
+    replace_all: (self, search, replacement) => self.replaceAll(search, () => replacement),
+    starts_with: (self, prefix) => self.startsWith(prefix),
+    ends_with: (self, suffix) => self.endsWith(suffix),
+    index_of: (self, search) => self.indexOf(search),
+    contains: (self, search) => self.includes(search),
+    repeat: (self, count) => {
+        if (expect_integer(count, "count") < 0) throw new RuntimeError("The argument 'count' must be positive");
+        return self.repeat(count);
+    },
+    pad_start: (self, length, fill=" ") => self.padStart(expect_integer(length, "length"), fill),
+    pad_end: (self, length, fill=" ") => self.padEnd(expect_integer(length, "length"), fill),
+    char_code_at: (self, index=0) => {
+        if (expect_integer(index, "index") < 0) index += self.length;
+        if (index < 0 || index >= self.length) throw new RuntimeError("Index out of range");
+        return self.charCodeAt(index);
+    },
+    char_codes: (self) => Array.from(self, (_, i) => self.charCodeAt(i)),
+    slice: (self, start, end=null) => self.slice(expect_integer(start, "start"), end === null ? undefined : expect_integer(end, "end")),
+};
+
+/**
+ * The native methods of the lists (see `LIST_METHODS` in native.js).
+ * They never modify the list.
+ * @type {Object<string, (self: any[], ...args: any[]) => any>}
+ */
+const LIST_METHODS = {
+    map: (self, callback) => self.map((v) => callback(v)),
+    filter: (self, callback) => self.filter((v) => is_true(callback(v))),
+    reduce: (self, callback, ...initial) => {
+        let elements = [...self];
+        if (initial.length === 0) {
+            if (elements.length === 0) throw new RuntimeError("Cannot reduce an empty list without an initial value");
+            initial = [elements.shift()];
+        }
+        return elements.reduce((acc, v) => callback(acc, v), initial[0]);
+    },
+    find: (self, callback) => self.find((v) => is_true(callback(v))) ?? null,
+    some: (self, callback) => self.some((v) => is_true(callback(v))),
+    every: (self, callback) => self.every((v) => is_true(callback(v))),
+    sort: (self, comparator=null) => [...self].sort((a, b) => {
+        if (comparator === null) return default_compare(a, b);
+        let result = comparator(a, b);
+        if (typeof result !== "number") throw new RuntimeError("The comparator must return a number");
+        return result;
+    }),
+    reverse: (self) => [...self].reverse(),
+    index_of: (self, value) => self.findIndex((v) => equals(v, value)),
+    includes: (self, value) => self.some((v) => equals(v, value)),
+    flat: (self, depth=1) => self.flat(expect_integer(depth, "depth")),
+    zip: (self, other) => Array.from({ length: Math.min(self.length, other.length) }, (_, i) => [self[i], other[i]]),
+};
+
+/**
+ * The native methods of the dictionnaries (see `DICT_METHODS` in native.js).
+ * They never modify the dictionnary.
+ * @type {Object<string, (self: Object<string, any>, ...args: any[]) => any>}
+ */
+const DICT_METHODS = {
+    keys: (self) => Object.keys(self),
+    values: (self) => Object.values(self),
+    entries: (self) => Object.entries(self),
+    has: (self, key) => Object.hasOwn(self, key),
+    get: (self, key, default_value=null) => self[key] ?? default_value,
+    merge: (self, other) => ({ ...self, ...other }),
+};
+
+/**
+ * Calls a method (`value.name(...args)`).
+ * The strings, the lists and the dictionnaries have native methods, like in the interpreter.
+ * @param {any} value The string, the list, the dictionnary or the object.
+ * @param {string} name The name of the method.
+ * @param {any[]} args The arguments.
+ * @param {boolean} is_optional Is it an optional call (`value?.name()`)?
+ * @returns {any}
+ */
+export const call_method = (value, name, args, is_optional=false) => {
+    if ((value === null || value === undefined) && is_optional) return null;
+    let methods = typeof value === "string" ? STRING_METHODS : (Array.isArray(value) ? LIST_METHODS : (is_dict(value) ? DICT_METHODS : null));
+    if (!methods) return value[name](...args);
+    if (!Object.hasOwn(methods, name)) throw new RuntimeError(`The method '${name}' doesn't exist on type '${type_of(value)}'.`);
+    return methods[name](value, ...args);
+};
+
+/**
+ * The native function `exit()`.
+ */
+export const exit = () => {
+    if (typeof process !== "undefined") process.exit();
+    throw new Error("exit");
+};
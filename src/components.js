@@ -0,0 +1,318 @@
+"use strict";
+
+import { BaseFunction, DictionnaryValue, FunctionValue, HtmlValue, ListValue, NativePropertyValue, NoneValue, StringValue, TagValue, Value } from './values.js';
+import { CustomTypeError, RuntimeError } from './Exceptions.js';
+import { Interpreter } from './interpreter.js';
+import { RuntimeResult } from './runtime.js';
+import { Context } from './context.js';
+import { SymbolTable } from './symbol_table.js';
+import { Position } from './position.js';
+import { Types } from './tokens.js';
+import { argNode } from './native.js';
+import { Type, is_assignable, type_of_value } from './types.js';
+
+/**
+ * The types of modifications that must be applied to a rendered tree so that it matches the new one.
+ */
+export class PatchType {
+    static CREATE     = "CREATE"; // a new node must be appended to the children of its parent
+    static REMOVE     = "REMOVE"; // the node must be removed
+    static REPLACE    = "REPLACE"; // the node must be replaced by a new one
+    static TEXT       = "TEXT"; // the text of the node has changed
+    static ATTRIBUTES = "ATTRIBUTES"; // some attributes have changed (classes and id included)
+    static EVENTS     = "EVENTS"; // the listeners must be replaced
+}
+
+/**
+ * A modification between two versions of a rendered tree.
+ * The path is the list of indexes in the children, starting from the root.
+ * @typedef {{type: string, path: number[], node?: Value, attributes?: [string, Value][], removed?: string[], events?: [string, BaseFunction][]}} Patch
+ */
+
+/**
+ * Throws an error if the value doesn't match the expected type of a prop or a state.
+ * @param {Value} value The new value.
+ * @param {Type|string} expected_type The type of the prop or the state (its annotation, or the type of its default value).
+ * @param {Position} pos_start The starting position.
+ * @param {Position} pos_end The end position.
+ * @param {Context} context The context.
+ */
+function check_type(value, expected_type, pos_start, pos_end, context) {
+    if (is_assignable(value, expected_type, context)) return;
+    throw new CustomTypeError(
+        pos_start, pos_end,
+        `Type '${type_of_value(value)}' is not assignable to type '${expected_type}'`,
+        context
+    );
+}
+
+/**
+ * Creates the native 'setState' method that every tag has.
+ * @param {string} tag_name The name of the tag.
+ * @returns {NativePropertyValue}
+ */
+export function create_set_state_method(tag_name) {
+    return new NativePropertyValue(
+        "setState",
+        "method",
+        tag_name,
+        1,
+        0,
+        /**
+         * Merges the given dictionnary into the states of the instance and renders it again.
+         * @param {Context} exec_ctx The execution context.
+         * @param {Position} pos_start The starting position.
+         * @param {Position} pos_end The end position.
+         */
+        (exec_ctx, pos_start, pos_end) => {
+            /** @type {TagValue} */
+            let instance = exec_ctx.symbol_table.get('self').value;
+            /** @type {DictionnaryValue} */
+            let states = exec_ctx.symbol_table.get('states').value;
+            set_state(instance, states, pos_start, pos_end, exec_ctx);
+            return new RuntimeResult().success(new NoneValue());
+        },
+        [argNode("states", Types.DICT)]
+    );
+}
+
+/**
+ * Creates a new instance of a custom tag:
+ * the props are validated, the states are initialized, then `__init` and `render` are called.
+ * @param {TagValue} tag The definition of the tag.
+ * @param {[string, Value][]} attributes The given props.
+ * @param {Context} context The context in which the tag is used.
+ * @param {Position} pos_start The starting position.
+ * @param {Position} pos_end The end position.
+ * @returns {TagValue} The instance, already rendered.
+ */
+export function instantiate_tag(tag, attributes, context, pos_start, pos_end) {
+    let instance = new TagValue(tag.name, new Map(tag.self)).set_pos(pos_start, pos_end).set_context(context);
+    instance.is_instance = true;
+
+    let exec_ctx = new Context(instance.context_name, context, pos_start);
+    exec_ctx.symbol_table = new SymbolTable(context.symbol_table);
+    exec_ctx.symbol_table.set("self", { type: instance.type, value: instance });
+
+    // the methods were created with the definition of the tag as 'self'
+    // so they must be bound to the instance
+    // (an event such as `@click={self.increment}` needs it)
+    for (let [name, member] of instance.self) {
+        let value = member.value.value;
+        if (value instanceof BaseFunction) {
+            instance.self.set(name, { ...member, value: { type: member.value.type, value: value.copy().set_context(exec_ctx) } });
+        }
+    }
+
+    let given_props = [];
+    for (let [name, value] of attributes) {
+        let member = instance.self.get(name);
+        if (!member || member.prop === 0) {
+            throw new RuntimeError(
+                pos_start, pos_end,
+                `The prop '${name}' doesn't exist in the original definition of the tag '${tag.name}'.`,
+                context
+            );
+        }
+        check_type(value, member.value.type, pos_start, pos_end, context);
+        instance.self.set(name, { ...member, value: { type: member.value.type, value } });
+        given_props.push(name);
+    }
+
+    const missing_props = Array.from(instance.self.entries()).filter((v) => v[1].prop === 1 && v[1].optional === 0 && !given_props.includes(v[0])).map((v) => v[0]);
+    if (missing_props.length > 0) {
+        throw new RuntimeError(
+            pos_start, pos_end,
+            `The following mandatory props are missing for the tag '${tag.name}': ${missing_props.join(', ')}`,
+            context
+        );
+    }
+
+    // the default values are computed again for each instance
+    // because they might depend on the given props (`state count = self.start`)
+    const interpreter = new Interpreter();
+    const initialize = (filter) => {
+        for (let [name, member] of Array.from(instance.self.entries()).filter(filter)) {
+            if (!member.default_node || given_props.includes(name)) continue;
+            let value = interpreter.visit(member.default_node, exec_ctx).value;
+            // an optional prop without a default value is none
+            if (!(member.prop === 1 && value instanceof NoneValue)) {
+                check_type(value, member.value.type, value.pos_start, value.pos_end, exec_ctx);
+            }
+            instance.self.set(name, { ...member, value: { type: member.value.type, value } });
+        }
+    };
+    initialize((v) => v[1].prop === 1);
+    initialize((v) => v[1].state === 1);
+
+    let init_method = instance.self.get("__init")?.value.value;
+    if (init_method instanceof FunctionValue) {
+        init_method.copy().execute([]);
+    }
+
+    render_tag(instance);
+
+    return instance;
+}
+
+/**
+ * Calls the 'render' method of an instance and keeps the result in `instance.component.rendered`.
+ * @param {TagValue} instance The instance of the tag.
+ * @returns {HtmlValue|NoneValue}
+ */
+export function render_tag(instance) {
+    let render_method = instance.self.get("render")?.value.value;
+    if (!(render_method instanceof FunctionValue)) {
+        throw new RuntimeError(
+            instance.pos_start, instance.pos_end,
+            `The tag '${instance.name}' must have a 'render' method.`,
+            instance.context
+        );
+    }
+
+    let rendered = render_method.copy().execute([]).value;
+    if (!(rendered instanceof HtmlValue) && !(rendered instanceof NoneValue)) {
+        throw new RuntimeError(
+            instance.pos_start, instance.pos_end,
+            `The 'render' method of the tag '${instance.name}' must return html.`,
+            instance.context
+        );
+    }
+
+    instance.component.rendered = rendered;
+    return rendered;
+}
+
+/**
+ * Merges new values into the states of an instance, renders it again
+ * and gives the differences between the two trees to the listeners of the instance.
+ * @param {TagValue} instance The instance of the tag.
+ * @param {DictionnaryValue} states The new values of the states.
+ * @param {Position} pos_start The starting position.
+ * @param {Position} pos_end The end position.
+ * @param {Context} context The context.
+ * @returns {Patch[]}
+ */
+export function set_state(instance, states, pos_start, pos_end, context) {
+    if (!instance.is_instance) {
+        throw new RuntimeError(
+            pos_start, pos_end,
+            "The states can only be modified on an instance of a tag.",
+            context
+        );
+    }
+
+    for (let [name, value] of states.elements) {
+        let member = instance.self.get(name);
+        if (!member || member.state !== 1) {
+            throw new RuntimeError(
+                pos_start, pos_end,
+                `'${name}' is not a state of the tag '${instance.name}'.`,
+                context
+            );
+        }
+        check_type(value, member.value.type, pos_start, pos_end, context);
+        instance.self.set(name, { ...member, value: { type: member.value.type, value } });
+    }
+
+    let old_tree = instance.component.rendered;
+    let new_tree = render_tag(instance);
+    let patches = diff(old_tree, new_tree);
+
+    for (let listener of instance.component.listeners) {
+        listener(patches, new_tree);
+    }
+
+    return patches;
+}
+
+/**
+ * Checks if two values would be rendered the same way.
+ * @param {Value} a
+ * @param {Value} b
+ * @returns {boolean}
+ */
+function are_equivalent(a, b) {
+    if (a.constructor !== b.constructor) return false;
+    if (a instanceof ListValue) return a.elements.length === b.elements.length && a.elements.every((v, i) => are_equivalent(v, b.elements[i]));
+    if ("value" in a && "value" in b) return a.value === b.value;
+    return a.toString() === b.toString();
+}
+
+/**
+ * Gets the attributes of an element, classes and id included.
+ * @param {HtmlValue} html
+ * @returns {Map<string, Value>}
+ */
+function get_attributes(html) {
+    let attributes = new Map();
+    if (html.classes.length > 0) attributes.set("class", new StringValue(html.classes.join(' ')));
+    if (html.id) attributes.set("id", new StringValue(html.id));
+    for (let [name, value] of html.attributes) attributes.set(name, value);
+    return attributes;
+}
+
+/**
+ * Compares two rendered trees and generates the patches that transform the old one into the new one.
+ * A custom tag is considered as a single node:
+ * if its props didn't change, the new node keeps the old instance (and therefore its states).
+ * @param {Value|null|undefined} old_node The old tree.
+ * @param {Value|null|undefined} new_node The new tree.
+ * @param {number[]} path The path to the compared nodes.
+ * @returns {Patch[]}
+ */
+export function diff(old_node, new_node, path=[]) {
+    if (!old_node && !new_node) return [];
+    if (!old_node) return [{ type: PatchType.CREATE, path, node: new_node }];
+    if (!new_node) return [{ type: PatchType.REMOVE, path }];
+
+    if (!(old_node instanceof HtmlValue) || !(new_node instanceof HtmlValue)) {
+        if (old_node instanceof HtmlValue || new_node instanceof HtmlValue) {
+            return [{ type: PatchType.REPLACE, path, node: new_node }];
+        }
+        return are_equivalent(old_node, new_node) ? [] : [{ type: PatchType.TEXT, path, node: new_node }];
+    }
+
+    if (old_node.tagname !== new_node.tagname) {
+        return [{ type: PatchType.REPLACE, path, node: new_node }];
+    }
+
+    let patches = [];
+
+    let old_attributes = get_attributes(old_node);
+    let new_attributes = get_attributes(new_node);
+    let changed_attributes = Array.from(new_attributes.entries()).filter(([name, value]) => !old_attributes.has(name) || !are_equivalent(old_attributes.get(name), value));
+    let removed_attributes = Array.from(old_attributes.keys()).filter((name) => !new_attributes.has(name));
+
+    if (new_node.instance) {
+        if (changed_attributes.length > 0 || removed_attributes.length > 0) {
+            return [{ type: PatchType.REPLACE, path, node: new_node }];
+        }
+        new_node.instance = old_node.instance;
+        return [];
+    }
+
+    if (changed_attributes.length > 0 || removed_attributes.length > 0) {
+        patches.push({ type: PatchType.ATTRIBUTES, path, attributes: changed_attributes, removed: removed_attributes });
+    }
+
+    // the functions are created again at each render,
+    // so the listeners are always replaced
+    if (old_node.events.length > 0 || new_node.events.length > 0) {
+        patches.push({ type: PatchType.EVENTS, path, events: new_node.events, removed: old_node.events.map((v) => v[0]) });
+    }
+
+    let common_length = Math.min(old_node.children.length, new_node.children.length);
+    for (let i = 0; i < common_length; i++) {
+        patches.push(...diff(old_node.children[i], new_node.children[i], [...path, i]));
+    }
+    for (let i = common_length; i < new_node.children.length; i++) {
+        patches.push({ type: PatchType.CREATE, path: [...path, i], node: new_node.children[i] });
+    }
+    // from the end so that the indexes remain valid
+    for (let i = old_node.children.length - 1; i >= common_length; i--) {
+        patches.push({ type: PatchType.REMOVE, path: [...path, i] });
+    }
+
+    return patches;
+}
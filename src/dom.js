@@ -0,0 +1,535 @@
+"use strict";
+
+import { BaseFunction, BooleanValue, HtmlValue, NoneValue, StringValue, TagValue, Value } from './values.js';
+import { RuntimeError } from './Exceptions.js';
+import { NATIVE_TAGS } from './native.js';
+import { instantiate_tag, PatchType } from './components.js';
+import { escape_html, HtmlRenderer } from './renderer.js';
+
+/**
+ * @classdesc The operations needed to display the html elements.
+ * The browser, a string builder or the tests can each have their own implementation.
+ * Every method must be overriden.
+ */
+export class DomHost {
+    /**
+     * Creates an element.
+     * @param {string} tagname The name of the tag.
+     * @returns {any} The element.
+     */
+    create_element(tagname) {
+        throw new Error("create_element is not implemented");
+    }
+
+    /**
+     * Creates a text node.
+     * @param {string} text The content.
+     * @returns {any} The text node.
+     */
+    create_text(text) {
+        throw new Error("create_text is not implemented");
+    }
+
+    /**
+     * Changes the content of a text node.
+     * @param {any} node The text node.
+     * @param {string} text The new content.
+     */
+    set_text(node, text) {
+        throw new Error("set_text is not implemented");
+    }
+
+    /**
+     * Sets an attribute on an element.
+     * @param {any} element The element.
+     * @param {string} name The name of the attribute.
+     * @param {string} value The value of the attribute (an empty string for `<button disabled>`).
+     */
+    set_attribute(element, name, value) {
+        throw new Error("set_attribute is not implemented");
+    }
+
+    /**
+     * Removes an attribute from an element.
+     * @param {any} element The element.
+     * @param {string} name The name of the attribute.
+     */
+    remove_attribute(element, name) {
+        throw new Error("remove_attribute is not implemented");
+    }
+
+    /**
+     * Adds a child to an element.
+     * @param {any} parent The element.
+     * @param {any} child The new child.
+     * @param {any} reference The child will be inserted before this one. If null, the child is added at the end.
+     */
+    append(parent, child, reference=null) {
+        throw new Error("append is not implemented");
+    }
+
+    /**
+     * Removes a child from an element.
+     * @param {any} parent The element.
+     * @param {any} child The child to remove.
+     */
+    remove(parent, child) {
+        throw new Error("remove is not implemented");
+    }
+
+    /**
+     * Listens to an event.
+     * @param {any} element The element.
+     * @param {string} event_name The name of the event ('click' for example).
+     * @param {Function} callback The listener.
+     */
+    add_listener(element, event_name, callback) {
+        throw new Error("add_listener is not implemented");
+    }
+
+    /**
+     * Stops listening to an event.
+     * @param {any} element The element.
+     * @param {string} event_name The name of the event.
+     * @param {Function} callback The listener given to `add_listener`.
+     */
+    remove_listener(element, event_name, callback) {
+        throw new Error("remove_listener is not implemented");
+    }
+
+    /**
+     * Finds the element in which the html will be mounted.
+     * @param {string|null} target The id of the element. If null, the default element.
+     * @returns {any} The element, or null if it doesn't exist.
+     */
+    get_target(target) {
+        throw new Error("get_target is not implemented");
+    }
+}
+
+/**
+ * @classdesc A node created by the MemoryHost.
+ */
+export class MemoryNode {
+    /**
+     * @constructs MemoryNode
+     * @param {string} tagname The name of the tag ("#text" for a text node).
+     * @param {string} text The content of a text node.
+     */
+    constructor(tagname, text="") {
+        this.tagname = tagname;
+        this.text = text;
+        /** @type {Map<string, string>} */
+        this.attributes = new Map();
+        /** @type {MemoryNode[]} */
+        this.children = [];
+        /** @type {Map<string, Function[]>} */
+        this.listeners = new Map();
+        /** @type {MemoryNode|null} */
+        this.parent = null;
+    }
+
+    /**
+     * Calls the listeners of an event.
+     * @param {string} event_name The name of the event.
+     */
+    dispatch(event_name) {
+        for (let callback of [...(this.listeners.get(event_name) ?? [])]) {
+            callback();
+        }
+    }
+
+    /**
+     * Searches for an element by its id.
+     * @param {string} id The id.
+     * @returns {MemoryNode|null}
+     */
+    get_element_by_id(id) {
+        if (this.attributes.get("id") === id) return this;
+        for (let child of this.children) {
+            let element = child.get_element_by_id(id);
+            if (element) return element;
+        }
+        return null;
+    }
+
+    /**
+     * Gets the content of the node as HTML.
+     * @returns {string}
+     */
+    get_inner_html() {
+        return this.children.map((v) => v.toString()).join('');
+    }
+
+    toString() {
+        if (this.tagname === "#text") return escape_html(this.text);
+        let attributes = Array.from(this.attributes.entries()).map(([name, value]) => value === "" ? " " + name : ` ${name}="${escape_html(value)}"`).join('');
+        let is_void = Object.values(NATIVE_TAGS).find((v) => v.name === this.tagname)?.is_void;
+        if (is_void) return `<${this.tagname}${attributes}>`;
+        return `<${this.tagname}${attributes}>${this.get_inner_html()}</${this.tagname}>`;
+    }
+}
+
+/**
+ * @classdesc A host that keeps the elements in memory, so that the html can be mounted without a browser.
+ */
+export class MemoryHost extends DomHost {
+    /**
+     * @constructs MemoryHost
+     */
+    constructor() {
+        super();
+        this.root = new MemoryNode("#root");
+    }
+
+    create_element(tagname) {
+        return new MemoryNode(tagname);
+    }
+
+    create_text(text) {
+        return new MemoryNode("#text", text);
+    }
+
+    set_text(node, text) {
+        node.text = text;
+    }
+
+    set_attribute(element, name, value) {
+        element.attributes.set(name, value);
+    }
+
+    remove_attribute(element, name) {
+        element.attributes.delete(name);
+    }
+
+    append(parent, child, reference=null) {
+        if (child.parent) this.remove(child.parent, child);
+        let index = reference ? parent.children.indexOf(reference) : -1;
+        if (index === -1) {
+            parent.children.push(child);
+        } else {
+            parent.children.splice(index, 0, child);
+        }
+        child.parent = parent;
+    }
+
+    remove(parent, child) {
+        parent.children = parent.children.filter((v) => v !== child);
+        child.parent = null;
+    }
+
+    add_listener(element, event_name, callback) {
+        if (!element.listeners.has(event_name)) element.listeners.set(event_name, []);
+        element.listeners.get(event_name).push(callback);
+    }
+
+    remove_listener(element, event_name, callback) {
+        let listeners = element.listeners.get(event_name) ?? [];
+        element.listeners.set(event_name, listeners.filter((v) => v !== callback));
+    }
+
+    get_target(target) {
+        if (target === null) return this.root;
+        return this.root.get_element_by_id(target);
+    }
+}
+
+/**
+ * @classdesc The mounted version of a value.
+ * The fragments and the custom tags don't have their own element:
+ * their nodes are the nodes of their children.
+ */
+class MountedNode {
+    /**
+     * @constructs MountedNode
+     * @param {Value} value The mounted value.
+     * @param {MountedNode|null} parent The parent.
+     */
+    constructor(value, parent) {
+        this.value = value;
+        this.parent = parent;
+        /** @type {any} The element or the text node (null for the fragments and the custom tags). */
+        this.node = null;
+        /** @type {MountedNode[]} */
+        this.children = [];
+        /** @type {Array<[string, Function]>} */
+        this.listeners = [];
+        /** @type {any} The element in which the root is mounted. */
+        this.container = null;
+        /** @type {(() => void)|null} */
+        this.unsubscribe = null;
+    }
+
+    /**
+     * The nodes of the host that represent this value.
+     * @returns {any[]}
+     */
+    get host_nodes() {
+        if (this.node) return [this.node];
+        return this.children.flatMap((v) => v.host_nodes);
+    }
+}
+
+/**
+ * @classdesc Mounts the html in a host and keeps it up to date when the instances of the tags are rendered again.
+ */
+export class Mounter {
+    /**
+     * @constructs Mounter
+     * @param {DomHost} host The host.
+     */
+    constructor(host) {
+        this.host = host;
+        this.renderer = new HtmlRenderer();
+    }
+
+    /**
+     * Mounts a value into an element of the host.
+     * @param {HtmlValue|TagValue} value The html or the tag to mount.
+     * @param {any} container The element of the host.
+     * @returns {MountedNode}
+     */
+    mount(value, container) {
+        if (value instanceof TagValue) {
+            let instance = value.is_instance ? value : instantiate_tag(value, [], value.context, value.pos_start, value.pos_end);
+            let root = new MountedNode(instance, null);
+            root.container = container;
+            this.mount_instance(root, instance);
+            this.insert(root);
+            return root;
+        }
+
+        let root = this.build(value, null);
+        root.container = container;
+        this.insert(root);
+        return root;
+    }
+
+    /**
+     * Creates the nodes of a value (they are not attached to the container).
+     * @param {Value} value The value.
+     * @param {MountedNode|null} parent The parent.
+     * @returns {MountedNode}
+     */
+    build(value, parent) {
+        let mounted = new MountedNode(value, parent);
+
+        if (!(value instanceof HtmlValue)) {
+            mounted.node = this.host.create_text(this.to_text(value));
+            return mounted;
+        }
+
+        if (value.tagname === null || value.tagname === undefined) {
+            mounted.children = value.children.map((v) => this.build(v, mounted));
+            return mounted;
+        }
+
+        if (value.instance || !Object.values(NATIVE_TAGS).some((v) => v.name === value.tagname)) {
+            if (!value.instance) {
+                let tag = value.context?.symbol_table.get(value.tagname)?.value;
+                if (!(tag instanceof TagValue)) {
+                    throw new RuntimeError(
+                        value.pos_start, value.pos_end,
+                        `Cannot mount the tag '${value.tagname}'.`,
+                        value.context
+                    );
+                }
+                value.instance = instantiate_tag(tag, value.attributes, value.context, value.pos_start, value.pos_end);
+            }
+            this.mount_instance(mounted, value.instance);
+            return mounted;
+        }
+
+        mounted.node = this.host.create_element(value.tagname);
+        if (value.classes.length > 0) this.host.set_attribute(mounted.node, "class", value.classes.join(' '));
+        if (value.id) this.host.set_attribute(mounted.node, "id", value.id);
+        for (let [name, attribute] of value.attributes) this.set_attribute(mounted.node, name, attribute);
+        this.set_listeners(mounted, value.events);
+        for (let child of value.children) {
+            let mounted_child = this.build(child, mounted);
+            mounted.children.push(mounted_child);
+            for (let node of mounted_child.host_nodes) this.host.append(mounted.node, node);
+        }
+
+        return mounted;
+    }
+
+    /**
+     * Mounts the rendered tree of an instance and listens to its future renders.
+     * @param {MountedNode} mounted The node that represents the instance.
+     * @param {TagValue} instance The instance of the tag.
+     */
+    mount_instance(mounted, instance) {
+        mounted.children = [this.build(instance.component.rendered, mounted)];
+        const listener = (patches) => this.apply(mounted, patches);
+        instance.component.listeners.push(listener);
+        mounted.unsubscribe = () => {
+            instance.component.listeners = instance.component.listeners.filter((v) => v !== listener);
+        };
+    }
+
+    /**
+     * Applies the patches generated by a new render of an instance.
+     * The paths start from the rendered tree of the instance.
+     * @param {MountedNode} mounted The node that represents the instance.
+     * @param {Array<{type: string, path: number[], node?: Value, attributes?: [string, Value][], removed?: string[], events?: [string, BaseFunction][]}>} patches The patches.
+     */
+    apply(mounted, patches) {
+        for (let patch of patches) {
+            let path = [0, ...patch.path];
+            let parent = mounted;
+            for (let i = 0; i < path.length - 1; i++) parent = parent.children[path[i]];
+            let index = path[path.length - 1];
+            let target = parent.children[index];
+
+            switch (patch.type) {
+                case PatchType.CREATE: {
+                    let created = this.build(patch.node, parent);
+                    parent.children.splice(index, 0, created);
+                    this.insert(created);
+                    break;
+                }
+                case PatchType.REMOVE:
+                    this.detach(target);
+                    parent.children.splice(index, 1);
+                    break;
+                case PatchType.REPLACE: {
+                    let created = this.build(patch.node, parent);
+                    let reference = target.host_nodes[0] ?? this.get_next_node(target);
+                    for (let node of created.host_nodes) this.host.append(this.get_container(parent), node, reference);
+                    this.detach(target);
+                    parent.children.splice(index, 1, created);
+                    break;
+                }
+                case PatchType.TEXT:
+                    this.host.set_text(target.node, this.to_text(patch.node));
+                    target.value = patch.node;
+                    break;
+                case PatchType.ATTRIBUTES:
+                    for (let [name, attribute] of patch.attributes) this.set_attribute(target.node, name, attribute);
+                    for (let name of patch.removed) this.host.remove_attribute(target.node, name);
+                    break;
+                case PatchType.EVENTS:
+                    for (let [event_name, callback] of target.listeners) this.host.remove_listener(target.node, event_name, callback);
+                    this.set_listeners(target, patch.events);
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Adds the nodes of a mounted value into the host, at the right place.
+     * @param {MountedNode} mounted
+     */
+    insert(mounted) {
+        let container = mounted.parent ? this.get_container(mounted.parent) : mounted.container;
+        let reference = this.get_next_node(mounted);
+        for (let node of mounted.host_nodes) this.host.append(container, node, reference);
+    }
+
+    /**
+     * Removes the nodes of a mounted value from the host and stops listening to the instances it contains.
+     * @param {MountedNode} mounted
+     */
+    detach(mounted) {
+        let container = mounted.parent ? this.get_container(mounted.parent) : mounted.container;
+        for (let node of mounted.host_nodes) this.host.remove(container, node);
+        const unsubscribe = (v) => {
+            if (v.unsubscribe) v.unsubscribe();
+            v.children.forEach(unsubscribe);
+        };
+        unsubscribe(mounted);
+    }
+
+    /**
+     * Gets the element that contains the nodes of a mounted value.
+     * @param {MountedNode} mounted
+     * @returns {any}
+     */
+    get_container(mounted) {
+        while (!mounted.node) {
+            if (!mounted.parent) return mounted.container;
+            mounted = mounted.parent;
+        }
+        return mounted.node;
+    }
+
+    /**
+     * Gets the node of the host that comes right after the nodes of a mounted value.
+     * @param {MountedNode} mounted
+     * @returns {any} Null if it's the last one.
+     */
+    get_next_node(mounted) {
+        let parent = mounted.parent;
+        if (!parent) return null;
+        let index = parent.children.indexOf(mounted);
+        for (let sibling of parent.children.slice(index + 1)) {
+            let nodes = sibling.host_nodes;
+            if (nodes.length > 0) return nodes[0];
+        }
+        if (parent.node) return null;
+        return this.get_next_node(parent);
+    }
+
+    /**
+     * Sets an attribute, following the same rules as the HtmlRenderer.
+     * @param {any} element The element.
+     * @param {string} name The name of the attribute.
+     * @param {Value} value The value of the attribute.
+     */
+    set_attribute(element, name, value) {
+        if (value instanceof NoneValue || (value instanceof BooleanValue && !value.is_true())) {
+            this.host.remove_attribute(element, name);
+        } else if (value instanceof BooleanValue || (value instanceof StringValue && value.value === name)) {
+            this.host.set_attribute(element, name, "");
+        } else {
+            this.host.set_attribute(element, name, this.renderer.attribute_to_string(value));
+        }
+    }
+
+    /**
+     * Listens to the events of an element.
+     * @param {MountedNode} mounted The mounted element.
+     * @param {[string, BaseFunction][]} events The events.
+     */
+    set_listeners(mounted, events) {
+        mounted.listeners = events.map(([event_name, func]) => {
+            const callback = () => func.copy().execute([]);
+            this.host.add_listener(mounted.node, event_name, callback);
+            return [event_name, callback];
+        });
+    }
+
+    /**
+     * Gets the text of a value that is not html.
+     * @param {Value} value
+     * @returns {string}
+     */
+    to_text(value) {
+        if (value instanceof StringValue) return value.value;
+        if (value instanceof NoneValue) return "";
+        return value.toString();
+    }
+}
+
+/**
+ * The host used by `Versa.mount`.
+ * @type {DomHost}
+ */
+let current_host = new MemoryHost();
+
+/**
+ * Gets the host used by `Versa.mount`.
+ * @returns {DomHost}
+ */
+export function get_host() {
+    return current_host;
+}
+
+/**
+ * Changes the host used by `Versa.mount` (a browser would give its own implementation).
+ * @param {DomHost} host The new host.
+ */
+export function set_host(host) {
+    current_host = host;
+}
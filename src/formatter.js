@@ -0,0 +1,411 @@
+"use strict";
+
+import { Lexer, SPACES_FOR_INDENTATION } from './lexer.js';
+import { Parser } from './parser.js';
+import { Token, TokenType } from './tokens.js';
+import { is_in } from './miscellaneous.js';
+
+/**
+ * The length beyond which the arguments of a call are placed on separate lines.
+ */
+export const MAX_LINE_LENGTH = 100;
+
+const INDENTATION = " ".repeat(SPACES_FOR_INDENTATION);
+const OPENING_BRACKETS = [TokenType.LPAREN, TokenType.LSQUARE, TokenType.LBRACK];
+const CLOSING_BRACKETS = [TokenType.RPAREN, TokenType.RSQUARE, TokenType.RBRACK];
+const NO_SPACE_BEFORE = [
+    TokenType.RPAREN, TokenType.RSQUARE, TokenType.RBRACK, TokenType.COMMA, TokenType.SEMICOLON, TokenType.COLON,
+    TokenType.DOT, TokenType.DOUBLE_COLON, TokenType.OPTIONAL_CHAINING_OPERATOR, TokenType.OPTIONAL_STATIC_CALL, TokenType.QMARK,
+];
+const NO_SPACE_AFTER = [
+    TokenType.LPAREN, TokenType.LSQUARE, TokenType.LBRACK, TokenType.DOT, TokenType.DOUBLE_COLON,
+    TokenType.OPTIONAL_CHAINING_OPERATOR, TokenType.OPTIONAL_STATIC_CALL, TokenType.TRIPLE_DOTS, TokenType.BIN_NOT,
+];
+// '+=', '**=', '??=', etc. are an operator followed by '='
+const COMPOUND_OPERATORS = [
+    TokenType.PLUS, TokenType.MINUS, TokenType.MULTIPLY, TokenType.SLASH, TokenType.POWER, TokenType.MODULO,
+    TokenType.NULLISH_OPERATOR, TokenType.AND, TokenType.OR, TokenType.LOGICAL_AND, TokenType.LOGICAL_OR, TokenType.LOGICAL_XOR,
+    TokenType.BINARY_LEFT, TokenType.BINARY_RIGHT, TokenType.BINARY_UNSIGNED_RIGHT,
+];
+const VALUE_KEYWORDS = ["none", "yes", "no", "true", "false", "super"];
+const DEFINITION_KEYWORDS = ["func", "method", "get", "set"];
+const CONTINUATION_KEYWORDS = ["elif", "else", "catch", "finally"];
+const CASE_KEYWORDS = ["case", "default"];
+
+/**
+ * @typedef {{type: "block"|"case"|"bracket", indents: boolean}} Frame A block, a case of a switch or an open bracket.
+ * @typedef {{token: Token, text: string, space: boolean}} Piece A token as it will be printed, and whether it's preceded by a space.
+ */
+
+/**
+ * @classdesc Reprints the source code with a canonical indentation and spacing, while keeping the comments.
+ * The keywords 'true' and 'false' become 'yes' and 'no', the strings use double quotes (except the raw, formatted and multi-line strings)
+ * and the arguments of a call that doesn't fit on a line are placed on separate lines.
+ * The HTML of a multi-line fragment (`<>...</>`) keeps its original spacing, because its indentation is significant.
+ */
+export class Formatter {
+    /**
+     * @constructs Formatter
+     * @param {string} text The source code.
+     * @param {string} filename The filename.
+     */
+    constructor(text, filename="<stdin>") {
+        this.text = text;
+        this.filename = filename;
+        this.source_lines = text.split(/\r?\n/);
+        /** @type {Frame[]} */
+        this.frames = [];
+    }
+
+    /**
+     * Formats the source code.
+     * @returns {string}
+     * @throws {InvalidSyntaxError} If the code contains syntax errors.
+     */
+    format() {
+        // the code is parsed first so that the syntax errors are reported instead of being reformatted
+        new Parser(new Lexer(this.text, this.filename).generate_tokens()).parse();
+
+        let lines = this.split_lines(Array.from(new Lexer(this.text, this.filename, null, true).generate_tokens()));
+        let output = [];
+        this.frames = [];
+
+        for (let i = 0; i < lines.length; i++) {
+            let line = lines[i];
+            if (line.tokens.length === 0) {
+                output.push("");
+                continue;
+            }
+
+            let indentation = this.indentation_of(line.tokens);
+            output.push(...this.print_line(line.tokens, indentation));
+
+            if (this.is_fragment_start(line.tokens)) {
+                let region = this.html_region(lines, i + 1, indentation);
+                output.push(...region.output);
+                i = region.end;
+            }
+        }
+
+        // there is never more than one blank line in a row, nor at the beginning and at the end of the file
+        let result = output.filter((line, i) => line !== "" || (i > 0 && output[i - 1] !== "")).join("\n").trim();
+        return result === "" ? "" : result + "\n";
+    }
+
+    /**
+     * Groups the tokens by line (the newlines and the indentation are removed).
+     * @param {Token[]} tokens
+     * @returns {Array<{tokens: Token[], ln: number}>} The line number is the one of the first token in the source code.
+     */
+    split_lines(tokens) {
+        let lines = [];
+        let current = { tokens: [], ln: null };
+        for (let token of tokens) {
+            if (token.type === TokenType.NEWLINE || token.type === TokenType.EOF) {
+                lines.push(current);
+                current = { tokens: [], ln: null };
+                continue;
+            }
+            current.ln = current.ln ?? token.pos_start.ln;
+            if (token.type !== TokenType.INDENTATION) current.tokens.push(token);
+        }
+        return lines;
+    }
+
+    /**
+     * Computes the indentation of a line, and opens or closes the blocks and the brackets of that line.
+     * @param {Token[]} tokens The tokens of the line.
+     * @returns {number}
+     */
+    indentation_of(tokens) {
+        let first = tokens[0];
+        let i = 0;
+
+        // the closing tokens at the beginning of the line are printed at the level of the line that opened them
+        for (; i < tokens.length; i++) {
+            if (tokens[i].matches(TokenType.KEYWORD, "end")) {
+                if (this.frames.at(-1)?.type === "case") this.frames.pop();
+                if (this.frames.at(-1)?.type === "block") this.frames.pop();
+            } else if (is_in(tokens[i].type, CLOSING_BRACKETS) && this.frames.at(-1)?.type === "bracket") {
+                this.frames.pop();
+            } else {
+                break;
+            }
+        }
+
+        let is_case = i === 0 && CASE_KEYWORDS.some((keyword) => first.matches(TokenType.KEYWORD, keyword));
+        let is_continuation = i === 0 && this.frames.at(-1)?.type === "block" && CONTINUATION_KEYWORDS.some((keyword) => first.matches(TokenType.KEYWORD, keyword));
+        if (is_case && this.frames.at(-1)?.type === "case") this.frames.pop();
+
+        let indentation = this.frames.filter((frame) => frame.indents).length;
+        if (is_continuation) indentation--;
+
+        /** @type {Frame[]} */
+        let opened = [];
+        for (; i < tokens.length; i++) {
+            if (is_in(tokens[i].type, OPENING_BRACKETS)) {
+                let frame = { type: "bracket", indents: false };
+                this.frames.push(frame);
+                opened.push(frame);
+            } else if (is_in(tokens[i].type, CLOSING_BRACKETS) && this.frames.at(-1)?.type === "bracket") {
+                if (opened.at(-1) === this.frames.at(-1)) opened.pop();
+                this.frames.pop();
+            }
+        }
+
+        let last = tokens.findLast((token) => token.type !== TokenType.COMMENT);
+        if (last?.type === TokenType.COLON && !is_continuation) {
+            let frame = { type: is_case ? "case" : "block", indents: false };
+            this.frames.push(frame);
+            opened.push(frame);
+        }
+
+        // the following lines are indented only once, even if several brackets are still open
+        if (opened.length > 0) opened.at(-1).indents = true;
+
+        return indentation;
+    }
+
+    /**
+     * Checks if the line ends with the beginning of a multi-line HTML fragment (`<>`).
+     * @param {Token[]} tokens
+     * @returns {boolean}
+     */
+    is_fragment_start(tokens) {
+        let significant = tokens.filter((token) => token.type !== TokenType.COMMENT);
+        return significant.length >= 2 && significant.at(-2).type === TokenType.LCHEVRON && significant.at(-1).type === TokenType.RCHEVRON;
+    }
+
+    /**
+     * Checks if the line closes a multi-line HTML fragment (`</>`).
+     * @param {Token[]} tokens
+     * @returns {boolean}
+     */
+    is_fragment_end(tokens) {
+        return tokens.length >= 3 && tokens[0].type === TokenType.LCHEVRON && tokens[1].type === TokenType.SLASH && tokens[2].type === TokenType.RCHEVRON;
+    }
+
+    /**
+     * Prints the lines of a multi-line HTML fragment with their original spacing,
+     * since the level of indentation of an element defines its parent.
+     * @param {Array<{tokens: Token[], ln: number}>} lines All the lines.
+     * @param {number} start The index of the line that follows `<>`.
+     * @param {number} indentation The indentation of the line that contains `<>`.
+     * @returns {{output: string[], end: number}} The printed lines and the index of the line that contains `</>`.
+     */
+    html_region(lines, start, indentation) {
+        let output = [];
+        let depth = 1;
+        let first_level = null;
+        let i = start;
+
+        for (; i < lines.length; i++) {
+            let line = lines[i];
+            if (line.tokens.length === 0) {
+                output.push("");
+                continue;
+            }
+            if (this.is_fragment_end(line.tokens)) {
+                depth--;
+                if (depth === 0) {
+                    output.push(...this.print_line(line.tokens, indentation, true));
+                    break;
+                }
+            } else if (this.is_fragment_start(line.tokens)) {
+                depth++;
+            }
+            let source_line = this.source_lines[line.ln];
+            let leading_whitespace = source_line.slice(0, source_line.length - source_line.trimStart().length);
+            let level = leading_whitespace.split("\t").length - 1 + Math.floor(leading_whitespace.replace(/\t/g, "").length / SPACES_FOR_INDENTATION);
+            first_level = first_level ?? level;
+            output.push(INDENTATION.repeat(Math.max(indentation + 1 + level - first_level, 0)) + source_line.trim());
+        }
+
+        return { output, end: i };
+    }
+
+    /**
+     * Prints a line, on several lines if it's too long.
+     * @param {Token[]} tokens
+     * @param {number} indentation
+     * @param {boolean} keep_spacing Whether the original spacing is kept (inside of HTML tags).
+     * @returns {string[]}
+     */
+    print_line(tokens, indentation, keep_spacing=false) {
+        keep_spacing = keep_spacing || tokens.some((token) => token.type === TokenType.LCHEVRON);
+        let pieces = keep_spacing ? this.original_pieces(tokens) : this.pieces(tokens);
+        return this.wrap(pieces, indentation);
+    }
+
+    /**
+     * Places the arguments of the first call on separate lines if the line is too long.
+     * @param {Piece[]} pieces
+     * @param {number} indentation
+     * @returns {string[]}
+     */
+    wrap(pieces, indentation) {
+        let line = INDENTATION.repeat(indentation) + this.join(pieces);
+        let code_length = INDENTATION.length * indentation + this.join(pieces.filter((piece) => piece.token.type !== TokenType.COMMENT)).length;
+        if (code_length <= MAX_LINE_LENGTH || line.includes("\n")) return [line];
+
+        for (let i = 1; i < pieces.length; i++) {
+            if (!this.is_call(pieces, i)) continue;
+
+            // the arguments are separated by the commas that are not inside of brackets
+            /** @type {Piece[][]} */
+            let args = [[]];
+            let depth = 0;
+            let j = i + 1;
+            for (; j < pieces.length; j++) {
+                let type = pieces[j].token.type;
+                if (is_in(type, CLOSING_BRACKETS)) {
+                    if (depth === 0) break;
+                    depth--;
+                }
+                if (is_in(type, OPENING_BRACKETS)) depth++;
+                args.at(-1).push(pieces[j]);
+                if (type === TokenType.COMMA && depth === 0) args.push([]);
+            }
+
+            if (j >= pieces.length || args.some((arg) => arg.every((piece) => piece.token.type === TokenType.COMMA))) continue;
+
+            let lines = [INDENTATION.repeat(indentation) + this.join(pieces.slice(0, i + 1))];
+            for (let arg of args) lines.push(...this.wrap(arg, indentation + 1));
+            lines.push(INDENTATION.repeat(indentation) + this.join(pieces.slice(j)));
+            return lines;
+        }
+
+        return [line];
+    }
+
+    /**
+     * Checks if the piece is the parenthesis of a call (not the parameters of a function).
+     * @param {Piece[]} pieces
+     * @param {number} i
+     * @returns {boolean}
+     */
+    is_call(pieces, i) {
+        if (pieces[i].token.type !== TokenType.LPAREN || pieces[i].space) return false;
+        let previous = pieces[i - 1].token;
+        if (previous.type !== TokenType.IDENTIFIER && previous.type !== TokenType.RPAREN && previous.type !== TokenType.RSQUARE) return false;
+        return !(i >= 2 && DEFINITION_KEYWORDS.some((keyword) => pieces[i - 2].token.matches(TokenType.KEYWORD, keyword)));
+    }
+
+    /**
+     * @param {Piece[]} pieces
+     * @returns {string}
+     */
+    join(pieces) {
+        return pieces.map((piece, i) => (i > 0 && piece.space ? " " : "") + piece.text).join("");
+    }
+
+    /**
+     * Places the tokens of a line with the canonical spacing.
+     * @param {Token[]} tokens
+     * @returns {Piece[]}
+     */
+    pieces(tokens) {
+        /** @type {Piece[]} */
+        let pieces = [];
+        /** @type {string[]} */
+        let brackets = []; // the types of the brackets opened on this line
+        let previous = null;
+        let is_previous_unary = false;
+        let is_previous_postfix = false;
+
+        for (let token of tokens) {
+            let ends_value = previous !== null && (
+                is_in(previous.type, [TokenType.IDENTIFIER, TokenType.NUMBER, TokenType.STRING, TokenType.FORMATTED_STRING, ...CLOSING_BRACKETS]) ||
+                VALUE_KEYWORDS.some((keyword) => previous.matches(TokenType.KEYWORD, keyword)) ||
+                is_previous_postfix
+            );
+            let is_unary = is_in(token.type, [TokenType.PLUS, TokenType.MINUS, TokenType.INC, TokenType.DEC]) && !ends_value;
+            let is_postfix = is_in(token.type, [TokenType.INC, TokenType.DEC]) && ends_value;
+
+            let space = true;
+            if (previous === null) {
+                space = false;
+            } else if (token.type === TokenType.COMMENT) {
+                space = true;
+            } else if (is_previous_unary) {
+                // '- -a' must not become '--a'
+                space = is_in(token.type, [TokenType.PLUS, TokenType.MINUS, TokenType.INC, TokenType.DEC]);
+            } else if (is_in(previous.type, NO_SPACE_AFTER) || is_in(token.type, NO_SPACE_BEFORE) || is_postfix) {
+                space = false;
+            } else if ((token.type === TokenType.LPAREN || token.type === TokenType.LSQUARE) && ends_value) {
+                space = false; // a call or an index
+            } else if (token.type === TokenType.MULTIPLY && previous.matches(TokenType.KEYWORD, "func")) {
+                space = false; // func*
+            } else if (token.type === TokenType.EQUALS && is_in(previous.type, COMPOUND_OPERATORS) && previous.pos_end.idx === token.pos_start.idx) {
+                space = false;
+            } else if (previous.type === TokenType.COLON && brackets.at(-1) === TokenType.LSQUARE) {
+                space = false; // a slice
+            }
+
+            pieces.push({ token, text: this.token_text(token), space });
+
+            if (is_in(token.type, OPENING_BRACKETS)) brackets.push(token.type);
+            if (is_in(token.type, CLOSING_BRACKETS)) brackets.pop();
+            previous = token;
+            is_previous_unary = is_unary;
+            is_previous_postfix = is_postfix;
+        }
+
+        return pieces;
+    }
+
+    /**
+     * Places the tokens of a line with their original spacing.
+     * @param {Token[]} tokens
+     * @returns {Piece[]}
+     */
+    original_pieces(tokens) {
+        return tokens.map((token) => ({
+            token,
+            text: this.token_text(token),
+            space: token.type === TokenType.COMMENT || /\s/.test(this.text[token.pos_start.idx - 1] ?? ""),
+        }));
+    }
+
+    /**
+     * The canonical text of a token.
+     * @param {Token} token
+     * @returns {string}
+     */
+    token_text(token) {
+        if (token.type === TokenType.KEYWORD) {
+            if (token.value === "true") return "yes";
+            if (token.value === "false") return "no";
+            return token.value;
+        }
+        if (token.type === TokenType.COMMENT || token.type === TokenType.IDENTIFIER) return token.value;
+        // the numbers, the strings and the operators are printed as they are written (0xFF, 100_000, etc.)
+        let source = token.pos_end.idx > token.pos_start.idx ? this.text.slice(token.pos_start.idx, token.pos_end.idx) : String(token.value);
+        if (token.type === TokenType.STRING) return this.normalize_quotes(source);
+        return source;
+    }
+
+    /**
+     * Rewrites a string between single quotes or backticks with double quotes.
+     * The raw strings and the multi-line strings are kept as they are.
+     * @param {string} source The string as it is written in the source code.
+     * @returns {string}
+     */
+    normalize_quotes(source) {
+        let quote = source[0];
+        if (quote === '"' || !is_in(quote, ["'", "`"]) || (source.length >= 6 && source.startsWith(quote.repeat(3)))) return source;
+        let content = "";
+        for (let i = 1; i < source.length - 1; i++) {
+            if (source[i] === "\\") {
+                // '\'' becomes "'", but the other escape sequences remain
+                content += source[i + 1] === quote ? quote : source[i] + source[i + 1];
+                i++;
+            } else if (source[i] === '"') {
+                content += '\\"';
+            } else {
+                content += source[i];
+            }
+        }
+        return '"' + content + '"';
+    }
+}
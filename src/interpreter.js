@@ -1,16 +1,59 @@
 "use strict";
 
-import { CustomNode, NumberNode, AddNode, SubtractNode, MultiplyNode, DivideNode, PlusNode, MinusNode, PowerNode, ModuloNode, VarAssignNode, VarAccessNode, VarModifyNode, AndNode, OrNode, NotNode, EqualsNode, LessThanNode, GreaterThanNode, LessThanOrEqualNode, GreaterThanOrEqualNode, NotEqualsNode, NullishOperatorNode, ListNode, ListAccessNode, ListAssignmentNode, ListPushBracketsNode, ListBinarySelector, StringNode, IfNode, ForNode, WhileNode, FuncDefNode, CallNode, ReturnNode, ContinueNode, BreakNode, DefineNode, DeleteNode, PrefixOperationNode, PostfixOperationNode, DictionnaryNode, ForeachNode, ClassDefNode, ClassPropertyDefNode, ClassCallNode, CallPropertyNode, AssignPropertyNode, CallMethodNode, CallStaticPropertyNode, SuperNode, EnumNode, SwitchNode, NoneNode, BooleanNode, BinaryShiftLeftNode, BinaryShiftRightNode, UnsignedBinaryShiftRightNode, NullishAssignmentNode, LogicalAndNode, LogicalOrNode, LogicalXORNode, BinaryNotNode, AndAssignmentNode, OrAssignmentNode, TypeofNode, InstanceofNode, TagDefNode, TagPropDefNode, TagStateDefNode, HtmlNode } from './nodes.js';
-import { BaseFunction, BooleanValue, ClassValue, DictionnaryValue, EnumValue, FunctionValue, HtmlValue, ListValue, NativeClassValue, NativeFunction, NativePropertyValue, NoneValue, NumberValue, StringValue, TagValue, Value } from './values.js';
+import { CustomNode, NumberNode, AddNode, SubtractNode, MultiplyNode, DivideNode, PlusNode, MinusNode, PowerNode, ModuloNode, VarAssignNode, VarAccessNode, VarModifyNode, AndNode, OrNode, NotNode, EqualsNode, LessThanNode, GreaterThanNode, LessThanOrEqualNode, GreaterThanOrEqualNode, NotEqualsNode, NullishOperatorNode, ListNode, ListAccessNode, ListAssignmentNode, ListPushBracketsNode, ListBinarySelector, StringNode, IfNode, ForNode, WhileNode, FuncDefNode, CallNode, ReturnNode, ContinueNode, BreakNode, DefineNode, DeleteNode, PrefixOperationNode, PostfixOperationNode, DictionnaryNode, ForeachNode, ClassDefNode, ClassPropertyDefNode, ClassCallNode, CallPropertyNode, AssignPropertyNode, CallMethodNode, CallStaticPropertyNode, SuperNode, EnumNode, SwitchNode, NoneNode, BooleanNode, BinaryShiftLeftNode, BinaryShiftRightNode, UnsignedBinaryShiftRightNode, NullishAssignmentNode, LogicalAndNode, LogicalOrNode, LogicalXORNode, BinaryNotNode, AndAssignmentNode, OrAssignmentNode, TypeofNode, InstanceofNode, IsNode, TagDefNode, TagPropDefNode, TagStateDefNode, HtmlNode, TryNode, ThrowNode, YieldNode, ImportNode, ExportNode, PatternElementNode, ListPatternNode, DictPatternNode, DestructuringAssignNode, SpreadNode, FormattedStringNode } from './nodes.js';
+import { BaseFunction, BigIntValue, BooleanValue, ClassValue, DictionnaryValue, EnumValue, FunctionValue, GeneratorValue, HtmlValue, ListValue, ModuleValue, NativeClassValue, NativeFunction, NativePropertyValue, NoneValue, NumberValue, StringValue, TagValue, Value } from './values.js';
 import { RuntimeResult } from './runtime.js';
-import { CustomTypeError, InvalidSyntaxError, RuntimeError } from './Exceptions.js';
+import { CustomError, CustomTypeError, InvalidSyntaxError, RuntimeError, ThrownError } from './Exceptions.js';
 import { Context } from './context.js';
-import { LETTERS_DIGITS } from './lexer.js';
-import { CONSTANTS, SymbolTable } from './symbol_table.js';
+import global_symbol_table, { CONSTANTS, SymbolTable } from './symbol_table.js';
 import { is_in } from './miscellaneous.js';
 import { Position } from './position.js';
-import { Types } from './tokens.js';
-import { NATIVE_TAGS } from './native.js';
+import { Token, Types } from './tokens.js';
+import { create_error_value, get_native_method, get_native_methods, NATIVE_TAGS } from './native.js';
+import { create_set_state_method, instantiate_tag } from './components.js';
+import { get_exported_variable, load_module } from './modules.js';
+import { Type, element_type_at, is_assignable, type_of_value } from './types.js';
+import { format } from './compiler_runtime.js';
+
+/**
+ * Gets the nodes directly contained in a node.
+ * @param {CustomNode} node The node.
+ * @returns {CustomNode[]}
+ */
+function child_nodes(node) {
+    let children = [];
+    const search = (value) => {
+        if (value instanceof CustomNode) {
+            children.push(value);
+        } else if (Array.isArray(value)) {
+            value.forEach(search);
+        } else if (value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+            // the cases of a switch for example
+            Object.values(value).forEach(search);
+        }
+    };
+    Object.values(node).forEach(search);
+    return children;
+}
+
+/**
+ * The nodes that have already been searched for a 'yield' statement.
+ * @type {WeakMap<CustomNode, boolean>}
+ */
+const yield_cache = new WeakMap();
+
+/**
+ * Checks if a node contains a 'yield' statement of the current generator function
+ * (the statements of the functions declared inside it don't count).
+ * @param {CustomNode} node The node.
+ * @returns {boolean}
+ */
+function contains_yield(node) {
+    if (node instanceof YieldNode) return true;
+    if (node instanceof FuncDefNode) return false;
+    if (!yield_cache.has(node)) yield_cache.set(node, child_nodes(node).some(contains_yield));
+    return yield_cache.get(node);
+}
 
 class BinarySelectorValues {
     /**
@@ -24,13 +67,23 @@ class BinarySelectorValues {
     }
 }
 
+/**
+ * Checks if a value is an instance of a class that defines a certain method (`__iter`, `__add`, etc.).
+ * @param {Value} value
+ * @param {string} name The name of the method.
+ * @returns {boolean}
+ */
+function has_method(value, name) {
+    return value instanceof ClassValue && value.is_instance && value.self.has(name);
+}
+
 /**
  * Checks if two arrays are equal. [Stackoverflow](@link https://stackoverflow.com/a/14853974)
  * @param {Array} a
  * @param {Array} b
  * @returns {boolean}
  */
-function array_equals(a, b) {
+export function array_equals(a, b) {
     // if the other array is a falsy value, return
     if (!b)
         return false;
@@ -183,6 +236,8 @@ export class Interpreter {
             return this.visit_ListAssignmentNode(node, context);
         } else if (node instanceof StringNode) {
             return this.visit_StringNode(node, context);
+        } else if (node instanceof FormattedStringNode) {
+            return this.visit_FormattedStringNode(node, context);
         } else if (node instanceof IfNode) {
             return this.visit_IfNode(node, context);
         } else if (node instanceof ForNode) {
@@ -195,6 +250,8 @@ export class Interpreter {
             return this.visit_CallNode(node, context);
         } else if (node instanceof ReturnNode) {
             return this.visit_ReturnNode(node, context);
+        } else if (node instanceof YieldNode) {
+            return this.visit_YieldNode(node, context);
         } else if (node instanceof ContinueNode) {
             return this.visit_ContinueNode(node, context);
         } else if (node instanceof BreakNode) {
@@ -259,10 +316,25 @@ export class Interpreter {
             return this.visit_TypeofNode(node, context);
         } else if (node instanceof InstanceofNode) {
             return this.visit_InstanceofNode(node, context);
+        } else if (node instanceof IsNode) {
+            return this.visit_IsNode(node, context);
         } else if (node instanceof TagDefNode) {
             return this.visit_TagDefNode(node, context);
         } else if (node instanceof HtmlNode) {
             return this.visit_HtmlNode(node, context);
+        } else if (node instanceof TryNode) {
+            return this.visit_TryNode(node, context);
+        } else if (node instanceof ThrowNode) {
+            return this.visit_ThrowNode(node, context);
+        } else if (node instanceof ImportNode) {
+            return this.visit_ImportNode(node, context);
+        } else if (node instanceof ExportNode) {
+            return this.visit_ExportNode(node, context);
+        } else if (node instanceof DestructuringAssignNode) {
+            return this.visit_DestructuringAssignNode(node, context);
+        } else if (node instanceof SpreadNode) {
+            // the value is inserted by the list, the dictionnary or the call
+            return this.visit(node.node_to_spread, context);
         } else {
             throw new Error(`There is no visit method for node '${node.constructor.name}'`);
         }
@@ -296,22 +368,102 @@ export class Interpreter {
     }
 
     /**
-     * @param {Value} value Checks if the type of that value corresponds to an object.
+     * Converts an operand into a bigint, for an operation in which the other operand is a bigint.
+     * @param {Value} value The operand.
+     * @param {CustomNode} node The node of the operation.
+     * @param {Context} context The context to use.
+     * @returns {bigint|null} Null if the operand is not a number, a boolean or none.
+     * @throws {CustomTypeError} If the operand is a float, because it cannot be converted without losing its decimals.
+     */
+    to_bigint(value, node, context) {
+        if (value instanceof BigIntValue) return value.value;
+        if (value instanceof BooleanValue) return BigInt(value.state);
+        if (value instanceof NoneValue) return 0n;
+        if (value instanceof NumberValue) {
+            if (Number.isInteger(value.value)) return BigInt(value.value);
+            throw new CustomTypeError(
+                node.pos_start, node.pos_end,
+                `Cannot mix a bigint with the float ${value.value}`,
+                context
+            );
+        }
+        return null;
+    }
+
+    /**
+     * Operates on two operands when at least one of them is a bigint (the integers, the booleans and none are converted into bigints).
+     * @param {Value} left The left operand.
+     * @param {Value} right The right operand.
+     * @param {(a: bigint, b: bigint) => bigint} operate The operation.
+     * @param {CustomNode} node The node of the operation.
+     * @param {Context} context The context to use.
+     * @returns {BigIntValue|null} Null if none of the operands is a bigint, or if the other operand cannot be converted.
+     */
+    bigint_operation(left, right, operate, node, context) {
+        if (!(left instanceof BigIntValue) && !(right instanceof BigIntValue)) return null;
+        let a = this.to_bigint(left, node, context);
+        let b = this.to_bigint(right, node, context);
+        if (a === null || b === null) return null;
+        try {
+            return new BigIntValue(operate(a, b)).set_pos(node.pos_start, node.pos_end).set_context(context);
+        } catch (e) {
+            // a negative exponent or a bigint that is too big
+            if (!(e instanceof RangeError)) throw e;
+            throw new RuntimeError(node.pos_start, node.pos_end, e.message, context);
+        }
+    }
+
+    /**
+     * Compares two operands when at least one of them is a bigint. Unlike the other operations, a bigint can be compared with a float.
+     * @param {Value} left The left operand.
+     * @param {Value} right The right operand.
+     * @param {(a: bigint|number, b: bigint|number) => boolean} compare The comparison.
+     * @param {CustomNode} node The node of the comparison.
+     * @param {Context} context The context to use.
+     * @returns {BooleanValue|null} Null if none of the operands is a bigint, or if the other operand is not a number, a boolean or none.
+     */
+    bigint_comparison(left, right, compare, node, context) {
+        if (!(left instanceof BigIntValue) && !(right instanceof BigIntValue)) return null;
+        const to_comparable = (value) => {
+            if (value instanceof BigIntValue || value instanceof NumberValue) return value.value;
+            if (value instanceof BooleanValue) return value.state;
+            if (value instanceof NoneValue) return 0;
+            return null;
+        };
+        let a = to_comparable(left);
+        let b = to_comparable(right);
+        if (a === null || b === null) return null;
+        return new BooleanValue(compare(a, b) ? 1 : 0).set_pos(node.pos_start, node.pos_end).set_context(context);
+    }
+
+    /**
+     * Throws an error if a value cannot be assigned to a variable, an argument or a property of a certain type.
+     * @param {Value} value The value.
+     * @param {Type|string} type The type of the variable.
+     * @param {Position} pos_start The beginning of the highlighted code.
+     * @param {Position} pos_end The end of the highlighted code.
+     * @param {Context} context The context to use.
+     * @throws {CustomTypeError}
      */
-    is_value_object(value) {
-        // Enum is an object and its type remains Types.OBJECT so we're good
-        return value.type === Types.OBJECT || value instanceof NativeClassValue || value instanceof ClassValue;
+    check_type(value, type, pos_start, pos_end, context) {
+        if (is_assignable(value, type, context)) return;
+        throw new CustomTypeError(
+            pos_start, pos_end,
+            `Type '${type_of_value(value)}' is not assignable to type '${type}'`,
+            context
+        );
     }
 
     /**
-     * Interprets a number as a NumberValue.
+     * Interprets a number as a NumberValue, or as a BigIntValue if it has the suffix 'n'.
      * @param {NumberNode} node The node.
      * @param {Context} context The context to use.
      * @returns {RuntimeResult}
      */
     visit_NumberNode(node, context) {
+        let value = typeof node.value === "bigint" ? new BigIntValue(node.value) : new NumberValue(node.value);
         return new RuntimeResult().success(
-            new NumberValue(node.value).set_pos(node.pos_start, node.pos_end).set_context(context)
+            value.set_pos(node.pos_start, node.pos_end).set_context(context)
         );
     }
 
@@ -328,6 +480,12 @@ export class Interpreter {
         let right = res.register(this.visit(node.node_b, context));
         if (res.should_return()) return res;
 
+        let overloaded = this.call_operator(left, "__add", [right], node, context);
+        if (overloaded) return res.success(overloaded);
+
+        let big = this.bigint_operation(left, right, (a, b) => a + b, node, context);
+        if (big) return res.success(big);
+
         // there are so many types of values
         // I keep forgetting some combinations
         // therefore, I designed this solution
@@ -384,11 +542,11 @@ export class Interpreter {
         // none + string              OK
         // string + boolean           OK
         // boolean + string           OK
-        if (left instanceof NumberValue && right instanceof StringValue) { // number + string
+        if ((left instanceof NumberValue || left instanceof BigIntValue) && right instanceof StringValue) { // number + string
             return new RuntimeResult().success(
                 new StringValue(left.value.toString() + right.value).set_pos(node.pos_start, node.pos_end).set_context(context)
             );
-        } else if (left instanceof StringValue && right instanceof NumberValue) { // string + number
+        } else if (left instanceof StringValue && (right instanceof NumberValue || right instanceof BigIntValue)) { // string + number
             return new RuntimeResult().success(
                 new StringValue(left.value + right.value.toString()).set_pos(node.pos_start, node.pos_end).set_context(context)
             );
@@ -432,12 +590,12 @@ export class Interpreter {
         // none + list                OK
         // list + boolean             OK
         // boolean + list             OK
-        if (left instanceof ListValue && right instanceof NumberValue) { // list + number
+        if (left instanceof ListValue && (right instanceof NumberValue || right instanceof BigIntValue)) { // list + number
             let new_values = [...left.elements, right];
             return new RuntimeResult().success(
                 new ListValue(new_values).set_pos(node.pos_start, node.pos_end).set_context(context)
             );
-        } else if (left instanceof NumberValue && right instanceof ListValue) { // number + list
+        } else if ((left instanceof NumberValue || left instanceof BigIntValue) && right instanceof ListValue) { // number + list
             let new_values = [left, ...right.elements];
             return new RuntimeResult().success(
                 new ListValue(new_values).set_pos(node.pos_start, node.pos_end).set_context(context)
@@ -535,6 +693,12 @@ export class Interpreter {
         let right = res.register(this.visit(node.node_b, context));
         if (res.should_return()) return res;
 
+        let overloaded = this.call_operator(left, "__sub", [right], node, context);
+        if (overloaded) return res.success(overloaded);
+
+        let big = this.bigint_operation(left, right, (a, b) => a - b, node, context);
+        if (big) return res.success(big);
+
         if (left instanceof NumberValue && right instanceof NumberValue) {
             return new RuntimeResult().success(
                 new NumberValue(left.value - right.value).set_pos(node.pos_start, node.pos_end).set_context(context)
@@ -581,6 +745,12 @@ export class Interpreter {
         let right = res.register(this.visit(node.node_b, context));
         if (res.should_return()) return res;
 
+        let overloaded = this.call_operator(left, "__mul", [right], node, context);
+        if (overloaded) return res.success(overloaded);
+
+        let big = this.bigint_operation(left, right, (a, b) => a * b, node, context);
+        if (big) return res.success(big);
+
         if (left instanceof NumberValue && right instanceof NumberValue) {
             return new RuntimeResult().success(
                 new NumberValue(left.value * right.value).set_pos(node.pos_start, node.pos_end).set_context(context)
@@ -647,6 +817,9 @@ export class Interpreter {
         let right = res.register(this.visit(node.node_b, context));
         if (res.should_return()) return res;
 
+        let overloaded = this.call_operator(left, "__div", [right], node, context);
+        if (overloaded) return res.success(overloaded);
+
         const err_divide_by_zero = () => {
             throw new RuntimeError(
                 node.pos_start, node.pos_end,
@@ -655,6 +828,10 @@ export class Interpreter {
             );
         };
 
+        // the division of two bigints is rounded towards zero
+        let big = this.bigint_operation(left, right, (a, b) => b === 0n ? err_divide_by_zero() : a / b, node, context);
+        if (big) return res.success(big);
+
         if (left instanceof NumberValue && right instanceof NumberValue) {
             if (right.value === 0) {
                 err_divide_by_zero();
@@ -717,6 +894,9 @@ export class Interpreter {
         let right = res.register(this.visit(node.node_b, context));
         if (res.should_return()) return res;
 
+        let overloaded = this.call_operator(left, "__mod", [right], node, context);
+        if (overloaded) return res.success(overloaded);
+
         const err_divide_by_zero = () => {
             throw new RuntimeError(
                 node.pos_start, node.pos_end,
@@ -725,6 +905,10 @@ export class Interpreter {
             );
         };
 
+        // the division of two bigints is rounded towards zero
+        let big = this.bigint_operation(left, right, (a, b) => b === 0n ? err_divide_by_zero() : a % b, node, context);
+        if (big) return res.success(big);
+
         if (left instanceof NumberValue && right instanceof NumberValue) {
             if (right.value === 0) {
                 err_divide_by_zero();
@@ -787,6 +971,16 @@ export class Interpreter {
         let right = res.register(this.visit(node.node_b, context));
         if (res.should_return()) return res;
 
+        let overloaded = this.call_operator(left, "__pow", [right], node, context);
+        if (overloaded) return res.success(overloaded);
+
+        let big = this.bigint_operation(left, right, (a, b) => {
+            // 2n ** -1n would be a fraction
+            if (b < 0n) throw new RuntimeError(node.pos_start, node.pos_end, "A bigint cannot have a negative exponent", context);
+            return a ** b;
+        }, node, context);
+        if (big) return res.success(big);
+
         if (left instanceof NumberValue && right instanceof NumberValue) {
             return new RuntimeResult().success(
                 new NumberValue(left.value ** right.value).set_pos(node.pos_start, node.pos_end).set_context(context)
@@ -833,6 +1027,9 @@ export class Interpreter {
         let right = res.register(this.visit(node.node_b, context));
         if (res.should_return()) return res;
 
+        let big = this.bigint_operation(left, right, (a, b) => a << b, node, context);
+        if (big) return res.success(big);
+
         // number << number            OK
         // number << none              OK
         // none << number              OK
@@ -885,6 +1082,9 @@ export class Interpreter {
         let right = res.register(this.visit(node.node_b, context));
         if (res.should_return()) return res;
 
+        let big = this.bigint_operation(left, right, (a, b) => a >> b, node, context);
+        if (big) return res.success(big);
+
         // number >> number            OK
         // number >> none              OK
         // none >> number              OK
@@ -937,6 +1137,14 @@ export class Interpreter {
         let right = res.register(this.visit(node.node_b, context));
         if (res.should_return()) return res;
 
+        if (left instanceof BigIntValue || right instanceof BigIntValue) {
+            throw new CustomTypeError(
+                node.pos_start, node.pos_end,
+                "A bigint has no unsigned shift to the right, use '>>' instead",
+                context
+            );
+        }
+
         // number >>> number            OK
         // number >>> none              OK
         // none >>> number              OK
@@ -989,6 +1197,9 @@ export class Interpreter {
         let right = res.register(this.visit(node.node_b, context));
         if (res.should_return()) return res;
 
+        let big = this.bigint_operation(left, right, (a, b) => a & b, node, context);
+        if (big) return res.success(big);
+
         // number & number            OK
         // number & none              OK
         // none & number              OK
@@ -1041,6 +1252,9 @@ export class Interpreter {
         let right = res.register(this.visit(node.node_b, context));
         if (res.should_return()) return res;
 
+        let big = this.bigint_operation(left, right, (a, b) => a | b, node, context);
+        if (big) return res.success(big);
+
         // number | number            OK
         // number | none              OK
         // none | number              OK
@@ -1093,6 +1307,9 @@ export class Interpreter {
         let right = res.register(this.visit(node.node_b, context));
         if (res.should_return()) return res;
 
+        let big = this.bigint_operation(left, right, (a, b) => a ^ b, node, context);
+        if (big) return res.success(big);
+
         // number ^ number            OK
         // number ^ none              OK
         // none ^ number              OK
@@ -1143,7 +1360,7 @@ export class Interpreter {
         let visited_node = res.register(this.visit(node.node, context));
         if (res.should_return()) return res;
 
-        if (visited_node instanceof NumberValue) {
+        if (visited_node instanceof NumberValue || visited_node instanceof BigIntValue) {
             return new RuntimeResult().success(
                 visited_node
             );
@@ -1171,10 +1388,17 @@ export class Interpreter {
         let visited_node = res.register(this.visit(node.node, context));
         if (res.should_return()) return res;
 
+        let overloaded = this.call_operator(visited_node, "__neg", [], node, context);
+        if (overloaded) return res.success(overloaded);
+
         if (visited_node instanceof NumberValue) {
             return new RuntimeResult().success(
                 new NumberValue(-1 * visited_node.value).set_pos(node.pos_start, node.pos_end).set_context(context)
             );
+        } else if (visited_node instanceof BigIntValue) {
+            return new RuntimeResult().success(
+                new BigIntValue(-visited_node.value).set_pos(node.pos_start, node.pos_end).set_context(context)
+            );
         } else if (visited_node instanceof NoneValue) {
             return new RuntimeResult().success(
                 new NumberValue(0).set_pos(node.pos_start, node.pos_end).set_context(context)
@@ -1203,6 +1427,10 @@ export class Interpreter {
             return new RuntimeResult().success(
                 new NumberValue(~visited_node.value).set_pos(node.pos_start, node.pos_end).set_context(context)
             );
+        } else if (visited_node instanceof BigIntValue) {
+            return new RuntimeResult().success(
+                new BigIntValue(~visited_node.value).set_pos(node.pos_start, node.pos_end).set_context(context)
+            );
         } else if (visited_node instanceof NoneValue) {
             return new RuntimeResult().success(
                 new NumberValue(~0).set_pos(node.pos_start, node.pos_end).set_context(context)
@@ -1228,43 +1456,32 @@ export class Interpreter {
         let value = res.register(this.visit(node.value_node, context));
         if (res.should_return()) return res;
 
-        let given_type = node.type ?? Types.ANY;
-        
+        this.declare_variable(var_name, value, node.type, node.pos_start, node.pos_end, context);
+
+        return res.success(value);
+    }
+
+    /**
+     * Declares a new variable in the current context (`var`).
+     * @param {string} var_name The name of the variable.
+     * @param {Value} value The value of the variable.
+     * @param {Type|null} type The type of the variable. If it's not specified, the type of the value is used.
+     * @param {Position} pos_start The beginning of the declaration.
+     * @param {Position} pos_end The end of the declaration.
+     * @param {Context} context The context to use.
+     */
+    declare_variable(var_name, value, type, pos_start, pos_end, context) {
         if (context.symbol_table.doesExist(var_name)) {
             throw new RuntimeError(
-                node.pos_start, node.pos_end,
+                pos_start, pos_end,
                 `Variable "${var_name}" already exists`,
                 context
             );
         }
 
-        const type_error = (value_type, expected_type) => {
-            throw new CustomTypeError(
-                node.pos_start, node.pos_end,
-                `Type '${value_type}' is not assignable to type '${expected_type}'`,
-                context
-            );
-        };
-
-        if (given_type === Types.OBJECT) {
-            if (!this.is_value_object(value)) {
-                type_error(value.type, given_type);
-            }
-        } else {
-            if (given_type === Types.DYNAMIC) {
-                if (value instanceof NoneValue) {
-                    type_error('none', 'dynamic');
-                }
-            } else if (given_type !== Types.ANY) {
-                if (given_type !== value.type) {
-                    type_error(value.type, given_type);
-                }
-            }
-        }
-
-        context.symbol_table.set(var_name, { type: node.type ? node.type : value.type, value });
+        this.check_type(value, type ?? Types.ANY, pos_start, pos_end, context);
 
-        return res.success(value);
+        context.symbol_table.set(var_name, { type: type ? type : value.type, value });
     }
 
     /**
@@ -1289,29 +1506,7 @@ export class Interpreter {
             );
         }
 
-        const type_error = (value_type, expected_type) => {
-            throw new CustomTypeError(
-                node.pos_start, node.pos_end,
-                `Type '${value_type}' is not assignable to type '${expected_type}'`,
-                context
-            );
-        };
-
-        if (given_type === Types.OBJECT) {
-            if (!this.is_value_object(value)) {
-                type_error(value.type, given_type);
-            }
-        } else {
-            if (given_type === Types.DYNAMIC) {
-                if (value instanceof NoneValue) {
-                    type_error('none', 'dynamic');
-                }
-            } else if (given_type !== Types.ANY) {
-                if (value.type !== given_type) {
-                    type_error(value.type, given_type);
-                }
-            }
-        }
+        this.check_type(value, given_type, node.pos_start, node.pos_end, context);
 
         context.symbol_table.define_constant(var_name, { type: node.type ? node.type : value.type, value });
         CONSTANTS[var_name] = value; // so that we cannot modify it later
@@ -1354,9 +1549,23 @@ export class Interpreter {
         let value = res.register(this.visit(node.value_node, context));
         if (res.should_return()) return res;
 
+        this.modify_variable(var_name, value, node.pos_start, node.pos_end, context);
+
+        return new RuntimeResult().success(value);
+    }
+
+    /**
+     * Gives a new value to an existing variable.
+     * @param {string} var_name The name of the variable.
+     * @param {Value} value The new value.
+     * @param {Position} pos_start The beginning of the assignment.
+     * @param {Position} pos_end The end of the assignment.
+     * @param {Context} context The context to use.
+     */
+    modify_variable(var_name, value, pos_start, pos_end, context) {
         if (is_in(var_name, Object.keys(CONSTANTS))) {
             throw new RuntimeError(
-                node.pos_start, node.pos_end,
+                pos_start, pos_end,
                 "You cannot change the value of a constant.",
                 context
             );
@@ -1365,39 +1574,104 @@ export class Interpreter {
         let variable = context.symbol_table.get(var_name);
         if (variable === null || variable === undefined) {
             throw new RuntimeError(
-                node.pos_start, node.pos_end,
+                pos_start, pos_end,
                 `Variable "${var_name}" doesn't exist`,
                 context
             );
         }
 
-        const type_error = (value_type, expected_type) => {
-            throw new CustomTypeError(
-                node.pos_start, node.pos_end,
-                `Type '${value_type}' is not assignable to type '${expected_type}'`,
-                context
-            );
-        };
+        this.check_type(value, variable.type, pos_start, pos_end, context);
+
+        context.symbol_table.modify(var_name, value);
+    }
+
+    /**
+     * Interprets a destructuring assignment (`var [a, b] = list` or `[a, b] = [b, a]`).
+     * @param {DestructuringAssignNode} node The node.
+     * @param {Context} context The context to use.
+     * @returns {RuntimeResult}
+     */
+    visit_DestructuringAssignNode(node, context) {
+        let res = new RuntimeResult();
+        let value = res.register(this.visit(node.value_node, context));
+        if (res.should_return()) return res;
+
+        this.destructure(node.pattern, value, node.is_declaration, context);
+
+        return res.success(value);
+    }
 
-        if (variable.type === Types.OBJECT) {
-            if (!this.is_value_object(value)) {
-                type_error(value.type, variable.type);
+    /**
+     * Assigns the parts of a value to the variables of a pattern.
+     * A list pattern accepts any iterable value (see `iterate`) and a dictionnary pattern accepts a dictionnary.
+     * @param {ListPatternNode|DictPatternNode} pattern The pattern.
+     * @param {Value} value The destructured value.
+     * @param {boolean} is_declaration Are the variables declared, or do they already exist?
+     * @param {Context} context The context to use.
+     */
+    destructure(pattern, value, is_declaration, context) {
+        if (pattern instanceof ListPatternNode) {
+            let iterator = this.iterate(value, pattern.pos_start, pattern.pos_end, context);
+            for (let i = 0; i < pattern.elements.length; i++) {
+                let next = iterator.next();
+                this.destructure_element(pattern.elements[i], next.done ? null : next.value, `index ${i}`, is_declaration, context);
+            }
+            // the values are requested only if they are needed, a generator might never end
+            if (pattern.rest) {
+                this.destructure_element(pattern.rest, new ListValue(Array.from(iterator)), null, is_declaration, context);
             }
         } else {
-            if (variable.type === Types.DYNAMIC) {
-                if (value.type instanceof NoneValue) {
-                    type_error('none', 'dynamic');
-                }
-            } else if (variable.type !== Types.ANY) {
-                if (value.type !== variable.type) {
-                    type_error(value.type, variable.type);
-                }
+            if (!(value instanceof DictionnaryValue)) {
+                throw new RuntimeError(
+                    pattern.pos_start, pattern.pos_end,
+                    `Cannot destructure a value of type '${type_of_value(value)}' with a dictionnary pattern`,
+                    context
+                );
+            }
+            for (let [key_tok, element] of pattern.entries) {
+                this.destructure_element(element, value.elements.get(key_tok.value) ?? null, `key '${key_tok.value}'`, is_declaration, context);
+            }
+            if (pattern.rest) {
+                let keys = pattern.entries.map(([key_tok]) => key_tok.value);
+                let others = new Map(Array.from(value.elements.entries()).filter(([key]) => !keys.includes(key)));
+                this.destructure_element(pattern.rest, new DictionnaryValue(others), null, is_declaration, context);
             }
         }
+    }
 
-        context.symbol_table.modify(var_name, value);
+    /**
+     * Assigns a part of a destructured value to an element of a pattern.
+     * @param {PatternElementNode} element The element.
+     * @param {Value|null} value The part of the value, null if the destructured value doesn't have it.
+     * @param {string|null} description The index or the key of the part (in the error when it's missing).
+     * @param {boolean} is_declaration Are the variables declared, or do they already exist?
+     * @param {Context} context The context to use.
+     */
+    destructure_element(element, value, description, is_declaration, context) {
+        if (value === null) {
+            if (!element.default_value_node) {
+                throw new RuntimeError(
+                    element.pos_start, element.pos_end,
+                    `The destructured value has no ${description}, and there is no default value`,
+                    context
+                );
+            }
+            // the default value can use the previous variables of the pattern
+            value = this.visit(element.default_value_node, context).value;
+        }
 
-        return new RuntimeResult().success(value);
+        if (element.target instanceof Token) {
+            let var_name = element.target.value;
+            if (is_declaration) {
+                this.declare_variable(var_name, value, element.type, element.pos_start, element.pos_end, context);
+            } else {
+                if (element.type) this.check_type(value, element.type, element.pos_start, element.pos_end, context);
+                this.modify_variable(var_name, value, element.pos_start, element.pos_end, context);
+            }
+        } else {
+            if (element.type) this.check_type(value, element.type, element.pos_start, element.pos_end, context);
+            this.destructure(element.target, value, is_declaration, context);
+        }
     }
 
     /**
@@ -1632,6 +1906,10 @@ export class Interpreter {
             return new RuntimeResult().success(
                 new BooleanValue(number.state === 0 ? 1 : 0).set_pos(node.pos_start, node.pos_end).set_context(context)
             );
+        } else if (number instanceof ClassValue) { // `__bool`
+            return new RuntimeResult().success(
+                new BooleanValue(number.is_true() ? 0 : 1).set_pos(node.pos_start, node.pos_end).set_context(context)
+            );
         } else {
             return new RuntimeResult().success(
                 new BooleanValue(0).set_pos(node.pos_start, node.pos_end).set_context(context)
@@ -1652,6 +1930,16 @@ export class Interpreter {
         let right = res.register(this.visit(node.node_b, context));
         if (res.should_return()) return res;
 
+        let overloaded = this.call_operator(left, "__eq", [right], node, context);
+        if (overloaded) {
+            return res.success(
+                new BooleanValue(overloaded.is_true() ? 1 : 0).set_pos(node.pos_start, node.pos_end).set_context(context)
+            );
+        }
+
+        let compared = this.bigint_comparison(left, right, (a, b) => a == b, node, context);
+        if (compared) return res.success(compared);
+
         if (left instanceof NumberValue && right instanceof NumberValue) {
             return new RuntimeResult().success(
                 new BooleanValue(left.value === right.value ? 1 : 0).set_pos(node.pos_start, node.pos_end).set_context(context)
@@ -1722,6 +2010,16 @@ export class Interpreter {
         let right = res.register(this.visit(node.node_b, context));
         if (res.should_return()) return res;
 
+        let overloaded = this.call_operator(left, "__lt", [right], node, context);
+        if (overloaded) {
+            return res.success(
+                new BooleanValue(overloaded.is_true() ? 1 : 0).set_pos(node.pos_start, node.pos_end).set_context(context)
+            );
+        }
+
+        let compared = this.bigint_comparison(left, right, (a, b) => a < b, node, context);
+        if (compared) return res.success(compared);
+
         if (left instanceof NumberValue && right instanceof NumberValue) {
             return new RuntimeResult().success(
                 new BooleanValue(left.value < right.value ? 1 : 0).set_pos(node.pos_start, node.pos_end).set_context(context)
@@ -1802,6 +2100,16 @@ export class Interpreter {
         let right = res.register(this.visit(node.node_b, context));
         if (res.should_return()) return res;
 
+        let overloaded = this.call_operator(left, "__gt", [right], node, context);
+        if (overloaded) {
+            return res.success(
+                new BooleanValue(overloaded.is_true() ? 1 : 0).set_pos(node.pos_start, node.pos_end).set_context(context)
+            );
+        }
+
+        let compared = this.bigint_comparison(left, right, (a, b) => a > b, node, context);
+        if (compared) return res.success(compared);
+
         if (left instanceof NumberValue && right instanceof NumberValue) {
             return new RuntimeResult().success(
                 new BooleanValue(left.value > right.value ? 1 : 0).set_pos(node.pos_start, node.pos_end).set_context(context)
@@ -1882,6 +2190,16 @@ export class Interpreter {
         let right = res.register(this.visit(node.node_b, context));
         if (res.should_return()) return res;
 
+        let overloaded = this.call_operator(left, "__le", [right], node, context);
+        if (overloaded) {
+            return res.success(
+                new BooleanValue(overloaded.is_true() ? 1 : 0).set_pos(node.pos_start, node.pos_end).set_context(context)
+            );
+        }
+
+        let compared = this.bigint_comparison(left, right, (a, b) => a <= b, node, context);
+        if (compared) return res.success(compared);
+
         if (left instanceof NumberValue && right instanceof NumberValue) {
             return new RuntimeResult().success(
                 new BooleanValue(left.value <= right.value ? 1 : 0).set_pos(node.pos_start, node.pos_end).set_context(context)
@@ -1962,6 +2280,16 @@ export class Interpreter {
         let right = res.register(this.visit(node.node_b, context));
         if (res.should_return()) return res;
 
+        let overloaded = this.call_operator(left, "__ge", [right], node, context);
+        if (overloaded) {
+            return res.success(
+                new BooleanValue(overloaded.is_true() ? 1 : 0).set_pos(node.pos_start, node.pos_end).set_context(context)
+            );
+        }
+
+        let compared = this.bigint_comparison(left, right, (a, b) => a >= b, node, context);
+        if (compared) return res.success(compared);
+
         if (left instanceof NumberValue && right instanceof NumberValue) {
             return new RuntimeResult().success(
                 new BooleanValue(left.value >= right.value ? 1 : 0).set_pos(node.pos_start, node.pos_end).set_context(context)
@@ -2042,6 +2370,16 @@ export class Interpreter {
         let right = res.register(this.visit(node.node_b, context));
         if (res.should_return()) return res;
 
+        let overloaded = this.call_operator(left, "__eq", [right], node, context);
+        if (overloaded) {
+            return res.success(
+                new BooleanValue(overloaded.is_true() ? 0 : 1).set_pos(node.pos_start, node.pos_end).set_context(context)
+            );
+        }
+
+        let compared = this.bigint_comparison(left, right, (a, b) => a != b, node, context);
+        if (compared) return res.success(compared);
+
         if (left instanceof NumberValue && right instanceof NumberValue) {
             return new RuntimeResult().success(
                 new BooleanValue(left.value !== right.value ? 1 : 0).set_pos(node.pos_start, node.pos_end).set_context(context)
@@ -2131,7 +2469,7 @@ export class Interpreter {
         for (let element_node of node.element_nodes) {
             let value = res.register(this.visit(element_node, context));
             if (res.should_return()) return res;
-            elements.push(value);
+            this.push_element(elements, element_node, value, context);
         }
 
         return res.success(
@@ -2139,6 +2477,29 @@ export class Interpreter {
         );
     }
 
+    /**
+     * Adds a value to the elements of a list or to the arguments of a call,
+     * or all the elements of the value if it's spread (`...list`).
+     * @param {Value[]} elements The elements.
+     * @param {CustomNode} node The node of the value.
+     * @param {Value} value The value.
+     * @param {Context} context The context to use.
+     */
+    push_element(elements, node, value, context) {
+        if (!(node instanceof SpreadNode)) {
+            elements.push(value);
+            return;
+        }
+        if (!(value instanceof ListValue)) {
+            throw new CustomTypeError(
+                node.pos_start, node.pos_end,
+                `Cannot spread a value of type '${type_of_value(value)}' here, expected a list`,
+                context
+            );
+        }
+        elements.push(...value.elements);
+    }
+
     /**
      * Interprets a variable call (if the variable is a list).
      * @param {ListAccessNode} node The node.
@@ -2175,7 +2536,7 @@ export class Interpreter {
             );
         }
 
-        if (!(value instanceof ListValue) && !(value instanceof DictionnaryValue)) {
+        if (!(value instanceof ListValue) && !(value instanceof DictionnaryValue) && !has_method(value, "__getitem")) {
             throw new RuntimeError(
                 node.pos_start, node.pos_end,
                 `Variable '${var_name}' must be a list or a dictionnary.`,
@@ -2194,6 +2555,22 @@ export class Interpreter {
             let visited_value = null;
             let binary_selector = null;
 
+            // an object defines the behavior of `[]` with its method `__getitem`
+            let accessed_value = i === 0 ? value : found_value;
+            if (has_method(accessed_value, "__getitem")) {
+                if (index_node instanceof ListBinarySelector) {
+                    throw new RuntimeError(
+                        index_node.pos_start, index_node.pos_end,
+                        "Invalid binary selector: cannot get several elements from an object.",
+                        context
+                    );
+                }
+                let index = res.register(this.visit(index_node, context));
+                if (res.should_return()) return res;
+                found_value = this.call_operator(accessed_value, "__getitem", [index], node, context);
+                continue;
+            }
+
             if (index_node instanceof ListBinarySelector) {
                 if (value instanceof DictionnaryValue) {
                     throw new RuntimeError(
@@ -2385,7 +2762,11 @@ export class Interpreter {
             );
         }
 
-        if (!(value instanceof ListValue) && !(value instanceof DictionnaryValue)) {
+        // an object defines `obj[index] = new_value` with its method `__setitem`,
+        // and `obj[index][...] = new_value` modifies the value returned by its method `__getitem`
+        let item_method = node.accessor.list_nodes.length === 1 ? "__setitem" : "__getitem";
+
+        if (!(value instanceof ListValue) && !(value instanceof DictionnaryValue) && !has_method(value, item_method)) {
             throw new RuntimeError(
                 node.pos_start, node.pos_end,
                 `Variable '${var_name}' must be a list or a dictionnary.`,
@@ -2455,8 +2836,44 @@ export class Interpreter {
             }
         }
 
+        // the new element of a typed list or dictionnary (`list<number>`) must be of the type of its elements,
+        // a binary selector replaces several elements
+        if (!index_per_depth.some((index) => index instanceof BinarySelectorValues)) {
+            let is_push = index_per_depth.at(-1) instanceof ListPushBracketsNode;
+            let element_type = element_type_at(context.symbol_table.get(var_name).type, index_per_depth.length, is_push);
+            if (!is_assignable(new_value, element_type, context)) {
+                throw new CustomTypeError(
+                    node.new_value_node.pos_start, node.new_value_node.pos_end,
+                    `Type '${type_of_value(new_value)}' is not assignable to type '${element_type}'`,
+                    context
+                );
+            }
+        }
+
         let value_to_be_replaced;
-        for (let i = 0; i < index_per_depth.length; i++) {
+        let first_depth = 0;
+
+        if (value instanceof ClassValue) {
+            let index = index_per_depth[0];
+            if (!(index instanceof NumberValue) && !(index instanceof StringValue)) {
+                let index_node = node.accessor.list_nodes[0].node;
+                throw new RuntimeError(
+                    index_node.pos_start, index_node.pos_end,
+                    "The index of an object must be a number or a string.",
+                    context
+                );
+            }
+
+            if (index_per_depth.length === 1) {
+                this.call_operator(value, item_method, [index, new_value], node, context);
+                return res.success(new_value);
+            }
+
+            value_to_be_replaced = this.call_operator(value, item_method, [index], node, context);
+            first_depth = 1;
+        }
+
+        for (let i = first_depth; i < index_per_depth.length; i++) {
             // we add something to the array
             // so it's like: `liste[liste.length] = something`
             // but it's ugly so we use `liste[] = something` (like PHP)
@@ -2760,7 +3177,8 @@ export class Interpreter {
             }
         }
 
-        context.symbol_table.set(var_name, { type: value.type, value });
+        // the variable keeps its declared type (`list<number>`)
+        context.symbol_table.modify(var_name, value);
 
         return res.success(new_value);
     }
@@ -2772,52 +3190,43 @@ export class Interpreter {
      * @returns {RuntimeResult}
      */
     visit_StringNode(node, context) {
+        return new RuntimeResult().success(
+            new StringValue(node.token.value).set_context(context).set_pos(node.pos_start, node.pos_end)
+        );
+    }
+
+    /**
+     * Interprets a formatted string: the interpolated expressions are evaluated in the current context.
+     * @param {FormattedStringNode} node The node.
+     * @param {Context} context The context to use.
+     * @returns {RuntimeResult}
+     */
+    visit_FormattedStringNode(node, context) {
+        let res = new RuntimeResult();
         let interpreted_string = "";
-        let allow_concatenation = node.allow_concatenation;
-
-        if (allow_concatenation) {
-            for (let i = 0; i < node.token.value.length; i++) {
-                let char = node.token.value[i];
-                let variable_name = "";
-                if (char === "$") {
-                    let previous_char = "";
-                    while (true) {
-                        i++;
-                        if (i >= node.token.value.length) break;
-                        if (node.token.value[i] === " ") break;
-                        if (!is_in(node.token.value[i], LETTERS_DIGITS)) {
-                            previous_char = node.token.value[i];
-                            break;
-                        }
-                        char = node.token.value[i];
-                        variable_name += char;
-                    }
-                    if (variable_name) {
-                        let value = context.symbol_table.get(variable_name)?.value;
-                        if (value === null || value === undefined) {
-                            throw new RuntimeError(
-                                node.pos_start, node.pos_end,
-                                `Undefined variable '${variable_name}'`,
-                                context
-                            );
-                        }
-                        if (value.repr !== undefined) {
-                            interpreted_string += value.repr() + previous_char;
-                        } else {
-                            interpreted_string += value.toString() + previous_char;
-                        }
-                    } else {
-                        interpreted_string += "$";
-                    }
-                } else {
-                    interpreted_string += char;
+
+        for (let part of node.parts) {
+            if (typeof part === "string") {
+                interpreted_string += part;
+                continue;
+            }
+
+            let value = res.register(this.visit(part.node, context));
+            if (res.should_return()) return res;
+
+            let text = value.repr !== undefined ? value.repr() : value.toString();
+            if (part.format_spec) {
+                try {
+                    text = format(value instanceof NumberValue || value instanceof BigIntValue ? value.value : text, part.format_spec);
+                } catch (e) {
+                    if (!(e instanceof TypeError)) throw e;
+                    throw new CustomTypeError(part.pos_start, part.pos_end, e.message, context);
                 }
             }
-        } else {
-            interpreted_string = node.token.value;
+            interpreted_string += text;
         }
 
-        return new RuntimeResult().success(
+        return res.success(
             new StringValue(interpreted_string).set_context(context).set_pos(node.pos_start, node.pos_end)
         );
     }
@@ -2872,14 +3281,45 @@ export class Interpreter {
         let res = new RuntimeResult();
         let elements = []; // we want a loop to return by default a ListValue.
 
+        for (let i of this.for_values(node, context)) {
+            // each iteration has its own variable, so that a function created in the loop keeps its value
+            const exec_ctx = this.generate_new_context(context, "<for>", node.pos_start);
+            exec_ctx.symbol_table.set(node.var_name_tok.value, { type: Types.NUMBER, value: new NumberValue(i) });
+
+            let value = res.register(this.visit(node.body_node, exec_ctx));
+            if (res.should_return() && res.loop_should_continue === false && res.loop_should_break === false) return res;
+            if (res.loop_should_continue) continue;
+            if (res.loop_should_break) break;
+
+            if (!node.should_return_null && node.prevent_null_return && value instanceof ListValue) {
+                // to avoid list of lists (because of 'statements()' on multiline loops)
+                // useful inside html structures
+                elements.push(...value.elements);
+            } else {
+                elements.push(value);
+            }
+        }
+
+        return res.success(
+            node.should_return_null
+                ? new NoneValue()
+                : new ListValue(elements).set_pos(node.pos_start, node.pos_end).set_context(context)
+        );
+    }
+
+    /**
+     * Gets the successive values of the variable of a for loop.
+     * @param {ForNode} node The node.
+     * @param {Context} context The context to use.
+     * @returns {Generator<number>}
+     */
+    *for_values(node, context) {
         let start_value = new NumberValue(0);
         if (node.start_value_node) {
-            start_value = res.register(this.visit(node.start_value_node, context));
-            if (res.should_return()) return res;
+            start_value = this.visit(node.start_value_node, context).value;
         }
 
-        let end_value = res.register(this.visit(node.end_value_node, context));
-        if (res.should_return()) return res;
+        let end_value = this.visit(node.end_value_node, context).value;
 
         // this will automatically decide between 1 or -1
         // based on the values of the starting point and the end point.
@@ -2888,8 +3328,7 @@ export class Interpreter {
         let step_value = new NumberValue(start_value.value < end_value.value ? 1 : -1);
         // This default value is overwritten if a value is specified in the program.
         if (node.step_value_node) {
-            step_value = res.register(this.visit(node.step_value_node, context));
-            if (res.should_return()) return res;
+            step_value = this.visit(node.step_value_node, context).value;
         }
 
         let condition = () => false;
@@ -2902,30 +3341,9 @@ export class Interpreter {
         }
 
         while (condition()) {
-            context.symbol_table.set(node.var_name_tok.value, { type: Types.NUMBER, value: new NumberValue(i) });
-            const exec_ctx = this.generate_new_context(context, "<for>", node.pos_start);
-            
+            yield i;
             i += step_value.value;
-
-            let value = res.register(this.visit(node.body_node, exec_ctx));
-            if (res.should_return() && res.loop_should_continue === false && res.loop_should_break === false) return res;
-            if (res.loop_should_continue) continue;
-            if (res.loop_should_break) break;
-
-            if (!node.should_return_null && node.prevent_null_return && value instanceof ListValue) {
-                // to avoid list of lists (because of 'statements()' on multiline loops)
-                // useful inside html structures
-                elements.push(...value.elements);
-            } else {
-                elements.push(value);
-            }
         }
-
-        return res.success(
-            node.should_return_null
-                ? new NoneValue()
-                : new ListValue(elements).set_pos(node.pos_start, node.pos_end).set_context(context)
-        );
     }
 
     /**
@@ -2938,36 +3356,14 @@ export class Interpreter {
         let res = new RuntimeResult();
         let elements = []; // we want a loop to return by default a ListValue.
 
-        let i = 0;
-        let list = res.register(this.visit(node.list_node, context));
+        let iterable = res.register(this.visit(node.list_node, context));
         if (res.should_return()) return res;
 
-        if (!(list instanceof ListValue) && !(list instanceof DictionnaryValue)) {
-            throw new RuntimeError(
-                node.list_node.pos_start, node.list_node.pos_end,
-                "Must loop on a list or dictionnary",
-                context
-            );
-        }
-
-        while (true) {
-            if (node.key_name_tok) {
-                if (list instanceof DictionnaryValue) {
-                    context.symbol_table.set(node.key_name_tok.value, { type: Types.STRING, value: new StringValue(Array.from(list.elements.keys())[i]) });
-                } else {
-                    context.symbol_table.set(node.key_name_tok.value, { type: Types.NUMBER, value: new NumberValue(i) });
-                }
-            }
-
-            if (list instanceof DictionnaryValue) {
-                let el = list.elements.get(Array.from(list.elements.keys())[i]);
-                context.symbol_table.set(node.value_name_tok.value, { type: el.type, value: el });
-            } else if (list instanceof ListValue) {
-                let el = list.elements[i];
-                context.symbol_table.set(node.value_name_tok.value, { type: el.type, value: el });
-            }
-
+        for (let [key, element] of this.foreach_entries(iterable, node, context)) {
+            // each iteration has its own variables, so that a function created in the loop keeps their values
             const exec_ctx = this.generate_new_context(context, "<foreach>", node.pos_start);
+            if (node.key_name_tok) exec_ctx.symbol_table.set(node.key_name_tok.value, { type: key.type, value: key });
+            exec_ctx.symbol_table.set(node.value_name_tok.value, { type: element.type, value: element });
 
             let value = res.register(this.visit(node.body_node, exec_ctx));
             if (res.should_return() && res.loop_should_continue === false && res.loop_should_break === false) return res;
@@ -2981,13 +3377,6 @@ export class Interpreter {
             } else {
                 elements.push(value);
             }
-
-            i++;
-            if (list instanceof ListValue) {
-                if (i >= list.elements.length) break;
-            } else if (list instanceof DictionnaryValue) {
-                if (i >= list.elements.size) break;
-            }
         }
 
         return res.success(
@@ -2997,6 +3386,111 @@ export class Interpreter {
         );
     }
 
+    /**
+     * Gets the successive keys (or indexes) and values of what a foreach loop iterates over.
+     * @param {Value} iterable The dictionnary or the iterable value (see `iterate`).
+     * @param {ForeachNode} node The node.
+     * @param {Context} context The context to use.
+     * @returns {Generator<[Value, Value]>}
+     */
+    *foreach_entries(iterable, node, context) {
+        if (iterable instanceof DictionnaryValue) {
+            for (let [key, value] of iterable.elements) {
+                yield [new StringValue(key), value];
+            }
+        } else {
+            let i = 0;
+            for (let value of this.iterate(iterable, node.list_node.pos_start, node.list_node.pos_end, context)) {
+                yield [new NumberValue(i++), value];
+            }
+        }
+    }
+
+    /**
+     * Gets the values of an iterable value one by one:
+     * the elements of a list, the keys of a dictionnary, the characters of a string, the values of a generator,
+     * or the values of an object whose method `__iter` returns an iterable value or an iterator
+     * (an object whose method `__next` returns the next value, or none when there is no more values,
+     * unless it has a method `__has_next`, which then decides when the iteration stops so that none can be a value).
+     * @param {Value} iterable The iterable value.
+     * @param {Position} pos_start The starting position of the iterable value.
+     * @param {Position} pos_end The end position of the iterable value.
+     * @param {Context} context The context to use.
+     * @returns {Generator<Value>}
+     */
+    *iterate(iterable, pos_start, pos_end, context) {
+        if (iterable instanceof ListValue) {
+            for (let i = 0; i < iterable.elements.length; i++) {
+                yield iterable.elements[i];
+            }
+        } else if (iterable instanceof DictionnaryValue) {
+            for (let key of iterable.elements.keys()) {
+                yield new StringValue(key);
+            }
+        } else if (iterable instanceof StringValue) {
+            for (let char of iterable.value) {
+                yield new StringValue(char);
+            }
+        } else if (iterable instanceof GeneratorValue) {
+            while (!iterable.is_done()) {
+                yield iterable.next();
+            }
+        } else if (has_method(iterable, "__iter")) {
+            let iterator = this.call_method(iterable, "__iter", [], pos_start, pos_end, context);
+            if (has_method(iterator, "__next")) {
+                let has_next = has_method(iterator, "__has_next");
+                while (true) {
+                    if (has_next && !this.call_method(iterator, "__has_next", [], pos_start, pos_end, context).is_true()) break;
+                    let value = this.call_method(iterator, "__next", [], pos_start, pos_end, context);
+                    if (!has_next && value instanceof NoneValue) break;
+                    yield value;
+                }
+            } else {
+                // `method* __iter()` for example
+                yield* this.iterate(iterator, pos_start, pos_end, context);
+            }
+        } else {
+            throw new RuntimeError(
+                pos_start, pos_end,
+                "Must loop on an iterable value: a list, a dictionnary, a string, a generator or an object with an '__iter' method",
+                context
+            );
+        }
+    }
+
+    /**
+     * Calls a method of an instance of a class from the interpreter (the methods of the iteration protocol for example).
+     * @param {ClassValue} instance The instance.
+     * @param {string} name The name of the method.
+     * @param {Value[]} args The arguments.
+     * @param {Position} pos_start The starting position of the code that requires the call.
+     * @param {Position} pos_end The end position of the code that requires the call.
+     * @param {Context} context The context to use.
+     * @returns {Value} The returned value.
+     */
+    call_method(instance, name, args, pos_start, pos_end, context) {
+        /** @type {FunctionValue} */
+        let method = instance.self.get(name).value.value;
+        let exec_ctx = this.generate_new_context(context, instance.context_name, pos_start);
+        exec_ctx.symbol_table.set("self", { type: instance.type, value: instance });
+        let res = method.copy().set_pos(pos_start, pos_end).set_context(exec_ctx).execute(args);
+        return res.value ?? new NoneValue();
+    }
+
+    /**
+     * Calls the method with which an instance overloads an operator (`__add` for `+`, `__eq` for `==`, `__getitem` for `[]`, etc.).
+     * @param {Value} operand The instance (the left operand of a binary operation).
+     * @param {string} name The name of the method.
+     * @param {Value[]} args The other operands.
+     * @param {CustomNode} node The node of the operation.
+     * @param {Context} context The context to use.
+     * @returns {Value|null} The returned value, or null if the operand doesn't define this method.
+     */
+    call_operator(operand, name, args, node, context) {
+        if (!has_method(operand, name)) return null;
+        return this.call_method(operand, name, args, node.pos_start, node.pos_end, context);
+    }
+
     /**
      * Interprets a while node.
      * @param {WhileNode} node The node.
@@ -3056,9 +3550,12 @@ export class Interpreter {
             func_name,
             body_node,
             all_args,
-            node.should_auto_return)
+            node.should_auto_return,
+            node.return_type,
+            node.is_generator)
                 .set_context(context)
                 .set_pos(node.pos_start, node.pos_end);
+        func_value.closure = context;
         
         // we want to invoke the function with its name
         // so we use it as a variable in our symbole table
@@ -3102,8 +3599,9 @@ export class Interpreter {
         value_to_call = value_to_call.copy().set_pos(node.pos_start, node.pos_end);
 
         for (let arg_node of node.arg_nodes) {
-            args.push(res.register(this.visit(arg_node, context)));
+            let value = res.register(this.visit(arg_node, context));
             if (res.should_return()) return res;
+            this.push_element(args, arg_node, value, context);
         }
 
         let return_value = res.register(value_to_call.execute(args, pos_start, pos_end));
@@ -3131,7 +3629,144 @@ export class Interpreter {
             value = new NoneValue().set_pos(node.pos_start, node.pos_end).set_context(context);
         }
 
-        return res.success_return(value);
+        return res.success_return(value, node);
+    }
+
+    /**
+     * A 'yield' statement is executed by `generate`, unless it's in a place where the execution cannot be paused.
+     * @param {YieldNode} node The node.
+     * @param {Context} context The context to use.
+     * @throws {RuntimeError}
+     */
+    visit_YieldNode(node, context) {
+        throw new RuntimeError(
+            node.pos_start, node.pos_end,
+            "'yield' can only be used in the statements, the conditions, the loops and the 'try' blocks of a generator function.",
+            context
+        );
+    }
+
+    /**
+     * Executes the body of a generator function, step by step: each 'yield' pauses the execution and gives a value.
+     * The nodes that don't contain a 'yield' statement are interpreted normally.
+     * @param {CustomNode} node The node.
+     * @param {Context} context The context to use.
+     * @returns {Generator<Value, RuntimeResult>} The result of the node is returned at the end.
+     */
+    *generate(node, context) {
+        let res = new RuntimeResult();
+
+        if (!contains_yield(node)) {
+            return this.visit(node, context);
+        } else if (node instanceof YieldNode) {
+            let value = new NoneValue();
+            if (node.node_to_yield) {
+                value = res.register(this.visit(node.node_to_yield, context));
+                if (res.should_return()) return res;
+            }
+            yield value;
+        } else if (node instanceof ListNode) {
+            // the statements of a block
+            for (let element_node of node.element_nodes) {
+                res.register(yield* this.generate(element_node, context));
+                if (res.should_return()) return res;
+            }
+        } else if (node instanceof IfNode) {
+            let body = node.else_case;
+            for (let [condition, expr] of node.cases) {
+                let condition_value = res.register(this.visit(condition, context));
+                if (res.should_return()) return res;
+                if (condition_value.is_true()) {
+                    body = expr;
+                    break;
+                }
+            }
+            if (body) {
+                res.register(yield* this.generate(body, context));
+                if (res.should_return()) return res;
+            }
+        } else if (node instanceof SwitchNode) {
+            let body = node.default_case;
+            for (let cas of node.cases) {
+                let pass = false;
+                for (let cond of cas.conditions) {
+                    let condition_value = res.register(this.visit(cond, context));
+                    if (res.should_return()) return res;
+                    pass = condition_value.is_true();
+                    if (pass) break;
+                }
+                if (pass) {
+                    body = cas.body;
+                    break;
+                }
+            }
+            if (body) {
+                const exec_ctx = this.generate_new_context(context, "<switch>", body.pos_start);
+                res.register(yield* this.generate(body, exec_ctx));
+                if (res.should_return()) return res;
+            }
+        } else if (node instanceof ForNode || node instanceof ForeachNode || node instanceof WhileNode) {
+            // the loops of a generator don't return the list of the values of their iterations
+            const iterations = function* (interpreter) {
+                if (node instanceof ForNode) {
+                    for (let i of interpreter.for_values(node, context)) {
+                        const exec_ctx = interpreter.generate_new_context(context, "<for>", node.pos_start);
+                        exec_ctx.symbol_table.set(node.var_name_tok.value, { type: Types.NUMBER, value: new NumberValue(i) });
+                        yield exec_ctx;
+                    }
+                } else if (node instanceof ForeachNode) {
+                    let iterable = interpreter.visit(node.list_node, context).value;
+                    for (let [key, element] of interpreter.foreach_entries(iterable, node, context)) {
+                        const exec_ctx = interpreter.generate_new_context(context, "<foreach>", node.pos_start);
+                        if (node.key_name_tok) exec_ctx.symbol_table.set(node.key_name_tok.value, { type: key.type, value: key });
+                        exec_ctx.symbol_table.set(node.value_name_tok.value, { type: element.type, value: element });
+                        yield exec_ctx;
+                    }
+                } else {
+                    while (interpreter.visit(node.condition_node, context).value.is_true()) {
+                        yield interpreter.generate_new_context(context, "<while>", node.pos_start);
+                    }
+                }
+            };
+
+            for (let exec_ctx of iterations(this)) {
+                res.register(yield* this.generate(node.body_node, exec_ctx));
+                if (res.loop_should_continue) continue;
+                if (res.loop_should_break) break;
+                if (res.should_return()) return res;
+            }
+        } else if (node instanceof TryNode) {
+            try {
+                const exec_ctx = this.generate_new_context(context, "<try>", node.pos_start);
+                res.register(yield* this.generate(node.try_body, exec_ctx));
+                if (res.should_return()) return res;
+            } catch (e) {
+                if (!(e instanceof CustomError) || !node.catch_body) throw e;
+
+                const exec_ctx = this.generate_new_context(context, "<catch>", node.pos_start);
+                if (node.catch_var_name_tok) {
+                    let error_value = e instanceof ThrownError ? e.value : create_error_value(e);
+                    exec_ctx.symbol_table.set(node.catch_var_name_tok.value, { type: error_value.type, value: error_value });
+                }
+
+                res.register(yield* this.generate(node.catch_body, exec_ctx));
+                if (res.should_return()) return res;
+            } finally {
+                if (node.finally_body) {
+                    let finally_res = new RuntimeResult();
+                    const exec_ctx = this.generate_new_context(context, "<finally>", node.pos_start);
+                    finally_res.register(yield* this.generate(node.finally_body, exec_ctx));
+                    if (finally_res.should_return()) return finally_res;
+                }
+            }
+        } else {
+            // 'yield' in an expression
+            let yield_node = node;
+            while (!(yield_node instanceof YieldNode)) yield_node = child_nodes(yield_node).find(contains_yield);
+            return this.visit_YieldNode(yield_node, context);
+        }
+
+        return res.success(new NoneValue().set_pos(node.pos_start, node.pos_end).set_context(context));
     }
 
     /**
@@ -3583,7 +4218,7 @@ export class Interpreter {
                     }
                 }
 
-                context.symbol_table.set(var_name, { type: value.type, value });
+                context.symbol_table.modify(var_name, value);
             } else {
                 throw new RuntimeError(
                     node_to_access.pos_start, node_to_access.pos_end,
@@ -3618,6 +4253,10 @@ export class Interpreter {
             return res.success(
                 new NumberValue(visited.value + difference).set_pos(node.pos_start, node.pos_end).set_context(context)
             );
+        } else if (visited instanceof BigIntValue) {
+            return res.success(
+                new BigIntValue(visited.value + BigInt(difference)).set_pos(node.pos_start, node.pos_end).set_context(context)
+            );
         } else if (visited instanceof NoneValue) {
             return res.success(
                 new NumberValue(0 + difference).set_pos(node.pos_start, node.pos_end).set_context(context)
@@ -3668,6 +4307,10 @@ export class Interpreter {
             let new_value = new NumberValue(value.value + difference).set_pos(node.pos_start, node.pos_end).set_context(context);
             context.symbol_table.modify(var_name, new_value);
             return new RuntimeResult().success(new_value);
+        } else if (value instanceof BigIntValue) {
+            let new_value = new BigIntValue(value.value + BigInt(difference)).set_pos(node.pos_start, node.pos_end).set_context(context);
+            context.symbol_table.modify(var_name, new_value);
+            return new RuntimeResult().success(new_value);
         } else if (value instanceof NoneValue) {
             let new_value = new NumberValue(0 + difference).set_pos(node.pos_start, node.pos_end).set_context(context);
             context.symbol_table.modify(var_name, new_value);
@@ -3686,13 +4329,29 @@ export class Interpreter {
     visit_DictionnaryNode(node, context) {
         let res = new RuntimeResult();
         let map = new Map();
+        // the keys written in the dictionnary, they can replace the keys of a spread dictionnary
+        let defined_keys = new Set();
 
         for (let element of node.element_nodes) {
+            if (element instanceof SpreadNode) {
+                let value = res.register(this.visit(element, context));
+                if (res.should_return()) return res;
+                if (!(value instanceof DictionnaryValue)) {
+                    throw new CustomTypeError(
+                        element.pos_start, element.pos_end,
+                        `Cannot spread a value of type '${type_of_value(value)}' here, expected a dictionnary`,
+                        context
+                    );
+                }
+                for (let [key, entry] of value.elements) map.set(key, entry);
+                continue;
+            }
+
             let key = element.key.token.value;
             let value = res.register(this.visit(element.value, context));
             if (res.should_return()) return res;
 
-            if (map.has(key)) {
+            if (defined_keys.has(key)) {
                 throw new RuntimeError(
                     node.pos_start, node.pos_end,
                     `The key '${key}' has already been defined.`,
@@ -3700,6 +4359,7 @@ export class Interpreter {
                 );
             }
 
+            defined_keys.add(key);
             map.set(key, value);
         }
 
@@ -3730,29 +4390,7 @@ export class Interpreter {
             );
         }
 
-        const type_error = (value_type, expected_type) => {
-            throw new CustomTypeError(
-                node.pos_start, node.pos_end,
-                `Type '${value_type}' is not assignable to type '${expected_type}'`,
-                context
-            );
-        };
-
-        if (given_type === Types.OBJECT) {
-            if (!this.is_value_object(value)) {
-                type_error(value.type, given_type);
-            }
-        } else {
-            if (given_type === Types.DYNAMIC) {
-                if (value instanceof NoneValue) {
-                    type_error('none', 'dynamic');
-                }
-            } else if (given_type !== Types.ANY) {
-                if (value.type !== given_type) {
-                    type_error(value.type, given_type);
-                }
-            }
-        }
+        this.check_type(value, given_type, node.pos_start, node.pos_end, context);
 
         // add into the context allows us to check if a property, method etc. has already been defined inside the class
         context.symbol_table.set(property_name, { type: node.type ? node.type : value.type, value });
@@ -3866,6 +4504,9 @@ export class Interpreter {
                 );
             }
             method.type_name = "method";
+            // a method uses the variables of the scope in which the class is defined,
+            // and 'self' is given by the context in which it's called
+            method.closure = context;
             if (!method_node.override) {
                 check_if_already_exists(method_name, "method", method_node.func.var_name_tok.pos_start, method_node.func.var_name_tok.pos_end);
             }
@@ -3925,6 +4566,7 @@ export class Interpreter {
             let getter = res.register(this.visit(getter_node.func, exec_ctx));
             if (res.should_return()) return res;
             getter.type_name = "getter";
+            getter.closure = context;
             if (!getter_node.override) {
                 check_if_already_exists(getter_name, "getter", getter_node.func.var_name_tok.pos_start, getter_node.func.var_name_tok.pos_end);
             }
@@ -3965,6 +4607,7 @@ export class Interpreter {
             let setter = res.register(this.visit(setter_node.func, exec_ctx));
             if (res.should_return()) return res;
             setter.type_name = "setter";
+            setter.closure = context;
             if (!setter_node.override) {
                 check_if_already_exists(setter_name, "setter", setter_node.func.var_name_tok.pos_start, setter_node.func.var_name_tok.pos_end);
             }
@@ -4004,6 +4647,26 @@ export class Interpreter {
             );
         }
 
+        // `new Error(details)` gets the position and the traceback of the instantiation,
+        // just like the errors that the interpreter throws
+        if (value instanceof NativeClassValue && value.name === "Error") {
+            let args = [];
+            for (let arg of node.arg_nodes) {
+                let value = res.register(this.visit(arg, context));
+                if (res.should_return()) return res;
+                this.push_element(args, arg, value, context);
+            }
+            if (args.length > 1 || (args.length === 1 && !(args[0] instanceof StringValue))) {
+                throw new CustomTypeError(
+                    node.pos_start, node.pos_end,
+                    "An error expects a string (its details) as its only argument",
+                    context
+                );
+            }
+            let details = args.length === 1 ? args[0].value : "";
+            return res.success(create_error_value(new RuntimeError(node.pos_start, node.pos_end, details, context), "Error"));
+        }
+
         // the instance of a class
         // does not heritate the static properties, methods
         let new_class_value = new ClassValue(class_name, new Map(Array.from(value.self.entries()).map((v) => v[1].static_prop === 0 ? v : null).filter((v) => v !== null)), value.parent_class).set_pos(node.pos_start, node.pos_end).set_context(context);
@@ -4016,7 +4679,7 @@ export class Interpreter {
             for (let arg of node.arg_nodes) {
                 let value = res.register(this.visit(arg, context));
                 if (res.should_return()) return res;
-                args.push(value);
+                this.push_element(args, arg, value, context);
             }
 
             method.context.symbol_table.set('self', { type: new_class_value.type, value: new_class_value });
@@ -4115,6 +4778,27 @@ export class Interpreter {
                 );
             }
             return res.success(prop);
+        } else if (base instanceof ModuleValue) {
+            if (!base.exports.includes(property_name)) {
+                throw new RuntimeError(
+                    node.property_tok.pos_start, node.property_tok.pos_end,
+                    `The module '${base.name}' doesn't export '${property_name}'.`,
+                    context
+                );
+            }
+            return res.success(get_exported_variable(base.symbol_table, property_name).value);
+        } else if (base instanceof GeneratorValue && property_name === "done") {
+            return res.success(new BooleanValue(base.is_done() ? 1 : 0).set_pos(node.pos_start, node.pos_end).set_context(context));
+        } else if (get_native_methods(base)) {
+            let method = get_native_method(base, property_name);
+            if (!method) {
+                throw new RuntimeError(
+                    node.property_tok.pos_start, node.property_tok.pos_end,
+                    `The method '${property_name}' doesn't exist on type '${base.type}'.`,
+                    context
+                );
+            }
+            return res.success(method.set_pos(node.pos_start, node.pos_end).set_context(context));
         } else {
             if (node.is_optional) {
                 return res.success(
@@ -4142,7 +4826,7 @@ export class Interpreter {
         if (res.should_return()) return res;
         let property_name = node.property_tok.value;
 
-        if (!(base instanceof ClassValue)) {
+        if (!(base instanceof ClassValue) && !(base instanceof NativeClassValue)) {
             throw new RuntimeError(
                 node.pos_start, node.pos_end,
                 "Cannot call a property from a non-class value.",
@@ -4189,6 +4873,17 @@ export class Interpreter {
             }
         }
 
+        // the constants of a native class (`Math::PI`)
+        if (value instanceof NativePropertyValue && value.nature === "property") {
+            return res.success(value.behavior(context, node.pos_start, node.pos_end).value);
+        }
+
+        // the methods of a native class (`Math::max`) are called from here,
+        // so that the traceback of their errors starts at the call
+        if (value instanceof NativePropertyValue) {
+            return res.success(value.copy().set_pos(node.pos_start, node.pos_end).set_context(context));
+        }
+
         return res.success(value);
     }
 
@@ -4237,14 +4932,6 @@ export class Interpreter {
             );
         }
 
-        const type_error = (value_type, expected_type) => {
-            throw new CustomTypeError(
-                node.pos_start, node.pos_end,
-                `Type '${value_type}' is not assignable to type '${expected_type}'`,
-                context
-            );
-        };
-
         if (base instanceof ClassValue) {
             let prop = base.self.get(property_name);
             let status = 1;
@@ -4278,21 +4965,7 @@ export class Interpreter {
                 }
             }
 
-            if (prop.value.type === Types.OBJECT) {
-                if (!this.is_value_object(new_value)) {
-                    type_error(new_value.type, prop.value.type);
-                }
-            } else {
-                if (prop.value.type === Types.DYNAMIC) {
-                    if (new_value.type instanceof NoneValue) {
-                        type_error('none', 'dynamic');
-                    }
-                } else if (prop.value.type !== Types.ANY) {
-                    if (new_value.type !== prop.value.type) {
-                        type_error(new_value.type, prop.value.type);
-                    }
-                }
-            }
+            this.check_type(new_value, prop.value.type, node.pos_start, node.pos_end, context);
 
             new_value = new_value.copy().set_pos(node.value_node.pos_start, node.value_node.pos_end).set_context(context);
             base.self.set(property_name, { static_prop, status, value: { type: prop.value.type, value: new_value } });
@@ -4304,21 +4977,7 @@ export class Interpreter {
             let state = property.state ?? 0;
             let optional = property.optional ?? 0;
 
-            if (property.value.type === Types.OBJECT) {
-                if (!this.is_value_object(new_value)) {
-                    type_error(new_value.type, property.value.type);
-                }
-            } else {
-                if (property.value.type === Types.DYNAMIC) {
-                    if (new_value.type instanceof NoneValue) {
-                        type_error('none', 'dynamic');
-                    }
-                } else if (property.value.type !== Types.ANY) {
-                    if (new_value.type !== property.value.type) {
-                        type_error(new_value.type, property.value.type);
-                    }
-                }
-            }
+            this.check_type(new_value, property.value.type, node.pos_start, node.pos_end, context);
 
             new_value = new_value.copy().set_pos(node.value_node.pos_start, node.value_node.pos_end).set_context(context);
             base.self.set(property_name, { prop, state, optional, value: { type: property.value.type, value: new_value } });
@@ -4360,8 +5019,8 @@ export class Interpreter {
             let value_to_call = res.register(this.visit(node_to_call.node_to_call, context));
             if (res.should_return()) return res;
 
-            // surprisingly, it might be a native function
-            if (!(value_to_call instanceof FunctionValue) && !(value_to_call instanceof NativeFunction)) {
+            // surprisingly, it might be a native function (or a native method such as `setState`)
+            if (!(value_to_call instanceof FunctionValue) && !(value_to_call instanceof NativeFunction) && !(value_to_call instanceof NativePropertyValue)) {
                 if (node.is_optional) {
                     return res.success(
                         new NoneValue().set_pos(node.pos_start, node.pos_end).set_context(context)
@@ -4378,8 +5037,9 @@ export class Interpreter {
             value_to_call = value_to_call.copy().set_pos(node.pos_start, node.pos_end);
 
             for (let arg_node of node_to_call.arg_nodes) {
-                args.push(res.register(this.visit(arg_node, context)));
+                let value = res.register(this.visit(arg_node, context));
                 if (res.should_return()) return res;
+                this.push_element(args, arg_node, value, context);
             }
 
             let return_value = res.register(value_to_call.set_context(exec_ctx).execute(args, pos_start, pos_end));
@@ -4411,8 +5071,9 @@ export class Interpreter {
             }
 
             for (let arg_node of node_to_call.arg_nodes) {
-                args.push(res.register(this.visit(arg_node, context)));
+                let value = res.register(this.visit(arg_node, context));
                 if (res.should_return()) return res;
+                this.push_element(args, arg_node, value, context);
             }
 
             let return_value = res.register(value_to_call.set_context(exec_ctx).execute(args, pos_start, pos_end));
@@ -4420,6 +5081,63 @@ export class Interpreter {
 
             return_value = return_value.copy().set_pos(node.pos_start, node.pos_end).set_context(context);
 
+            return res.success(return_value);
+        } else if (origin_instance instanceof ModuleValue) {
+            // a function of a module is called like any other function, there is no 'self'
+            let value_to_call = res.register(this.visit(node_to_call.node_to_call, context));
+            if (res.should_return()) return res;
+
+            if (!(value_to_call instanceof BaseFunction)) {
+                if (node.is_optional) {
+                    return res.success(
+                        new NoneValue().set_pos(node.pos_start, node.pos_end).set_context(context)
+                    );
+                } else {
+                    throw new RuntimeError(
+                        node.pos_start, node.pos_end,
+                        "Cannot call a variable that is not a function.",
+                        context
+                    );
+                }
+            }
+
+            for (let arg_node of node_to_call.arg_nodes) {
+                let value = res.register(this.visit(arg_node, context));
+                if (res.should_return()) return res;
+                this.push_element(args, arg_node, value, context);
+            }
+
+            let return_value = res.register(value_to_call.set_pos(node.pos_start, node.pos_end).set_context(context).execute(args, pos_start, pos_end));
+            if (res.should_return()) return res;
+
+            return_value = return_value.copy().set_pos(node.pos_start, node.pos_end).set_context(context);
+
+            return res.success(return_value);
+        } else if (get_native_methods(origin_instance)) {
+            // a string for example
+            /** @type {NativePropertyValue} */
+            let value_to_call = res.register(this.visit(node_to_call.node_to_call, context));
+            if (res.should_return()) return res;
+
+            if (!(value_to_call instanceof NativePropertyValue)) {
+                throw new RuntimeError(
+                    node.pos_start, node.pos_end,
+                    "Cannot call a variable that is not a function.",
+                    context
+                );
+            }
+
+            for (let arg_node of node_to_call.arg_nodes) {
+                let value = res.register(this.visit(arg_node, context));
+                if (res.should_return()) return res;
+                this.push_element(args, arg_node, value, context);
+            }
+
+            let return_value = res.register(value_to_call.set_context(context).execute(args, pos_start, pos_end));
+            if (res.should_return()) return res;
+
+            return_value = return_value.copy().set_pos(node.pos_start, node.pos_end).set_context(context);
+
             return res.success(return_value);
         } else {
             throw new RuntimeError(
@@ -4482,8 +5200,9 @@ export class Interpreter {
         let parent_class = context.symbol_table.get(parent_name)?.value;
 
         for (let arg_node of node.arg_nodes) {
-            args.push(res.register(this.visit(arg_node, context)));
+            let value = res.register(this.visit(arg_node, context));
             if (res.should_return()) return res;
+            this.push_element(args, arg_node, value, context);
         }
 
         let parent_method = parent_class.self.get(method_name)?.value.value.copy();
@@ -4626,10 +5345,10 @@ export class Interpreter {
             );
         }
 
-        if (!(class_value instanceof ClassValue) && !(class_value instanceof NativeClassValue)) {
+        if (!(class_value instanceof ClassValue) && !(class_value instanceof NativeClassValue) && !(class_value instanceof EnumValue)) {
             throw new RuntimeError(
                 node.pos_start, node.pos_end,
-                "'instaneof' checks whether a value is an instance of a class. This is not a class.",
+                "'instanceof' checks whether a value is an instance of a class or a member of an enum. This is not a class.",
                 context
             );
         }
@@ -4642,7 +5361,32 @@ export class Interpreter {
             );
         }
 
-        let state = value.type === class_value.type ? 1 : 0;
+        let state;
+        if (class_value instanceof EnumValue) {
+            // the members of an enum are numbers
+            state = value instanceof NumberValue && Array.from(class_value.properties.values()).some((member) => member.value === value.value) ? 1 : 0;
+        } else {
+            // an instance of a child class is also an instance of the parent classes
+            state = is_assignable(value, class_value.name, context) ? 1 : 0;
+        }
+
+        return res.success(
+            new BooleanValue(state).set_pos(node.pos_start, node.pos_end).set_context(context)
+        );
+    }
+
+    /**
+     * Interprets an 'is' node.
+     * @param {IsNode} node The node.
+     * @param {Context} context The context to use.
+     * @returns {RuntimeResult}
+     */
+    visit_IsNode(node, context) {
+        let res = new RuntimeResult();
+        let value = res.register(this.visit(node.node_a, context));
+        if (res.should_return()) return res;
+
+        let state = is_assignable(value, node.type, context) ? 1 : 0;
 
         return res.success(
             new BooleanValue(state).set_pos(node.pos_start, node.pos_end).set_context(context)
@@ -4671,28 +5415,9 @@ export class Interpreter {
             );
         }
 
-        const type_error = (value_type, expected_type) => {
-            throw new CustomTypeError(
-                node.pos_start, node.pos_end,
-                `Type '${value_type}' is not assignable to type '${expected_type}'`,
-                context
-            );
-        };
-
-        if (given_type === Types.OBJECT) {
-            if (!this.is_value_object(value)) {
-                type_error(value.type, given_type);
-            }
-        } else {
-            if (given_type === Types.DYNAMIC) {
-                if (value instanceof NoneValue) {
-                    type_error('none', 'dynamic');
-                }
-            } else if (given_type !== Types.ANY) {
-                if (value.type !== given_type) {
-                    type_error(value.type, given_type);
-                }
-            }
+        // a prop without a default value is none until the tag is instantiated
+        if (!(node instanceof TagPropDefNode && value instanceof NoneValue)) {
+            this.check_type(value, given_type, node.pos_start, node.pos_end, context);
         }
 
         // add into the context allows us to check if a property, method etc. has already been defined inside the class
@@ -4728,12 +5453,15 @@ export class Interpreter {
         let value = new TagValue(tag_name, new Map()).set_pos(node.pos_start, node.pos_end).set_context(context);
         let exec_ctx = this.generate_new_context(context, value.context_name, node.pos_start);
         value.self.set('__name', { prop: 0, state: 0, optional: 0, value: { type: Types.STRING, value: new StringValue(tag_name).set_context(exec_ctx) } });
+        value.self.set('setState', { prop: 0, state: 0, optional: 0, value: { type: Types.FUNCTION, value: create_set_state_method(tag_name).set_context(exec_ctx) } });
         exec_ctx.symbol_table.set("self", { type: value.type, value });
 
+        let reserved_identifiers = ["__name", "setState"];
+
         for (let i = 0; i < node.methods.length; i++) {
             let method_node = node.methods[i];
             let method_name = method_node.var_name_tok.value;
-            if (method_name === "__name") {
+            if (is_in(method_name, reserved_identifiers)) {
                 throw new RuntimeError(
                     method_node.var_name_tok.pos_start, method_node.var_name_tok.pos_end,
                     `The identifier '${method_name}' is already reserved.`,
@@ -4743,6 +5471,7 @@ export class Interpreter {
             let method = res.register(this.visit(method_node, exec_ctx));
             if (res.should_return()) return res;
             method.type_name = "method";
+            method.closure = context;
             value.self.set(method_name, { prop: 0, state: 0, optional: 0, value: { type: method.type, value: method } });
         }
 
@@ -4750,7 +5479,7 @@ export class Interpreter {
             let prop_node = node.props[i];
             let prop_name = prop_node.property_name_tok.value;
             let optional = prop_node.optional;
-            if (prop_name === "__name") {
+            if (is_in(prop_name, reserved_identifiers)) {
                 throw new RuntimeError(
                     prop_node.property_name_tok.pos_start, prop_node.property_name_tok.pos_end,
                     `The identifier '${prop_name}' is already reserved.`,
@@ -4766,13 +5495,14 @@ export class Interpreter {
             }
             let prop = res.register(this.visit_TagProperty(prop_node, exec_ctx));
             if (res.should_return()) return res;
-            value.self.set(prop_name, { prop: 1, state: 0, optional, value: { type: prop.type, value: prop } });
+            // the declared type is kept, because a new value must match the annotation, not the type of the default value
+            value.self.set(prop_name, { prop: 1, state: 0, optional, value: { type: prop_node.type ?? prop.type, value: prop }, default_node: prop_node.value_node });
         }
 
         for (let i = 0; i < node.states.length; i++) {
             let state_node = node.states[i];
             let state_name = state_node.property_name_tok.value;
-            if (state_name === "__name") {
+            if (is_in(state_name, reserved_identifiers)) {
                 throw new RuntimeError(
                     state_node.property_name_tok.pos_start, state_node.property_name_tok.pos_end,
                     `The identifier '${state_name}' is already reserved.`,
@@ -4788,7 +5518,7 @@ export class Interpreter {
             }
             let state = res.register(this.visit_TagProperty(state_node, exec_ctx));
             if (res.should_return()) return res;
-            value.self.set(state_name, { prop: 0, state: 1, optional: 0, value: { type: state.type, value: state } });
+            value.self.set(state_name, { prop: 0, state: 1, optional: 0, value: { type: state_node.type ?? state.type, value: state }, default_node: state_node.value_node });
         }
 
         context.symbol_table.set(tag_name, { type: value.type, value });
@@ -4812,6 +5542,7 @@ export class Interpreter {
         let attributes = [];
         let events = [];
         let children = [];
+        let instance = null;
         let is_fragment = tagname === null || tagname === undefined;
 
         if (!is_fragment) {
@@ -4833,14 +5564,6 @@ export class Interpreter {
                 }
             }
 
-            const type_error = (value_type, expected_type, pos_start, pos_end) => {
-                throw new CustomTypeError(
-                    pos_start, pos_end,
-                    `Type '${value_type}' is not assignable to type '${expected_type}'`,
-                    context
-                );
-            };
-
             let visited_args = []; // prevents duplicates
             let given_mandatory_args = [];
 
@@ -4868,7 +5591,7 @@ export class Interpreter {
                     defined_type = Types.DYNAMIC;
                 } else {
                     original_prop = reftag.self.get(name);
-                    if (original_prop && original_prop.prop === 0) {
+                    if (!original_prop || original_prop.prop === 0) {
                         throw new RuntimeError(
                             attr_pos_start, attr_pos_end,
                             "This attribute doesn't exist in the original definition of the tag",
@@ -4879,21 +5602,7 @@ export class Interpreter {
                 }
                 let value = res.register(this.visit(attr[1], context));
                 if (res.should_return()) return res;
-                if (defined_type === Types.OBJECT) {
-                    if (!this.is_value_object(value)) {
-                        type_error(value.type, defined_type, attr_pos_start, attr_pos_end);
-                    }
-                } else {
-                    if (defined_type === Types.DYNAMIC) {
-                        if (value instanceof NoneValue) {
-                            type_error('none', 'dynamic', attr_pos_start, attr_pos_end);
-                        }
-                    } else if (defined_type !== Types.ANY) {
-                        if (defined_type !== value.type) {
-                            type_error(value.type, defined_type, attr_pos_start, attr_pos_end);
-                        }
-                    }
-                }
+                this.check_type(value, defined_type, attr_pos_start, attr_pos_end, context);
                 attributes.push([name, value]);
                 visited_args.push(name);
                 if (original_prop?.optional === 0) given_mandatory_args.push(name);
@@ -4936,6 +5645,10 @@ export class Interpreter {
                 visited_events.push(name);
                 events.push([name, value]);
             }
+
+            if (!is_native) {
+                instance = instantiate_tag(reftag, attributes, context, node.pos_start, node.pos_end);
+            }
         }
 
         for (let child of node.children) {
@@ -4948,15 +5661,143 @@ export class Interpreter {
             }
         }
 
+        let html = new HtmlValue(
+            tagname,
+            classes,
+            id,
+            attributes,
+            events,
+            children
+        ).set_pos(node.pos_start, node.pos_end).set_context(context);
+        html.instance = instance;
+
+        return res.success(html);
+    }
+
+    /**
+     * Interprets a `try` block.
+     * @param {TryNode} node The node.
+     * @param {Context} context The context to use.
+     * @returns {RuntimeResult}
+     */
+    visit_TryNode(node, context) {
+        let res = new RuntimeResult();
+
+        try {
+            const exec_ctx = this.generate_new_context(context, "<try>", node.pos_start);
+            res.register(this.visit(node.try_body, exec_ctx));
+            if (res.should_return()) return res;
+        } catch (e) {
+            // the native errors of JavaScript are bugs of the interpreter,
+            // they must not be caught by the program
+            if (!(e instanceof CustomError) || !node.catch_body) throw e;
+
+            const exec_ctx = this.generate_new_context(context, "<catch>", node.pos_start);
+            if (node.catch_var_name_tok) {
+                let error_value = e instanceof ThrownError ? e.value : create_error_value(e);
+                exec_ctx.symbol_table.set(node.catch_var_name_tok.value, { type: error_value.type, value: error_value });
+            }
+
+            res.register(this.visit(node.catch_body, exec_ctx));
+            if (res.should_return()) return res;
+        } finally {
+            // like in JavaScript, a `return` in the `finally` block
+            // replaces the result of the `try` and `catch` blocks
+            if (node.finally_body) {
+                let finally_res = new RuntimeResult();
+                const exec_ctx = this.generate_new_context(context, "<finally>", node.pos_start);
+                finally_res.register(this.visit(node.finally_body, exec_ctx));
+                if (finally_res.should_return()) return finally_res;
+            }
+        }
+
+        return res.success(
+            new NoneValue().set_pos(node.pos_start, node.pos_end).set_context(context)
+        );
+    }
+
+    /**
+     * Interprets a `throw` statement.
+     * @param {ThrowNode} node The node.
+     * @param {Context} context The context to use.
+     * @throws {ThrownError}
+     */
+    visit_ThrowNode(node, context) {
+        let res = new RuntimeResult();
+        let value = res.register(this.visit(node.node_to_throw, context));
+        if (res.should_return()) return res;
+
+        throw new ThrownError(node.pos_start, node.pos_end, value, context);
+    }
+
+    /**
+     * Checks if a context is the top level of a file.
+     * @param {Context} context The context.
+     * @returns {boolean}
+     */
+    is_top_level(context) {
+        return context.symbol_table === global_symbol_table || context.symbol_table.parent === global_symbol_table;
+    }
+
+    /**
+     * Interprets an import: the file is evaluated (only the first time) and its exports are declared in the current context.
+     * @param {ImportNode} node The node.
+     * @param {Context} context The context to use.
+     * @returns {RuntimeResult}
+     */
+    visit_ImportNode(node, context) {
+        let res = new RuntimeResult();
+        let module = load_module(node.path_tok.value, node.pos_start, node.pos_end, context);
+
+        const declare = (name_tok, variable) => {
+            if (context.symbol_table.doesExist(name_tok.value)) {
+                throw new RuntimeError(
+                    name_tok.pos_start, name_tok.pos_end,
+                    `Variable "${name_tok.value}" already exists`,
+                    context
+                );
+            }
+            context.symbol_table.set(name_tok.value, variable);
+        };
+
+        if (node.namespace_tok) {
+            let namespace = module.to_namespace().set_pos(node.pos_start, node.pos_end).set_context(context);
+            declare(node.namespace_tok, { type: namespace.type, value: namespace });
+        } else {
+            for (let [name_tok, alias_tok] of node.names) {
+                let variable = module.get_export(name_tok.value);
+                if (!variable) {
+                    throw new RuntimeError(
+                        name_tok.pos_start, name_tok.pos_end,
+                        `The module '${node.path_tok.value}' doesn't export '${name_tok.value}'.`,
+                        context
+                    );
+                }
+                declare(alias_tok ?? name_tok, variable);
+            }
+        }
+
         return res.success(
-            new HtmlValue(
-                tagname,
-                classes,
-                id,
-                attributes,
-                events,
-                children
-            ).set_pos(node.pos_start, node.pos_end).set_context(context)
+            new NoneValue().set_pos(node.pos_start, node.pos_end).set_context(context)
         );
     }
-}
\ No newline at end of file
+
+    /**
+     * Interprets an exported declaration.
+     * The names of the exports are read from the tree when the module is loaded.
+     * @param {ExportNode} node The node.
+     * @param {Context} context The context to use.
+     * @returns {RuntimeResult}
+     */
+    visit_ExportNode(node, context) {
+        if (!this.is_top_level(context)) {
+            throw new RuntimeError(
+                node.pos_start, node.pos_end,
+                "'export' can only be used at the top level of a file.",
+                context
+            );
+        }
+
+        return this.visit(node.node, context);
+    }
+}
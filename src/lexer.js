@@ -3,14 +3,93 @@
 import KEYWORDS, { Token, TokenType } from './tokens.js';
 import { Position } from './position.js';
 import { is_in } from './miscellaneous.js';
-import { ExpectedCharError, IllegalCharError } from './Exceptions.js';
+import { ExpectedCharError, IllegalCharError, InvalidSyntaxError } from './Exceptions.js';
 
 export const SPACES_FOR_INDENTATION = 4;
 export const DIGITS                 = "0123456789_"; // we want to allow 100_000 === 100000
 export const LETTERS                = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
 export const LETTERS_DIGITS         = LETTERS + DIGITS;
+export const HEX_DIGITS             = "0123456789abcdefABCDEF";
 export const ESCAPE_CHARACTERS      = new Map([['n', '\n'], ['t', '\t'], ['r', '\r']]);
 
+/**
+ * @typedef {{text: string, fill: string, align: "<"|">"|"^"|"="|null, sign: "+"|"-"|" ", width: number, grouping: boolean, precision: number|null, type: string|null}} FormatSpec
+ * @typedef {{tokens: Token[], format_spec: FormatSpec|null, pos_start: Position, pos_end: Position}} Interpolation
+ */
+
+/**
+ * Reads the format specifier of an interpolation (`${price:.2f}`): `[[fill]align][sign][0][width][,][.precision][type]`.
+ * The alignment is '<', '>', '^' or '=' (after the sign), the sign is '+', '-' or ' ', and the type is one of 's', 'd', 'f', 'e', 'x', 'X', 'b', 'o' and '%'.
+ * @param {string} text The specifier, without the colon.
+ * @returns {FormatSpec|null} Null if the specifier is invalid.
+ */
+export function parse_format_spec(text) {
+    let match = /^(?:(.)?([<>=^]))?([+\- ])?(0)?(\d+)?(,)?(?:\.(\d+))?([sdfexXbo%])?$/su.exec(text);
+    if (!match) return null;
+    let [, fill, align, sign, zero, width, grouping, precision, type] = match;
+    return {
+        text,
+        // '0' pads the numbers with zeros after their sign
+        fill: fill ?? (zero && !align ? "0" : " "),
+        align: align ?? (zero ? "=" : null),
+        sign: sign ?? "-",
+        width: width ? parseInt(width, 10) : 0,
+        grouping: grouping !== undefined,
+        precision: precision !== undefined ? parseInt(precision, 10) : null,
+        type: type ?? null
+    };
+}
+
+/**
+ * Removes the common indentation of the lines of a multi-line string (the blank lines are ignored),
+ * as well as the line break after the opening quotes and the spaces before the closing quotes.
+ * @param {string} text The content of the string.
+ * @returns {string}
+ */
+export function strip_indentation(text) {
+    return strip_indentation_of_parts([text]).join("");
+}
+
+/**
+ * Removes the common indentation of the lines of a multi-line formatted string, like `strip_indentation`.
+ * An interpolation is a part of the content of its line, so the indentation before it is the indentation of the line.
+ * @param {Array<string|Interpolation>} parts The parts of the string: some text or an interpolation.
+ * @returns {Array<string|Interpolation>}
+ */
+export function strip_indentation_of_parts(parts) {
+    /** @type {Array<Array<string|Interpolation>>} */
+    let lines = [[]];
+    for (let part of parts) {
+        if (typeof part === "string") {
+            part.replace(/\r\n/g, "\n").split("\n").forEach((text, i) => {
+                if (i > 0) lines.push([]);
+                if (text) lines.at(-1).push(text);
+            });
+        } else {
+            lines.at(-1).push(part);
+        }
+    }
+
+    const is_blank = (line) => line.every((part) => typeof part === "string" && part.trim() === "");
+    if (lines.length > 1 && is_blank(lines[0])) lines.shift();
+    if (lines.length > 1 && is_blank(lines.at(-1))) lines[lines.length - 1] = [];
+    let indentations = lines.filter((line) => !is_blank(line)).map((line) => typeof line[0] === "string" ? line[0].length - line[0].trimStart().length : 0);
+    let common_indentation = indentations.length > 0 ? Math.min(...indentations) : 0;
+
+    /** @type {Array<string|Interpolation>} */
+    let result = [];
+    lines.forEach((line, i) => {
+        if (is_blank(line)) line = [];
+        else if (typeof line[0] === "string") line = [line[0].slice(common_indentation), ...line.slice(1)];
+        if (i > 0) line = ["\n", ...line];
+        for (let part of line) {
+            if (typeof part === "string" && typeof result.at(-1) === "string") result[result.length - 1] += part;
+            else if (part !== "") result.push(part);
+        }
+    });
+    return result;
+}
+
 /**
  * @classdesc Reads the code and creates the tokens.
  */
@@ -19,11 +98,14 @@ export class Lexer {
      * @constructs Lexer
      * @param {string} text The source code.
      * @param {string} filename The filename.
+     * @param {Position|null} start_pos The position of the character before the code, when the code is a part of a file (an interpolated expression).
+     * @param {boolean} keep_comments Whether the comments are returned as COMMENT tokens instead of being skipped (used by the formatter).
      */
-    constructor(text, filename="<stdin>") {
+    constructor(text, filename="<stdin>", start_pos=null, keep_comments=false) {
         this.text = text[Symbol.iterator]();
         this.filename = filename;
-        this.pos = new Position(-1, 0, -1, this.filename, text);
+        this.keep_comments = keep_comments;
+        this.pos = start_pos ? start_pos.copy() : new Position(-1, 0, -1, this.filename, text);
         this.wait_of_chevron = false; // true when we detect a left chevron
         this.pause_in_chevron_search = false; // if we detect '{' while `wait_for_chevron` is true
         this.advance();
@@ -164,8 +246,12 @@ export class Lexer {
             } else if (this.current_char === "#") {
                 let pos = this.pos.copy();
                 this.advance();
-                if (this.current_char === " ") {
-                    this.skip_comment(); // a comment has to be followed by a whitespace
+                if (this.current_char === " ") { // a comment has to be followed by a whitespace
+                    if (this.keep_comments) {
+                        yield this.make_comment(pos);
+                    } else {
+                        this.skip_comment();
+                    }
                 } else {
                     yield new Token(TokenType.HASH, "#", pos); // otherwise it's an "hash"
                 }
@@ -209,6 +295,11 @@ export class Lexer {
             return new Token(TokenType.DOT, ".", pos_start);
         }
         
+        // 0xFF, 0b1010, 0o755
+        if (number_str === "0" && this.current_char !== null && is_in(this.current_char, "xXbBoO")) {
+            return this.make_number_with_radix(pos_start);
+        }
+
         while (this.current_char !== null && is_in(this.current_char, DIGITS + ".")) {
             if (this.current_char === ".") {
                 decimal_point_count += 1;
@@ -227,11 +318,92 @@ export class Lexer {
             number_str += '0';
         }
 
+        // the exponent: 1.5e-3
+        let has_exponent = false;
+        if (this.current_char === "e" || this.current_char === "E") {
+            has_exponent = true;
+            number_str += "e";
+            this.advance();
+            if (this.current_char === "+" || this.current_char === "-") {
+                number_str += this.current_char;
+                this.advance();
+            }
+            if (this.current_char === null || !is_in(this.current_char, DIGITS.replace('_', ''))) {
+                throw new ExpectedCharError(
+                    pos_start, this.pos,
+                    "Expected the digits of the exponent"
+                );
+            }
+            while (this.current_char !== null && is_in(this.current_char, DIGITS)) {
+                number_str += this.current_char;
+                this.advance();
+            }
+        }
+
         number_str = number_str.replace(/_/g, "");
-        let is_int = number_str.indexOf('.') === -1;
+        let is_int = number_str.indexOf('.') === -1 && !has_exponent;
+
+        // the arbitrary-precision integers: 123n
+        if (this.current_char === "n") {
+            this.advance();
+            if (!is_int) {
+                throw new InvalidSyntaxError(
+                    pos_start, this.pos,
+                    "A bigint must be an integer, without a decimal point or an exponent"
+                );
+            }
+            return new Token(TokenType.NUMBER, BigInt(number_str), pos_start, this.pos);
+        }
+
         return new Token(TokenType.NUMBER, is_int ? parseInt(number_str, 10) : parseFloat(number_str), pos_start, this.pos);
     }
 
+    /**
+     * Builds a hexadecimal (0xFF), binary (0b1010) or octal (0o755) number, the first '0' being already read.
+     * @param {Position} pos_start The position of the first '0'.
+     * @returns {Token}
+     */
+    make_number_with_radix(pos_start) {
+        const prefix = "0" + this.current_char.toLowerCase();
+        const [name, digits] = {
+            "0x": ["hexadecimal", HEX_DIGITS],
+            "0b": ["binary", "01"],
+            "0o": ["octal", "01234567"],
+        }[prefix];
+        this.advance();
+
+        let number_str = "";
+        while (this.current_char !== null && is_in(this.current_char, digits + "_")) {
+            number_str += this.current_char;
+            this.advance();
+        }
+
+        number_str = number_str.replace(/_/g, "");
+        if (number_str.length === 0) {
+            throw new ExpectedCharError(
+                pos_start, this.pos,
+                `Expected the digits of the ${name} number after '${prefix}'`
+            );
+        }
+
+        // 0b102 or 0o78
+        if (this.current_char !== null && is_in(this.current_char, DIGITS)) {
+            let char = this.current_char;
+            this.advance();
+            throw new InvalidSyntaxError(
+                pos_start, this.pos,
+                `Invalid digit '${char}' in the ${name} number`
+            );
+        }
+
+        if (this.current_char === "n") {
+            this.advance();
+            return new Token(TokenType.NUMBER, BigInt(prefix + number_str), pos_start, this.pos);
+        }
+
+        return new Token(TokenType.NUMBER, Number(prefix + number_str), pos_start, this.pos);
+    }
+
     make_identifier() {
         let pos_start = this.pos.copy();
         let identifier = this.current_char;
@@ -242,6 +414,12 @@ export class Lexer {
             this.advance();
         }
 
+        if (identifier === "f" && is_in(this.current_char, ["'", '"', "`"])) {
+            return this.make_formatted_string(pos_start);
+        } else if (identifier === "r" && is_in(this.current_char, ["'", '"', "`"])) {
+            return this.make_string(pos_start, true);
+        }
+
         let is_keyword = is_in(identifier, KEYWORDS);
         let token_type = is_keyword ? TokenType.KEYWORD : TokenType.IDENTIFIER
         return new Token(token_type, identifier, pos_start, this.pos);
@@ -363,33 +541,297 @@ export class Lexer {
         yield new Token(tok_type, value, pos_start, this.pos);
     }
 
-    make_string() {
+    /**
+     * Builds a string: '...', "..." or `...`, or a multi-line string between triple quotes whose common indentation is removed.
+     * The backslashes of a raw string (r"C:\path") are not escape sequences.
+     * @param {Position|null} pos_start The position of the 'r' of a raw string, null if the string starts at the current quote.
+     * @param {boolean} raw Whether the string is a raw string.
+     * @returns {Token}
+     */
+    make_string(pos_start=null, raw=false) {
         let string = "";
-        let pos_start = this.pos.copy();
-        let escape_character = false; // do we have to escape the following character?
+        pos_start = pos_start ?? this.pos.copy();
         let opening_quote = this.current_char; // ', " or `
+        let is_multiline = this.make_opening_quotes();
+        if (is_multiline === null) return new Token(TokenType.STRING, "", pos_start, this.pos);
+
+        while (true) {
+            if (this.current_char === null) {
+                throw new ExpectedCharError(
+                    pos_start, this.pos,
+                    `Expected '${is_multiline ? opening_quote.repeat(3) : opening_quote}' at the end of the string`
+                );
+            }
+
+            if (this.current_char === "\\" && !raw) {
+                // if we have to escape a character,
+                // even if we have a '"',
+                // we don't stop the loop
+                let backslash_pos = this.pos.copy();
+                this.advance();
+                if (this.current_char !== null) string += this.make_escape_sequence(backslash_pos);
+            } else if (this.current_char === opening_quote) {
+                let quotes = this.make_closing_quotes(opening_quote, is_multiline);
+                if (quotes === null) break;
+                string += quotes;
+            } else {
+                string += this.current_char;
+                this.advance();
+            }
+        }
+
+        if (is_multiline) string = strip_indentation(string);
+        return new Token(TokenType.STRING, string, pos_start, this.pos);
+    }
+
+    /**
+     * Reads the opening quotes of a string.
+     * Two quotes are either an empty string or the beginning of a multi-line string.
+     * @returns {boolean|null} Whether the string is a multi-line string, null if it's an empty string (whose quotes have been read).
+     */
+    make_opening_quotes() {
+        let opening_quote = this.current_char;
+        this.advance();
+        if (this.current_char !== opening_quote) return false;
+        this.advance();
+        if (this.current_char !== opening_quote) return null;
+        this.advance();
+        return true;
+    }
+
+    /**
+     * Reads the quotes met inside of a string.
+     * A multi-line string ends with three quotes, but it can contain one or two quotes.
+     * @param {string} opening_quote The quote that opened the string.
+     * @param {boolean} is_multiline Whether the string is a multi-line string.
+     * @returns {string|null} The quotes that are a part of the string, null if they end the string.
+     */
+    make_closing_quotes(opening_quote, is_multiline) {
+        this.advance();
+        if (!is_multiline) return null;
+        let count = 1;
+        while (this.current_char === opening_quote && count < 3) {
+            count++;
+            this.advance();
+        }
+        return count === 3 ? null : opening_quote.repeat(count);
+    }
+
+    /**
+     * Reads the escape sequence that follows a backslash: '\n', '\t', '\r', '\xNN', '\u{1F600}',
+     * or any other character which is kept as it is ('\"', '\\').
+     * @param {Position} pos_start The position of the backslash.
+     * @returns {string}
+     */
+    make_escape_sequence(pos_start) {
+        let char = this.current_char;
         this.advance();
 
-        // if we have to escape a character,
-        // even if we have a '"',
-        // we don't stop the loop
-        while (this.current_char !== null && (this.current_char !== opening_quote || escape_character)) {
-            if (escape_character) {
-                string += ESCAPE_CHARACTERS.has(this.current_char) ? ESCAPE_CHARACTERS.get(this.current_char) : this.current_char;
-                escape_character = false;
+        if (ESCAPE_CHARACTERS.has(char)) {
+            return ESCAPE_CHARACTERS.get(char);
+        } else if (char === "x") {
+            let digits = "";
+            while (digits.length < 2 && this.current_char !== null && is_in(this.current_char, HEX_DIGITS)) {
+                digits += this.current_char;
+                this.advance();
+            }
+            if (digits.length < 2) {
+                throw new InvalidSyntaxError(
+                    pos_start, this.pos,
+                    "Expected two hexadecimal digits after '\\x'"
+                );
+            }
+            return String.fromCharCode(parseInt(digits, 16));
+        } else if (char === "u") {
+            if (this.current_char !== "{") {
+                throw new ExpectedCharError(
+                    pos_start, this.pos,
+                    "Expected '{' after '\\u'"
+                );
+            }
+            this.advance();
+            let digits = "";
+            while (this.current_char !== null && is_in(this.current_char, HEX_DIGITS)) {
+                digits += this.current_char;
+                this.advance();
+            }
+            if (this.current_char !== "}" || digits.length === 0 || parseInt(digits, 16) > 0x10FFFF) {
+                throw new InvalidSyntaxError(
+                    pos_start, this.pos,
+                    "Invalid unicode escape sequence, expected a code point between '\\u{0}' and '\\u{10FFFF}'"
+                );
+            }
+            this.advance();
+            return String.fromCodePoint(parseInt(digits, 16));
+        }
+
+        return char;
+    }
+
+    /**
+     * Reads a formatted string: `f"Hello ${user.name}"`, `f"${price:.2f}"`, or `f"Hello $name"` for a variable (and its properties).
+     * `$$` is a dollar sign. Like any string, a formatted string can be a multi-line string between triple quotes.
+     * @param {Position} pos_start The position of the 'f'.
+     * @returns {Token} A token whose value is the list of the parts of the string: some text or an interpolation.
+     */
+    make_formatted_string(pos_start) {
+        /** @type {Array<string|Interpolation>} */
+        let parts = [];
+        let text = "";
+        let opening_quote = this.current_char;
+        let is_multiline = this.make_opening_quotes();
+        if (is_multiline === null) return new Token(TokenType.FORMATTED_STRING, parts, pos_start, this.pos);
+
+        while (true) {
+            if (this.current_char === null) {
+                throw new ExpectedCharError(
+                    pos_start, this.pos,
+                    `Expected '${is_multiline ? opening_quote.repeat(3) : opening_quote}' at the end of the string`
+                );
+            }
+
+            if (this.current_char === opening_quote) {
+                let quotes = this.make_closing_quotes(opening_quote, is_multiline);
+                if (quotes === null) break;
+                text += quotes;
+            } else if (this.current_char === "\\") {
+                let backslash_pos = this.pos.copy();
+                this.advance();
+                if (this.current_char !== null) text += this.make_escape_sequence(backslash_pos);
+            } else if (this.current_char === "$") {
+                let dollar_pos = this.pos.copy();
+                this.advance();
+                if (this.current_char === "$") {
+                    text += "$";
+                    this.advance();
+                } else if (this.current_char === "{" || is_in(this.current_char, LETTERS + "_")) {
+                    if (text) parts.push(text);
+                    text = "";
+                    if (this.current_char === "{") {
+                        parts.push(this.make_interpolation(dollar_pos));
+                    } else {
+                        let interpolation;
+                        [interpolation, text] = this.make_variable_interpolation(dollar_pos);
+                        parts.push(interpolation);
+                    }
+                } else {
+                    text += "$";
+                }
             } else {
-                if (this.current_char === '\\') {
-                    escape_character = true;
+                text += this.current_char;
+                this.advance();
+            }
+        }
+
+        if (text) parts.push(text);
+        if (is_multiline) parts = strip_indentation_of_parts(parts);
+        return new Token(TokenType.FORMATTED_STRING, parts, pos_start, this.pos);
+    }
+
+    /**
+     * Reads an interpolation (`${expr}` or `${expr:format}`) and the tokens of its expression.
+     * A colon that is not inside of parenthesis, brackets or a string starts the format specifier.
+     * @param {Position} pos_start The position of the dollar sign.
+     * @returns {Interpolation}
+     */
+    make_interpolation(pos_start) {
+        // the lexer of the expression starts after the brace, so that the positions of the tokens point into the string
+        let brace_pos = this.pos.copy();
+        this.advance();
+
+        let code = "";
+        let spec_text = null;
+        let spec_pos = null;
+        let depth = 0;
+        while (this.current_char !== null && (depth > 0 || this.current_char !== "}")) {
+            let char = this.current_char;
+            if (is_in(char, ["'", '"', "`"])) {
+                // a string inside of the expression
+                code += char;
+                this.advance();
+                while (this.current_char !== null && this.current_char !== char) {
+                    if (this.current_char === "\\") {
+                        code += this.current_char;
+                        this.advance();
+                        if (this.current_char === null) break;
+                    }
+                    code += this.current_char;
+                    this.advance();
+                }
+                if (this.current_char !== null) code += this.current_char;
+            } else if (depth === 0 && char === ":") {
+                this.advance();
+                // '::' is the access to a static property
+                if (this.current_char === ":") {
+                    code += "::";
                 } else {
-                    string += this.current_char;
+                    spec_pos = this.pos.copy();
+                    spec_text = "";
+                    while (this.current_char !== null && this.current_char !== "}") {
+                        spec_text += this.current_char;
+                        this.advance();
+                    }
+                    break;
                 }
+            } else {
+                if (is_in(char, ["(", "[", "{"])) depth++;
+                if (is_in(char, [")", "]", "}"])) depth--;
+                code += char;
             }
             this.advance();
         }
 
-        // end of the string
+        if (this.current_char !== "}") {
+            throw new ExpectedCharError(
+                pos_start, this.pos,
+                "Expected '}' at the end of the interpolation"
+            );
+        }
+
+        let format_spec = null;
+        if (spec_text !== null) {
+            format_spec = parse_format_spec(spec_text);
+            if (format_spec === null) {
+                throw new InvalidSyntaxError(
+                    spec_pos, this.pos,
+                    `Invalid format specifier '${spec_text}'`
+                );
+            }
+        }
+
         this.advance();
-        return new Token(TokenType.STRING, string, pos_start, this.pos);
+        let tokens = Array.from(new Lexer(code, this.filename, brace_pos).generate_tokens());
+        return { tokens, format_spec, pos_start, pos_end: this.pos.copy() };
+    }
+
+    /**
+     * Reads the name of a variable in a formatted string (`$name`), followed by the names of its properties (`$user.name`).
+     * @param {Position} pos_start The position of the dollar sign.
+     * @returns {[Interpolation, string]} The interpolation and the text that has been read after it (a dot that ends a sentence).
+     */
+    make_variable_interpolation(pos_start) {
+        let tokens = [];
+        while (true) {
+            let identifier_pos = this.pos.copy();
+            let identifier = "";
+            while (this.current_char !== null && is_in(this.current_char, LETTERS_DIGITS + "_")) {
+                identifier += this.current_char;
+                this.advance();
+            }
+            tokens.push(new Token(TokenType.IDENTIFIER, identifier, identifier_pos, this.pos));
+            // a dot followed by a letter is the access to a property, otherwise it's the end of a sentence
+            if (this.current_char !== ".") break;
+            let dot_pos = this.pos.copy();
+            this.advance();
+            if (!is_in(this.current_char, LETTERS + "_")) {
+                tokens.push(new Token(TokenType.EOF, "EOF", dot_pos));
+                return [{ tokens, format_spec: null, pos_start, pos_end: dot_pos }, "."];
+            }
+            tokens.push(new Token(TokenType.DOT, ".", dot_pos));
+        }
+        let pos_end = this.pos.copy();
+        tokens.push(new Token(TokenType.EOF, "EOF", pos_end));
+        return [{ tokens, format_spec: null, pos_start, pos_end }, ""];
     }
 
     make_minus_decrement_or_arrow() {
@@ -486,6 +928,20 @@ export class Lexer {
         return new Token(tok_type, value, pos_start, this.pos);
     }
 
+    /**
+     * Builds a comment token, whose value is the whole comment (with the '#').
+     * @param {Position} pos_start The position of the '#'.
+     * @returns {Token}
+     */
+    make_comment(pos_start) {
+        let comment = "#";
+        while (this.current_char !== "\n" && this.current_char !== "\r" && this.current_char !== null) {
+            comment += this.current_char;
+            this.advance();
+        }
+        return new Token(TokenType.COMMENT, comment.trimEnd(), pos_start, this.pos);
+    }
+
     skip_comment() {
         this.advance();
         while (this.current_char !== "\n" && this.current_char !== null) {
@@ -1,17 +1,8 @@
+#!/usr/bin/env node
 "use strict";
 
-import fs from 'fs';
-import { run } from './run.js';
+import process from 'process';
+import { main } from './cli.js';
 
-let script = ``;
-let fn = "./examples/main.vjs";
-
-try {
-    script = fs.readFileSync(fn, 'utf8');
-} catch(e) {
-    throw new Error(
-        `Failed to load script "${fn}"\n` + e.toString(),
-    );
-}
-
-run(script, fn);
\ No newline at end of file
+// node main.js examples/main.vjs
+process.exitCode = await main(process.argv.slice(2));
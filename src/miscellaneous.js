@@ -21,7 +21,8 @@ export function string_with_arrows(text, pos_start, pos_end) {
     for (let i = 0; i < line_count; i++) {
         // Calculate line columns
         let line = text.substring(index_start, index_end);
-        let col_start = i === 0 ? pos_start.col : 0;
+        // a position placed on a newline has a column of -1
+        let col_start = i === 0 ? Math.max(pos_start.col, 0) : 0;
         let col_end = i === line_count - 1 ? pos_end.col : line.length - 1;
         let n = col_end - col_start;
 
@@ -0,0 +1,166 @@
+"use strict";
+
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+import { Lexer } from './lexer.js';
+import { Parser } from './parser.js';
+import { Interpreter } from './interpreter.js';
+import { Context } from './context.js';
+import global_symbol_table, { SymbolTable } from './symbol_table.js';
+import { RuntimeError } from './Exceptions.js';
+import { ExportNode } from './nodes.js';
+import { BaseFunction, ModuleValue } from './values.js';
+import { Position } from './position.js';
+import { TypeChecker } from './checker.js';
+
+/**
+ * @classdesc A file that has been imported and evaluated.
+ */
+export class Module {
+    /**
+     * @constructs Module
+     * @param {string} file_path The absolute path to the file.
+     * @param {Context} context The context in which the file has been evaluated. Its symbol table is a child of the global one.
+     * @param {string[]} exports The names of the exported declarations.
+     */
+    constructor(file_path, context, exports) {
+        this.file_path = file_path;
+        this.context = context;
+        this.exports = exports;
+    }
+
+    /**
+     * Gets an exported variable.
+     * @param {string} name The name of the declaration.
+     * @returns {{type: string, value: any}|null} Null if the module doesn't export this name.
+     */
+    get_export(name) {
+        if (!this.exports.includes(name)) return null;
+        return get_exported_variable(this.context.symbol_table, name);
+    }
+
+    /**
+     * Creates the value of `import * as ns`.
+     * @returns {ModuleValue}
+     */
+    to_namespace() {
+        return new ModuleValue(this.file_path, this.exports, this.context.symbol_table);
+    }
+}
+
+/**
+ * Gets a variable from the symbol table of a module so that it can be used in another one.
+ * A function keeps a reference to the symbol table of its module.
+ * @param {SymbolTable} symbol_table The symbol table of the module.
+ * @param {string} name The name of the variable.
+ * @returns {{type: string, value: any}}
+ */
+export function get_exported_variable(symbol_table, name) {
+    let variable = symbol_table.get(name);
+    let value = variable.value;
+    if (value instanceof BaseFunction) {
+        value = value.copy();
+        value.module_symbol_table = symbol_table;
+    }
+    return { type: variable.type, value };
+}
+
+/**
+ * The modules that have already been evaluated, by absolute path.
+ * @type {Map<string, Module>}
+ */
+const cache = new Map();
+
+/**
+ * The absolute paths of the modules that are being evaluated, in the order of the imports.
+ * @type {string[]}
+ */
+const loading = [];
+
+/**
+ * Resolves the path of an import relative to the file that contains it.
+ * @param {string} specifier The path written after `from`.
+ * @param {string} fn The name of the file that contains the import (`Position.fn`).
+ * @returns {string} The absolute path.
+ */
+export function resolve_module_path(specifier, fn) {
+    // "<stdin>", "<tests>", etc. are not files
+    const base = fn.startsWith("<") ? process.cwd() : path.dirname(fn);
+    return path.resolve(base, specifier);
+}
+
+/**
+ * Runs the file given to the command-line tool.
+ * It's the first file of the chain of imports, so an import that goes back to it is a circular import
+ * (it must not be evaluated a second time as a module).
+ * @template T
+ * @param {string} filename The name of the file (`"<stdin>"`, `"<eval>"`, etc. are not files).
+ * @param {() => T} evaluate Checks and interprets the program.
+ * @returns {T}
+ */
+export function run_entry_file(filename, evaluate) {
+    if (filename.startsWith("<")) return evaluate();
+    loading.push(path.resolve(filename));
+    try {
+        return evaluate();
+    } finally {
+        loading.pop();
+    }
+}
+
+/**
+ * Evaluates a file, only once, and gives its exports.
+ * @param {string} specifier The path written after `from`.
+ * @param {Position} pos_start The starting position of the import.
+ * @param {Position} pos_end The end position of the import.
+ * @param {Context} context The context of the import.
+ * @returns {Module}
+ */
+export function load_module(specifier, pos_start, pos_end, context) {
+    const file_path = resolve_module_path(specifier, pos_start.fn);
+
+    if (loading.includes(file_path)) {
+        const cycle = [...loading.slice(loading.indexOf(file_path)), file_path].map((v) => path.relative(process.cwd(), v));
+        throw new RuntimeError(
+            pos_start, pos_end,
+            `Circular import: ${cycle.join(' -> ')}`,
+            context
+        );
+    }
+
+    if (cache.has(file_path)) return cache.get(file_path);
+
+    let text = "";
+    try {
+        text = fs.readFileSync(file_path, 'utf8');
+    } catch (e) {
+        throw new RuntimeError(
+            pos_start, pos_end,
+            `Cannot find the module '${specifier}'`,
+            context
+        );
+    }
+
+    // the positions of the tokens keep the name and the source of the file,
+    // so the errors show the right file
+    const tokens = new Lexer(text, file_path).generate_tokens();
+    const tree = new Parser(tokens).parse();
+    const exports = tree.element_nodes.filter((v) => v instanceof ExportNode).map((v) => v.name_tok.value);
+
+    const module_context = new Context(`<module ${specifier}>`, context, pos_start);
+    module_context.symbol_table = new SymbolTable(global_symbol_table);
+    const module = new Module(file_path, module_context, exports);
+
+    loading.push(file_path);
+    try {
+        const type_errors = new TypeChecker(module_context).check(tree);
+        if (type_errors.length > 0) throw type_errors[0];
+        new Interpreter().visit(tree, module_context);
+    } finally {
+        loading.pop();
+    }
+
+    cache.set(file_path, module);
+    return module;
+}
@@ -2,12 +2,15 @@
 
 import process from 'process';
 import { Context } from "./context.js";
-import { RuntimeError } from "./Exceptions.js";
+import { CustomError, CustomTypeError, RuntimeError } from "./Exceptions.js";
 import { ArgumentNode } from "./nodes.js";
 import { Position } from "./position.js";
 import { RuntimeResult } from "./runtime.js";
 import { Token, TokenType, Types } from "./tokens.js";
-import { ClassValue, DictionnaryValue, ListValue, NativeClassValue, NoneValue, NumberValue, StringValue, Value } from "./values.js";
+import { BaseFunction, BooleanValue, ClassValue, DictionnaryValue, GeneratorValue, HtmlValue, ListValue, NativeClassValue, NativePropertyValue, NoneValue, NumberValue, StringValue, TagValue, Value } from "./values.js";
+import { get_host, Mounter } from "./dom.js";
+import { array_equals, Interpreter } from "./interpreter.js";
+import { NONE } from "./types.js";
 
 /**
  * A shortcut to create arguments for native functions faster.
@@ -40,6 +43,140 @@ export function is_object(value) {
     return value.type === Types.OBJECT || value instanceof NativeClassValue || value instanceof ClassValue;
 }
 
+/**
+ * The state of the random generator of `Math`.
+ * It can be seeded with `Math::seed(n)` so that the random numbers are always the same (for the tests).
+ */
+let random_state = Math.floor(Math.random() * 2 ** 32);
+
+/**
+ * Generates a random number between 0 (inclusive) and 1 (exclusive) with the algorithm "mulberry32".
+ * @returns {number}
+ */
+function next_random() {
+    random_state = (random_state + 0x6D2B79F5) >>> 0;
+    let t = random_state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Gets the numbers given to a function of `Math`.
+ * @param {Context} exec_ctx The execution context.
+ * @param {string[]} names The names of the arguments.
+ * @returns {number[]}
+ */
+function get_numbers(exec_ctx, names) {
+    return names.map((name) => exec_ctx.symbol_table.get(name).value.value);
+}
+
+/**
+ * Creates a static method of `Math`.
+ * @param {string} name The name of the method.
+ * @param {ArgumentNode[]} args The arguments.
+ * @param {(exec_ctx: Context, pos_start: Position, pos_end: Position) => Value} compute Computes the returned value.
+ */
+function math_method(name, args, compute) {
+    return {
+        name,
+        nature: "method",
+        type: Types.FUNCTION,
+        status: 1,
+        static_prop: 1,
+        value: {
+            args,
+            behavior: (exec_ctx, pos_start, pos_end) => new RuntimeResult().success(compute(exec_ctx, pos_start, pos_end))
+        }
+    };
+}
+
+/**
+ * Creates a static method of `Math` that only takes numbers and returns a number.
+ * @param {string} name The name of the method.
+ * @param {string[]} names The names of the arguments.
+ * @param {(...numbers: number[]) => number} compute The operation.
+ */
+function math_operation(name, names, compute) {
+    return math_method(name, names.map((v) => argNode(v, Types.NUMBER)), (exec_ctx) => {
+        return new NumberValue(compute(...get_numbers(exec_ctx, names)));
+    });
+}
+
+/**
+ * Creates a static method of `Math` that checks a number.
+ * @param {string} name The name of the method.
+ * @param {(x: number) => boolean} predicate The check.
+ */
+function math_predicate(name, predicate) {
+    return math_method(name, [argNode("x", Types.NUMBER)], (exec_ctx) => {
+        return new BooleanValue(predicate(...get_numbers(exec_ctx, ["x"])) ? 1 : 0);
+    });
+}
+
+/**
+ * Creates a static constant of `Math`.
+ * @param {string} name The name of the constant.
+ * @param {number} value The value.
+ */
+function math_constant(name, value) {
+    return {
+        name,
+        nature: "property",
+        type: Types.NUMBER,
+        status: 1,
+        static_prop: 1,
+        value: {
+            args: [],
+            behavior: () => new RuntimeResult().success(new NumberValue(value))
+        }
+    };
+}
+
+/**
+ * Gets the smallest or the greatest number given to `Math::min` or `Math::max`.
+ * @param {Context} exec_ctx The execution context.
+ * @param {Position} pos_start The starting position.
+ * @param {Position} pos_end The end position.
+ * @param {(...numbers: number[]) => number} compute `Math.min` or `Math.max`.
+ * @returns {NumberValue}
+ */
+function extremum(exec_ctx, pos_start, pos_end, compute) {
+    let numbers = exec_ctx.symbol_table.get('numbers').value.elements;
+    if (numbers.length === 0 || numbers.some((v) => !(v instanceof NumberValue))) {
+        throw new RuntimeError(
+            pos_start, pos_end,
+            "Expected at least one number",
+            exec_ctx
+        );
+    }
+    return new NumberValue(compute(...numbers.map((v) => v.value)));
+}
+
+/**
+ * Gets the list given to `Math::choice` or `Math::shuffle`.
+ * @param {Context} exec_ctx The execution context.
+ * @param {Position} pos_start The starting position.
+ * @param {Position} pos_end The end position.
+ * @returns {Value[]}
+ */
+function get_non_empty_list(exec_ctx, pos_start, pos_end) {
+    let elements = exec_ctx.symbol_table.get('list').value.elements;
+    if (elements.length === 0) {
+        throw new RuntimeError(
+            pos_start, pos_end,
+            "The list is empty",
+            exec_ctx
+        );
+    }
+    return elements;
+}
+
+/**
+ * The properties of the errors received by a `catch` block.
+ */
+const ERROR_PROPERTIES = ["name", "details", "file", "line", "column", "traceback"];
+
 export const NATIVE_CLASSES = {
     console_: {
         name: "console",
@@ -106,14 +243,175 @@ export const NATIVE_CLASSES = {
                 }
             }
         ],
-    }
+    },
+    versa: {
+        name: "Versa",
+        properties: [
+            {
+                name: "mount",
+                nature: "method",
+                type: Types.FUNCTION,
+                status: 1,
+                static_prop: 0,
+                value: {
+                    args: [
+                        argNode("html", Types.DYNAMIC),
+                        argNode("target", Types.ANY, false, true, new NoneValue()),
+                    ],
+                    /**
+                     * Mounts html or a tag into the host (see dom.js).
+                     * @param {Context} exec_ctx The execution context.
+                     * @param {Position} pos_start The starting position.
+                     * @param {Position} pos_end The end position.
+                     */
+                    behavior: (exec_ctx, pos_start, pos_end) => {
+                        let html = exec_ctx.symbol_table.get('html').value;
+                        let target = exec_ctx.symbol_table.get('target').value;
+
+                        if (!(html instanceof HtmlValue) && !(html instanceof TagValue)) {
+                            throw new RuntimeError(
+                                pos_start, pos_end,
+                                "Versa.mount expects html or a tag",
+                                exec_ctx
+                            );
+                        }
+
+                        if (!(target instanceof NoneValue) && !(target instanceof StringValue)) {
+                            throw new RuntimeError(
+                                pos_start, pos_end,
+                                "The target must be the id of an element",
+                                exec_ctx
+                            );
+                        }
+
+                        let host = get_host();
+                        let container = host.get_target(target instanceof StringValue ? target.value : null);
+                        if (!container) {
+                            throw new RuntimeError(
+                                pos_start, pos_end,
+                                `The target '${target.value}' doesn't exist`,
+                                exec_ctx
+                            );
+                        }
+
+                        new Mounter(host).mount(html, container);
+                        return new RuntimeResult().success(new NoneValue());
+                    }
+                }
+            }
+        ],
+    },
+    math: {
+        name: "Math",
+        // everything is static: Math::PI, Math::floor(5.5), etc.
+        properties: [
+            math_constant("PI", Math.PI),
+            math_constant("E", Math.E),
+            math_constant("INFINITY", Infinity),
+            ...["floor", "ceil", "round", "trunc", "abs", "sign", "sqrt", "cbrt", "exp", "log", "log2", "log10", "sin", "cos", "tan", "asin", "acos", "atan"].map((name) => math_operation(name, ["x"], Math[name])),
+            math_operation("atan2", ["y", "x"], Math.atan2),
+            math_operation("pow", ["x", "y"], Math.pow),
+            math_method("min", [argNode("numbers", Types.LIST, true)], (exec_ctx, pos_start, pos_end) => extremum(exec_ctx, pos_start, pos_end, Math.min)),
+            math_method("max", [argNode("numbers", Types.LIST, true)], (exec_ctx, pos_start, pos_end) => extremum(exec_ctx, pos_start, pos_end, Math.max)),
+            // Math::clamp(15, 0, 10) == 10
+            math_operation("clamp", ["x", "min", "max"], (x, min, max) => Math.min(Math.max(x, min), max)),
+            math_predicate("is_integer", Number.isInteger),
+            math_predicate("is_nan", Number.isNaN),
+            math_predicate("is_finite", Number.isFinite),
+            // the same seed always gives the same random numbers
+            math_method("seed", [argNode("seed", Types.NUMBER)], (exec_ctx, pos_start, pos_end) => {
+                let seed = expect_integer(exec_ctx.symbol_table.get('seed').value, "seed", pos_start, pos_end, exec_ctx);
+                random_state = seed >>> 0;
+                return new NoneValue();
+            }),
+            // between 0 (inclusive) and 1 (exclusive)
+            math_method("random", [], () => new NumberValue(next_random())),
+            // between a and b (both inclusive)
+            math_method("randint", [argNode("a", Types.NUMBER), argNode("b", Types.NUMBER)], (exec_ctx, pos_start, pos_end) => {
+                let a = expect_integer(exec_ctx.symbol_table.get('a').value, "a", pos_start, pos_end, exec_ctx);
+                let b = expect_integer(exec_ctx.symbol_table.get('b').value, "b", pos_start, pos_end, exec_ctx);
+                if (a > b) {
+                    throw new RuntimeError(
+                        pos_start, pos_end,
+                        "The argument 'a' must be lower than or equal to 'b'",
+                        exec_ctx
+                    );
+                }
+                return new NumberValue(a + Math.floor(next_random() * (b - a + 1)));
+            }),
+            math_method("choice", [argNode("list", Types.LIST)], (exec_ctx, pos_start, pos_end) => {
+                let elements = get_non_empty_list(exec_ctx, pos_start, pos_end);
+                return elements[Math.floor(next_random() * elements.length)];
+            }),
+            // returns a new list (Fisher-Yates)
+            math_method("shuffle", [argNode("list", Types.LIST)], (exec_ctx) => {
+                let elements = [...exec_ctx.symbol_table.get('list').value.elements];
+                for (let i = elements.length - 1; i > 0; i--) {
+                    let j = Math.floor(next_random() * (i + 1));
+                    [elements[i], elements[j]] = [elements[j], elements[i]];
+                }
+                return new ListValue(elements);
+            }),
+        ],
+    },
+    error_: {
+        name: "Error",
+        // the values are only defined on the instances created by `create_error_value`
+        properties: ERROR_PROPERTIES.map((name) => ({
+            name,
+            nature: "property",
+            type: Types.ANY,
+            status: 1,
+            static_prop: 0,
+            value: {
+                args: [],
+                behavior: () => new RuntimeResult().success(new NoneValue())
+            }
+        })),
+    },
+}
+
+/**
+ * Creates the value that a `catch` block receives when the error doesn't come from a `throw` statement.
+ * It's an instance of the native class `Error`, also created by `new Error(details)`.
+ * @param {CustomError} error The caught error.
+ * @param {string} name The name of the error.
+ * @returns {NativeClassValue}
+ */
+export function create_error_value(error, name=error.error_name) {
+    const values = {
+        name: new StringValue(name),
+        details: new StringValue(error.details),
+        file: new StringValue(error.pos_start.fn),
+        line: new NumberValue(error.pos_start.ln + 1),
+        column: new NumberValue(error.pos_start.col + 1),
+        // @ts-ignore
+        traceback: new StringValue(error.generate_traceback ? error.generate_traceback() : ""),
+    };
+
+    let self = new Map(ERROR_PROPERTIES.map((name) => [name, {
+        status: 1,
+        static_prop: 0,
+        value: {
+            type: values[name].type,
+            value: new NativePropertyValue(name, "property", "Error", 1, 0, () => new RuntimeResult().success(values[name].copy()))
+        }
+    }]));
+
+    let error_value = new NativeClassValue("Error", self, null).set_pos(error.pos_start, error.pos_end);
+    error_value.is_instance = true;
+    return error_value;
 }
 
+/**
+ * The native functions, with their arguments and the type of their returned value (used by the type checker).
+ */
 export const NATIVE_FUNCTIONS = {
     log: {
         args: [ // all the args
             argNode("value", Types.LIST, true),
         ],
+        return_type: NONE,
         /**
          * Equivalent of `console.log`.
          * @param {Context} exec_ctx The execution context.
@@ -132,6 +430,7 @@ export const NATIVE_FUNCTIONS = {
         args: [
             argNode("s", Types.DYNAMIC)
         ],
+        return_type: Types.NUMBER,
         /**
          * Equivalent of `len()` in python.
          * @param {Context} exec_ctx The execution context.
@@ -147,6 +446,16 @@ export const NATIVE_FUNCTIONS = {
                 length = s.elements.length;
             } else if (s instanceof DictionnaryValue) {
                 length = s.elements.size;
+            } else if (s instanceof ClassValue && s.is_instance && s.self.has("__len")) {
+                let custom_length = new Interpreter().call_method(s, "__len", [], pos_start, pos_end, exec_ctx);
+                if (!(custom_length instanceof NumberValue) || !Number.isInteger(custom_length.value) || custom_length.value < 0) {
+                    throw new CustomTypeError(
+                        pos_start, pos_end,
+                        "The method __len must return a non-negative integer",
+                        exec_ctx
+                    );
+                }
+                return new RuntimeResult().success(custom_length);
             } else {
                 throw new RuntimeError(
                     pos_start, pos_end,
@@ -157,7 +466,25 @@ export const NATIVE_FUNCTIONS = {
             return new RuntimeResult().success(new NumberValue(length));
         }
     },
+    list: {
+        args: [
+            argNode("iterable", Types.DYNAMIC)
+        ],
+        return_type: Types.LIST,
+        /**
+         * Creates a list from the values of an iterable value, like `list()` in python.
+         * @param {Context} exec_ctx The execution context.
+         * @param {Position} pos_start The starting position.
+         * @param {Position} pos_end The end position.
+         */
+        behavior: (exec_ctx, pos_start, pos_end) => {
+            let iterable = exec_ctx.symbol_table.get('iterable').value;
+            let elements = Array.from(new Interpreter().iterate(iterable, pos_start, pos_end, exec_ctx));
+            return new RuntimeResult().success(new ListValue(elements));
+        }
+    },
     exit: {
+        return_type: NONE,
         /**
          * Exists the entire program
          */
@@ -167,6 +494,443 @@ export const NATIVE_FUNCTIONS = {
     }
 }
 
+/**
+ * Gets an argument (or 'self') in the execution context of a native function.
+ * @param {Context} exec_ctx The execution context.
+ * @param {string} name The name of the argument.
+ * @returns {any}
+ */
+function get_arg(exec_ctx, name) {
+    return exec_ctx.symbol_table.get(name).value;
+}
+
+/**
+ * Throws an error if a number is not an integer (an index or a length for example).
+ * @param {NumberValue} number The number.
+ * @param {string} name The name of the argument.
+ * @param {Position} pos_start The starting position.
+ * @param {Position} pos_end The end position.
+ * @param {Context} exec_ctx The execution context.
+ * @returns {number}
+ */
+function expect_integer(number, name, pos_start, pos_end, exec_ctx) {
+    if (!Number.isInteger(number.value)) {
+        throw new RuntimeError(
+            pos_start, pos_end,
+            `The argument '${name}' must be an integer`,
+            exec_ctx
+        );
+    }
+    return number.value;
+}
+
+/**
+ * Creates the result of a native method.
+ * @param {Value} value
+ * @returns {RuntimeResult}
+ */
+const success = (value) => new RuntimeResult().success(value);
+
+/**
+ * The methods of the strings (`"abc".upper()`).
+ * In the behaviors, 'self' is the string.
+ */
+export const STRING_METHODS = {
+    // "a,b".split(",") == ["a", "b"]
+    split: {
+        args: [argNode("separator", Types.STRING)],
+        behavior: (exec_ctx) => {
+            let parts = get_arg(exec_ctx, 'self').value.split(get_arg(exec_ctx, 'separator').value);
+            return success(new ListValue(parts.map((v) => new StringValue(v))));
+        }
+    },
+    // ", ".join(["a", "b"]) == "a, b"
+    join: {
+        args: [argNode("list", Types.LIST)],
+        behavior: (exec_ctx) => {
+            /** @type {ListValue} */
+            let list = get_arg(exec_ctx, 'list');
+            // @ts-ignore
+            let parts = list.elements.map((v) => v.repr ? v.repr() : v.toString());
+            return success(new StringValue(parts.join(get_arg(exec_ctx, 'self').value)));
+        }
+    },
+    trim: {
+        args: [],
+        behavior: (exec_ctx) => success(new StringValue(get_arg(exec_ctx, 'self').value.trim()))
+    },
+    trim_start: {
+        args: [],
+        behavior: (exec_ctx) => success(new StringValue(get_arg(exec_ctx, 'self').value.trimStart()))
+    },
+    trim_end: {
+        args: [],
+        behavior: (exec_ctx) => success(new StringValue(get_arg(exec_ctx, 'self').value.trimEnd()))
+    },
+    upper: {
+        args: [],
+        behavior: (exec_ctx) => success(new StringValue(get_arg(exec_ctx, 'self').value.toUpperCase()))
+    },
+    lower: {
+        args: [],
+        behavior: (exec_ctx) => success(new StringValue(get_arg(exec_ctx, 'self').value.toLowerCase()))
+    },
+    // only the first occurrence
+    replace: {
+        args: [argNode("search", Types.STRING), argNode("replacement", Types.STRING)],
+        behavior: (exec_ctx) => {
+            let result = get_arg(exec_ctx, 'self').value.replace(get_arg(exec_ctx, 'search').value, () => get_arg(exec_ctx, 'replacement').value);
+            return success(new StringValue(result));
+        }
+    },
+    replace_all: {
+        args: [argNode("search", Types.STRING), argNode("replacement", Types.STRING)],
+        behavior: (exec_ctx) => {
+            let result = get_arg(exec_ctx, 'self').value.replaceAll(get_arg(exec_ctx, 'search').value, () => get_arg(exec_ctx, 'replacement').value);
+            return success(new StringValue(result));
+        }
+    },
+    starts_with: {
+        args: [argNode("prefix", Types.STRING)],
+        behavior: (exec_ctx) => success(new BooleanValue(get_arg(exec_ctx, 'self').value.startsWith(get_arg(exec_ctx, 'prefix').value) ? 1 : 0))
+    },
+    ends_with: {
+        args: [argNode("suffix", Types.STRING)],
+        behavior: (exec_ctx) => success(new BooleanValue(get_arg(exec_ctx, 'self').value.endsWith(get_arg(exec_ctx, 'suffix').value) ? 1 : 0))
+    },
+    // -1 if the string doesn't contain the searched string
+    index_of: {
+        args: [argNode("search", Types.STRING)],
+        behavior: (exec_ctx) => success(new NumberValue(get_arg(exec_ctx, 'self').value.indexOf(get_arg(exec_ctx, 'search').value)))
+    },
+    contains: {
+        args: [argNode("search", Types.STRING)],
+        behavior: (exec_ctx) => success(new BooleanValue(get_arg(exec_ctx, 'self').value.includes(get_arg(exec_ctx, 'search').value) ? 1 : 0))
+    },
+    repeat: {
+        args: [argNode("count", Types.NUMBER)],
+        behavior: (exec_ctx, pos_start, pos_end) => {
+            let count = expect_integer(get_arg(exec_ctx, 'count'), "count", pos_start, pos_end, exec_ctx);
+            if (count < 0) {
+                throw new RuntimeError(
+                    pos_start, pos_end,
+                    "The argument 'count' must be positive",
+                    exec_ctx
+                );
+            }
+            return success(new StringValue(get_arg(exec_ctx, 'self').value.repeat(count)));
+        }
+    },
+    // "5".pad_start(3, "0") == "005"
+    pad_start: {
+        args: [argNode("length", Types.NUMBER), argNode("fill", Types.STRING, false, true, new StringValue(" "))],
+        behavior: (exec_ctx, pos_start, pos_end) => {
+            let length = expect_integer(get_arg(exec_ctx, 'length'), "length", pos_start, pos_end, exec_ctx);
+            return success(new StringValue(get_arg(exec_ctx, 'self').value.padStart(length, get_arg(exec_ctx, 'fill').value)));
+        }
+    },
+    pad_end: {
+        args: [argNode("length", Types.NUMBER), argNode("fill", Types.STRING, false, true, new StringValue(" "))],
+        behavior: (exec_ctx, pos_start, pos_end) => {
+            let length = expect_integer(get_arg(exec_ctx, 'length'), "length", pos_start, pos_end, exec_ctx);
+            return success(new StringValue(get_arg(exec_ctx, 'self').value.padEnd(length, get_arg(exec_ctx, 'fill').value)));
+        }
+    },
+    // the UTF-16 code of a character
+    char_code_at: {
+        args: [argNode("index", Types.NUMBER, false, true, new NumberValue(0))],
+        behavior: (exec_ctx, pos_start, pos_end) => {
+            let string = get_arg(exec_ctx, 'self').value;
+            let index = expect_integer(get_arg(exec_ctx, 'index'), "index", pos_start, pos_end, exec_ctx);
+            if (index < 0) index += string.length;
+            if (index < 0 || index >= string.length) {
+                throw new RuntimeError(
+                    pos_start, pos_end,
+                    "Index out of range",
+                    exec_ctx
+                );
+            }
+            return success(new NumberValue(string.charCodeAt(index)));
+        }
+    },
+    char_codes: {
+        args: [],
+        behavior: (exec_ctx) => {
+            let string = get_arg(exec_ctx, 'self').value;
+            return success(new ListValue(Array.from(string, (_, i) => new NumberValue(string.charCodeAt(i)))));
+        }
+    },
+    // the negative indexes start from the end
+    slice: {
+        args: [argNode("start", Types.NUMBER), argNode("end", Types.NUMBER, false, true, new NoneValue())],
+        behavior: (exec_ctx, pos_start, pos_end) => {
+            let start = expect_integer(get_arg(exec_ctx, 'start'), "start", pos_start, pos_end, exec_ctx);
+            let end = get_arg(exec_ctx, 'end');
+            end = end instanceof NoneValue ? undefined : expect_integer(end, "end", pos_start, pos_end, exec_ctx);
+            return success(new StringValue(get_arg(exec_ctx, 'self').value.slice(start, end)));
+        }
+    },
+};
+
+/**
+ * Calls a function given to a native method (the callback of `map` for example).
+ * The function is executed in the context of the caller of the native method,
+ * because 'self' is defined in the context of the native method
+ * (it only matters for a method, a function keeps the variables of the scope in which it has been created).
+ * @param {BaseFunction} func The function.
+ * @param {Value[]} args The arguments.
+ * @param {Position} pos_start The starting position of the call to the native method.
+ * @param {Position} pos_end The end position of the call to the native method.
+ * @param {Context} exec_ctx The execution context of the native method.
+ * @returns {Value}
+ */
+function call_function(func, args, pos_start, pos_end, exec_ctx) {
+    let res = new RuntimeResult();
+    let return_value = res.register(func.copy().set_pos(pos_start, pos_end).set_context(exec_ctx.parent).execute(args, pos_start, pos_end));
+    return return_value ?? new NoneValue();
+}
+
+/**
+ * Compares two elements of a list when `sort` has no comparator.
+ * Only numbers and strings can be compared that way.
+ * @param {Value} a
+ * @param {Value} b
+ * @param {Position} pos_start The starting position.
+ * @param {Position} pos_end The end position.
+ * @param {Context} exec_ctx The execution context.
+ * @returns {number}
+ */
+function default_compare(a, b, pos_start, pos_end, exec_ctx) {
+    if (a instanceof NumberValue && b instanceof NumberValue) return a.value - b.value;
+    if (a instanceof StringValue && b instanceof StringValue) return a.value < b.value ? -1 : (a.value > b.value ? 1 : 0);
+    throw new RuntimeError(
+        pos_start, pos_end,
+        `Cannot compare '${a.type}' with '${b.type}' without a comparator`,
+        exec_ctx
+    );
+}
+
+/**
+ * Flattens the nested lists.
+ * @param {Value[]} elements The elements of the list.
+ * @param {number} depth How many levels to flatten.
+ * @returns {Value[]}
+ */
+function flatten(elements, depth) {
+    return elements.reduce((acc, element) => acc.concat(element instanceof ListValue && depth > 0 ? flatten(element.elements, depth - 1) : [element]), []);
+}
+
+/**
+ * The methods of the lists (`[1, 2].map(func (x) -> x * 2)`).
+ * In the behaviors, 'self' is the list.
+ * These methods never modify the list, they return a new one.
+ */
+export const LIST_METHODS = {
+    // [1, 2].map(func (x) -> x * 2) == [2, 4]
+    map: {
+        args: [argNode("callback", Types.FUNCTION)],
+        behavior: (exec_ctx, pos_start, pos_end) => {
+            let callback = get_arg(exec_ctx, 'callback');
+            let elements = get_arg(exec_ctx, 'self').elements.map((v) => call_function(callback, [v], pos_start, pos_end, exec_ctx));
+            return success(new ListValue(elements));
+        }
+    },
+    filter: {
+        args: [argNode("callback", Types.FUNCTION)],
+        behavior: (exec_ctx, pos_start, pos_end) => {
+            let callback = get_arg(exec_ctx, 'callback');
+            let elements = get_arg(exec_ctx, 'self').elements.filter((v) => call_function(callback, [v], pos_start, pos_end, exec_ctx).is_true());
+            return success(new ListValue(elements));
+        }
+    },
+    // [1, 2, 3].reduce(func (acc, x) -> acc + x, 0) == 6
+    // without an initial value, the first element is used
+    reduce: {
+        args: [argNode("callback", Types.FUNCTION), argNode("initial", Types.ANY, false, true, new NoneValue())],
+        behavior: (exec_ctx, pos_start, pos_end) => {
+            let callback = get_arg(exec_ctx, 'callback');
+            let elements = [...get_arg(exec_ctx, 'self').elements];
+            let accumulator = get_arg(exec_ctx, 'initial');
+            if (exec_ctx.symbol_table.get('arguments').value.elements.length < 2) {
+                if (elements.length === 0) {
+                    throw new RuntimeError(
+                        pos_start, pos_end,
+                        "Cannot reduce an empty list without an initial value",
+                        exec_ctx
+                    );
+                }
+                accumulator = elements.shift();
+            }
+            for (let element of elements) {
+                accumulator = call_function(callback, [accumulator, element], pos_start, pos_end, exec_ctx);
+            }
+            return success(accumulator);
+        }
+    },
+    // none if no element matches
+    find: {
+        args: [argNode("callback", Types.FUNCTION)],
+        behavior: (exec_ctx, pos_start, pos_end) => {
+            let callback = get_arg(exec_ctx, 'callback');
+            let found = get_arg(exec_ctx, 'self').elements.find((v) => call_function(callback, [v], pos_start, pos_end, exec_ctx).is_true());
+            return success(found ?? new NoneValue());
+        }
+    },
+    some: {
+        args: [argNode("callback", Types.FUNCTION)],
+        behavior: (exec_ctx, pos_start, pos_end) => {
+            let callback = get_arg(exec_ctx, 'callback');
+            let result = get_arg(exec_ctx, 'self').elements.some((v) => call_function(callback, [v], pos_start, pos_end, exec_ctx).is_true());
+            return success(new BooleanValue(result ? 1 : 0));
+        }
+    },
+    every: {
+        args: [argNode("callback", Types.FUNCTION)],
+        behavior: (exec_ctx, pos_start, pos_end) => {
+            let callback = get_arg(exec_ctx, 'callback');
+            let result = get_arg(exec_ctx, 'self').elements.every((v) => call_function(callback, [v], pos_start, pos_end, exec_ctx).is_true());
+            return success(new BooleanValue(result ? 1 : 0));
+        }
+    },
+    // the comparator returns a negative number if a < b, 0 if a == b and a positive number if a > b
+    // without a comparator, only numbers and strings can be sorted
+    sort: {
+        args: [argNode("comparator", Types.FUNCTION, false, true, new NoneValue())],
+        behavior: (exec_ctx, pos_start, pos_end) => {
+            let comparator = get_arg(exec_ctx, 'comparator');
+            let elements = [...get_arg(exec_ctx, 'self').elements].sort((a, b) => {
+                if (comparator instanceof NoneValue) return default_compare(a, b, pos_start, pos_end, exec_ctx);
+                let result = call_function(comparator, [a, b], pos_start, pos_end, exec_ctx);
+                if (!(result instanceof NumberValue)) {
+                    throw new RuntimeError(
+                        pos_start, pos_end,
+                        "The comparator must return a number",
+                        exec_ctx
+                    );
+                }
+                return result.value;
+            });
+            return success(new ListValue(elements));
+        }
+    },
+    reverse: {
+        args: [],
+        behavior: (exec_ctx) => success(new ListValue([...get_arg(exec_ctx, 'self').elements].reverse()))
+    },
+    // -1 if the list doesn't contain the value
+    index_of: {
+        args: [argNode("value")],
+        behavior: (exec_ctx) => {
+            let value = get_arg(exec_ctx, 'value');
+            return success(new NumberValue(get_arg(exec_ctx, 'self').elements.findIndex((v) => array_equals([v], [value]))));
+        }
+    },
+    includes: {
+        args: [argNode("value")],
+        behavior: (exec_ctx) => {
+            let value = get_arg(exec_ctx, 'value');
+            return success(new BooleanValue(get_arg(exec_ctx, 'self').elements.some((v) => array_equals([v], [value])) ? 1 : 0));
+        }
+    },
+    // [1, [2, [3]]].flat() == [1, 2, [3]]
+    flat: {
+        args: [argNode("depth", Types.NUMBER, false, true, new NumberValue(1))],
+        behavior: (exec_ctx, pos_start, pos_end) => {
+            let depth = expect_integer(get_arg(exec_ctx, 'depth'), "depth", pos_start, pos_end, exec_ctx);
+            return success(new ListValue(flatten(get_arg(exec_ctx, 'self').elements, depth)));
+        }
+    },
+    // [1, 2].zip(["a", "b", "c"]) == [[1, "a"], [2, "b"]]
+    zip: {
+        args: [argNode("other", Types.LIST)],
+        behavior: (exec_ctx) => {
+            let elements = get_arg(exec_ctx, 'self').elements;
+            let other = get_arg(exec_ctx, 'other').elements;
+            let length = Math.min(elements.length, other.length);
+            return success(new ListValue(Array.from({ length }, (_, i) => new ListValue([elements[i], other[i]]))));
+        }
+    },
+};
+
+/**
+ * The methods of the dictionaries (`{"a": 1}.keys()`).
+ * In the behaviors, 'self' is the dictionary.
+ * These methods never modify the dictionary.
+ */
+export const DICT_METHODS = {
+    keys: {
+        args: [],
+        behavior: (exec_ctx) => success(new ListValue(Array.from(get_arg(exec_ctx, 'self').elements.keys(), (v) => new StringValue(v))))
+    },
+    values: {
+        args: [],
+        behavior: (exec_ctx) => success(new ListValue(Array.from(get_arg(exec_ctx, 'self').elements.values())))
+    },
+    // {"a": 1}.entries() == [["a", 1]]
+    entries: {
+        args: [],
+        behavior: (exec_ctx) => success(new ListValue(Array.from(get_arg(exec_ctx, 'self').elements.entries(), ([key, value]) => new ListValue([new StringValue(key), value]))))
+    },
+    has: {
+        args: [argNode("key", Types.STRING)],
+        behavior: (exec_ctx) => success(new BooleanValue(get_arg(exec_ctx, 'self').elements.has(get_arg(exec_ctx, 'key').value) ? 1 : 0))
+    },
+    // the default value is returned if the key doesn't exist
+    get: {
+        args: [argNode("key", Types.STRING), argNode("default", Types.ANY, false, true, new NoneValue())],
+        behavior: (exec_ctx) => success(get_arg(exec_ctx, 'self').elements.get(get_arg(exec_ctx, 'key').value) ?? get_arg(exec_ctx, 'default'))
+    },
+    // the keys of the other dictionary replace the existing ones
+    merge: {
+        args: [argNode("other", Types.DICT)],
+        behavior: (exec_ctx) => success(new DictionnaryValue(new Map([...get_arg(exec_ctx, 'self').elements, ...get_arg(exec_ctx, 'other').elements])))
+    },
+};
+
+/**
+ * The methods of the generators (`numbers().next()`).
+ * In the behaviors, 'self' is the generator.
+ * The property `done` is handled by the interpreter.
+ */
+export const GENERATOR_METHODS = {
+    // returns none once the generator has no more values
+    next: {
+        args: [],
+        behavior: (exec_ctx) => success(get_arg(exec_ctx, 'self').next() ?? new NoneValue())
+    },
+};
+
+/**
+ * Gets the table of the native methods of a value that is not an object.
+ * @param {Value} value The value.
+ * @returns {Object<string, {args: ArgumentNode[], behavior: (exec_ctx: Context, pos_start: Position, pos_end: Position) => RuntimeResult}>|null} Null if this type of value has no methods.
+ */
+export function get_native_methods(value) {
+    if (value instanceof StringValue) return STRING_METHODS;
+    if (value instanceof ListValue) return LIST_METHODS;
+    if (value instanceof DictionnaryValue) return DICT_METHODS;
+    if (value instanceof GeneratorValue) return GENERATOR_METHODS;
+    return null;
+}
+
+/**
+ * Gets a native method of a value that is not an object (`"abc".upper` for example).
+ * @param {Value} value The value.
+ * @param {string} name The name of the method.
+ * @returns {NativePropertyValue|null} Null if the method doesn't exist.
+ */
+export function get_native_method(value, name) {
+    let methods = get_native_methods(value);
+    if (!methods || !Object.prototype.hasOwnProperty.call(methods, name)) return null;
+
+    let method = methods[name];
+    let behavior = (exec_ctx, pos_start, pos_end) => {
+        exec_ctx.symbol_table.set("self", { type: value.type, value });
+        return method.behavior(exec_ctx, pos_start, pos_end);
+    };
+    return new NativePropertyValue(name, "method", value.type, 1, 0, behavior, method.args);
+}
+
 const GLOBAL_ATTRIBUTES = [
     "contenteditable",
     "dir",
@@ -183,6 +947,7 @@ const GLOBAL_ATTRIBUTES = [
 
 // https://fr.w3docs.com/apprendre-html/tableau-des-tags-html.html
 // only the tags that are supported in HTML5
+// "is_void" means that the tag cannot have children and has no closing tag (<br> for example)
 export const NATIVE_TAGS = {
     h1: {
         name: "h1",
@@ -228,12 +993,14 @@ export const NATIVE_TAGS = {
     },
     br: {
         name: "br",
+        is_void: true,
         props: [
             "hidden",
         ]
     },
     hr: {
         name: "hr",
+        is_void: true,
         props: [
             "hidden",
         ]
@@ -448,6 +1215,7 @@ export const NATIVE_TAGS = {
     },
     wbr: {
         name: "wbr",
+        is_void: true,
         props: [
             ...GLOBAL_ATTRIBUTES,
         ],
@@ -468,6 +1236,7 @@ export const NATIVE_TAGS = {
     },
     input: {
         name: "input",
+        is_void: true,
         props: [
             ...GLOBAL_ATTRIBUTES,
             "accept",
@@ -603,6 +1372,7 @@ export const NATIVE_TAGS = {
     },
     keygen: {
         name: "keygen",
+        is_void: true,
         props: [
             ...GLOBAL_ATTRIBUTES,
             "autofocus",
@@ -639,6 +1409,7 @@ export const NATIVE_TAGS = {
     },
     img: {
         name: "img",
+        is_void: true,
         props: [
             ...GLOBAL_ATTRIBUTES,
             "alt",
@@ -659,6 +1430,7 @@ export const NATIVE_TAGS = {
     },
     area: {
         name: "area",
+        is_void: true,
         props: [
             ...GLOBAL_ATTRIBUTES,
             "alt",
@@ -732,6 +1504,7 @@ export const NATIVE_TAGS = {
     },
     source: {
         name: "source",
+        is_void: true,
         props: [
             ...GLOBAL_ATTRIBUTES,
             "media",
@@ -743,6 +1516,7 @@ export const NATIVE_TAGS = {
     },
     track: {
         name: "track",
+        is_void: true,
         props: [
             ...GLOBAL_ATTRIBUTES,
             "default",
@@ -908,6 +1682,7 @@ export const NATIVE_TAGS = {
     },
     col: {
         name: "col",
+        is_void: true,
         props: [
             ...GLOBAL_ATTRIBUTES,
         ],
@@ -1001,6 +1776,7 @@ export const NATIVE_TAGS = {
     },
     embed: {
         name: "embed",
+        is_void: true,
         props: [
             ...GLOBAL_ATTRIBUTES,
             "height",
@@ -1027,6 +1803,7 @@ export const NATIVE_TAGS = {
     },
     param: {
         name: "param",
+        is_void: true,
         props: [
             ...GLOBAL_ATTRIBUTES,
             "name",
@@ -1,8 +1,10 @@
 "use strict";
 
 import { Position } from "./position.js";
-import { Token, Types } from "./tokens.js";
+import { Token, TokenType, Types } from "./tokens.js";
 import { Value } from "./values.js";
+import { Type } from "./types.js";
+import { InvalidSyntaxError } from "./Exceptions.js";
 
 /**
  * @classdesc A node in the program.
@@ -41,7 +43,7 @@ export class NumberNode extends CustomNode {
     }
 
     toString() {
-        return `${this.value}`;
+        return typeof this.value === "bigint" ? `${this.value}n` : `${this.value}`;
     }
 }
 
@@ -381,7 +383,7 @@ export class VarAssignNode extends CustomNode {
      * @constructs VarAssignNode
      * @param {Token} var_name_tok The name of the variable.
      * @param {CustomNode} value_node The value of the variable.
-     * @param {string|null} type The type of variable (by default "ANY")
+     * @param {Type|null} type The type of variable (by default "ANY")
      */
     constructor(var_name_tok, value_node, type) {
         super();
@@ -393,7 +395,112 @@ export class VarAssignNode extends CustomNode {
     }
 
     toString() {
-        return `(var ${this.var_name_tok.value}${this.type && this.type !== Types.ANY ? ': ' + this.type : ''} = ${this.value_node})`;
+        return `(var ${this.var_name_tok.value}${this.type && String(this.type) !== Types.ANY ? ': ' + this.type : ''} = ${this.value_node})`;
+    }
+}
+
+/**
+ * @classdesc An element of a destructuring pattern: a variable or a nested pattern, with an optional type and an optional default value (`b: number = 0`).
+ */
+export class PatternElementNode extends CustomNode {
+    /**
+     * @constructs PatternElementNode
+     * @param {Token|ListPatternNode|DictPatternNode} target The name of the variable or a nested pattern.
+     * @param {Type|null} type The type of the value.
+     * @param {CustomNode|null} default_value_node The value used when the destructured value has no such element.
+     * @param {Position} pos_start The starting position.
+     * @param {Position} pos_end The end position.
+     */
+    constructor(target, type, default_value_node, pos_start, pos_end) {
+        super();
+        this.target = target;
+        this.type = type;
+        this.default_value_node = default_value_node;
+        this.pos_start = pos_start;
+        this.pos_end = pos_end;
+    }
+
+    toString() {
+        let target = this.target instanceof Token ? this.target.value : String(this.target);
+        return `${target}${this.type ? ': ' + this.type : ''}${this.default_value_node ? ' = ' + this.default_value_node : ''}`;
+    }
+}
+
+/**
+ * @classdesc Destructures a list (or any iterable value): `[a, b, ...rest]`.
+ */
+export class ListPatternNode extends CustomNode {
+    /**
+     * @constructs ListPatternNode
+     * @param {PatternElementNode[]} elements The elements, in order.
+     * @param {PatternElementNode|null} rest The variable that gets the remaining elements (`...rest`).
+     * @param {Position} pos_start The starting position.
+     * @param {Position} pos_end The end position.
+     */
+    constructor(elements, rest, pos_start, pos_end) {
+        super();
+        this.elements = elements;
+        this.rest = rest;
+        this.pos_start = pos_start;
+        this.pos_end = pos_end;
+    }
+
+    toString() {
+        return `[${[...this.elements.map((v) => String(v)), ...(this.rest ? ['...' + this.rest] : [])].join(', ')}]`;
+    }
+}
+
+/**
+ * @classdesc Destructures a dictionnary: `{name, age: years = 0, ...others}`.
+ */
+export class DictPatternNode extends CustomNode {
+    /**
+     * @constructs DictPatternNode
+     * @param {[Token, PatternElementNode][]} entries The keys and the elements that get their values (`name` is the same as `name: name`).
+     * @param {PatternElementNode|null} rest The variable that gets a dictionnary of the remaining keys (`...others`).
+     * @param {Position} pos_start The starting position.
+     * @param {Position} pos_end The end position.
+     */
+    constructor(entries, rest, pos_start, pos_end) {
+        super();
+        this.entries = entries;
+        this.rest = rest;
+        this.pos_start = pos_start;
+        this.pos_end = pos_end;
+    }
+
+    toString() {
+        let entries = this.entries.map(([key_tok, element]) => {
+            if (key_tok.type === TokenType.IDENTIFIER && element.target === key_tok) return String(element);
+            return `${key_tok.type === TokenType.STRING ? `"${key_tok.value}"` : key_tok.value}: ${element}`;
+        });
+        if (this.rest) entries.push('...' + this.rest);
+        return `{${entries.join(', ')}}`;
+    }
+}
+
+/**
+ * @classdesc Assigns the parts of a value to several variables: `var [a, b] = list` declares them, `[a, b] = [b, a]` modifies them.
+ */
+export class DestructuringAssignNode extends CustomNode {
+    /**
+     * @constructs DestructuringAssignNode
+     * @param {ListPatternNode|DictPatternNode} pattern The pattern.
+     * @param {CustomNode} value_node The destructured value.
+     * @param {boolean} is_declaration Are the variables declared (`var`)?
+     * @param {Position} pos_start The starting position.
+     */
+    constructor(pattern, value_node, is_declaration, pos_start) {
+        super();
+        this.pattern = pattern;
+        this.value_node = value_node;
+        this.is_declaration = is_declaration;
+        this.pos_start = pos_start;
+        this.pos_end = value_node.pos_end;
+    }
+
+    toString() {
+        return `(${this.is_declaration ? 'var ' : ''}${this.pattern} = ${this.value_node})`;
     }
 }
 
@@ -737,7 +844,7 @@ export class DictionnaryElementNode extends CustomNode {
 export class DictionnaryNode extends CustomNode {
     /**
      * @constructs DictionnaryNode
-     * @param {Array<DictionnaryElementNode>} element_nodes The token that represents a string.
+     * @param {Array<DictionnaryElementNode|SpreadNode>} element_nodes The token that represents a string.
      * @param {Position} pos_start The starting position of the list (we must have it from the constructor because of empty lists).
      * @param {Position} pos_end The end position of the list (we must have it from the constructor because of empty lists).
      */
@@ -753,6 +860,27 @@ export class DictionnaryNode extends CustomNode {
     }
 }
 
+/**
+ * @classdesc Inserts the elements of a list in a list or in the arguments of a call (`[1, ...others]`, `f(...args)`), or the entries of a dictionnary in a dictionnary (`{...defaults, "x": 1}`).
+ */
+export class SpreadNode extends CustomNode {
+    /**
+     * @constructs SpreadNode
+     * @param {CustomNode} node_to_spread The list or the dictionnary.
+     * @param {Position} pos_start The starting position (the dots).
+     */
+    constructor(node_to_spread, pos_start) {
+        super();
+        this.node_to_spread = node_to_spread;
+        this.pos_start = pos_start;
+        this.pos_end = node_to_spread.pos_end;
+    }
+
+    toString() {
+        return `...${this.node_to_spread}`;
+    }
+}
+
 export class ListAccessNode extends CustomNode {
     /**
      * @constructs ListAccessNode
@@ -858,14 +986,12 @@ export class StringNode extends CustomNode {
     /**
      * @constructs StringNode
      * @param {Token} token The token that represents a string.
-     * @param {boolean} allow_concatenation
      */
-    constructor(token, allow_concatenation=false) {
+    constructor(token) {
         super();
         this.token = token;
         this.pos_start = this.token.pos_start;
         this.pos_end = this.token.pos_end;
-        this.allow_concatenation = allow_concatenation;
     }
 
     toString() {
@@ -873,6 +999,52 @@ export class StringNode extends CustomNode {
     }
 }
 
+/**
+ * @classdesc An expression inserted in a formatted string: `${price:.2f}`, or `$name`.
+ */
+export class InterpolationNode extends CustomNode {
+    /**
+     * @constructs InterpolationNode
+     * @param {CustomNode} node The expression.
+     * @param {import("./lexer.js").FormatSpec|null} format_spec The format specifier (`.2f`).
+     * @param {Position} pos_start The starting position (the dollar sign).
+     * @param {Position} pos_end The end position.
+     */
+    constructor(node, format_spec, pos_start, pos_end) {
+        super();
+        this.node = node;
+        this.format_spec = format_spec;
+        this.pos_start = pos_start;
+        this.pos_end = pos_end;
+    }
+
+    toString() {
+        return `\${${this.node}${this.format_spec ? ':' + this.format_spec.text : ''}}`;
+    }
+}
+
+/**
+ * @classdesc A formatted string: `f"Hello ${name}"`.
+ */
+export class FormattedStringNode extends CustomNode {
+    /**
+     * @constructs FormattedStringNode
+     * @param {Array<string|InterpolationNode>} parts The text and the interpolations, in order.
+     * @param {Position} pos_start The starting position.
+     * @param {Position} pos_end The end position.
+     */
+    constructor(parts, pos_start, pos_end) {
+        super();
+        this.parts = parts;
+        this.pos_start = pos_start;
+        this.pos_end = pos_end;
+    }
+
+    toString() {
+        return `f"${this.parts.map((part) => typeof part === 'string' ? part.replace(/\$/g, '$$$$') : String(part)).join('')}"`;
+    }
+}
+
 export class IfNode extends CustomNode {
     /**
      * @constructs IfNode
@@ -993,13 +1165,17 @@ export class FuncDefNode extends CustomNode {
      * @param {Array<ArgumentNode>} args The arguments.
      * @param {CustomNode} body_node The body of the function.
      * @param {boolean} should_auto_return Should auto return? True if the function is an arrow function.
+     * @param {Type|null} return_type The type of the returned value, if it's specified.
+     * @param {boolean} is_generator Is it a generator function (`func*`)?
      */
-    constructor(var_name_tok, args, body_node, should_auto_return) {
+    constructor(var_name_tok, args, body_node, should_auto_return, return_type=null, is_generator=false) {
         super();
         this.var_name_tok = var_name_tok;
         this.args = args;
         this.body_node = body_node;
         this.should_auto_return = should_auto_return;
+        this.return_type = return_type;
+        this.is_generator = is_generator;
 
         if (this.var_name_tok) {
             this.pos_start = this.var_name_tok.pos_start;
@@ -1013,7 +1189,7 @@ export class FuncDefNode extends CustomNode {
     }
 
     toString() {
-        return `func ${this.var_name_tok ? this.var_name_tok.value : ''}(${this.args.map((v) => v.arg_name_tok.value).join(', ')})`;
+        return `func${this.is_generator ? '*' : ''} ${this.var_name_tok ? this.var_name_tok.value : ''}(${this.args.map((v) => v.arg_name_tok.value).join(', ')})${this.return_type ? ': ' + this.return_type : ''}`;
     }
 }
 
@@ -1065,6 +1241,24 @@ export class ReturnNode extends CustomNode {
     }
 }
 
+/**
+ * @classdesc A yield keyword, which pauses a generator function.
+ */
+export class YieldNode extends CustomNode {
+    /**
+     * @constructs YieldNode
+     * @param {CustomNode|null} node_to_yield The value given to the consumer of the generator.
+     * @param {Position} pos_start The starting position.
+     * @param {Position} pos_end The end position.
+     */
+    constructor(node_to_yield, pos_start, pos_end) {
+        super();
+        this.node_to_yield = node_to_yield;
+        this.pos_start = pos_start;
+        this.pos_end = pos_end;
+    }
+}
+
 /**
  * @classdesc A return keyword.
  */
@@ -1105,7 +1299,7 @@ export class DefineNode extends CustomNode {
      * @constructs DefineNode
      * @param {Token} var_name_tok The name of the variable.
      * @param {CustomNode} value_node The value of the variable.
-     * @param {string|null} type The type of the variable (by default "ANY").
+     * @param {Type|null} type The type of the variable (by default "ANY").
      */
     constructor(var_name_tok, value_node, type) {
         super();
@@ -1117,7 +1311,7 @@ export class DefineNode extends CustomNode {
     }
 
     toString() {
-        return `(define ${this.var_name_tok.value}${this.type && this.type !== Types.ANY ? ': ' + this.type : ''} = ${this.value_node})`;
+        return `(define ${this.var_name_tok.value}${this.type && String(this.type) !== Types.ANY ? ': ' + this.type : ''} = ${this.value_node})`;
     }
 }
 
@@ -1223,7 +1417,7 @@ export class ClassPropertyDefNode extends CustomNode {
      * @constructs ClassPropertyDefNode
      * @param {Token} property_name_tok The name of the variable.
      * @param {CustomNode} value_node The value of the variable.
-     * @param {string|null} type The type of the variable.
+     * @param {Type|null} type The type of the variable.
      * @param {number} status 0 for private, 1 for public, 2 for protected.
      * @param {number} override 1 for override, 0 otherwise.
      * @param {number} static_prop 1 for static, 0 otherwise.
@@ -1243,11 +1437,11 @@ export class ClassPropertyDefNode extends CustomNode {
     toString() {
         switch (this.status) {
             case 0:
-                return `(private ${this.override ? 'override' : ''} ${this.property_name_tok.value}${this.type && this.type !== Types.ANY ? ': ' + this.type : ''} = ${this.value_node})`;
+                return `(private ${this.override ? 'override' : ''} ${this.property_name_tok.value}${this.type && String(this.type) !== Types.ANY ? ': ' + this.type : ''} = ${this.value_node})`;
             case 1:
-                return `(public ${this.override ? 'override' : ''} ${this.property_name_tok.value}${this.type && this.type !== Types.ANY ? ': ' + this.type : ''} = ${this.value_node})`;
+                return `(public ${this.override ? 'override' : ''} ${this.property_name_tok.value}${this.type && String(this.type) !== Types.ANY ? ': ' + this.type : ''} = ${this.value_node})`;
             case 2:
-                return `(protected ${this.override ? 'override' : ''} ${this.property_name_tok.value}${this.type && this.type !== Types.ANY ? ': ' + this.type : ''} = ${this.value_node})`;
+                return `(protected ${this.override ? 'override' : ''} ${this.property_name_tok.value}${this.type && String(this.type) !== Types.ANY ? ': ' + this.type : ''} = ${this.value_node})`;
         }
     }
 }
@@ -1353,7 +1547,7 @@ export class TagPropDefNode extends CustomNode {
      * @constructs TagPropDefNode
      * @param {Token} property_name_tok The name of the variable.
      * @param {CustomNode} value_node The value of the variable.
-     * @param {string|null} type The type of the variable.
+     * @param {Type|null} type The type of the variable.
      * @param {number} optional Is the prop optional? 1 for true.
      */
     constructor(property_name_tok, value_node, type, optional) {
@@ -1367,7 +1561,7 @@ export class TagPropDefNode extends CustomNode {
     }
 
     toString() {
-        return `(prop ${this.property_name_tok.value}${this.type && this.type !== Types.ANY ? ': ' + this.type : ''} = ${this.value_node})`;
+        return `(prop ${this.property_name_tok.value}${this.type && String(this.type) !== Types.ANY ? ': ' + this.type : ''} = ${this.value_node})`;
     }
 }
 
@@ -1379,7 +1573,7 @@ export class TagStateDefNode extends CustomNode {
      * @constructs TagStateDefNode
      * @param {Token} property_name_tok The name of the variable.
      * @param {CustomNode} value_node The value of the variable.
-     * @param {string|null} type The type of the variable.
+     * @param {Type|null} type The type of the variable.
      */
     constructor(property_name_tok, value_node, type) {
         super();
@@ -1391,7 +1585,7 @@ export class TagStateDefNode extends CustomNode {
     }
 
     toString() {
-        return `(state ${this.property_name_tok.value}${this.type && this.type !== Types.ANY ? ': ' + this.type : ''} = ${this.value_node})`;
+        return `(state ${this.property_name_tok.value}${this.type && String(this.type) !== Types.ANY ? ': ' + this.type : ''} = ${this.value_node})`;
     }
 }
 
@@ -1473,16 +1667,18 @@ export class ArgumentNode extends CustomNode {
     /**
      * @constructs ArgumentNode
      * @param {Token} arg_name_tok The name of the argument.
-     * @param {string} type The type of the argument.
+     * @param {Type|string} type The type of the argument.
      * @param {boolean} is_rest Is a rest parameter?
      * @param {boolean} is_optional Is optional?
      * @param {CustomNode|Value} default_value_node The default value in case the argument is optional. It might be a Value if this is native.
      * @param {Position} pos_start The starting position.
      * @param {Position} pos_end The end position.
+     * @param {ListPatternNode|DictPatternNode|null} pattern The pattern that destructures the argument (`func ([a, b])`). The name of the argument is then the pattern as it's written.
      */
-    constructor(arg_name_tok, type=Types.ANY, is_rest=false, is_optional=false, default_value_node=null, pos_start=null, pos_end=null) {
+    constructor(arg_name_tok, type=Types.ANY, is_rest=false, is_optional=false, default_value_node=null, pos_start=null, pos_end=null, pattern=null) {
         super();
         this.arg_name_tok = arg_name_tok;
+        this.pattern = pattern;
         this.type = type;
         this.is_rest = is_rest;
         this.is_optional = is_optional;
@@ -1500,7 +1696,7 @@ export class ArgumentNode extends CustomNode {
     }
 
     toString() {
-        return `(${this.is_rest ? '...' : ''}${this.arg_name_tok.value}${this.is_optional ? '?' : ''}${this.type !== Types.ANY && !this.is_rest ? ': ' + this.type : ''}${this.default_value_node ? '=' + this.default_value_node : ''})`;
+        return `(${this.is_rest ? '...' : ''}${this.arg_name_tok.value}${this.is_optional ? '?' : ''}${String(this.type) !== Types.ANY && !this.is_rest ? ': ' + this.type : ''}${this.default_value_node ? '=' + this.default_value_node : ''})`;
     }
 }
 
@@ -1620,6 +1816,28 @@ export class InstanceofNode extends CustomNode {
     }
 }
 
+/**
+ * @classdesc Checks if a value is of a certain type: `x is number`, `x is list<string>`.
+ */
+export class IsNode extends CustomNode {
+    /**
+     * @constructs IsNode
+     * @param {CustomNode} node_a The node.
+     * @param {Type} type The type.
+     * @param {Position} pos_end The end of the type.
+     */
+    constructor(node_a, type, pos_end) {
+        super();
+        this.node_a = node_a;
+        this.type = type;
+        this.set_pos(node_a.pos_start, pos_end);
+    }
+
+    toString() {
+        return `(${this.node_a} is ${this.type})`;
+    }
+}
+
 export class HtmlNode extends CustomNode {
     /**
      * @constructs HtmlNode
@@ -1647,4 +1865,125 @@ export class HtmlNode extends CustomNode {
     toString() {
         return `<${this.tagname_tok?.value ?? ''}${this.classes.map((v) => '.' + v)}${this.id ? '#' + this.id : ''} (${this.attributes.length} attribute${this.attributes.length > 1 ? 's' : ''}) (${this.events.length} event${this.events.length > 1 ? 's' : ''})> (${this.children.length} ${this.children.length > 1 ? 'children' : 'child'})`;
     }
-}
\ No newline at end of file
+}
+/**
+ * @classdesc A `try` block followed by a `catch` block and/or a `finally` block.
+ */
+export class TryNode extends CustomNode {
+    /**
+     * @constructs TryNode
+     * @param {CustomNode} try_body The body of the `try` block.
+     * @param {Token|null} catch_var_name_tok The name of the variable that receives the error. Null if there is no identifier after `catch`.
+     * @param {CustomNode|null} catch_body The body of the `catch` block. Null if there is no `catch` block.
+     * @param {CustomNode|null} finally_body The body of the `finally` block. Null if there is no `finally` block.
+     * @param {Position} pos_start The starting position.
+     * @param {Position} pos_end The end position.
+     */
+    constructor(try_body, catch_var_name_tok, catch_body, finally_body, pos_start, pos_end) {
+        super();
+        this.try_body = try_body;
+        this.catch_var_name_tok = catch_var_name_tok;
+        this.catch_body = catch_body;
+        this.finally_body = finally_body;
+        this.pos_start = pos_start;
+        this.pos_end = pos_end;
+    }
+
+    toString() {
+        return `TryNode`;
+    }
+}
+
+/**
+ * @classdesc A throw keyword.
+ */
+export class ThrowNode extends CustomNode {
+    /**
+     * @constructs ThrowNode
+     * @param {CustomNode} node_to_throw The value that we must throw.
+     * @param {Position} pos_start The starting position.
+     * @param {Position} pos_end The end position.
+     */
+    constructor(node_to_throw, pos_start, pos_end) {
+        super();
+        this.node_to_throw = node_to_throw;
+        this.pos_start = pos_start;
+        this.pos_end = pos_end;
+    }
+
+    toString() {
+        return `(throw ${this.node_to_throw})`;
+    }
+}
+
+/**
+ * @classdesc Imports the exported declarations of another file.
+ */
+export class ImportNode extends CustomNode {
+    /**
+     * @constructs ImportNode
+     * @param {[Token, Token|null][]} names The imported names and their aliases (`import { a, b as c }`). Empty for a namespace import.
+     * @param {Token|null} namespace_tok The name of the namespace (`import * as ns`). Null if specific names are imported.
+     * @param {Token} path_tok The path to the file, relative to the current file.
+     * @param {Position} pos_start The starting position.
+     * @param {Position} pos_end The end position.
+     */
+    constructor(names, namespace_tok, path_tok, pos_start, pos_end) {
+        super();
+        this.names = names;
+        this.namespace_tok = namespace_tok;
+        this.path_tok = path_tok;
+        this.pos_start = pos_start;
+        this.pos_end = pos_end;
+    }
+
+    toString() {
+        let imported = this.namespace_tok ? `* as ${this.namespace_tok.value}` : `{ ${this.names.map(([name, alias]) => alias ? `${name.value} as ${alias.value}` : name.value).join(', ')} }`;
+        return `(import ${imported} from "${this.path_tok.value}")`;
+    }
+}
+
+/**
+ * @classdesc Makes a declaration available to the other files.
+ */
+export class ExportNode extends CustomNode {
+    /**
+     * @constructs ExportNode
+     * @param {CustomNode} node The declaration (a variable, a constant, a function, a class, a tag or an enum).
+     * @param {Token} name_tok The name of the declaration.
+     * @param {Position} pos_start The starting position.
+     */
+    constructor(node, name_tok, pos_start) {
+        super();
+        this.node = node;
+        this.name_tok = name_tok;
+        this.pos_start = pos_start;
+        this.pos_end = node.pos_end;
+    }
+
+    toString() {
+        return `(export ${this.node})`;
+    }
+}
+
+/**
+ * @classdesc A statement that could not be parsed, kept in the tree so that the parser can report the following syntax errors.
+ */
+export class ErrorNode extends CustomNode {
+    /**
+     * @constructs ErrorNode
+     * @param {InvalidSyntaxError} error The syntax error.
+     * @param {Position} pos_start The starting position of the statement.
+     * @param {Position} pos_end The end position of the skipped tokens.
+     */
+    constructor(error, pos_start, pos_end) {
+        super();
+        this.error = error;
+        this.pos_start = pos_start;
+        this.pos_end = pos_end;
+    }
+
+    toString() {
+        return `(error: ${this.error.details})`;
+    }
+}
@@ -1,10 +1,11 @@
 "use strict";
 
 import { TokenType, Token, Types } from "./tokens.js";
-import { CustomNode, AddNode, DivideNode, MinusNode, ModuloNode, MultiplyNode, NumberNode, PlusNode, PowerNode, SubtractNode, VarAssignNode, VarAccessNode, VarModifyNode, OrNode, NotNode, AndNode, EqualsNode, LessThanNode, LessThanOrEqualNode, GreaterThanNode, GreaterThanOrEqualNode, NotEqualsNode, NullishOperatorNode, ListNode, ListAccessNode, ListAssignmentNode, ListPushBracketsNode, ListBinarySelector, StringNode, IfNode, ForNode, WhileNode, FuncDefNode, CallNode, ReturnNode, ContinueNode, BreakNode, DefineNode, DeleteNode, PrefixOperationNode, PostfixOperationNode, DictionnaryElementNode, DictionnaryNode, ForeachNode, ClassPropertyDefNode, ClassMethodDefNode, ClassDefNode, ClassCallNode, CallPropertyNode, AssignPropertyNode, CallMethodNode, CallStaticPropertyNode, SuperNode, ArgumentNode, EnumNode, SwitchNode, NoneNode, BooleanNode, BinaryShiftLeftNode, BinaryShiftRightNode, UnsignedBinaryShiftRightNode, NullishAssignmentNode, LogicalAndNode, LogicalOrNode, LogicalXORNode, BinaryNotNode, AndAssignmentNode, OrAssignmentNode, ListArgumentNode, TypeofNode, InstanceofNode, TagStateDefNode, TagPropDefNode, TagDefNode, HtmlNode } from "./nodes.js";
-import { InvalidSyntaxError } from "./Exceptions.js";
+import { CustomNode, AddNode, DivideNode, MinusNode, ModuloNode, MultiplyNode, NumberNode, PlusNode, PowerNode, SubtractNode, VarAssignNode, VarAccessNode, VarModifyNode, OrNode, NotNode, AndNode, EqualsNode, LessThanNode, LessThanOrEqualNode, GreaterThanNode, GreaterThanOrEqualNode, NotEqualsNode, NullishOperatorNode, ListNode, ListAccessNode, ListAssignmentNode, ListPushBracketsNode, ListBinarySelector, StringNode, IfNode, ForNode, WhileNode, FuncDefNode, CallNode, ReturnNode, ContinueNode, BreakNode, DefineNode, DeleteNode, PrefixOperationNode, PostfixOperationNode, DictionnaryElementNode, DictionnaryNode, ForeachNode, ClassPropertyDefNode, ClassMethodDefNode, ClassDefNode, ClassCallNode, CallPropertyNode, AssignPropertyNode, CallMethodNode, CallStaticPropertyNode, SuperNode, ArgumentNode, EnumNode, SwitchNode, NoneNode, BooleanNode, BinaryShiftLeftNode, BinaryShiftRightNode, UnsignedBinaryShiftRightNode, NullishAssignmentNode, LogicalAndNode, LogicalOrNode, LogicalXORNode, BinaryNotNode, AndAssignmentNode, OrAssignmentNode, ListArgumentNode, TypeofNode, InstanceofNode, IsNode, TagStateDefNode, TagPropDefNode, TagDefNode, HtmlNode, TryNode, ThrowNode, YieldNode, ImportNode, ExportNode, PatternElementNode, ListPatternNode, DictPatternNode, DestructuringAssignNode, SpreadNode, InterpolationNode, FormattedStringNode, ErrorNode } from "./nodes.js";
+import { InvalidSyntaxError, SyntaxErrorList } from "./Exceptions.js";
 import { is_in } from "./miscellaneous.js";
 import { Position } from "./position.js";
+import { Type, NONE, to_type, ListType, DictType, UnionType, FunctionType } from "./types.js";
 
 /**
  * @classdesc Reads the sequence of tokens in order to create the nodes.
@@ -19,6 +20,13 @@ export class Parser {
         this.idx = -1;
         this.advancement_count = 0;
         this.backup_index = 0;
+        // 'yield' can only be used in the body of a generator function
+        this.is_in_generator = false;
+        /** @type {InvalidSyntaxError[]} */
+        this.errors = [];
+        // greater than 0 when the parser tries a syntax and goes back if it fails,
+        // in which case the errors must be thrown instead of being recorded
+        this.speculation_depth = 0;
         this.advance();
     }
 
@@ -111,14 +119,178 @@ export class Parser {
     }
 
     /**
-     * Assigns a type.
-     * @param {string} token_value The value of the token following ':'
+     * Parses a type annotation, after ':'.
+     * @returns {Type}
      */
-    assign_type(token_value) {
-        return token_value;
+    parse_type() {
+        let types = [this.parse_optional_type()];
+        while (this.current_token.type === TokenType.LOGICAL_OR) {
+            this.advance();
+            types.push(this.parse_optional_type());
+        }
+        return types.length === 1 ? types[0] : new UnionType(types);
+    }
+
+    /**
+     * `T?` is `T | none`.
+     * @returns {Type}
+     */
+    parse_optional_type() {
+        let type = this.parse_type_atom();
+        if (this.current_token.type === TokenType.QMARK) {
+            this.advance();
+            type = new UnionType([type, to_type(NONE)]);
+        }
+        return type;
+    }
+
+    /**
+     * A name with its type parameters (`dict<string, number>`), a function (`(number) -> number`) or a type between parentheses.
+     * @returns {Type}
+     */
+    parse_type_atom() {
+        let pos_start = this.current_token.pos_start.copy();
+
+        if (this.current_token.type === TokenType.LPAREN) {
+            this.advance();
+            let arg_types = [];
+            if (this.current_token.type !== TokenType.RPAREN) {
+                arg_types.push(this.parse_type());
+                while (this.current_token.type === TokenType.COMMA) {
+                    this.advance();
+                    arg_types.push(this.parse_type());
+                }
+            }
+            if (this.current_token.type !== TokenType.RPAREN) {
+                throw new InvalidSyntaxError(
+                    this.current_token.pos_start, this.current_token.pos_end,
+                    "Expected ')'"
+                );
+            }
+            this.advance();
+            if (this.current_token.type === TokenType.ARROW) {
+                this.advance();
+                return new FunctionType(arg_types, this.parse_type());
+            }
+            if (arg_types.length !== 1) {
+                throw new InvalidSyntaxError(
+                    pos_start, this.current_token.pos_end,
+                    "Expected '->' after the arguments of a function type"
+                );
+            }
+            return arg_types[0];
+        }
+
+        if (this.current_token.type !== TokenType.IDENTIFIER && !this.current_token.matches(TokenType.KEYWORD, "none")) {
+            throw new InvalidSyntaxError(
+                this.current_token.pos_start, this.current_token.pos_end,
+                "Expected a type"
+            );
+        }
+
+        let name = this.current_token.value;
+        this.advance();
+
+        // '<' is read as the beginning of an html tag when it's followed by a letter
+        if (this.current_token.type !== TokenType.LT && this.current_token.type !== TokenType.LCHEVRON) {
+            return to_type(name);
+        }
+
+        this.advance();
+        let parameters = [this.parse_type()];
+        while (this.current_token.type === TokenType.COMMA) {
+            this.advance();
+            parameters.push(this.parse_type());
+        }
+        this.close_type_parameters();
+
+        if (name === Types.LIST && parameters.length === 1) {
+            return new ListType(parameters[0]);
+        } else if (name === Types.DICT && parameters.length === 2) {
+            return new DictType(parameters[0], parameters[1]);
+        }
+
+        throw new InvalidSyntaxError(
+            pos_start, this.tokens[this.idx - 1].pos_end,
+            "Only 'list<T>' and 'dict<K, V>' have type parameters"
+        );
     }
 
+    /**
+     * Parses the return type of a function, after ':' (`func f(): number -> 5`).
+     * The colon might also be the beginning of the body (`func f(): log(5) end`),
+     * so it's a return type only if it's followed by '->' or ':'.
+     * @returns {Type|null} Null if there is no return type, the current token is still the colon.
+     */
+    parse_return_type() {
+        let idx = this.idx;
+        let tokens = this.tokens;
+        // the tokens might be modified by `close_type_parameters`
+        this.tokens = [...tokens];
+        this.advance();
+        this.speculation_depth++;
+        try {
+            let type = this.parse_type();
+            if (this.current_token.type === TokenType.ARROW || this.current_token.type === TokenType.COLON) {
+                return type;
+            }
+        } catch (e) {
+            if (!(e instanceof InvalidSyntaxError)) throw e;
+        } finally {
+            this.speculation_depth--;
+        }
+        this.tokens = tokens;
+        this.idx = idx;
+        this.set_token();
+        return null;
+    }
+
+    /**
+     * Consumes the '>' at the end of the type parameters.
+     * In `list<list<number>>`, the lexer reads '>>' as one token, so we only consume its first character.
+     */
+    close_type_parameters() {
+        let token = this.current_token;
+        const split = (type, value) => {
+            let pos_start = token.pos_start.copy().advance(">");
+            this.tokens[this.idx] = new Token(type, value, pos_start, token.pos_end);
+            this.set_token();
+        };
+
+        if (token.type === TokenType.GT || token.type === TokenType.RCHEVRON) {
+            this.advance();
+        } else if (token.type === TokenType.BINARY_RIGHT) {
+            split(TokenType.GT, ">");
+        } else if (token.type === TokenType.BINARY_UNSIGNED_RIGHT) {
+            split(TokenType.BINARY_RIGHT, ">>");
+        } else if (token.type === TokenType.GTE) {
+            split(TokenType.EQUALS, "=");
+        } else {
+            throw new InvalidSyntaxError(
+                token.pos_start, token.pos_end,
+                "Expected '>'"
+            );
+        }
+    }
+
+    /**
+     * Parses the file and throws the syntax errors: the first one, or all of them at once if there are several.
+     * @returns {ListNode|null}
+     * @throws {InvalidSyntaxError}
+     */
     parse() {
+        let result = this.parse_with_errors();
+        if (this.errors.length === 1) throw this.errors[0];
+        if (this.errors.length > 1) throw new SyntaxErrorList(this.errors);
+        return result;
+    }
+
+    /**
+     * Parses the file without throwing the syntax errors: they are recorded in `errors`,
+     * and the statements in which they occured are replaced by error nodes.
+     * @returns {ListNode|null} The partial tree.
+     */
+    parse_with_errors() {
         if (this.current_token === null) {
             return null;
         }
@@ -126,21 +298,84 @@ export class Parser {
         let result = this.statements();
 
         // we've reached the end of the parsing
-        // but not the end of the file
-        if (this.current_token !== null && this.current_token.type !== TokenType.EOF) {
+        // but not the end of the file ('end' outside of a block for example)
+        while (this.current_token !== null && this.current_token.type !== TokenType.EOF) {
             let invalid_token = this.current_token;
             let pos_start = this.current_token.pos_start.copy();
             this.advance();
             let pos_end = this.current_token ? this.current_token.pos_end : pos_start.copy();
-            throw new InvalidSyntaxError(
+            let error = new InvalidSyntaxError(
                 pos_start, pos_end,
                 `Unexpected end of parsing: unable to parse '${invalid_token.value}'.`
             );
+            this.errors.push(error);
+            result.element_nodes.push(new ErrorNode(error, pos_start, pos_end));
+            // the rest of the file is still parsed to report its errors
+            if (this.current_token !== null && this.current_token.type !== TokenType.EOF) {
+                result.element_nodes.push(...this.statements().element_nodes);
+            }
         }
 
         return result;
     }
-    
+
+    /**
+     * Parses a statement, or records its syntax error and skips it (panic mode),
+     * so that the errors of the following statements are also reported.
+     * @returns {CustomNode} The statement, or an ErrorNode.
+     */
+    statement_or_error() {
+        if (this.speculation_depth > 0) {
+            return this.statement();
+        }
+
+        let start_idx = this.idx;
+        let was_in_generator = this.is_in_generator;
+        try {
+            return this.statement();
+        } catch (e) {
+            if (!(e instanceof InvalidSyntaxError)) throw e;
+            this.errors.push(e);
+            this.is_in_generator = was_in_generator;
+            let pos_start = this.tokens[start_idx].pos_start.copy();
+            this.synchronize(start_idx);
+            return new ErrorNode(e, pos_start, this.current_token.pos_start.copy());
+        }
+    }
+
+    /**
+     * Skips the statement that begins at a certain token: until the end of its line, or until the keyword 'end' of the enclosing block.
+     * If the statement opens blocks (a line that ends with a colon, like 'func a():'), they are skipped until their 'end'.
+     * @param {number} start_idx The index of the first token of the statement.
+     */
+    synchronize(start_idx) {
+        this.idx = start_idx;
+        this.set_token();
+
+        let first_token = this.current_token; // the first token of the current line
+        let depth = 0; // the number of blocks that haven't been closed
+        while (this.current_token.type !== TokenType.EOF) {
+            if (this.is_newline()) {
+                // 'else:' or 'case 1:' continue the current block instead of opening a new one
+                let continues_block = ["elif", "else", "catch", "finally", "case", "default"].some((keyword) => first_token.matches(TokenType.KEYWORD, keyword));
+                if (this.tokens[this.idx - 1]?.type === TokenType.COLON && !continues_block) depth++;
+                if (depth === 0) return;
+                this.advance();
+                this.ignore_indentation();
+                first_token = this.current_token;
+                continue;
+            }
+
+            if (this.current_token.matches(TokenType.KEYWORD, "end")) {
+                // the 'end' of the enclosing block
+                if (depth === 0) return;
+                depth--;
+            }
+
+            this.advance();
+        }
+    }
+
     statements() {
         let statements = [];
         let pos_start = this.current_token.pos_start.copy();
@@ -152,7 +387,7 @@ export class Parser {
             return new ListNode(statements, null, null);
         }
 
-        let statement = this.statement();
+        let statement = this.statement_or_error();
         statements.push(statement);
 
         let more_statements = this.current_token !== null && this.current_token.type !== TokenType.EOF;
@@ -178,12 +413,16 @@ export class Parser {
                     more_statements = false;
                 } else if (this.current_token.matches(TokenType.KEYWORD, "end")) {
                     more_statements = false;
+                } else if (this.current_token.matches(TokenType.KEYWORD, "catch")) {
+                    more_statements = false;
+                } else if (this.current_token.matches(TokenType.KEYWORD, "finally")) {
+                    more_statements = false;
                 } else if (this.current_token.matches(TokenType.KEYWORD, "case")) { // we don't use `break` for the end of a case in a switch
                     more_statements = false;
                 } else if (this.current_token.matches(TokenType.KEYWORD, "default")) { // we don't use `break` for the end of a case in a switch
                     more_statements = false;
                 } else {
-                    statement = this.statement();
+                    statement = this.statement_or_error();
 
                     if (!statement) {
                         more_statements = false;
@@ -219,6 +458,22 @@ export class Parser {
             return new ReturnNode(expr, pos_start, this.current_token.pos_end.copy());
         }
 
+        if (this.current_token.matches(TokenType.KEYWORD, "yield")) {
+            if (!this.is_in_generator) {
+                throw new InvalidSyntaxError(
+                    this.current_token.pos_start, this.current_token.pos_end,
+                    "'yield' can only be used in a generator function ('func*')"
+                );
+            }
+
+            this.advance();
+
+            let expr = null;
+            if (!this.is_newline() && this.current_token.type !== TokenType.EOF) expr = this.expr();
+
+            return new YieldNode(expr, pos_start, this.current_token.pos_end.copy());
+        }
+
         if (this.current_token.matches(TokenType.KEYWORD, "continue")) {
             this.advance();
             return new ContinueNode(pos_start, this.current_token.pos_end.copy());
@@ -254,9 +509,234 @@ export class Parser {
             return this.enum_expr();
         }
 
+        if (this.current_token.matches(TokenType.KEYWORD, "try")) {
+            return this.try_expr();
+        }
+
+        if (this.current_token.matches(TokenType.KEYWORD, "throw")) {
+            this.advance();
+
+            if (this.is_newline() || this.current_token.type === TokenType.EOF) {
+                throw new InvalidSyntaxError(
+                    this.current_token.pos_start, this.current_token.pos_end,
+                    "Expected an expression after 'throw'"
+                );
+            }
+
+            let expr = this.expr();
+            return new ThrowNode(expr, pos_start, expr.pos_end);
+        }
+
+        if (this.current_token.matches(TokenType.KEYWORD, "import")) {
+            return this.import_expr();
+        }
+
+        if (this.current_token.matches(TokenType.KEYWORD, "export")) {
+            this.advance();
+
+            let node = this.statement();
+            let name_tok = null;
+
+            if (node instanceof VarAssignNode || node instanceof DefineNode || node instanceof FuncDefNode) {
+                name_tok = node.var_name_tok;
+            } else if (node instanceof ClassDefNode) {
+                name_tok = node.class_name_tok;
+            } else if (node instanceof TagDefNode) {
+                name_tok = node.tag_name_tok;
+            } else if (node instanceof EnumNode) {
+                name_tok = node.enum_name_tok;
+            }
+
+            // an anonymous function cannot be exported
+            if (!name_tok) {
+                throw new InvalidSyntaxError(
+                    node.pos_start, node.pos_end,
+                    "Only the declarations of variables, constants, functions, classes, tags and enums can be exported"
+                );
+            }
+
+            return new ExportNode(node, name_tok, pos_start);
+        }
+
         return this.expr();
     }
 
+    import_expr() {
+        let pos_start = this.current_token.pos_start.copy();
+        this.advance();
+
+        // import { a, b as c } from "./file.vjs"
+        // import * as ns from "./file.vjs"
+
+        let names = [];
+        let namespace_tok = null;
+
+        const expect_identifier = () => {
+            if (this.current_token.type !== TokenType.IDENTIFIER) {
+                throw new InvalidSyntaxError(
+                    this.current_token.pos_start, this.current_token.pos_end,
+                    "Expected an identifier"
+                );
+            }
+            let tok = this.current_token;
+            this.advance();
+            return tok;
+        };
+
+        const expect_as = () => {
+            if (!this.current_token.matches(TokenType.KEYWORD, "as")) {
+                throw new InvalidSyntaxError(
+                    this.current_token.pos_start, this.current_token.pos_end,
+                    "Expected 'as'"
+                );
+            }
+            this.advance();
+        };
+
+        if (this.current_token.type === TokenType.MULTIPLY) {
+            this.advance();
+            expect_as();
+            namespace_tok = expect_identifier();
+        } else if (this.current_token.type === TokenType.LBRACK) {
+            this.advance();
+            this.ignore_newlines();
+
+            while (this.current_token.type !== TokenType.RBRACK) {
+                let name_tok = expect_identifier();
+                let alias_tok = null;
+                if (this.current_token.matches(TokenType.KEYWORD, "as")) {
+                    this.advance();
+                    alias_tok = expect_identifier();
+                }
+                names.push([name_tok, alias_tok]);
+
+                this.ignore_newlines();
+                if (this.current_token.type === TokenType.COMMA) {
+                    this.advance();
+                    this.ignore_newlines();
+                } else if (this.current_token.type !== TokenType.RBRACK) {
+                    throw new InvalidSyntaxError(
+                        this.current_token.pos_start, this.current_token.pos_end,
+                        "Expected ',' or '}'"
+                    );
+                }
+            }
+
+            this.advance();
+
+            if (names.length === 0) {
+                throw new InvalidSyntaxError(
+                    pos_start, this.current_token.pos_end,
+                    "Expected at least one name to import"
+                );
+            }
+        } else {
+            throw new InvalidSyntaxError(
+                this.current_token.pos_start, this.current_token.pos_end,
+                "Expected '{' or '*'"
+            );
+        }
+
+        if (!this.current_token.matches(TokenType.KEYWORD, "from")) {
+            throw new InvalidSyntaxError(
+                this.current_token.pos_start, this.current_token.pos_end,
+                "Expected 'from'"
+            );
+        }
+
+        this.advance();
+
+        if (this.current_token.type !== TokenType.STRING) {
+            throw new InvalidSyntaxError(
+                this.current_token.pos_start, this.current_token.pos_end,
+                "Expected the path to a file"
+            );
+        }
+
+        let path_tok = this.current_token;
+        this.advance();
+
+        return new ImportNode(names, namespace_tok, path_tok, pos_start, path_tok.pos_end.copy());
+    }
+
+    /**
+     * Parses the body of a `try`, `catch` or `finally` block.
+     * The current token must be the ':' that follows the keyword.
+     * @returns {CustomNode}
+     */
+    try_block() {
+        if (this.current_token.type !== TokenType.COLON) {
+            throw new InvalidSyntaxError(
+                this.current_token.pos_start, this.current_token.pos_end,
+                "Expected ':'"
+            );
+        }
+
+        this.advance();
+
+        if (!this.is_newline()) {
+            throw new InvalidSyntaxError(
+                this.current_token.pos_start, this.current_token.pos_end,
+                "Expected a new line"
+            );
+        }
+
+        this.advance();
+        return this.statements();
+    }
+
+    try_expr() {
+        let pos_start = this.current_token.pos_start.copy();
+        this.advance();
+
+        // try:
+        //     statements
+        // catch e:
+        //     statements
+        // finally:
+        //     statements
+        // end
+
+        let try_body = this.try_block();
+        let catch_var_name_tok = null;
+        let catch_body = null;
+        let finally_body = null;
+
+        if (this.current_token.matches(TokenType.KEYWORD, "catch")) {
+            this.advance();
+            // the identifier is optional: `catch:`
+            if (this.current_token.type === TokenType.IDENTIFIER) {
+                catch_var_name_tok = this.current_token;
+                this.advance();
+            }
+            catch_body = this.try_block();
+        }
+
+        if (this.current_token.matches(TokenType.KEYWORD, "finally")) {
+            this.advance();
+            finally_body = this.try_block();
+        }
+
+        if (!catch_body && !finally_body) {
+            throw new InvalidSyntaxError(
+                this.current_token.pos_start, this.current_token.pos_end,
+                "Expected 'catch' or 'finally'"
+            );
+        }
+
+        if (!this.current_token.matches(TokenType.KEYWORD, "end")) {
+            throw new InvalidSyntaxError(
+                this.current_token.pos_start, this.current_token.pos_end,
+                "Expected 'end'"
+            );
+        }
+
+        let pos_end = this.current_token.pos_end.copy();
+        this.advance();
+
+        return new TryNode(try_body, catch_var_name_tok, catch_body, finally_body, pos_start, pos_end);
+    }
+
     tag_expr() {
         let pos_start = this.current_token.pos_start.copy();
         this.advance();
@@ -355,8 +835,7 @@ export class Parser {
                 this.advance();
                 if (this.current_token.type === TokenType.COLON) {
                     this.advance();
-                    property_type = this.assign_type(this.current_token.value);
-                    this.advance();
+                    property_type = this.parse_type();
                 }
                 let value_node;
                 if (this.current_token.type === TokenType.EQUALS) {
@@ -688,8 +1167,7 @@ export class Parser {
                 this.advance();
                 if (this.current_token.type === TokenType.COLON) {
                     this.advance();
-                    property_type = this.assign_type(this.current_token.value);
-                    this.advance();
+                    property_type = this.parse_type();
                 }
                 let value_node;
                 if (this.current_token.type === TokenType.EQUALS) {
@@ -745,6 +1223,20 @@ export class Parser {
             let is_variable = this.current_token.matches(TokenType.KEYWORD, "var");
             let pos_start = this.current_token.pos_start;
             this.advance();
+
+            // `var [a, b] = list` or `var {name, age} = dict`
+            if (is_variable && (this.current_token.type === TokenType.LSQUARE || this.current_token.type === TokenType.LBRACK)) {
+                const pattern = this.pattern();
+                if (this.current_token.type !== TokenType.EQUALS) {
+                    throw new InvalidSyntaxError(
+                        this.current_token.pos_start, this.current_token.pos_end,
+                        "Expected '=': a destructuring pattern must be given a value"
+                    );
+                }
+                this.advance();
+                const value_node = this.expr();
+                return new DestructuringAssignNode(pattern, value_node, true, pos_start);
+            }
             
             if (this.current_token.type !== TokenType.IDENTIFIER) {
                 throw new InvalidSyntaxError(
@@ -760,8 +1252,7 @@ export class Parser {
 
             if (this.current_token.type === TokenType.COLON) {
                 this.advance();
-                type = this.assign_type(this.current_token.value);
-                this.advance();
+                type = this.parse_type();
             }
 
             if (is_variable) { // is var?
@@ -1288,6 +1779,12 @@ export class Parser {
             return new InstanceofNode(result, class_name_tok);
         }
 
+        if (this.current_token.matches(TokenType.KEYWORD, "is")) {
+            this.advance();
+            let type = this.parse_type();
+            return new IsNode(result, type, this.tokens[this.idx - 1].pos_end);
+        }
+
         while (this.current_token !== null && is_in(this.current_token.type, possible_tokens)) {
             if (this.current_token.type === TokenType.BINARY_LEFT) {
                 this.advance();
@@ -1677,7 +2174,8 @@ export class Parser {
                         result = this.helper_call_list(result, this.current_token.pos_start.copy(), true);
                     }
                 } else {
-                    if (this.current_token.type !== TokenType.IDENTIFIER) {
+                    // a keyword is allowed after the dot, for the native methods (`dict.get()`)
+                    if (this.current_token.type !== TokenType.IDENTIFIER && this.current_token.type !== TokenType.KEYWORD) {
                         throw new InvalidSyntaxError(
                             this.current_token.pos_start, this.current_token.pos_end,
                             "Expected identifier"
@@ -1744,13 +2242,13 @@ export class Parser {
             if (this.current_token.type === TokenType.RPAREN) {
                 this.advance();
             } else {
-                arg_nodes.push(this.expr());
+                arg_nodes.push(this.spread_or_expr());
                 this.ignore_newlines();
 
                 while (this.current_token.type === TokenType.COMMA) {
                     this.advance();
                     this.ignore_newlines();
-                    arg_nodes.push(this.expr());
+                    arg_nodes.push(this.spread_or_expr());
                 }
 
                 this.ignore_newlines();
@@ -1978,13 +2476,13 @@ export class Parser {
                     pos_end = this.current_token.pos_end.copy();
                     this.advance();
                 } else {
-                    arg_nodes.push(this.expr());
+                    arg_nodes.push(this.spread_or_expr());
                     this.ignore_newlines();
 
                     while (this.current_token.type === TokenType.COMMA) {
                         this.advance();
                         this.ignore_newlines();
-                        arg_nodes.push(this.expr());
+                        arg_nodes.push(this.spread_or_expr());
                     }
 
                     this.ignore_newlines();
@@ -2036,16 +2534,12 @@ export class Parser {
         } else if (token.type === TokenType.STRING) {
             this.advance();
             return new StringNode(token);
+        } else if (token.type === TokenType.FORMATTED_STRING) {
+            return this.formatted_string();
         } else if (token.type === TokenType.IDENTIFIER) {
             const var_name_tok = token;
             this.advance();
 
-            if (var_name_tok.value === "f" && this.current_token.type === TokenType.STRING) {
-                const string = this.current_token;
-                this.advance();
-                return new StringNode(string, true);
-            }
-
             if (this.current_token.type === TokenType.EQUALS) {
                 this.advance();
                 const value_node = this.expr();
@@ -2054,9 +2548,9 @@ export class Parser {
 
             return new VarAccessNode(token);
         } else if (this.current_token.type === TokenType.LSQUARE) {
-            return this.list_expr();
+            return this.destructuring_assignment() ?? this.list_expr();
         } else if (this.current_token.type === TokenType.LBRACK) {
-            return this.dict_expr();
+            return this.destructuring_assignment() ?? this.dict_expr();
         } else if (this.current_token.matches(TokenType.KEYWORD, "if")) {
             return this.if_expr();
         } else if (this.current_token.matches(TokenType.KEYWORD, "for")) {
@@ -2087,8 +2581,211 @@ export class Parser {
         }
     }
 
+    /**
+     * Parses a destructuring pattern: `[a, b: number = 0, ...rest]` or `{name, age: years = 0, ...others}`.
+     * In a dictionnary pattern, what follows the colon is the variable that gets the value of the key (or a nested pattern).
+     * @returns {ListPatternNode|DictPatternNode}
+     */
+    pattern() {
+        let pos_start = this.current_token.pos_start.copy();
+        let is_list = this.current_token.type === TokenType.LSQUARE;
+        let closing_type = is_list ? TokenType.RSQUARE : TokenType.RBRACK;
+        let closing_char = is_list ? "]" : "}";
+        this.advance();
+        this.ignore_newlines();
+
+        let elements = [];
+        let rest = null;
+
+        while (this.current_token.type !== closing_type) {
+            if (this.current_token.type === TokenType.TRIPLE_DOTS) {
+                this.advance();
+                if (this.current_token.type !== TokenType.IDENTIFIER) {
+                    throw new InvalidSyntaxError(
+                        this.current_token.pos_start, this.current_token.pos_end,
+                        "Expected identifier"
+                    );
+                }
+                rest = this.pattern_element();
+                if (rest.default_value_node) {
+                    throw new InvalidSyntaxError(
+                        rest.default_value_node.pos_start, rest.default_value_node.pos_end,
+                        "The rest element of a pattern cannot have a default value."
+                    );
+                }
+                this.ignore_newlines();
+                if (this.current_token.type === TokenType.COMMA) this.advance();
+                this.ignore_newlines();
+                if (this.current_token.type !== closing_type) {
+                    throw new InvalidSyntaxError(
+                        this.current_token.pos_start, this.current_token.pos_end,
+                        "The rest element must be the last element of a pattern"
+                    );
+                }
+                break;
+            }
+
+            if (is_list) {
+                elements.push(this.pattern_element());
+            } else {
+                // the key might be a string if it's not a valid identifier (`{"first-name": name}`)
+                let key_tok = this.current_token;
+                if (key_tok.type !== TokenType.IDENTIFIER && key_tok.type !== TokenType.STRING) {
+                    throw new InvalidSyntaxError(
+                        key_tok.pos_start, key_tok.pos_end,
+                        "Expected identifier or string"
+                    );
+                }
+                this.advance();
+
+                if (this.current_token.type === TokenType.COLON) {
+                    this.advance();
+                    elements.push([key_tok, this.pattern_element()]);
+                } else if (key_tok.type === TokenType.STRING) {
+                    throw new InvalidSyntaxError(
+                        this.current_token.pos_start, this.current_token.pos_end,
+                        "Expected ':' followed by the name of the variable"
+                    );
+                } else {
+                    // `{name}` is the same as `{name: name}`
+                    let default_value_node = null;
+                    if (this.current_token.type === TokenType.EQUALS) {
+                        this.advance();
+                        default_value_node = this.expr();
+                    }
+                    elements.push([key_tok, new PatternElementNode(key_tok, null, default_value_node, key_tok.pos_start, default_value_node ? default_value_node.pos_end : key_tok.pos_end)]);
+                }
+            }
+
+            this.ignore_newlines();
+            if (this.current_token.type === TokenType.COMMA) {
+                this.advance();
+                this.ignore_newlines();
+            } else if (this.current_token.type !== closing_type) {
+                throw new InvalidSyntaxError(
+                    this.current_token.pos_start, this.current_token.pos_end,
+                    `Expected ',' or '${closing_char}'`
+                );
+            }
+        }
+
+        let pos_end = this.current_token.pos_end.copy();
+        this.advance();
+
+        return is_list ? new ListPatternNode(elements, rest, pos_start, pos_end) : new DictPatternNode(elements, rest, pos_start, pos_end);
+    }
+
+    /**
+     * Parses an element of a destructuring pattern: a variable or a nested pattern, followed by an optional type and an optional default value.
+     * @returns {PatternElementNode}
+     */
+    pattern_element() {
+        let pos_start = this.current_token.pos_start.copy();
+        let target;
+
+        if (this.current_token.type === TokenType.LSQUARE || this.current_token.type === TokenType.LBRACK) {
+            target = this.pattern();
+        } else if (this.current_token.type === TokenType.IDENTIFIER) {
+            target = this.current_token;
+            this.advance();
+        } else {
+            throw new InvalidSyntaxError(
+                this.current_token.pos_start, this.current_token.pos_end,
+                "Expected identifier, '[' or '{'"
+            );
+        }
+
+        let pos_end = target.pos_end.copy();
+
+        let type = null;
+        if (this.current_token.type === TokenType.COLON) {
+            this.advance();
+            type = this.parse_type();
+            pos_end = this.tokens[this.idx - 1].pos_end.copy();
+        }
+
+        let default_value_node = null;
+        if (this.current_token.type === TokenType.EQUALS) {
+            this.advance();
+            default_value_node = this.expr();
+            pos_end = default_value_node.pos_end.copy();
+        }
+
+        return new PatternElementNode(target, type, default_value_node, pos_start, pos_end);
+    }
+
+    /**
+     * Checks if the list (or the dictionnary) that begins here is actually the pattern of a destructuring assignment (`[a, b] = [b, a]`).
+     * @returns {DestructuringAssignNode|null} Null if it's a list or a dictionnary, in which case the parser goes back to its beginning.
+     */
+    destructuring_assignment() {
+        let start_idx = this.idx;
+        let was_in_generator = this.is_in_generator;
+        let pattern = null;
+
+        this.speculation_depth++;
+        try {
+            pattern = this.pattern();
+        } catch (e) {
+            if (!(e instanceof InvalidSyntaxError)) throw e;
+            this.is_in_generator = was_in_generator;
+        } finally {
+            this.speculation_depth--;
+        }
+
+        if (pattern && this.current_token.type === TokenType.EQUALS) {
+            this.advance();
+            const value_node = this.expr();
+            return new DestructuringAssignNode(pattern, value_node, false, pattern.pos_start);
+        }
+
+        this.backwards(this.idx - start_idx);
+        return null;
+    }
+
     // ----
 
+    /**
+     * Parses a formatted string (`f"Hello ${name}"`): the tokens of each interpolated expression have been generated by the lexer.
+     * @returns {FormattedStringNode}
+     */
+    formatted_string() {
+        let token = this.current_token;
+        this.advance();
+
+        let parts = token.value.map((part) => {
+            if (typeof part === "string") return part;
+            let parser = new Parser(part.tokens);
+            if (parser.current_token.type === TokenType.EOF) {
+                throw new InvalidSyntaxError(
+                    part.pos_start, part.pos_end,
+                    "Expected an expression in the interpolation"
+                );
+            }
+            let node = parser.expr();
+            if (parser.current_token.type !== TokenType.EOF) {
+                throw new InvalidSyntaxError(
+                    parser.current_token.pos_start, parser.current_token.pos_end,
+                    "Expected '}' at the end of the interpolation"
+                );
+            }
+            return new InterpolationNode(node, part.format_spec, part.pos_start, part.pos_end);
+        });
+
+        return new FormattedStringNode(parts, token.pos_start, token.pos_end);
+    }
+
+    /**
+     * Parses an element of a list or of a dictionnary, or an argument of a call, which can be spread (`...list`).
+     * @returns {CustomNode}
+     */
+    spread_or_expr() {
+        if (this.current_token.type !== TokenType.TRIPLE_DOTS) return this.expr();
+        let pos_start = this.current_token.pos_start.copy();
+        this.advance();
+        return new SpreadNode(this.expr(), pos_start);
+    }
+
     list_expr() {
         let element_nodes = [];
         let pos_start = this.current_token.pos_start.copy();
@@ -2101,14 +2798,14 @@ export class Parser {
         } else {
             // we have values in the list
             // it's actually the same as getting arguments from the call method
-            element_nodes.push(this.expr());
+            element_nodes.push(this.spread_or_expr());
             this.ignore_newlines();
 
             while (this.current_token.type === TokenType.COMMA) {
                 this.advance();
                 this.ignore_newlines();
                 if (this.current_token.type === TokenType.RSQUARE) break;
-                element_nodes.push(this.expr());
+                element_nodes.push(this.spread_or_expr());
                 this.ignore_newlines();
             }
 
@@ -2142,6 +2839,13 @@ export class Parser {
             this.advance();
         } else {
             const read_element = () => {
+                // the entries of another dictionnary
+                if (this.current_token.type === TokenType.TRIPLE_DOTS) {
+                    dict_element_nodes.push(this.spread_or_expr());
+                    this.ignore_newlines();
+                    return;
+                }
+
                 // we have values in the dictionnary
                 let key = this.expr();
                 this.ignore_newlines();
@@ -2622,6 +3326,13 @@ export class Parser {
     func_expr() {
         this.advance();
 
+        // 'func*' declares a generator function
+        let is_generator = false;
+        if (this.current_token.type === TokenType.MULTIPLY) {
+            is_generator = true;
+            this.advance();
+        }
+
         // there might be no identifier (anonymous function)
 
         let var_name_token = null;
@@ -2675,7 +3386,10 @@ export class Parser {
             is_rest = true;
         }
 
-        if (this.current_token.type === TokenType.IDENTIFIER) {
+        // an argument can be destructured (`func ([x, y])`), but not a rest parameter
+        const is_pattern = () => !is_rest && (this.current_token.type === TokenType.LSQUARE || this.current_token.type === TokenType.LBRACK);
+
+        if (this.current_token.type === TokenType.IDENTIFIER || is_pattern()) {
             // there is an identifier
             // advance
             // check if there is a question mark
@@ -2695,8 +3409,7 @@ export class Parser {
                 // is the type specified?
                 if (this.current_token.type === TokenType.COLON) {
                     this.advance();
-                    type = this.assign_type(this.current_token.value);
-                    this.advance();
+                    type = this.parse_type();
                 }
                 // just in case a default value has been assigned
                 if (this.current_token.type === TokenType.EQUALS) {
@@ -2713,7 +3426,14 @@ export class Parser {
             } else {
                 const check_for_args = () => {
                     let identifier_token = this.current_token;
-                    this.advance();
+                    let pattern = null;
+                    if (is_pattern()) {
+                        pattern = this.pattern();
+                        // the name of the argument in the errors
+                        identifier_token = new Token(TokenType.IDENTIFIER, String(pattern), pattern.pos_start, pattern.pos_end);
+                    } else {
+                        this.advance();
+                    }
 
                     if (is_rest) {
                         // there cannot be any more arguments after a rest parameter
@@ -2726,8 +3446,7 @@ export class Parser {
 
                             if (this.current_token.type === TokenType.COLON) {
                                 this.advance();
-                                type = this.assign_type(this.current_token.value);
-                                this.advance();
+                                type = this.parse_type();
                             }
 
                             if (this.current_token.type === TokenType.EQUALS) {
@@ -2742,8 +3461,7 @@ export class Parser {
                             let type = Types.LIST;
                             if (this.current_token.type === TokenType.COLON) {
                                 this.advance();
-                                type = this.assign_type(this.current_token.value);
-                                this.advance();
+                                type = this.parse_type();
                             }
                             all_args.push(new ArgumentNode(identifier_token, type, is_rest, false));
                         }
@@ -2763,8 +3481,7 @@ export class Parser {
 
                         if (this.current_token.type === TokenType.COLON) {
                             this.advance();
-                            type = this.assign_type(this.current_token.value);
-                            this.advance();
+                            type = this.parse_type();
                         }
 
                         // there might be an equal sign
@@ -2775,7 +3492,7 @@ export class Parser {
                             default_value = this.expr();
                         }
 
-                        all_args.push(new ArgumentNode(identifier_token, type, is_rest, is_optional, default_value));
+                        all_args.push(new ArgumentNode(identifier_token, type, is_rest, is_optional, default_value, null, null, pattern));
                     } else { // mandatory with no default value
                         // there was an optional argument already
                         // so there is a mandatory argument after an optional one
@@ -2790,8 +3507,7 @@ export class Parser {
                             let is_specified_type = this.current_token.type === TokenType.COLON;
                             if (is_specified_type) {
                                 this.advance();
-                                type = this.assign_type(this.current_token.value);
-                                this.advance();
+                                type = this.parse_type();
                             }
                             if (this.current_token.type === TokenType.EQUALS) {
                                 throw new InvalidSyntaxError(
@@ -2799,7 +3515,7 @@ export class Parser {
                                     `In order to assign a default value, you must write: '${is_specified_type ? 'a?: type = 0' : '?='}'`
                                 );
                             }
-                            all_args.push(new ArgumentNode(identifier_token, type, is_rest, is_optional));
+                            all_args.push(new ArgumentNode(identifier_token, type, is_rest, is_optional, null, null, null, pattern));
                         }
                     }
                 };
@@ -2818,8 +3534,8 @@ export class Parser {
                         is_rest = true;
                     }
 
-                    // there must be an identifier after a comma or triple dots
-                    if (this.current_token.type !== TokenType.IDENTIFIER) {
+                    // there must be an identifier (or a pattern) after a comma or triple dots
+                    if (this.current_token.type !== TokenType.IDENTIFIER && !is_pattern()) {
                         throw new InvalidSyntaxError(
                             this.current_token.pos_start, this.current_token.pos_end,
                             "Expected identifier"
@@ -2856,9 +3572,19 @@ export class Parser {
 
         this.advance();
 
+        let return_type = this.current_token.type === TokenType.COLON ? this.parse_return_type() : null;
+
         // we should have an arrow now
         // if we have an inline function of course
         if (this.current_token.type === TokenType.ARROW) {
+            // the values of a generator are given by 'yield' statements
+            if (is_generator) {
+                throw new InvalidSyntaxError(
+                    this.current_token.pos_start, this.current_token.pos_end,
+                    "A generator function cannot be an inline function"
+                );
+            }
+
             // great, enter the body now
             this.advance();
 
@@ -2870,7 +3596,8 @@ export class Parser {
                     var_name_token, // the name
                     all_args, // all the arguments
                     new NoneNode(pos_start, pos_end), // the body,
-                    true // should auto return? True because the arrow behaves like the `return` keyword.
+                    true, // should auto return? True because the arrow behaves like the `return` keyword.
+                    return_type
                 );
             }
 
@@ -2881,7 +3608,8 @@ export class Parser {
                 var_name_token, // the name
                 all_args, // all the arguments
                 node_to_return, // the body,
-                true // should auto return? True because the arrow behaves like the `return` keyword.
+                true, // should auto return? True because the arrow behaves like the `return` keyword.
+                return_type
             );
         }
         
@@ -2903,6 +3631,8 @@ export class Parser {
         this.ignore_newlines();
 
         let body;
+        let was_in_generator = this.is_in_generator;
+        this.is_in_generator = is_generator;
 
         // we might need to temporarily write an empty function
         if (this.current_token.matches(TokenType.KEYWORD, "pass")) {
@@ -2930,11 +3660,15 @@ export class Parser {
             this.advance();
         }
 
+        this.is_in_generator = was_in_generator;
+
         return new FuncDefNode(
             var_name_token,
             all_args,
             body,
-            false // should auto return? False because we need a `return` keyword for a several-lines function 
+            false, // should auto return? False because we need a `return` keyword for a several-lines function 
+            return_type,
+            is_generator
         );
     }
 
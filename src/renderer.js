@@ -0,0 +1,168 @@
+"use strict";
+
+import { BooleanValue, HtmlValue, ListValue, NoneValue, NumberValue, StringValue, TagValue, Value } from './values.js';
+import { RuntimeError } from './Exceptions.js';
+import { NATIVE_TAGS } from './native.js';
+import { instantiate_tag } from './components.js';
+
+/**
+ * Escapes the characters that have a special meaning in HTML.
+ * @param {string} text The text to escape.
+ * @returns {string}
+ */
+export const escape_html = (text) => {
+    return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+};
+
+/**
+ * @classdesc Transforms the HtmlValues produced by the interpreter into static HTML strings.
+ */
+export class HtmlRenderer {
+    /**
+     * Renders a value into a string of HTML.
+     * @param {Value} value The value to render (usually an HtmlValue).
+     * @returns {string}
+     */
+    render(value) {
+        if (value instanceof HtmlValue) {
+            return this.render_html(value);
+        } else if (value instanceof ListValue) {
+            return value.elements.map((v) => this.render(v)).join('');
+        } else if (value instanceof NoneValue) {
+            return ""; // 'none' is just ignored, it's useful for conditions
+        } else if (value instanceof StringValue) {
+            return escape_html(value.value);
+        } else {
+            return escape_html(value.toString());
+        }
+    }
+
+    /**
+     * Renders an html element and its children.
+     * @param {HtmlValue} html The element.
+     * @returns {string}
+     */
+    render_html(html) {
+        // a fragment is just a way to group elements together
+        if (html.tagname === null || html.tagname === undefined) {
+            return this.render_children(html.children);
+        }
+
+        let reftag = this.get_native_tag(html.tagname);
+        if (!reftag) {
+            return this.render_custom_tag(html);
+        }
+
+        let opening_tag = "<" + html.tagname + this.render_attributes(html) + ">";
+
+        if (reftag.is_void) {
+            if (html.children.length > 0) {
+                throw new RuntimeError(
+                    html.pos_start, html.pos_end,
+                    `The tag '${html.tagname}' is a void element, it cannot have children.`,
+                    html.context
+                );
+            }
+            return opening_tag;
+        }
+
+        return opening_tag + this.render_children(html.children) + "</" + html.tagname + ">";
+    }
+
+    /**
+     * Renders the children of an html element.
+     * @param {Value[]} children The children.
+     * @returns {string}
+     */
+    render_children(children) {
+        return children.map((v) => this.render(v)).join('');
+    }
+
+    /**
+     * Renders the classes, the id and the attributes of an element.
+     * The events are ignored since they cannot exist in static HTML.
+     * @param {HtmlValue} html The element.
+     * @returns {string}
+     */
+    render_attributes(html) {
+        let output = "";
+
+        if (html.classes.length > 0) {
+            output += ` class="${escape_html(html.classes.join(' '))}"`;
+        }
+
+        if (html.id) {
+            output += ` id="${escape_html(html.id)}"`;
+        }
+
+        for (let [name, value] of html.attributes) {
+            // <button disabled> is the same as <button disabled="disabled">
+            // and <button disabled={false}> is the same as not having the attribute at all.
+            if (value instanceof NoneValue) continue;
+            if (value instanceof BooleanValue) {
+                if (value.is_true()) output += " " + name;
+                continue;
+            }
+            if (value instanceof StringValue && value.value === name) {
+                output += " " + name;
+                continue;
+            }
+            output += ` ${name}="${escape_html(this.attribute_to_string(value))}"`;
+        }
+
+        return output;
+    }
+
+    /**
+     * Converts the value of an attribute into a string.
+     * @param {Value} value The value of the attribute.
+     * @returns {string}
+     */
+    attribute_to_string(value) {
+        if (value instanceof StringValue) {
+            return value.value;
+        } else if (value instanceof NumberValue) {
+            return value.value.toString();
+        } else if (value instanceof ListValue) {
+            return value.elements.map((v) => this.attribute_to_string(v)).join(' ');
+        } else {
+            return value.toString();
+        }
+    }
+
+    /**
+     * Renders a custom tag with the result of its 'render' method.
+     * The tag is instantiated if it hasn't been done yet.
+     * @param {HtmlValue} html The element.
+     * @returns {string}
+     */
+    render_custom_tag(html) {
+        if (!html.instance) {
+            let tag = html.context?.symbol_table.get(html.tagname)?.value;
+            if (!(tag instanceof TagValue)) {
+                throw new RuntimeError(
+                    html.pos_start, html.pos_end,
+                    `Cannot render the tag '${html.tagname}'.`,
+                    html.context
+                );
+            }
+            html.instance = instantiate_tag(tag, html.attributes, html.context, html.pos_start, html.pos_end);
+        }
+
+        return this.render(html.instance.component.rendered);
+    }
+
+    /**
+     * Gets the definition of a native tag.
+     * @param {string} tagname The name of the tag.
+     * @returns {{name: string, props: string[], is_void?: boolean}|undefined}
+     */
+    get_native_tag(tagname) {
+        return Object.values(NATIVE_TAGS).find((v) => v.name === tagname);
+    }
+}
@@ -4,39 +4,63 @@ import { Lexer } from './lexer.js';
 import { Parser } from './parser.js';
 import { Interpreter } from './interpreter.js';
 import { CustomError } from './Exceptions.js';
-import global_symbol_table from './symbol_table.js';
+import global_symbol_table, { SymbolTable } from './symbol_table.js';
 import { Context } from './context.js';
+import { RuntimeResult } from './runtime.js';
+import { TypeChecker } from './checker.js';
+import { run_entry_file } from './modules.js';
 
 /**
- * Runs the program.
+ * Runs the program without catching the errors.
  * @param {string} text The source code.
  * @param {string} filename The name of the file.
- * @param {Context|null} context A custom context used only in tests.
+ * @param {Context|null} context A custom context (used in tests and to keep the variables between the inputs of the shell).
+ * @returns {RuntimeResult|undefined} Undefined if the program is empty.
  */
-export const run = (text, filename, context=null) => {
-    try {
-        // the context will get modified by visiting the different user's actions.
-        if (!context) {
-            context = new Context('<program>'); 
-            context.symbol_table = global_symbol_table;
-        }
-        
-        const lexer = new Lexer(text, filename);
-        const tokens = lexer.generate_tokens();
+export const execute = (text, filename, context=null) => {
+    // the context will get modified by visiting the different user's actions.
+    // Like the imported files, the program has its own symbol table.
+    if (!context) {
+        context = new Context('<program>'); 
+        context.symbol_table = new SymbolTable(global_symbol_table);
+    }
+    
+    const lexer = new Lexer(text, filename);
+    const tokens = lexer.generate_tokens();
 
-        const parser = new Parser(tokens);
-        const tree = parser.parse();
+    const parser = new Parser(tokens);
+    const tree = parser.parse();
 
-        // console.log(`tree = ${tree}`);
+    // console.log(`tree = ${tree}`);
 
-        if (!tree) {
-            return;
+    if (!tree) {
+        return;
+    }
+
+    return run_entry_file(filename, () => {
+        // the type errors are detected before executing anything
+        const type_errors = new TypeChecker(context).check(tree);
+        if (type_errors.length > 0) {
+            throw type_errors[0];
         }
 
         const interpreter = new Interpreter();
         const result = interpreter.visit(tree, context);
 
         return result;
+    });
+};
+
+/**
+ * Runs the program and prints the errors.
+ * @param {string} text The source code.
+ * @param {string} filename The name of the file.
+ * @param {Context|null} context A custom context (used in tests and to keep the variables between the inputs of the shell).
+ * @returns {RuntimeResult|undefined} Undefined if the program is empty or if an error occured.
+ */
+export const run = (text, filename, context=null) => {
+    try {
+        return execute(text, filename, context);
     } catch(e) {
         if (e instanceof CustomError) {
             console.error(e.toString());
@@ -44,4 +68,4 @@ export const run = (text, filename, context=null) => {
             console.error(e);
         }
     }
-};
\ No newline at end of file
+};
@@ -1,6 +1,7 @@
 "use strict";
 
 import { CustomError } from "./Exceptions.js";
+import { CustomNode } from "./nodes.js";
 
 /**
  * @classdesc Keeps track of an error during runtime.
@@ -17,6 +18,8 @@ export class RuntimeResult {
         this.error = null;
 
         this.func_return_value = null;
+        /** @type {CustomNode|null} The 'return' statement, in order to show where a wrong value is returned. */
+        this.func_return_node = null;
         this.loop_should_break = false;
         this.loop_should_continue = false;
     }
@@ -28,6 +31,7 @@ export class RuntimeResult {
     register(res) {
         this.error = res.error;
         this.func_return_value = res.func_return_value;
+        this.func_return_node = res.func_return_node;
         this.loop_should_continue = res.loop_should_continue;
         this.loop_should_break = res.loop_should_break;
         return res.value;
@@ -47,11 +51,13 @@ export class RuntimeResult {
     /**
      * Registers a successful action when returning a value (through a function).
      * @param {any} value The value we are returning.
+     * @param {CustomNode|null} node The 'return' statement.
      * @return {this}
      */
-    success_return(value) {
+    success_return(value, node=null) {
         this.reset();
         this.func_return_value = value;
+        this.func_return_node = node;
         return this;
     }
 
@@ -3,6 +3,12 @@
 import prompt from 'prompt-sync';
 import { run } from './run.js';
 import { ListValue } from './values.js';
+import { Context } from './context.js';
+import global_symbol_table, { SymbolTable } from './symbol_table.js';
+
+// the variables are kept from one input to another
+const context = new Context('<program>');
+context.symbol_table = new SymbolTable(global_symbol_table);
 
 while (true) {
     const text = prompt({sigint: false})("run > ");
@@ -19,7 +25,7 @@ while (true) {
         }
     } else {
         if (text.trim()) {
-            const result = run(text, "<stdin>");
+            const result = run(text, "<stdin>", context);
             if (result) {
                 if (result.value.elements.length === 1) {
                     let first_element = result.value.elements[0];
@@ -2,7 +2,7 @@
 
 import { NATIVE_CLASSES, NATIVE_FUNCTIONS } from "./native.js";
 import { Types } from "./tokens.js";
-import { NativeClassValue, NativeFunction, NativePropertyValue } from "./values.js";
+import { ListValue, NativeClassValue, NativeFunction, NativePropertyValue, StringValue } from "./values.js";
 
 /**
  * @classdesc Keeps track of all the declared variables in our program.
@@ -165,4 +165,14 @@ for (let i = 0; i < Object.keys(NATIVE_CLASSES).length; i++) {
     global_symbol_table.set(name, { type: name, value: new NativeClassValue(name, self, null) });
 }
 
+/**
+ * Defines the list `argv`: the arguments given to the script on the command line.
+ * @param {string[]} args The arguments.
+ */
+export function set_argv(args) {
+    global_symbol_table.set("argv", { type: Types.LIST, value: new ListValue(args.map((v) => new StringValue(v))) });
+}
+
+set_argv([]);
+
 export default global_symbol_table;
\ No newline at end of file
@@ -0,0 +1,279 @@
+import assert from 'assert';
+import { Lexer } from '../lexer.js';
+import { Parser } from '../parser.js';
+import { TypeChecker } from '../checker.js';
+import { CustomTypeError } from '../Exceptions.js';
+import { Context } from '../context.js';
+import { execute } from '../run.js';
+import global_symbol_table, { SymbolTable } from '../symbol_table.js';
+
+const fn = "<stdin>";
+
+/**
+ * Checks the types of a program without running it.
+ * @param {string} code
+ * @returns {CustomTypeError[]}
+ */
+const check = (code) => {
+    const tokens = new Lexer(code, fn).generate_tokens();
+    const tree = new Parser(tokens).parse();
+    return new TypeChecker().check(tree);
+};
+
+/**
+ * Gets the lines (starting from 1) of the errors.
+ * @param {CustomTypeError[]} errors
+ * @returns {number[]}
+ */
+const lines = (errors) => errors.map((e) => e.pos_start.ln + 1);
+
+describe("Type checker", function() {
+    it("should accept a valid program", () => {
+        const errors = check(`
+            var a: number = 5
+            var b = a + 10
+            var c: string = "a" + "b"
+            var d: dynamic = [1, 2]
+            var e: number = unknown_function()
+            func f(n: number, s?: string) -> n * 2
+            var g: number = f(5, none)
+            class A:
+                property x: number = 0
+            end
+            var h: object = new A()
+            var i: A = new A()
+            b = 5
+        `);
+        assert.deepStrictEqual(errors, []);
+    });
+
+    it("should report every mismatch at once", () => {
+        const errors = check(`
+            var a: number = "text"
+            var b: string
+            define C: boolean = 5
+            var d = 5
+            d = "text"
+            var e: dynamic = none
+        `);
+        assert.ok(errors.every((e) => e instanceof CustomTypeError));
+        assert.deepStrictEqual(lines(errors), [2, 3, 4, 6, 7]);
+        assert.deepStrictEqual(errors[0].details, "Type 'string' is not assignable to type 'number'");
+    });
+
+    it("should infer the returned values of the functions", () => {
+        const errors = check(`
+            func double(n: number) -> n * 2
+            func name():
+                if true:
+                    return "a"
+                end
+                return "b"
+            end
+            func mixed(n):
+                if n:
+                    return "a"
+                end
+                return 5
+            end
+            var a: string = double(5)
+            var b: number = name()
+            var c: number = mixed(1)
+            double("5")
+        `);
+        assert.deepStrictEqual(lines(errors), [15, 16, 18]);
+        // the argument is highlighted
+        assert.deepStrictEqual(errors[2].pos_start.col, 19);
+    });
+
+    it("should return none when the end of a function is reached", () => {
+        const errors = check(`
+            func find(x):
+                if x:
+                    return 1
+                end
+            end
+            func sign(x):
+                if x > 0:
+                    return 1
+                else:
+                    return -1
+                end
+            end
+            var y = find(no)
+            y = "s"
+            var z: number? = find(yes)
+            var s: string = find(yes)
+            var t: string = sign(1)
+        `);
+        assert.deepStrictEqual(lines(errors), [17, 18]);
+        assert.deepStrictEqual(errors[0].details, "Type 'number?' is not assignable to type 'string'");
+    });
+
+    it("should check the members of the classes", () => {
+        const errors = check(`
+            class Point:
+                property x: number = 0
+                property y: number = "0"
+
+                method __init(x: number):
+                    self.x = x
+                end
+
+                method name() -> "point"
+            end
+            class Point3D extends Point:
+                method test():
+                    self.x = "text"
+                end
+            end
+            var p = new Point("1")
+            p.x = "text"
+            var n: number = p.name()
+        `);
+        assert.deepStrictEqual(lines(errors), [4, 14, 17, 18, 19]);
+        // the traceback shows where the error is
+        assert.ok(errors[1].generate_traceback().includes("in test"));
+    });
+
+    it("should check the props and the states of the tags", () => {
+        const errors = check(`
+            tag Counter:
+                prop? start: number
+                prop? delta: number = "1"
+                state count: string = 0
+            end
+        `);
+        assert.deepStrictEqual(lines(errors), [4, 5]);
+    });
+
+    it("should check the composite types", () => {
+        const errors = check(`
+            class Animal: pass
+            class Wolf extends Animal: pass
+            var a: list<number> = [1, 2]
+            var b: list<number> = [1, "2"]
+            var c: dict<string, list<number>> = {"a": [1], "b": ["c"]}
+            var d: string? = none
+            var e: number | string = [5]
+            var f: Animal = new Wolf()
+            var g: Wolf = new Animal()
+            var h: (number) -> number = func (n: number) -> n * 2
+            var i: (number) -> number = func (s: string) -> s
+        `);
+        assert.deepStrictEqual(lines(errors), [5, 6, 8, 10, 12]);
+        assert.deepStrictEqual(errors[0].details, "Type 'list<number | string>' is not assignable to type 'list<number>'");
+    });
+
+    it("should check the elements assigned to the typed lists and dictionnaries", () => {
+        const errors = check(`
+            var l: list<number> = [1]
+            var d: dict<string, number> = {}
+            var m: list<list<number>> = [[1]]
+            var any_list = [1]
+            l[] = 2
+            l[0] = 3
+            d["a"] = 1
+            m[0][] = 4
+            any_list[0] = "x"
+            l[] = "x"
+            l[0] = "x"
+            d["a"] = "x"
+            d[] = {"b": "x"}
+            m[0][0] = "x"
+        `);
+        assert.deepStrictEqual(lines(errors), [11, 12, 13, 14, 15]);
+    });
+
+    it("should accept the functions whose additional arguments are optional", () => {
+        const errors = check(`
+            func apply(f: (number) -> number) -> f(1)
+            var a: (number) -> number = func (a: number, b?: number = 0): number -> a
+            apply(func (a: number, b?: number = 0): number -> a)
+            apply(func (a: number, ...rest: list<number>): number -> a)
+            var b: (number) -> number = func (a: number, b: number): number -> a
+            apply(func (a: number, b: number): number -> a)
+            var c: (number, number) -> number = func (a: number): number -> a
+        `);
+        assert.deepStrictEqual(lines(errors), [6, 7, 8]);
+    });
+
+    it("should check the return types", () => {
+        const errors = check(`
+            func a(): number -> "a"
+            func b(n): string:
+                if n:
+                    return 5
+                end
+                return "b"
+            end
+            func c(): number:
+                log("no return")
+            end
+            var d: string = a()
+            var e: number = len("e")
+            var f: (number) -> string = func (n: number): string -> "f"
+        `);
+        assert.deepStrictEqual(lines(errors), [2, 5, 9, 12]);
+    });
+
+    it("should check the generator functions", () => {
+        const errors = check(`
+            func* numbers():
+                yield 1
+            end
+            func* letters(): generator:
+                yield "a"
+            end
+            func* wrong(): list:
+                yield 1
+            end
+            var a: generator = numbers()
+            var b: list = letters()
+        `);
+        assert.deepStrictEqual(lines(errors), [8, 12]);
+    });
+
+    it("should check the destructuring patterns", () => {
+        const errors = check(`
+            var [a: number = 0, ...rest] = [1, 2]
+            var {name: label: string = 5} = {}
+            var b: string = a
+            var c: list = rest
+            func f([x: number = "x"]) -> x
+        `);
+        assert.deepStrictEqual(lines(errors), [3, 4, 6]);
+    });
+
+    it("should check the spread elements", () => {
+        const errors = check(`
+            func add(a: number, b: number) -> a + b
+            var numbers = [1, 2]
+            var a = add(...numbers)
+            var b = [...5]
+            var c = {..."text"}
+            var d: list<number> = [0, ...numbers]
+        `);
+        assert.deepStrictEqual(lines(errors), [5, 6]);
+    });
+
+    it("should check the formatted strings", () => {
+        const errors = check(`
+            var price = 2.5
+            var a = f"\${price:.2f} \${price}"
+            var b = f"\${"text":.2f}"
+            var c: number = f"\${price}"
+        `);
+        assert.deepStrictEqual(lines(errors), [4, 5]);
+    });
+
+    it("should not run the program if there is a type error", () => {
+        const context = new Context("<program>");
+        context.symbol_table = new SymbolTable(global_symbol_table);
+        assert.throws(() => execute(`
+            var before = 5
+            var a: number = "text"
+        `, fn, context), CustomTypeError);
+        assert.deepStrictEqual(context.symbol_table.get("before"), null);
+    });
+});
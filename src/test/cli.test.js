@@ -0,0 +1,89 @@
+import assert from 'assert';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { ExitCode, parse_arguments, UsageError } from '../cli.js';
+
+const main_path = fileURLToPath(new URL('../main.js', import.meta.url));
+
+/**
+ * Runs the command-line tool in another process.
+ * @param {string[]} args
+ * @param {string} input What is given on stdin.
+ */
+const versa = (args, input="") => spawnSync(process.execPath, [main_path, ...args], { input, encoding: 'utf8', timeout: 10000 });
+
+describe("CLI", function() {
+    it("should parse the arguments", () => {
+        assert.deepStrictEqual(parse_arguments(["file.vjs", "a", "--b"]), { mode: "run", source: "file", file: "file.vjs", code: null, script_args: ["a", "--b"] });
+        assert.deepStrictEqual(parse_arguments(["--ast", "-e", "5", "a"]), { mode: "ast", source: "eval", file: null, code: "5", script_args: ["a"] });
+        assert.deepStrictEqual(parse_arguments(["--tokens", "-"]).source, "stdin");
+        assert.deepStrictEqual(parse_arguments([], false).source, "stdin");
+        assert.deepStrictEqual(parse_arguments([], true).mode, "shell");
+        assert.throws(() => parse_arguments(["--unknown"]), UsageError);
+        assert.throws(() => parse_arguments(["-e"]), UsageError);
+        assert.throws(() => parse_arguments(["--tokens", "--ast", "-"]), UsageError);
+        assert.deepStrictEqual(parse_arguments(["--check", "file.vjs"]).mode, "check");
+        assert.deepStrictEqual(parse_arguments(["--format", "file.vjs"]).mode, "format");
+        assert.throws(() => parse_arguments(["--check", "--format", "-"]), UsageError);
+        assert.deepStrictEqual(parse_arguments(["--compile", "file.vjs"]).mode, "compile");
+    });
+
+    it("should run some code with arguments", () => {
+        const result = versa(["-e", "console.log(argv, len(argv))", "first", "--second"]);
+        assert.deepStrictEqual(result.status, ExitCode.SUCCESS);
+        assert.deepStrictEqual(result.stdout.trim(), "first, --second 2");
+    });
+
+    it("should read the program from stdin", () => {
+        const result = versa([], "var a = 5\nconsole.log(a * 2)");
+        assert.deepStrictEqual(result.status, ExitCode.SUCCESS);
+        assert.deepStrictEqual(result.stdout.trim(), "10");
+    });
+
+    it("should print the tokens and the tree", () => {
+        const tokens = versa(["--tokens", "-e", "var a = 1"]);
+        assert.deepStrictEqual(tokens.stdout.trim().split("\n"), ["KEYWORD:var", "IDENTIFIER:a", "EQUALS:=", "NUMBER:1", "EOF:EOF"]);
+        const ast = versa(["--ast", "-e", "var a = 1 + 2"]);
+        assert.deepStrictEqual(ast.stdout.trim(), "[(var a = (1+2))]");
+    });
+
+    it("should format the code", () => {
+        const result = versa(["--format", "-"], "var a=true # comment\nif a:\n  log( 'a' )\nend");
+        assert.deepStrictEqual(result.status, ExitCode.SUCCESS);
+        assert.deepStrictEqual(result.stdout, `var a = yes # comment\nif a:\n    log("a")\nend\n`);
+        assert.deepStrictEqual(versa(["--format", "-e", "var a = )"]).status, ExitCode.ERROR);
+    });
+
+    it("should compile the code into an ES module", () => {
+        const result = versa(["--compile", "-e", "var a: number = 5"]);
+        assert.deepStrictEqual(result.status, ExitCode.SUCCESS);
+        assert.ok(result.stdout.startsWith(`import * as $versa from "./compiler_runtime.js";\n`));
+        assert.deepStrictEqual(versa(["--compile", "-e", "var a = )"]).status, ExitCode.ERROR);
+    });
+
+    it("should check the types without running the program", () => {
+        const result = versa(["--check", "-e", `console.log("never printed")\nvar a: number = "a"\nvar b: string = 5`]);
+        assert.deepStrictEqual(result.status, ExitCode.ERROR);
+        assert.deepStrictEqual(result.stdout, "");
+        assert.deepStrictEqual(result.stderr.match(/Type Error/g).length, 2);
+        assert.deepStrictEqual(versa(["--check", "-e", "var a: number = 5"]).status, ExitCode.SUCCESS);
+    });
+
+    it("should report all the syntax errors", () => {
+        const result = versa(["-e", "var a = )\nvar b = 5\nvar c = (1"]);
+        assert.deepStrictEqual(result.status, ExitCode.ERROR);
+        assert.deepStrictEqual(result.stderr.match(/Invalid Syntax/g).length, 2);
+        const ast = versa(["--ast", "-e", "var a = )\nvar b = 5"]);
+        assert.deepStrictEqual(ast.status, ExitCode.ERROR);
+        assert.deepStrictEqual(ast.stdout.trim(), "[(error: Unexpected token ')'), (var b = 5)]");
+    });
+
+    it("should exit with a non-zero code", () => {
+        const runtime_error = versa(["-e", "len(5)"]);
+        assert.deepStrictEqual(runtime_error.status, ExitCode.ERROR);
+        assert.ok(runtime_error.stderr.includes("Runtime Error"));
+        assert.deepStrictEqual(versa(["-"], "var a =").status, ExitCode.ERROR);
+        assert.deepStrictEqual(versa(["unknown_file.vjs"]).status, ExitCode.USAGE);
+        assert.deepStrictEqual(versa(["--unknown"]).status, ExitCode.USAGE);
+    });
+});
@@ -0,0 +1,476 @@
+import assert from 'assert';
+import { pathToFileURL } from 'url';
+import { Lexer } from '../lexer.js';
+import { Parser } from '../parser.js';
+import { Compiler } from '../compiler.js';
+import { CompilerError } from '../Exceptions.js';
+import { HtmlElement } from '../compiler_runtime.js';
+import { execute } from '../run.js';
+import { Context } from '../context.js';
+import global_symbol_table, { SymbolTable } from '../symbol_table.js';
+
+const fn = "<stdin>";
+const runtime_path = pathToFileURL(new URL('../compiler_runtime.js', import.meta.url).pathname).href;
+
+/**
+ * Compiles some code into a module.
+ * @param {string} code
+ * @returns {string}
+ */
+const compile = (code) => {
+    const tokens = new Lexer(code, fn).generate_tokens();
+    const tree = new Parser(tokens).parse();
+    return new Compiler(runtime_path).compile(tree);
+};
+
+/**
+ * Compiles and executes some code, then returns the value of a variable.
+ * @param {string} code
+ * @param {string} variable_name
+ * @returns {Promise<any>}
+ */
+const evaluate = async (code, variable_name) => {
+    const module_code = compile(code) + `export default ${variable_name};\n`;
+    const module = await import("data:text/javascript," + encodeURIComponent(module_code));
+    return module.default;
+};
+
+/**
+ * Runs some code with the interpreter, then returns the value of a variable.
+ * @param {string} code
+ * @param {string} variable_name
+ * @returns {any}
+ */
+const interpret = (code, variable_name) => {
+    const context = new Context("<program>");
+    context.symbol_table = new SymbolTable(global_symbol_table);
+    execute(code, fn, context);
+    return context.symbol_table.get(variable_name).value;
+};
+
+describe("Compiler", function() {
+    it("should import the runtime", () => {
+        const output = compile("var a = 5");
+        assert.ok(output.startsWith(`import * as $versa from ${JSON.stringify(runtime_path)};`));
+    });
+
+    it("should compile the variables with their types", () => {
+        const output = compile("var a: number = 5; define PI = 3.14");
+        assert.ok(output.includes(`let a = $versa.typed(5, "number", "a");`));
+        assert.ok(output.includes(`const PI = 3.14;`));
+    });
+
+    it("should keep the operators of VersaJS", async () => {
+        const result = await evaluate(`
+            var list = [1, 2] * 2
+            var text = "a" * 3
+            var result = [list, text, [1, 2] == [1, 2], 5 == "5", 10 - 2 ** 3]
+        `, "result");
+        assert.deepStrictEqual(result, [[1, 2, 1, 2], "aaa", true, true, 2]);
+    });
+
+    it("should check the type of a variable when it's modified", async () => {
+        await assert.rejects(evaluate(`
+            var a = 5
+            a = "text"
+        `, "a"), TypeError);
+    });
+
+    it("should check the composite types", async () => {
+        const result = await evaluate(`
+            enum Color:
+                red,
+                green
+            end
+            class Animal: pass
+            class Wolf extends Animal: pass
+            var a: dict<string, list<number>> = {"a": [1, 2]}
+            var b: list<Animal?> = [new Wolf(), none]
+            var c: Color = Color.green
+            var result = [a, len(b), c]
+        `, "result");
+        assert.deepStrictEqual(result, [{ a: [1, 2] }, 2, 1]);
+        await assert.rejects(evaluate(`var a: list<number> = [1, "2"]`, "a"), /Type 'list' is not assignable to type 'list<number>'/);
+        await assert.rejects(evaluate(`var a: number? = 5; a = "b"`, "a"), /to type 'number\?'/);
+    });
+
+    it("should check the returned values", async () => {
+        const result = await evaluate(`
+            func double(n): number -> n * 2
+            func find(list, value): number?:
+                for i to len(list):
+                    if list[i] == value:
+                        return i
+                    end
+                end
+            end
+            var result = [double(2), find([1, 2], 2), find([], 0)]
+        `, "result");
+        assert.deepStrictEqual(result, [4, 1, null]);
+        await assert.rejects(evaluate(`func f(): number -> "a"; var a = f()`, "a"), /Type 'string' is not assignable to type 'number' \(return\)/);
+        await assert.rejects(evaluate(`func f(): number:\n    pass\nend\nvar a = f()`, "a"), /Type 'none'/);
+    });
+
+    it("should follow the inheritance with 'instanceof' and check the types with 'is'", async () => {
+        const result = await evaluate(`
+            class A:
+                property a = 1
+            end
+            class B extends A:
+                property b = 2
+            end
+            class C extends B:
+                property c = 3
+            end
+            enum Level:
+                low,
+                high
+            end
+            var c = new C()
+            var result = [c instanceof A, new A() instanceof C, Level.high instanceof Level, 5 instanceof Level, [1, 2] is list<number>, "a" is number?, c is B]
+        `, "result");
+        assert.deepStrictEqual(result, [true, false, true, false, true, false, true]);
+    });
+
+    it("should capture the variables of the scope in which a function is created", async () => {
+        const result = await evaluate(`
+            func make_counter():
+                var count = 0
+                return func ():
+                    count += 1
+                    return count
+                end
+            end
+            var counter = make_counter()
+            counter()
+            var functions = []
+            for i to 3:
+                functions[] = func () -> i
+            end
+            var result = [counter(), make_counter()(), functions[0](), functions[2]()]
+        `, "result");
+        assert.deepStrictEqual(result, [2, 1, 0, 2]);
+    });
+
+    it("should compile the generator functions", async () => {
+        const result = await evaluate(`
+            func* naturals():
+                var n = 0
+                while yes:
+                    yield n
+                    n += 1
+                end
+            end
+            var values = []
+            foreach naturals() as i => n:
+                if i == 3:
+                    break
+                end
+                values[] = n * 2
+            end
+            var numbers = naturals()
+            var result = [values, numbers.next(), numbers.next(), numbers.done, typeof numbers]
+        `, "result");
+        assert.deepStrictEqual(result, [[0, 2, 4], 0, 1, false, "generator"]);
+    });
+
+    it("should loop on any iterable value", async () => {
+        const result = await evaluate(`
+            class Countdown:
+                property current = 3
+                method __iter() -> self
+                method __next():
+                    if self.current == 0:
+                        return none
+                    end
+                    self.current -= 1
+                    return self.current + 1
+                end
+            end
+            class Column:
+                property values
+                property index = 0
+                method __init(values):
+                    self.values = values
+                end
+                method __iter() -> self
+                method __has_next() -> self.index < len(self.values)
+                method __next():
+                    self.index += 1
+                    return self.values[self.index - 1]
+                end
+            end
+            var numbers = []
+            foreach new Countdown() as n:
+                numbers[] = n
+            end
+            var result = [numbers, list("abc"), list({"a": 1}), list(new Column([1, none, 3]))]
+        `, "result");
+        assert.deepStrictEqual(result, [[3, 2, 1], ["a", "b", "c"], ["a"], [1, null, 3]]);
+    });
+
+    it("should call the methods that overload the operators", async () => {
+        const result = await evaluate(`
+            class Money:
+                property cents
+                method __init(cents):
+                    self.cents = cents
+                end
+                method __add(other) -> new Money(self.cents + other.cents)
+                method __sub(other) -> new Money(self.cents - other.cents)
+                method __neg() -> new Money(-self.cents)
+                method __eq(other) -> self.cents == other.cents
+                method __lt(other) -> self.cents < other.cents
+                method __getitem(key) -> if key == "euros": self.cents / 100 else: self.cents % 100
+            end
+            class Wallet:
+                property coins = []
+                method __setitem(index, coin):
+                    var coins = self.coins
+                    coins[index] = coin
+                    self.coins = coins
+                end
+                method __len() -> len(self.coins)
+            end
+            var a = new Money(250)
+            var b = new Money(100)
+            var wallet = new Wallet()
+            wallet[1] = b
+            var result = [(a + b).cents, (a - b).cents, (-a).cents, a == new Money(250), a != b, b < a, a["euros"], a["cents"], len(wallet), 10 - 2]
+        `, "result");
+        assert.deepStrictEqual(result, [350, 150, -250, true, true, true, 2.5, 50, 2, 8]);
+    });
+
+    it("should destructure the lists, the dictionnaries and the arguments", async () => {
+        const result = await evaluate(`
+            var [a, b: number = 2, [c], ...rest] = [1, 5, ["c"], 7, 8]
+            var {name, age: years = 0, "first-name": nickname, ...others} = {"name": "Thomas", "first-name": "Tom", "town": "Paris"}
+            [a, b] = [b, a]
+            func distance([x, y], {scale}?={"scale": 1}) -> (x + y) * scale
+            var result = [a, b, c, rest, name, years, nickname, others, distance([1, 2]), distance([1, 2], {"scale": 10})]
+        `, "result");
+        assert.deepStrictEqual(result, [5, 1, "c", [7, 8], "Thomas", 0, "Tom", { town: "Paris" }, 3, 30]);
+        await assert.rejects(evaluate(`var [a, b] = [1]`, "a"), /has no index 1/);
+        await assert.rejects(evaluate(`var {a} = {"b": 1}`, "a"), /has no key 'a'/);
+    });
+
+    it("should spread the lists and the dictionnaries", async () => {
+        const result = await evaluate(`
+            func sum_of_three(a, b, c) -> a + b + c
+            var middle = [2, 3]
+            var defaults = {"color": "red", "size": 1}
+            var result = [sum_of_three(1, ...middle), [1, ...middle, 4], {...defaults, "size": 2}]
+        `, "result");
+        assert.deepStrictEqual(result, [6, [1, 2, 3, 4], { color: "red", size: 2 }]);
+        await assert.rejects(evaluate(`var a: any = 5; var b = [...a]`, "b"), /Cannot spread a value of type 'number'/);
+    });
+
+    it("should access and modify the lists", async () => {
+        const result = await evaluate(`
+            var list = [1, 2, 3]
+            list[] = 4
+            list[0] = 0
+            list[-1] = 5
+            var result = [list, list[1:3], list[10]?.[0], list[-2]]
+        `, "result");
+        assert.deepStrictEqual(result, [[0, 2, 3, 5], [2, 3], null, 3]);
+    });
+
+    it("should compile the loops and the conditions", async () => {
+        const result = await evaluate(`
+            var total = 0
+            for i to 10 step 2:
+                if i == 4:
+                    continue
+                end
+                total += i
+            end
+            foreach [1, 2] as key => value:
+                total += key * value
+            end
+            var doubles = for i to 3: i * 2
+            var result = [total, doubles]
+        `, "result");
+        assert.deepStrictEqual(result, [18, [0, 2, 4]]);
+    });
+
+    it("should compile the functions and their arguments", async () => {
+        const result = await evaluate(`
+            func add(a: number, b?: number = 2, ...others) -> a + b + len(others)
+            var multiply = func (a, b) -> a * b
+            var result = [add(1), add(1, 1, 4, 5), multiply(2, 3)]
+        `, "result");
+        assert.deepStrictEqual(result, [3, 4, 6]);
+    });
+
+    it("should check the type of the arguments", async () => {
+        await assert.rejects(evaluate(`
+            func add(a: number, b: number) -> a + b
+            var result = add("5", 5)
+        `, "result"), TypeError);
+    });
+
+    it("should compile the classes", async () => {
+        const result = await evaluate(`
+            class Animal:
+                property name: string = "unknown"
+                static property count = 0
+
+                method __init(name):
+                    self.name = name
+                    self::count += 1
+                end
+
+                method get_name():
+                    self.name = "Wolfy"
+                end
+            end
+
+            class Wolf extends Animal:
+                method __init(name):
+                    super(name + " the wolf")
+                end
+
+                override method get_name():
+                    super()
+                    return "I'm " + self.name
+                end
+            end
+
+            var wolf = new Wolf("Wolfy")
+            var result = [wolf.get_name(), Animal.count, wolf instanceof Animal]
+        `, "result");
+        assert.deepStrictEqual(result, ["I'm Wolfy", 1, true]);
+    });
+
+    it("should compile the enums and the switch statements", async () => {
+        const result = await evaluate(`
+            enum Status: running, paused
+            var status = Status.paused
+            var result = none
+            switch status:
+                case Status.running:
+                    result = "running"
+                case Status.paused:
+                    result = "paused"
+                default:
+                    result = "unknown"
+            end
+        `, "result");
+        assert.deepStrictEqual(result, "paused");
+    });
+
+    it("should interpolate the variables in the strings", async () => {
+        const result = await evaluate(`
+            var name = "world"
+            var list = [1, 2]
+            var result = f"Hello $name, $list"
+        `, "result");
+        assert.deepStrictEqual(result, "Hello world, 1, 2");
+    });
+
+    it("should compile the interpolated expressions and their formats", async () => {
+        const result = await evaluate(`
+            var price = 2.5
+            var qty = 3
+            var result = f"\${price * qty:.2f} $$ \${qty:03d}|\${"ok":*^6}|\${{"a": 1}["a"]}"
+        `, "result");
+        assert.deepStrictEqual(result, "7.50 $ 003|**ok**|1");
+    });
+
+    it("should compile html and tags", async () => {
+        const result = await evaluate(`
+            tag Item:
+                prop text: string
+                state count = 0
+
+                method render():
+                    return <>
+                        <li.item> {self.text}
+                    </>
+                end
+            end
+
+            var list = [1, 2]
+            var page = <>
+                <ul#list>
+                    foreach list as el:
+                        <Item text={f"Item $el"}>
+                    end
+            </>
+        `, "page");
+        assert.ok(result instanceof HtmlElement);
+        const ul = result.children[0];
+        assert.deepStrictEqual(ul.tagname, "ul");
+        assert.deepStrictEqual(ul.id, "list");
+        assert.deepStrictEqual(ul.children.length, 2);
+        assert.deepStrictEqual(ul.children[1].attributes, { text: "Item 2" });
+        const item = new ul.children[0].tagname(ul.children[0].attributes);
+        assert.deepStrictEqual(item.render().children[0].children, ["Item 1"]);
+        assert.deepStrictEqual(item.count, 0);
+    });
+
+    it("should compile the bigints", async () => {
+        const result = await evaluate(`
+            var big = 2n ** 64n + 0xFFn
+            var results = [big, 10n + "", 5n == 5, typeof big, f"\${255n:x}"]
+        `, "results");
+        assert.deepStrictEqual(result, [18446744073709551871n, "10", true, "bigint", "ff"]);
+    });
+
+    it("should throw a CompilerError when a variable is deleted", () => {
+        assert.throws(() => compile("var a = 5; delete a"), CompilerError);
+    });
+
+    it("should compile the try statements", async () => {
+        const result = await evaluate(`
+            var log = []
+            try:
+                throw "error"
+            catch e:
+                log[] = e
+            finally:
+                log[] = "finally"
+            end
+        `, "log");
+        assert.deepStrictEqual(result, ["error", "finally"]);
+    });
+
+    it("should display the values and evaluate the logical operators like the interpreter", async () => {
+        const programs = [
+            `var t = yes\nvar result = f"flag=$t " + ("x" + (1 == 2))`,
+            `var d = {"k": 1, "s": "x", "l": [1, "a"], "n": none, "b": no}\nvar result = f"$d"`,
+            `var l = [1, [2, "s"], none, yes, {"a": "b"}]\nvar result = f"$l"`,
+            `func g() -> 1\nclass A: pass\nvar result = f"$g $A"`,
+            `var result = f"\${0 and 1} \${1 and 2} \${[] or 5} \${0 or "a"} \${none or {}}"`,
+            `var result = ""\ntry:\n    var s = "abc"\n    s[0]\ncatch e:\n    result = e.name\nend`,
+        ];
+        for (let code of programs) {
+            assert.deepStrictEqual(await evaluate(code, "result"), interpret(code, "result").value, code);
+        }
+    });
+
+    it("should call the native methods like the interpreter", async () => {
+        const programs = [
+            `var result = "abc".upper() + " " + "-".join("a,b".split(",").reverse()) + " " + "5".pad_start(3, "0")`,
+            `var d = {"a": 1, "b": 2}\nvar result = f"\${d.keys()} \${d.get("c", 3)} \${d.has("a")} \${d.merge({"c": 4}).entries()}"`,
+            `var l = [3, 1, 2]\nvar result = f"\${l.map(func (x) -> x * 2)} \${l.sort()} \${l.reduce(func (a, b) -> a + b)} \${l.find(func (x) -> x > 5)}"`,
+            `class A:\n    method upper() -> "method"\nend\nvar result = new A().upper()`,
+            `var result = ""\ntry:\n    "abc".keys()\ncatch e:\n    result = e.name\nend`,
+        ];
+        for (let code of programs) {
+            assert.deepStrictEqual(await evaluate(code, "result"), interpret(code, "result").value, code);
+        }
+    });
+
+    it("should compile the imports and the exports", () => {
+        const output = compile(`
+            import { a, b as c } from "./file.vjs"
+            import * as ns from "./other.vjs"
+            export var d = a + c
+        `);
+        assert.ok(output.includes(`import { a, b as c } from "./file.js";`));
+        assert.ok(output.includes(`import * as ns from "./other.js";`));
+        assert.ok(output.includes(`export let d = $versa.add(a, c);`));
+    });
+});
@@ -0,0 +1,161 @@
+import assert from 'assert';
+import { Context } from '../context.js';
+import { execute } from '../run.js';
+import global_symbol_table, { SymbolTable } from '../symbol_table.js';
+import { HtmlValue, NoneValue, StringValue, TagValue } from '../values.js';
+import { CustomTypeError, RuntimeError } from '../Exceptions.js';
+import { diff, PatchType } from '../components.js';
+import { HtmlRenderer } from '../renderer.js';
+import { COUNTER } from './fixtures.js';
+
+const fn = "<stdin>";
+const context = new Context("<tests>");
+const renderer = new HtmlRenderer();
+
+beforeEach(() => {
+    // delete the variables from the previous tests and keep the constants
+    context.symbol_table = new SymbolTable(global_symbol_table);
+});
+
+describe("Components", function() {
+    it("should instantiate a tag, initialize its states and render it", () => {
+        const result = execute(COUNTER + `
+            <Counter start={5}>
+        `, fn, context).value;
+        const html = result.elements[1];
+        assert.ok(html instanceof HtmlValue);
+        assert.ok(html.instance instanceof TagValue);
+        assert.deepStrictEqual(html.instance.is_instance, true);
+        assert.deepStrictEqual(html.instance.self.get("count").value.value.value, 5);
+        assert.deepStrictEqual(html.instance.self.get("initialized").value.value.state, 1);
+        assert.deepStrictEqual(renderer.render(html), `<span class="count">5</span><button>Click</button>`);
+    });
+
+    it("should not share the states between the instances", () => {
+        const result = execute(COUNTER + `
+            <Counter start={1}>
+            <Counter start={2}>
+        `, fn, context).value;
+        assert.deepStrictEqual(result.elements[1].instance.self.get("count").value.value.value, 1);
+        assert.deepStrictEqual(result.elements[2].instance.self.get("count").value.value.value, 2);
+    });
+
+    it("should validate the props", () => {
+        execute(COUNTER, fn, context);
+        assert.throws(() => execute(`<Counter start="5">`, fn, context), CustomTypeError);
+        assert.throws(() => execute(`<Counter foo={1}>`, fn, context), /This attribute doesn't exist in the original definition of the tag/);
+    });
+
+    it("should give the mandatory props when the tag is instantiated", () => {
+        execute(`
+            tag Range:
+                prop start: number
+                prop? stop: number
+
+                method render():
+                    return <span>
+                end
+            end
+        `, fn, context);
+        const html = execute(`<Range start={5}>`, fn, context).value.elements[0];
+        assert.deepStrictEqual(html.instance.self.get("start").value.value.value, 5);
+        assert.ok(html.instance.self.get("stop").value.value instanceof NoneValue);
+        assert.throws(() => execute(`<Range>`, fn, context), /mandatory props are missing/);
+        assert.throws(() => execute(`<Range start="5">`, fn, context), CustomTypeError);
+    });
+
+    it("should validate the states and the props with their annotation", () => {
+        const TAG = `
+            tag Example:
+                prop? data: list<number> = []
+                prop? initial = none
+                state selected: number? = 0
+
+                method __init():
+                    self.setState({"selected": self.initial})
+                end
+
+                method render():
+                    return;
+                end
+            end
+        `;
+        execute(TAG, fn, context);
+        const html = execute(`<Example data={[1, 2]} initial={none}>`, fn, context).value.elements[0];
+        assert.ok(html.instance.self.get("selected").value.value instanceof NoneValue);
+        assert.throws(() => execute(`<Example initial="not a number">`, fn, context), CustomTypeError);
+        assert.throws(() => execute(`<Example data={["a"]}>`, fn, context), CustomTypeError);
+    });
+
+    it("should render again after setState", () => {
+        const result = execute(COUNTER + `
+            <Counter start={1} max={2}>
+        `, fn, context).value;
+        const html = result.elements[1];
+        const received_patches = [];
+        html.instance.component.listeners.push((patches) => received_patches.push(patches));
+
+        const button = html.instance.component.rendered.children[1];
+        button.events[0][1].copy().execute([]);
+
+        assert.deepStrictEqual(html.instance.self.get("count").value.value.value, 2);
+        assert.deepStrictEqual(renderer.render(html), `<span class="count">2</span><span>Maximum reached</span>`);
+        assert.deepStrictEqual(received_patches.length, 1);
+        assert.deepStrictEqual(received_patches[0].map((v) => [v.type, v.path]), [
+            [PatchType.TEXT, [0, 0]],
+            [PatchType.REPLACE, [1]],
+        ]);
+    });
+
+    it("should only accept the states in setState", () => {
+        assert.throws(() => execute(`
+            tag Example:
+                prop? name = "a"
+
+                method __init():
+                    self.setState({"name": "b"})
+                end
+
+                method render():
+                    return;
+                end
+            end
+
+            <Example>
+        `, fn, context), RuntimeError);
+    });
+
+    it("should not allow a method named setState", () => {
+        assert.throws(() => execute(`
+            tag Example:
+                method setState():
+                    return;
+                end
+            end
+        `, fn, context), RuntimeError);
+    });
+
+    it("should compute the differences between two trees", () => {
+        const create = (tagname, attributes, children) => new HtmlValue(tagname, [], null, attributes, [], children);
+        const old_tree = create("ul", [], [
+            create("li", [], [new StringValue("a")]),
+            create("li", [], [new StringValue("b")]),
+            create("li", [], [new StringValue("c")]),
+        ]);
+        const new_tree = create("ul", [["title", new StringValue("list")]], [
+            create("li", [], [new StringValue("a")]),
+            create("p", [], [new StringValue("b")]),
+        ]);
+        assert.deepStrictEqual(diff(old_tree, old_tree), []);
+        assert.deepStrictEqual(diff(old_tree, new_tree).map((v) => [v.type, v.path]), [
+            [PatchType.ATTRIBUTES, []],
+            [PatchType.REPLACE, [1]],
+            [PatchType.REMOVE, [2]],
+        ]);
+        assert.deepStrictEqual(diff(new_tree, old_tree).map((v) => [v.type, v.path]), [
+            [PatchType.ATTRIBUTES, []],
+            [PatchType.REPLACE, [1]],
+            [PatchType.CREATE, [2]],
+        ]);
+    });
+});
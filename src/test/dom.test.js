@@ -0,0 +1,78 @@
+import assert from 'assert';
+import { Context } from '../context.js';
+import { execute } from '../run.js';
+import global_symbol_table, { SymbolTable } from '../symbol_table.js';
+import { RuntimeError } from '../Exceptions.js';
+import { get_host, MemoryHost, set_host } from '../dom.js';
+import { COUNTER } from './fixtures.js';
+
+const fn = "<stdin>";
+const context = new Context("<tests>");
+
+beforeEach(() => {
+    // delete the variables from the previous tests and keep the constants
+    context.symbol_table = new SymbolTable(global_symbol_table);
+    set_host(new MemoryHost());
+});
+
+describe("DOM", function() {
+    it("should mount html", () => {
+        execute(`
+            var title = "Hello"
+            Versa.mount(<>
+                <div#main.container>
+                    <h1 title={title}> "Hello"
+                    <input hidden>
+            </>)
+        `, fn, context);
+        assert.deepStrictEqual(get_host().root.get_inner_html(), `<div class="container" id="main"><h1 title="Hello">Hello</h1><input hidden></div>`);
+    });
+
+    it("should mount html inside a target", () => {
+        execute(`
+            var app = <div#app>
+            var content = <p> "Content"
+            Versa.mount(app)
+            Versa.mount(content, "app")
+        `, fn, context);
+        assert.deepStrictEqual(get_host().root.get_inner_html(), `<div id="app"><p>Content</p></div>`);
+    });
+
+    it("should throw an error if the target doesn't exist", () => {
+        assert.throws(() => execute(`
+            var content = <p> "Content"
+            Versa.mount(content, "app")
+        `, fn, context), RuntimeError);
+    });
+
+    it("should dispatch the events and render the tag again", () => {
+        execute(COUNTER + `
+            var counter = <Counter start={0} max={2}>
+            Versa.mount(counter)
+        `, fn, context);
+        const root = get_host().root;
+        assert.deepStrictEqual(root.get_inner_html(), `<span class="count">0</span><button>Click</button>`);
+        const button = root.children[1];
+        button.dispatch("click");
+        assert.deepStrictEqual(root.get_inner_html(), `<span class="count">1</span><button>Click</button>`);
+        assert.strictEqual(root.children[1], button); // the button has not been created again
+        button.dispatch("click");
+        assert.deepStrictEqual(root.get_inner_html(), `<span class="count">2</span><span>Maximum reached</span>`);
+    });
+
+    it("should update a tag nested in other elements", () => {
+        execute(COUNTER + `
+            Versa.mount(<>
+                <header> "Header"
+                <main>
+                    <Counter start={1} max={2}>
+                    <footer> "Footer"
+            </>)
+        `, fn, context);
+        const root = get_host().root;
+        const main = root.children[1];
+        assert.deepStrictEqual(main.get_inner_html(), `<span class="count">1</span><button>Click</button><footer>Footer</footer>`);
+        main.children[1].dispatch("click");
+        assert.deepStrictEqual(main.get_inner_html(), `<span class="count">2</span><span>Maximum reached</span><footer>Footer</footer>`);
+    });
+});
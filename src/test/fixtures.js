@@ -0,0 +1,33 @@
+/**
+ * The programs shared by the tests of the components and the DOM.
+ */
+
+/**
+ * A tag with props, states, an event and a conditional rendering:
+ * the button is replaced by a message once the count reaches `max`.
+ */
+export const COUNTER = `
+    tag Counter:
+        prop? start: number = 0
+        prop? max = none
+        state count: number = self.start
+        state initialized = no
+
+        method __init():
+            self.initialized = yes
+        end
+
+        method increment() -> self.setState({"count": ++self.count})
+
+        method render():
+            return <>
+                <span.count> {self.count}
+                if self.max && self.count >= self.max:
+                    <span> "Maximum reached"
+                else:
+                    <button @click={self.increment}> "Click"
+                end
+            </>
+        end
+    end
+`;
@@ -0,0 +1,116 @@
+import assert from 'assert';
+import { Lexer } from '../lexer.js';
+import { Parser } from '../parser.js';
+import { Formatter } from '../formatter.js';
+import { InvalidSyntaxError } from '../Exceptions.js';
+
+const fn = "<stdin>";
+
+/**
+ * @param {string} code
+ * @returns {string}
+ */
+const format = (code) => new Formatter(code, fn).format();
+
+/**
+ * @param {string} code
+ * @returns {string}
+ */
+const tree = (code) => new Parser(new Lexer(code, fn).generate_tokens()).parse().toString();
+
+describe("Formatter", function() {
+    it("should normalize the indentation, the spacing, the keywords and the quotes", () => {
+        const code = [
+            "var   a=5+3*  2",
+            "var b = - a+ -  3",
+            "var s = 'it\\'s \"quoted\"'",
+            "var t=true and false",
+            "var l=[1,2,  3][0:2]",
+            "var d={'a':1}",
+            "a+=1",
+            "func add(a,b?,c?=1):",
+            "  if a>b:",
+            "       return a",
+            "   elif a==b  :",
+            "    return b",
+            "  else:",
+            "      return -c",
+            "  end",
+            "end",
+            "func* gen():",
+            "  yield add?.x",
+            "end",
+        ].join("\n");
+        const expected = [
+            "var a = 5 + 3 * 2",
+            "var b = -a + -3",
+            "var s = \"it's \\\"quoted\\\"\"",
+            "var t = yes and no",
+            "var l = [1, 2, 3][0:2]",
+            "var d = {\"a\": 1}",
+            "a += 1",
+            "func add(a, b?, c? = 1):",
+            "    if a > b:",
+            "        return a",
+            "    elif a == b:",
+            "        return b",
+            "    else:",
+            "        return -c",
+            "    end",
+            "end",
+            "func* gen():",
+            "    yield add?.x",
+            "end",
+            "",
+        ].join("\n");
+        assert.deepStrictEqual(format(code), expected);
+    });
+
+    it("should keep the comments", () => {
+        const code = "\n\n# first\nvar a = 5   # trailing\n\n\n\nswitch a:\n  case 1:\n  # inside\n   log(1)\n  default: log(2)\nend\n\n";
+        const expected = "# first\nvar a = 5 # trailing\n\nswitch a:\n    case 1:\n        # inside\n        log(1)\n    default: log(2)\nend\n";
+        assert.deepStrictEqual(format(code), expected);
+    });
+
+    it("should wrap the long argument lists", () => {
+        const code = `log(first_long_argument_name, second_long_argument_name(1, 2), "a third argument, which is a long string")`;
+        const expected = [
+            "log(",
+            "    first_long_argument_name,",
+            "    second_long_argument_name(1, 2),",
+            "    \"a third argument, which is a long string\"",
+            ")",
+            "",
+        ].join("\n");
+        assert.deepStrictEqual(format(code), expected);
+        assert.deepStrictEqual(tree(format(code)), tree(code));
+    });
+
+    it("should indent the brackets and the blocks opened on the same line once", () => {
+        const code = "var m = [\n1,\n  2\n]\nvar w = list('ab').map(func (c):\nreturn c\nend)";
+        assert.deepStrictEqual(format(code), "var m = [\n    1,\n    2\n]\nvar w = list(\"ab\").map(func (c):\n    return c\nend)\n");
+    });
+
+    it("should keep the relative indentation of the HTML", () => {
+        const code = "tag A:\n\tmethod render():\n\t\treturn <>\n\t\t\t<div.a>\n\t\t\t\t<span> 'x'\n\t\t\t<b @click={self.f}> {self.n}\n\t\t</>\n\tend\nend\n";
+        const expected = "tag A:\n    method render():\n        return <>\n            <div.a>\n                <span> 'x'\n            <b @click={self.f}> {self.n}\n        </>\n    end\nend\n";
+        assert.deepStrictEqual(format(code), expected);
+        assert.deepStrictEqual(tree(format(code)), tree(code));
+    });
+
+    it("should keep the literals that cannot be normalized", () => {
+        const code = "var a = 0xFF + 100_000 + 2n\nvar b = r'C:\\path' + f'${a}' + '''\n    text\n    '''\n";
+        assert.deepStrictEqual(format(code), code);
+    });
+
+    it("should be idempotent", () => {
+        const code = "class A extends B:\n  static property p = 1\n  method __init(x):\n    super(x)\n  end\n  override method walk() -> log(A::p, new A(  1 ), i++, ++i, not yes)\nend\ntry:\nthrow 'x'\ncatch e:\nlog(e)\nend";
+        const formatted = format(code);
+        assert.deepStrictEqual(format(formatted), formatted);
+        assert.deepStrictEqual(tree(formatted), tree(code));
+    });
+
+    it("should not format a code with syntax errors", () => {
+        assert.throws(() => format("var a = )"), InvalidSyntaxError);
+    });
+});
@@ -1,6 +1,7 @@
 import assert from 'assert';
 import { Token, TokenType } from '../tokens.js';
 import { Lexer } from '../lexer.js';
+import { ExpectedCharError } from '../Exceptions.js';
 
 // npm run test ./test/lexer.test.js
 
@@ -57,6 +58,25 @@ describe('Lexer tests', () => {
         check_tokens(tokens, expected_tokens);
     });
 
+    it('should return the hexadecimal, binary, octal, exponent and bigint numbers', () => {
+        const tokens = Array.from(new Lexer("0xFF 0b1010 0o755 0XFF_FF 1.5e-3 2E3 123n 0xFFn").generate_tokens());
+        const expected_tokens = [
+            new Token(TokenType.NUMBER, 255),
+            new Token(TokenType.NUMBER, 10),
+            new Token(TokenType.NUMBER, 493),
+            new Token(TokenType.NUMBER, 65535),
+            new Token(TokenType.NUMBER, 0.0015),
+            new Token(TokenType.NUMBER, 2000),
+            new Token(TokenType.NUMBER, 123n),
+            new Token(TokenType.NUMBER, 255n),
+        ];
+        check_tokens(tokens, expected_tokens);
+        assert.throws(() => Array.from(new Lexer("0b102").generate_tokens()), /Invalid digit '2' in the binary number/);
+        assert.throws(() => Array.from(new Lexer("0x").generate_tokens()), /Expected the digits of the hexadecimal number/);
+        assert.throws(() => Array.from(new Lexer("1e+").generate_tokens()), /Expected the digits of the exponent/);
+        assert.throws(() => Array.from(new Lexer("1.5n").generate_tokens()), /A bigint must be an integer/);
+    });
+
     it('should return all operators', () => {
         const tokens = Array.from(new Lexer("+-*/**").generate_tokens());
         const expected_tokens = [
@@ -559,6 +579,49 @@ describe('Lexer tests', () => {
         check_tokens(tokens, expected_tokens);
     });
 
+    it('should read the interpolations of a formatted string', () => {
+        const [token] = Array.from(new Lexer('f"Cost: ${price * qty:>8.2f} $$ $user.name."').generate_tokens());
+        assert.deepStrictEqual(token.type, TokenType.FORMATTED_STRING);
+        const [text, interpolation, dollar, variable, dot] = token.value;
+        assert.deepStrictEqual([text, dollar, dot], ["Cost: ", " $ ", "."]);
+        check_tokens(interpolation.tokens, [
+            new Token(TokenType.IDENTIFIER, "price"),
+            new Token(TokenType.MULTIPLY, "*"),
+            new Token(TokenType.IDENTIFIER, "qty"),
+            new Token(TokenType.EOF, "EOF"),
+        ]);
+        // the tokens of the expression point into the string
+        assert.deepStrictEqual(interpolation.tokens[0].pos_start.col, 10);
+        assert.deepStrictEqual([interpolation.format_spec.align, interpolation.format_spec.width, interpolation.format_spec.precision, interpolation.format_spec.type], [">", 8, 2, "f"]);
+        assert.deepStrictEqual(variable.tokens.map((v) => v.value), ["user", ".", "name", "EOF"]);
+        assert.throws(() => Array.from(new Lexer('f"${price:what}"').generate_tokens()), /Invalid format specifier 'what'/);
+        assert.throws(() => Array.from(new Lexer('f"${price"').generate_tokens()), /Expected '}'/);
+    });
+
+    it('should read the multi-line, raw and escaped strings', () => {
+        const code = [
+            'var css = """',
+            '    body {',
+            '        color: red;',
+            '    }',
+            '    """',
+            `r"C:\\new\\path" '''say "hi"''' "" "\\x41\\u{1F600}\\q"`,
+        ].join("\n");
+        const tokens = Array.from(new Lexer(code).generate_tokens()).filter((token) => token.type === TokenType.STRING);
+        assert.deepStrictEqual(tokens.map((token) => token.value), [
+            "body {\n    color: red;\n}\n",
+            "C:\\new\\path",
+            `say "hi"`,
+            "",
+            "A\u{1F600}q",
+        ]);
+        assert.throws(() => Array.from(new Lexer('"unterminated').generate_tokens()), /Expected '"' at the end of the string/);
+        assert.throws(() => Array.from(new Lexer("'''unterminated''").generate_tokens()), /Expected ''''' at the end of the string/);
+        assert.throws(() => Array.from(new Lexer('f"unterminated $name').generate_tokens()), ExpectedCharError);
+        assert.throws(() => Array.from(new Lexer('"\\x4"').generate_tokens()), /Expected two hexadecimal digits/);
+        assert.throws(() => Array.from(new Lexer('"\\u{110000}"').generate_tokens()), /Invalid unicode escape sequence/);
+    });
+
     it('should work with an HTML element', () => {
         const tokens = Array.from(new Lexer("<div attr={5>5}>").generate_tokens());
         const expected_tokens = [
@@ -632,4 +695,21 @@ describe('Lexer tests', () => {
         ];
         check_tokens(tokens, expected_tokens);
     });
+
+    it('should keep the comments as tokens when asked', () => {
+        const code = "var a = 5 # five\n# other";
+        assert.strictEqual(Array.from(new Lexer(code).generate_tokens()).length, 6); // the comments are skipped by default
+        const tokens = Array.from(new Lexer(code, "<stdin>", null, true).generate_tokens());
+        const expected_tokens = [
+            new Token(TokenType.KEYWORD, "var"),
+            new Token(TokenType.IDENTIFIER, "a"),
+            new Token(TokenType.EQUALS, "="),
+            new Token(TokenType.NUMBER, 5),
+            new Token(TokenType.COMMENT, "# five"),
+            new Token(TokenType.NEWLINE, "\n"),
+            new Token(TokenType.COMMENT, "# other"),
+            new Token(TokenType.EOF, "EOF"),
+        ];
+        check_tokens(tokens, expected_tokens);
+    });
 });
\ No newline at end of file
@@ -1,7 +1,7 @@
 import assert from 'assert';
 import { Context } from '../context.js';
 import { RuntimeError } from '../Exceptions.js';
-import { run } from '../run.js';
+import { execute, run } from '../run.js';
 import global_symbol_table, { SymbolTable } from '../symbol_table.js';
 
 const fn = "<stdin>";
@@ -434,4 +434,66 @@ describe("Maths (tests every possible combinations for every kind of arithmetic
 
         if (result) check(result);
     });
-});
\ No newline at end of file
+});
+
+describe("Math native class", function() {
+    it("should have the constants and the usual functions", () => {
+        const result = run(`
+            Math::PI == 3.141592653589793
+            Math::INFINITY > 10 ** 300
+            Math::floor(2.5) == 2
+            Math::ceil(2.1) == 3
+            Math::round(2.5) == 3
+            Math::trunc(-2.5) == -2
+            Math::abs(-3) == 3
+            Math::min(3, 1, 2) == 1
+            Math::max(3, 1, 2) == 3
+            Math::sqrt(16) == 4
+            Math::cbrt(27) == 3
+            Math::pow(2, 10) == 1024
+            Math::log2(8) == 3
+            Math::cos(0) == 1
+            Math::clamp(15, 0, 10) == 10
+            Math::clamp(-5, 0, 10) == 0
+            Math::sign(-2) == -1
+            Math::is_integer(2)
+            not Math::is_integer(2.5)
+            Math::is_nan(Math::sqrt(-1))
+            not Math::is_finite(Math::INFINITY)
+        `, fn, context).value;
+
+        if (result) check(result);
+    });
+
+    it("should generate the same random numbers with the same seed", () => {
+        const result = run(`
+            func draw():
+                return [Math::random(), Math::randint(1, 6), Math::choice(["a", "b", "c"]), Math::shuffle([1, 2, 3, 4, 5])]
+            end
+            Math::seed(42)
+            var first = draw()
+            Math::seed(42)
+            var second = draw()
+            first == second
+            first[0] >= 0 and first[0] < 1
+            first[1] >= 1 and first[1] <= 6
+            len(first[3]) == 5
+        `, fn, context).value;
+
+        if (result) check({ elements: result.elements.slice(5) });
+    });
+
+    it("should throw an error with invalid arguments", () => {
+        const run_and_throw = (code) => assert.throws(() => execute(code, fn, context), (error) => {
+            // the error must be displayable, with the call in its traceback
+            assert.ok(error instanceof RuntimeError);
+            assert.ok(error.toString().startsWith("Traceback (most recent call last):\n   File <stdin>, line 1, in "));
+            return true;
+        });
+        run_and_throw(`Math::min()`);
+        run_and_throw(`Math::max()`);
+        run_and_throw(`Math::randint(6, 1)`);
+        run_and_throw(`Math::randint(1.5, 6)`);
+        run_and_throw(`Math::choice([])`);
+    });
+});
@@ -0,0 +1,141 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Context } from '../context.js';
+import global_symbol_table, { SymbolTable } from '../symbol_table.js';
+import { CustomTypeError, RuntimeError } from '../Exceptions.js';
+import { ModuleValue } from '../values.js';
+import { execute } from '../run.js';
+
+const fn = "<stdin>";
+const context = new Context("<tests>");
+
+// the files are imported from a temporary directory
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), "versa-modules-"));
+
+const FILES = {
+    "maths.vjs": `
+        var secret = 2
+        export var counter = 0
+        export func double(n) -> n * secret
+        export func increment():
+            counter += 1
+        end
+        export enum Color: RED, GREEN
+    `,
+    "a.vjs": `
+        import { b } from "./b.vjs"
+        export var a = 1
+    `,
+    "b.vjs": `
+        import { a } from "./a.vjs"
+        export var b = 2
+    `,
+    "main.vjs": `
+        import { helper } from "./helper.vjs"
+        export var main = 1
+    `,
+    "helper.vjs": `
+        import { main } from "./main.vjs"
+        export var helper = 2
+    `,
+    "broken.vjs": `
+        export var value: number = "text"
+    `,
+    "nested.vjs": `
+        func test():
+            export var value = 5
+        end
+        test()
+    `,
+};
+
+beforeEach(() => {
+    // delete the variables from the previous tests and keep the constants
+    context.symbol_table = new SymbolTable(global_symbol_table);
+});
+
+describe("Modules", function() {
+    before(() => {
+        for (let [name, content] of Object.entries(FILES)) {
+            fs.writeFileSync(path.join(directory, name), content);
+        }
+    });
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it("should import the exported declarations", () => {
+        const result = execute(`
+            import { double, counter as count } from "${directory}/maths.vjs"
+            double(5)
+            count
+        `, fn, context).value;
+        // the function still has access to the private variables of its module
+        assert.deepStrictEqual(result.elements[1].value, 10);
+        assert.deepStrictEqual(result.elements[2].value, 0);
+    });
+
+    it("should import a namespace and evaluate the module only once", () => {
+        const result = execute(`
+            import * as maths from "${directory}/maths.vjs"
+            import { increment } from "${directory}/maths.vjs"
+            increment()
+            maths.increment()
+            maths.counter
+            maths.Color.GREEN
+            maths
+        `, fn, context).value;
+        assert.deepStrictEqual(result.elements[4].value, 2);
+        assert.deepStrictEqual(result.elements[5].value, 1);
+        assert.ok(result.elements[6] instanceof ModuleValue);
+        // the module's variables are not declared in the importer
+        assert.deepStrictEqual(context.symbol_table.get("secret"), null);
+    });
+
+    it("should throw an error if a name is not exported", () => {
+        assert.throws(() => execute(`
+            import { secret } from "${directory}/maths.vjs"
+        `, fn, context), RuntimeError);
+    });
+
+    it("should throw an error if the file doesn't exist", () => {
+        assert.throws(() => execute(`
+            import { a } from "${directory}/unknown.vjs"
+        `, fn, context), RuntimeError);
+    });
+
+    it("should detect circular imports", () => {
+        assert.throws(() => execute(`
+            import { a } from "${directory}/a.vjs"
+        `, fn, context), (e) => e instanceof RuntimeError && e.details.startsWith("Circular import:"));
+    });
+
+    it("should detect the circular imports that go back to the file that is run", () => {
+        const main_path = path.join(directory, "main.vjs");
+        const cycle = [main_path, path.join(directory, "helper.vjs"), main_path].map((v) => path.relative(process.cwd(), v));
+        assert.throws(
+            () => execute(fs.readFileSync(main_path, 'utf8'), main_path),
+            (e) => e instanceof RuntimeError && e.details === `Circular import: ${cycle.join(' -> ')}`
+        );
+    });
+
+    it("should show the imported file in the errors", () => {
+        assert.throws(() => execute(`
+            import { value } from "${directory}/broken.vjs"
+        `, fn, context), (e) => {
+            assert.ok(e instanceof CustomTypeError);
+            assert.deepStrictEqual(e.pos_start.fn, path.join(directory, "broken.vjs"));
+            assert.ok(e.toString().includes(`export var value: number = "text"`));
+            return true;
+        });
+    });
+
+    it("should only allow exports at the top level of a file", () => {
+        assert.throws(() => execute(`
+            import { value } from "${directory}/nested.vjs"
+        `, fn, context), RuntimeError);
+    });
+});
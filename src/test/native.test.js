@@ -1,7 +1,9 @@
 import assert from 'assert';
 import { Context } from '../context.js';
-import { run } from '../run.js';
+import { execute, run } from '../run.js';
+import { CustomTypeError, RuntimeError } from '../Exceptions.js';
 import global_symbol_table, { SymbolTable } from '../symbol_table.js';
+import { NoneValue } from '../values.js';
 
 const fn = "<stdin>";
 const context = new Context("<tests>");
@@ -41,4 +43,172 @@ describe("Native classes", () => {
             `, fn, context).value;
         });
     });
-});
\ No newline at end of file
+});
+
+describe("Native methods", () => {
+    describe("string", () => {
+        it("should transform strings", () => {
+            const result = run(`
+                var s = "  Hello, World  "
+                s.trim()
+                s.trim_start()
+                s.trim_end()
+                "Hello".upper()
+                "Hello".lower()
+                "a-b-a".replace("a", "c")
+                "a-b-a".replace_all("a", "c")
+                "ab".repeat(3)
+                "5".pad_start(3, "0")
+                "5".pad_end(2)
+                "Hello".slice(1, -1)
+                "Hello".slice(-2)
+            `, fn, context).value;
+
+            if (result) assert.deepStrictEqual(result.elements.slice(1).map((v) => v.value), [
+                "Hello, World",
+                "Hello, World  ",
+                "  Hello, World",
+                "HELLO",
+                "hello",
+                "c-b-a",
+                "c-b-c",
+                "ababab",
+                "005",
+                "5 ",
+                "ell",
+                "lo",
+            ]);
+        });
+
+        it("should split and join strings", () => {
+            const result = run(`
+                "a,b,c".split(",")
+                ", ".join(["a", 1, "b"])
+                "AB".char_codes()
+                "AB".char_code_at(1)
+            `, fn, context).value;
+
+            if (result) assert.deepStrictEqual(result.elements[0].elements.map((v) => v.value), ["a", "b", "c"]);
+            if (result) assert.deepStrictEqual(result.elements[1].value, "a, 1, b");
+            if (result) assert.deepStrictEqual(result.elements[2].elements.map((v) => v.value), [65, 66]);
+            if (result) assert.deepStrictEqual(result.elements[3].value, 66);
+        });
+
+        it("should search in strings", () => {
+            const result = run(`
+                "Hello".starts_with("He")
+                "Hello".ends_with("He")
+                "Hello".contains("ll")
+                "Hello".index_of("l")
+                "Hello".index_of("x")
+            `, fn, context).value;
+
+            if (result) assert.deepStrictEqual(result.elements.slice(0, 3).map((v) => v.state), [1, 0, 1]);
+            if (result) assert.deepStrictEqual(result.elements.slice(3).map((v) => v.value), [2, -1]);
+        });
+
+        it("should check the arguments", () => {
+            assert.throws(() => execute(`"abc".repeat("3")`, fn, context), (e) => e instanceof CustomTypeError && e.pos_start.col === 13);
+            assert.throws(() => execute(`"abc".split()`, fn, context), RuntimeError);
+            assert.throws(() => execute(`"abc".repeat(1.5)`, fn, context), RuntimeError);
+            assert.throws(() => execute(`"abc".unknown()`, fn, context), RuntimeError);
+            assert.throws(() => execute(`"abc".upper(5)`, fn, context), /\(1\) too many args passed into 'upper'/);
+        });
+    });
+    describe("list", () => {
+        it("should call the callbacks", () => {
+            const result = run(`
+                var list = [3, 1, 2]
+                list.map(func (x) -> x * 2)
+                list.filter(func (x) -> x > 1)
+                list.reduce(func (acc, x) -> acc + x)
+                list.reduce(func (acc, x) -> acc + x, 10)
+                list.find(func (x) -> x < 3)
+                list.find(func (x) -> x > 5)
+                list.some(func (x) -> x == 2)
+                list.every(func (x) -> x > 1)
+            `, fn, context).value;
+
+            if (result) assert.deepStrictEqual(result.elements[1].elements.map((v) => v.value), [6, 2, 4]);
+            if (result) assert.deepStrictEqual(result.elements[2].elements.map((v) => v.value), [3, 2]);
+            if (result) assert.deepStrictEqual(result.elements[3].value, 6);
+            if (result) assert.deepStrictEqual(result.elements[4].value, 16);
+            if (result) assert.deepStrictEqual(result.elements[5].value, 1);
+            if (result) assert.ok(result.elements[6] instanceof NoneValue);
+            if (result) assert.deepStrictEqual(result.elements.slice(7).map((v) => v.state), [1, 0]);
+        });
+
+        it("should sort and transform a list without modifying it", () => {
+            const result = run(`
+                var list = [3, 1, 2]
+                list.sort()
+                list.sort(func (a, b) -> b - a)
+                list.reverse()
+                list
+                list.index_of(2)
+                list.includes(4)
+                [1, [2, [3]]].flat()
+                [1, 2].zip(["a", "b", "c"])
+            `, fn, context).value;
+
+            if (result) assert.deepStrictEqual(result.elements[1].elements.map((v) => v.value), [1, 2, 3]);
+            if (result) assert.deepStrictEqual(result.elements[2].elements.map((v) => v.value), [3, 2, 1]);
+            if (result) assert.deepStrictEqual(result.elements[3].elements.map((v) => v.value), [2, 1, 3]);
+            if (result) assert.deepStrictEqual(result.elements[4].elements.map((v) => v.value), [3, 1, 2]);
+            if (result) assert.deepStrictEqual(result.elements[5].value, 2);
+            if (result) assert.deepStrictEqual(result.elements[6].state, 0);
+            if (result) assert.deepStrictEqual(result.elements[7].toString(), "[1, 2, [3]]");
+            if (result) assert.deepStrictEqual(result.elements[8].toString(), `[[1, "a"], [2, "b"]]`);
+        });
+
+        it("should keep 'self' in the callbacks", () => {
+            const result = run(`
+                class Adder:
+                    property n = 5
+
+                    method add(list):
+                        return list.map(func (x) -> x + self.n)
+                    end
+                end
+                new Adder().add([1, 2])
+            `, fn, context).value;
+
+            if (result) assert.deepStrictEqual(result.elements[1].elements.map((v) => v.value), [6, 7]);
+        });
+
+        it("should show the callback in the traceback", () => {
+            assert.throws(() => execute(`
+                func callback(x):
+                    return len(x)
+                end
+                [1].map(callback)
+            `, fn, context), (e) => e instanceof RuntimeError && e.generate_traceback().includes("in callback"));
+            assert.throws(() => execute(`[].reduce(func (a, b) -> a)`, fn, context), RuntimeError);
+            assert.throws(() => execute(`[1, "a"].sort()`, fn, context), RuntimeError);
+        });
+    });
+
+    describe("dict", () => {
+        it("should read a dictionary", () => {
+            const result = run(`
+                var dict = {"a": 1, "b": 2}
+                dict.keys()
+                dict.values()
+                dict.entries()
+                dict.has("a")
+                dict.get("c", 5)
+                dict.get("a")
+                dict.merge({"b": 3, "c": 4})
+                dict
+            `, fn, context).value;
+
+            if (result) assert.deepStrictEqual(result.elements[1].elements.map((v) => v.value), ["a", "b"]);
+            if (result) assert.deepStrictEqual(result.elements[2].elements.map((v) => v.value), [1, 2]);
+            if (result) assert.deepStrictEqual(result.elements[3].toString(), `[["a", 1], ["b", 2]]`);
+            if (result) assert.deepStrictEqual(result.elements[4].state, 1);
+            if (result) assert.deepStrictEqual(result.elements.slice(5, 7).map((v) => v.value), [5, 1]);
+            if (result) assert.deepStrictEqual(result.elements[7].toString(), "{a: 1,b: 3,c: 4}");
+            if (result) assert.deepStrictEqual(result.elements[8].toString(), "{a: 1,b: 2}");
+        });
+    });
+});
@@ -1,8 +1,8 @@
 import assert from 'assert';
 import { Lexer } from '../lexer.js';
 import { Parser } from '../parser.js';
-import { AddNode, AndNode, DivideNode, ModuloNode, MultiplyNode, NotNode, NumberNode, OrNode, PowerNode, SubtractNode, VarAssignNode, EqualsNode, LessThanNode, GreaterThanNode, LessThanOrEqualNode, GreaterThanOrEqualNode, NotEqualsNode, NullishOperatorNode, ListNode, ListAccessNode, ListAssignmentNode, FuncDefNode, CallNode, PrefixOperationNode, PostfixOperationNode, DictionnaryNode, DeleteNode, ForeachNode, CallPropertyNode, ClassCallNode, VarModifyNode, AssignPropertyNode, CallMethodNode, VarAccessNode, CallStaticPropertyNode, SuperNode, EnumNode, SwitchNode, NoneNode, BooleanNode, BinaryShiftLeftNode, BinaryShiftRightNode, UnsignedBinaryShiftRightNode, LogicalAndNode, LogicalOrNode, LogicalXORNode, BinaryNotNode, MinusNode, NullishAssignmentNode, AndAssignmentNode, OrAssignmentNode, TypeofNode, InstanceofNode, TagDefNode, HtmlNode, IfNode, ForNode } from '../nodes.js';
-import { InvalidSyntaxError } from '../Exceptions.js';
+import { AddNode, AndNode, DivideNode, ModuloNode, MultiplyNode, NotNode, NumberNode, OrNode, PowerNode, SubtractNode, VarAssignNode, EqualsNode, LessThanNode, GreaterThanNode, LessThanOrEqualNode, GreaterThanOrEqualNode, NotEqualsNode, NullishOperatorNode, ListNode, ListAccessNode, ListAssignmentNode, FuncDefNode, CallNode, PrefixOperationNode, PostfixOperationNode, DictionnaryNode, DeleteNode, ForeachNode, CallPropertyNode, ClassCallNode, VarModifyNode, AssignPropertyNode, CallMethodNode, VarAccessNode, CallStaticPropertyNode, SuperNode, EnumNode, SwitchNode, NoneNode, BooleanNode, BinaryShiftLeftNode, BinaryShiftRightNode, UnsignedBinaryShiftRightNode, LogicalAndNode, LogicalOrNode, LogicalXORNode, BinaryNotNode, MinusNode, NullishAssignmentNode, AndAssignmentNode, OrAssignmentNode, TypeofNode, InstanceofNode, IsNode, TagDefNode, HtmlNode, IfNode, ForNode, TryNode, ThrowNode, YieldNode, ImportNode, ExportNode, DestructuringAssignNode, SpreadNode, FormattedStringNode, ErrorNode } from '../nodes.js';
+import { InvalidSyntaxError, SyntaxErrorList } from '../Exceptions.js';
 
 // npm run test ./test/parser.test.js
 
@@ -471,12 +471,99 @@ describe('Parser tests', () => {
         assert.deepStrictEqual(node.element_nodes[0] instanceof TypeofNode, true);
     });
 
+    it('should parse the composite types', () => {
+        const tokens = new Lexer(`
+            var a: dict<string, list<list<number>>>? = none
+            var b: number | Wolf = 5
+            func c(f: (number, string) -> list<number>) -> f
+        `).generate_tokens();
+        const node = new Parser(tokens).parse();
+        assert.deepStrictEqual(String(node.element_nodes[0].type), "dict<string, list<list<number>>>?");
+        assert.deepStrictEqual(String(node.element_nodes[1].type), "number | Wolf");
+        assert.deepStrictEqual(String(node.element_nodes[2].args[0].type), "(number, string) -> list<number>");
+        assert.throws(() => new Parser(new Lexer("var a: number<string> = 5").generate_tokens()).parse(), InvalidSyntaxError);
+    });
+
+    it('should parse the return types', () => {
+        const tokens = new Lexer(`
+            func a(n: number): list<number> -> [n]
+            func b(): string:
+                return "b"
+            end
+            func c(): log("the colon begins the body")
+            end
+        `).generate_tokens();
+        const node = new Parser(tokens).parse();
+        assert.deepStrictEqual(node.element_nodes.map((v) => String(v.return_type)), ["list<number>", "string", "null"]);
+    });
+
+    it('should parse the generator functions', () => {
+        const tokens = new Lexer(`
+            func* numbers():
+                yield 1
+                yield
+            end
+        `).generate_tokens();
+        const node = new Parser(tokens).parse();
+        const func = node.element_nodes[0];
+        assert.deepStrictEqual(func.is_generator, true);
+        assert.deepStrictEqual(func.body_node.element_nodes.every((v) => v instanceof YieldNode), true);
+        assert.throws(() => new Parser(new Lexer("func a():\n    yield 1\nend").generate_tokens()).parse(), InvalidSyntaxError);
+        assert.throws(() => new Parser(new Lexer("func* a():\n    func b() -> 5\n    var c = func ():\n        yield 1\n    end\nend").generate_tokens()).parse(), InvalidSyntaxError);
+        assert.throws(() => new Parser(new Lexer("func* a() -> 5").generate_tokens()).parse(), InvalidSyntaxError);
+    });
+
+    it('should parse the destructuring patterns', () => {
+        const tokens = new Lexer(`
+            var [a, b: number = 2, [c], ...rest] = list
+            var {name, age: years = 0, "first-name": first, ...others} = dict
+            [a, b] = [b, a]
+            func f([x, y], {z}?) -> x
+        `).generate_tokens();
+        const [declaration, dict_declaration, swap, func] = new Parser(tokens).parse().element_nodes;
+        assert.deepStrictEqual(declaration instanceof DestructuringAssignNode, true);
+        assert.deepStrictEqual(declaration.toString(), "(var [a, b: number = 2, [c], ...rest] = (list))");
+        assert.deepStrictEqual(dict_declaration.toString(), '(var {name, age: years = 0, "first-name": first, ...others} = (dict))');
+        assert.deepStrictEqual(swap.toString(), "([a, b] = [(b), (a)])");
+        assert.deepStrictEqual(func.args.map((v) => String(v.pattern)), ["[x, y]", "{z}"]);
+        assert.deepStrictEqual(new Parser(new Lexer("[a, b]").generate_tokens()).parse().element_nodes[0] instanceof ListNode, true);
+        assert.throws(() => new Parser(new Lexer("var [...rest, a] = list").generate_tokens()).parse(), InvalidSyntaxError);
+        assert.throws(() => new Parser(new Lexer("var [a, b]").generate_tokens()).parse(), InvalidSyntaxError);
+    });
+
+    it('should parse the spread elements', () => {
+        const tokens = new Lexer(`
+            f(1, ...args)
+            [1, ...others, 5]
+            {...defaults, "x": 1}
+        `).generate_tokens();
+        const [call, list, dict] = new Parser(tokens).parse().element_nodes;
+        assert.deepStrictEqual(call.arg_nodes[1] instanceof SpreadNode, true);
+        assert.deepStrictEqual(list.toString(), "[1, ...(others), 5]");
+        assert.deepStrictEqual(dict.toString(), "{...(defaults), (STRING:x: 1)}");
+    });
+
+    it('should parse the interpolations of a formatted string', () => {
+        const node = new Parser(new Lexer('f"Total: ${price * qty:.2f}, $$ for $name"').generate_tokens()).parse().element_nodes[0];
+        assert.deepStrictEqual(node instanceof FormattedStringNode, true);
+        assert.deepStrictEqual(node.toString(), 'f"Total: ${((price)*(qty)):.2f}, $$ for ${(name)}"');
+        assert.throws(() => new Parser(new Lexer('f"${}"').generate_tokens()).parse(), InvalidSyntaxError);
+        assert.throws(() => new Parser(new Lexer('f"${a b}"').generate_tokens()).parse(), /Expected '}'/);
+    });
+
     it('should work with \'instanceof\'', () => {
         const tokens = new Lexer("something instanceof something").generate_tokens();
         const node = new Parser(tokens).parse();
         assert.deepStrictEqual(node.element_nodes[0] instanceof InstanceofNode, true);
     });
 
+    it('should work with \'is\'', () => {
+        const tokens = new Lexer("something is list<number>?").generate_tokens();
+        const node = new Parser(tokens).parse();
+        assert.deepStrictEqual(node.element_nodes[0] instanceof IsNode, true);
+        assert.deepStrictEqual(String(node.element_nodes[0].type), "list<number>?");
+    });
+
     it('should work with a tag', () => {
         const tokens = new Lexer(`
             tag Test:
@@ -646,4 +733,67 @@ describe('Parser tests', () => {
         assert.deepStrictEqual(node.element_nodes[0] instanceof HtmlNode, true);
         assert.deepStrictEqual(node.element_nodes[0].children[0].tagname_tok.value, "div");
     });
-});
\ No newline at end of file
+
+    it('should work with a try statement', () => {
+        const tokens = new Lexer(`
+            try:
+                throw "error"
+            catch e:
+                var a = e
+            finally:
+                var b = 1
+            end
+        `).generate_tokens();
+        const node = new Parser(tokens).parse();
+        assert.deepStrictEqual(node.element_nodes[0] instanceof TryNode, true);
+        assert.deepStrictEqual(node.element_nodes[0].try_body.element_nodes[0] instanceof ThrowNode, true);
+        assert.deepStrictEqual(node.element_nodes[0].catch_var_name_tok.value, "e");
+        assert.deepStrictEqual(node.element_nodes[0].finally_body !== null, true);
+    });
+
+    it('should throw an error if a try statement has neither catch nor finally', () => {
+        const tokens = new Lexer(`
+            try:
+                var a = 1
+            end
+        `).generate_tokens();
+        assert.throws(() => new Parser(tokens).parse(), InvalidSyntaxError);
+    });
+
+    it('should work with import and export', () => {
+        const tokens = new Lexer(`
+            import { a, b as c } from "./file.vjs"
+            import * as ns from "./file.vjs"
+            export func test() -> 5
+        `).generate_tokens();
+        const node = new Parser(tokens).parse();
+        assert.deepStrictEqual(node.element_nodes[0] instanceof ImportNode, true);
+        assert.deepStrictEqual(node.element_nodes[0].names.map(([name, alias]) => [name.value, alias?.value]), [["a", undefined], ["b", "c"]]);
+        assert.deepStrictEqual(node.element_nodes[1].namespace_tok.value, "ns");
+        assert.deepStrictEqual(node.element_nodes[2] instanceof ExportNode, true);
+        assert.deepStrictEqual(node.element_nodes[2].name_tok.value, "test");
+        assert.throws(() => new Parser(new Lexer("export 5").generate_tokens()).parse(), InvalidSyntaxError);
+    });
+
+    it('should report all the syntax errors of a file', () => {
+        const code = [
+            "var a = 5 +",
+            "func broken(:",
+            "    var inside = [1, 2",
+            "end",
+            "if a:",
+            "    var b = )",
+            "else oops",
+            "end",
+            "var c = 3",
+        ].join("\n");
+        const parser = new Parser(new Lexer(code).generate_tokens());
+        const node = parser.parse_with_errors();
+        assert.deepStrictEqual(parser.errors.map((e) => e.details), ["Unexpected token '\n'", "Expected identifier or ')'", "Unexpected token ')'", "Expected ':'"]);
+        // the statements that could not be parsed are replaced by error nodes, and the next ones are still parsed
+        assert.deepStrictEqual(node.element_nodes.map((v) => v instanceof ErrorNode), [true, true, true, false]);
+        assert.deepStrictEqual(node.element_nodes[3].toString(), "(var c = 3)");
+        assert.throws(() => new Parser(new Lexer(code).generate_tokens()).parse(), (e) => e instanceof SyntaxErrorList && e.errors.length === 4);
+        assert.throws(() => new Parser(new Lexer("end\nvar d = 4").generate_tokens()).parse(), /unable to parse 'end'/);
+    });
+});
@@ -1,10 +1,10 @@
 import assert from 'assert';
 import { Context } from '../context.js';
-import { run } from '../run.js';
+import { execute, run } from '../run.js';
 import { Types } from '../tokens.js';
 import global_symbol_table, { SymbolTable } from '../symbol_table.js';
 import { BooleanValue, ClassValue, FunctionValue, HtmlValue, NoneValue, TagValue } from '../values.js';
-import { RuntimeError } from '../Exceptions.js';
+import { CustomTypeError, RuntimeError } from '../Exceptions.js';
 
 const fn = "<stdin>";
 const context = new Context("<tests>");
@@ -211,6 +211,92 @@ describe("Interpreter", function() {
         if (result) assert.deepStrictEqual(result.elements[7].type, Types.FUNCTION);
     });
 
+    it("should check the composite types at runtime", () => {
+        // `id` returns 'any', so the types are only checked at runtime
+        execute(`
+            enum Shade:
+                light,
+                dark
+            end
+            class Animal: pass
+            class Wolf extends Animal: pass
+            func id(value) -> value
+            func sum(...numbers: list<number>) -> 0
+        `, fn, context);
+        const valid = [
+            "var a: list<number> = id([1, 2])",
+            "var b: dict<string, list<number>> = id({'a': [1]})",
+            "var c: list<Animal?> = id([new Wolf(), none])",
+            "var d: Shade = id(Shade.dark)",
+            "var e: (number) -> number = id(func (n: number, m?) -> n)",
+            "sum(1, 2)",
+        ];
+        const invalid = [
+            "var f: list<number> = id([1, '2'])",
+            "var g: dict<string, list<number>> = id({'a': ['b']})",
+            "var h: Wolf = id(new Animal())",
+            "var i: Shade = id(5)",
+            "var j: (number) -> number = id(func (s: string) -> s)",
+            "var k: (number) -> number = id(func (n: number, m: number) -> n)",
+            "sum(1, '2')",
+        ];
+        for (let code of valid) assert.doesNotThrow(() => execute(code, fn, context), code);
+        for (let code of invalid) assert.throws(() => execute(code, fn, context), CustomTypeError, code);
+    });
+
+    it("should check the elements assigned to the typed lists and dictionnaries", () => {
+        // `id` returns 'any', so the types are only checked at runtime
+        execute(`
+            func id(value) -> value
+            var l: list<number> = [1]
+            var d: dict<string, number> = {}
+            var m: list<list<number>> = [[1]]
+        `, fn, context);
+        const valid = [
+            "l[] = id(2)",
+            "l[0] = id(3)",
+            "d['a'] = id(1)",
+            "d[] = id({'b': 2})",
+            "m[0][] = id(4)",
+        ];
+        const invalid = [
+            "l[] = id('x')",
+            "l[0] = id('x')",
+            "d['a'] = id('x')",
+            "d[] = id({'b': 'x'})",
+            "m[0][0] = id('x')",
+        ];
+        for (let code of valid) assert.doesNotThrow(() => execute(code, fn, context), code);
+        for (let code of invalid) assert.throws(() => execute(code, fn, context), CustomTypeError, code);
+        const result = execute("[l[0], len(l), d['b'], m[0][1]]", fn, context);
+        assert.deepStrictEqual(result.value.elements.at(-1).elements.map((v) => v.value), [3, 2, 2, 4]);
+    });
+
+    it("should check the returned values", () => {
+        // `id` returns 'any', so the types are only checked at runtime
+        execute(`
+            func id(value) -> value
+            func first(list): number -> id(list[0])
+            func find(list, value): number?:
+                for i to len(list):
+                    if list[i] == value:
+                        return id(i)
+                    end
+                end
+            end
+            class Named:
+                method name(): string:
+                    return id(5)
+                end
+            end
+        `, fn, context);
+        assert.deepStrictEqual(execute("first([5])", fn, context).value.elements[0].value, 5);
+        assert.deepStrictEqual(execute("find([1, 2], 3)", fn, context).value.elements[0] instanceof NoneValue, true);
+        assert.throws(() => execute("first(['a'])", fn, context), CustomTypeError);
+        // the error shows the 'return' statement
+        assert.throws(() => execute("new Named().name()", fn, context), (e) => e instanceof CustomTypeError && e.pos_start.ln === 12);
+    });
+
     it("should work with a list", () => {
         const result = run(`
             [0, 1]
@@ -359,6 +445,35 @@ describe("Interpreter", function() {
         if (result) assert.deepStrictEqual(result.elements[1].value, "I am 17.");
     });
 
+    it("should interpolate the expressions in the formatted strings", () => {
+        const result = execute(`
+            class Customer:
+                property name = "Thomas"
+            end
+            var customer = new Customer()
+            var price = 2.5
+            var qty = 3
+            [f"$customer.name owes $$\${price * qty:.2f}.", f"$$\${qty:03d}|\${customer.name:>8}|\${"ok":*^6}|\${1234567:,}|\${0.256:.1%}"]
+            `, fn, context);
+        const [sentence, formats] = result.value.elements.at(-1).elements;
+        assert.deepStrictEqual(sentence.value, "Thomas owes $7.50.");
+        assert.deepStrictEqual(formats.value, "$003|  Thomas|**ok**|1,234,567|25.6%");
+        assert.throws(() => execute(`var text: any = "a"; f"\${text:.2f}"`, fn, context), /The format 'f' expects a number/);
+        try {
+            execute(`var total = 5\nf"Total: \${total + missing}"`, fn, context);
+            assert.fail("the variable is not defined");
+        } catch (e) {
+            // the error points into the string
+            assert.deepStrictEqual([e.pos_start.ln, e.pos_start.col], [1, 19]);
+        }
+    });
+
+    it("should interpolate the expressions in the multi-line formatted strings", () => {
+        const result = execute(`var name = "Thomas"\nf"""\n    ${"${"}1 + 1}\n    Hello "$name",\n        ""${"${"}name:>7}""\n    """`, fn, context);
+        assert.deepStrictEqual(result.value.elements.at(-1).value, `2\nHello "Thomas",\n    "" Thomas""\n`);
+        assert.throws(() => execute(`f"""unterminated "" $name`, fn, context), /Expected '"""' at the end of the string/);
+    });
+
     it("should work with concatenation (with if statement)", () => {
         const result = run(`
             var age = 18;
@@ -1397,4 +1512,511 @@ describe("Interpreter", function() {
         if (result) assert.deepStrictEqual(result.elements[1].children[0].events[0][0], "mousemove");
         if (result) assert.deepStrictEqual(result.elements[1].children[0].events[0][1] instanceof FunctionValue, true);
     });
+
+    it("should catch a runtime error", () => {
+        const result = run(`
+            var caught = none
+            try:
+                len(5)
+            catch e:
+                caught = e
+            end
+            caught instanceof Error
+            caught.name
+            caught.details
+            caught.line
+            caught.column
+            `, fn, context).value;
+        if (result) assert.deepStrictEqual(result.elements[2].state, 1);
+        if (result) assert.deepStrictEqual(result.elements[3].value, "Runtime Error");
+        if (result) assert.deepStrictEqual(result.elements[4].value, "Invalid type of argument for function len()");
+        if (result) assert.deepStrictEqual(result.elements[5].value, 4);
+        if (result) assert.deepStrictEqual(result.elements[6].value, 17);
+    });
+
+    it("should throw and catch an instance of a custom class", () => {
+        const result = run(`
+            class MyError:
+                property message
+
+                method __init(message):
+                    self.message = message
+                end
+            end
+
+            func fail():
+                throw new MyError("failure")
+            end
+
+            var message = ""
+            try:
+                fail()
+            catch e:
+                if e instanceof MyError:
+                    message = e.message
+                end
+            end
+            message
+            `, fn, context).value;
+        if (result) assert.deepStrictEqual(result.elements[4].value, "failure");
+    });
+
+    it("should create an error at the position of its instantiation", () => {
+        const result = execute(`
+            func check(n):
+                if n < 0:
+                    throw new Error("negative")
+                end
+            end
+            var caught = none
+            try:
+                check(-1)
+            catch e:
+                caught = e
+            end
+            [caught instanceof Error, caught.name, caught.details, caught.file, caught.line, caught.column]
+            `, fn, context);
+        const [is_error, ...fields] = result.value.elements.at(-1).elements;
+        assert.deepStrictEqual(is_error.state, 1);
+        assert.deepStrictEqual(fields.map((v) => v.value), ["Error", "negative", fn, 4, 31]);
+        assert.ok(execute(`new Error("a").traceback`, fn, context).value.elements[0].value.includes("in <tests>"));
+        assert.throws(() => execute(`new Error(5)`, fn, context), CustomTypeError);
+    });
+
+    it("should always execute the finally block", () => {
+        const result = run(`
+            var log = []
+            func test():
+                try:
+                    return "try"
+                finally:
+                    log[] = "finally"
+                end
+            end
+            var value = test()
+            try:
+                try:
+                    throw "error"
+                finally:
+                    log[] = "nested finally"
+                end
+            catch e:
+                log[] = e
+            end
+            log
+            `, fn, context).value;
+        if (result) assert.deepStrictEqual(result.elements[2].value, "try");
+        if (result) assert.deepStrictEqual(result.elements[4].elements.map((v) => v.value), ["finally", "nested finally", "error"]);
+    });
+
+    it("should follow the inheritance with 'instanceof' and check the types with 'is'", () => {
+        const result = execute(`
+            class Creature:
+                property name
+            end
+            class Mammal extends Creature:
+                property legs = 4
+            end
+            class Dog extends Mammal:
+                property breed = "unknown"
+            end
+            enum Direction:
+                north,
+                south
+            end
+            var dog = new Dog()
+            var creature = new Creature()
+            var checks = [
+                dog instanceof Dog,
+                dog instanceof Mammal,
+                dog instanceof Creature,
+                creature instanceof Dog,
+                Direction.south instanceof Direction,
+                5 instanceof Direction,
+                console instanceof console,
+                5 is number,
+                "a" is number,
+                [1, 2] is list,
+                [1, "a"] is list<number>,
+                none is string?,
+                dog is Creature,
+                creature is Mammal | Dog
+            ]
+            checks
+            `, fn, context);
+        assert.deepStrictEqual(result.value.elements.at(-1).elements.map((v) => v.state), [1, 1, 1, 0, 1, 0, 1, 1, 0, 1, 0, 1, 1, 0]);
+    });
+
+    it("should capture the variables of the scope in which a function is created", () => {
+        const result = execute(`
+            func make_counter():
+                var count = 0
+                return func ():
+                    count += 1
+                    return count
+                end
+            end
+            var counter = make_counter()
+            var other_counter = make_counter()
+            counter()
+            counter()
+            var counts = [counter(), other_counter()]
+
+            # a function doesn't see the variables of its caller
+            var scope = "global"
+            func read_scope() -> scope
+            func call_with_local_scope():
+                var scope = "local"
+                return read_scope()
+            end
+
+            # but it sees the variables modified after its creation
+            var later = 1
+            func read_later() -> later
+            later = 2
+
+            class Adder:
+                property base = 5
+                method adder() -> func (n) -> n + self.base
+            end
+            var add = new Adder().adder()
+
+            [counts, call_with_local_scope(), read_later(), add(1)]
+            `, fn, context);
+        const [counts, scope, later, sum] = result.value.elements.at(-1).elements;
+        assert.deepStrictEqual(counts.elements.map((v) => v.value), [3, 1]);
+        assert.deepStrictEqual(scope.value, "global");
+        assert.deepStrictEqual(later.value, 2);
+        assert.deepStrictEqual(sum.value, 6);
+    });
+
+    it("should capture the variables of the scope in which a class is defined in its methods", () => {
+        const result = execute(`
+            var n = "global"
+            class A:
+                property value = 1
+                method show() -> n
+                get current() -> self.value
+                set change(value) -> self.value = value + len(n)
+                static method create() -> new A()
+            end
+
+            # a method doesn't see the variables of its caller, only 'self'
+            func caller():
+                var n = "caller local"
+                var a = A::create()
+                a.change(1)
+                return [a.show(), a.current()]
+            end
+
+            caller()
+            `, fn, context);
+        const [shown, current] = result.value.elements.at(-1).elements;
+        assert.deepStrictEqual(shown.value, "global");
+        assert.deepStrictEqual(current.value, 7);
+    });
+
+    it("should give each iteration of a loop its own variables", () => {
+        const result = execute(`
+            var from_for = []
+            for i to 3:
+                from_for[] = func () -> i
+            end
+            var from_foreach = []
+            foreach ["a", "b"] as index => letter:
+                from_foreach[] = func () -> letter + index
+            end
+            [from_for[0](), from_for[2](), from_foreach[0](), from_foreach[1]()]
+            `, fn, context);
+        assert.deepStrictEqual(result.value.elements.at(-1).elements.map((v) => v.value), [0, 2, "a0", "b1"]);
+        // the loop variables only exist inside the loop
+        assert.throws(() => execute(`for j to 3: j\nj`, fn, context), /Variable 'j' is not defined/);
+    });
+
+    it("should compute the values of a generator when they are requested", () => {
+        const result = execute(`
+            var computed = []
+            func* naturals():
+                var n = 0
+                while yes:
+                    computed[] = n
+                    yield n
+                    n += 1
+                end
+            end
+            func* take(numbers, count):
+                for i to count:
+                    if numbers.done:
+                        return
+                    end
+                    yield numbers.next()
+                end
+            end
+            func* squares(numbers):
+                foreach numbers as n:
+                    yield n * n
+                end
+            end
+            var from_foreach = []
+            foreach take(squares(naturals()), 4) as i => square:
+                from_foreach[] = [i, square]
+            end
+            var pair = take(naturals(), 2)
+            [from_foreach, computed, [pair.next(), pair.done, pair.next(), pair.done, pair.next()], typeof pair]
+            `, fn, context);
+        const [from_foreach, computed, from_next, type] = result.value.elements.at(-1).elements;
+        assert.deepStrictEqual(from_foreach.elements.map((v) => v.elements.map((e) => e.value)), [[0, 0], [1, 1], [2, 4], [3, 9]]);
+        // the infinite loops stopped as soon as their values were no longer requested
+        assert.deepStrictEqual(computed.elements.map((v) => v.value), [0, 1, 2, 3, 0, 1]);
+        const [first, done_after_first, second, done_after_second, none] = from_next.elements;
+        assert.deepStrictEqual([first.value, done_after_first.state, second.value, done_after_second.state], [0, 0, 1, 1]);
+        assert.deepStrictEqual(none instanceof NoneValue, true);
+        assert.deepStrictEqual(type.value, "generator");
+    });
+
+    it("should pause a generator in the conditions, the loops and the 'try' blocks", () => {
+        const result = execute(`
+            class Basket:
+                property fruits = ["apple", "pear"]
+                method* each():
+                    foreach self.fruits as fruit:
+                        if fruit == "pear":
+                            continue
+                        end
+                        yield fruit
+                    end
+                    try:
+                        throw "error"
+                    catch e:
+                        yield e
+                    finally:
+                        yield "finally"
+                    end
+                    switch len(self.fruits):
+                        case 2: yield "two fruits"
+                        default: yield "other"
+                    end
+                end
+            end
+            var values = []
+            foreach new Basket().each() as value:
+                values[] = value
+            end
+            values
+            `, fn, context);
+        assert.deepStrictEqual(result.value.elements.at(-1).elements.map((v) => v.value), ["apple", "error", "finally", "two fruits"]);
+        assert.throws(() => execute(`func* invalid():\n    var a = [if yes: yield 1]\nend\nforeach invalid() as v: v`, fn, context), /'yield' can only be used/);
+    });
+
+    it("should loop on any iterable value", () => {
+        const result = execute(`
+            class Cell:
+                property value
+                property next_cell
+                method __init(value, next_cell?):
+                    self.value = value
+                    self.next_cell = next_cell
+                end
+            end
+            class CellIterator:
+                property current
+                method __init(first):
+                    self.current = first
+                end
+                method __next():
+                    if self.current == none:
+                        return none
+                    end
+                    var value = self.current.value
+                    self.current = self.current.next_cell
+                    return value
+                end
+            end
+            class Chain:
+                property first
+                method __init(first):
+                    self.first = first
+                end
+                method __iter() -> new CellIterator(self.first)
+            end
+            class Tens:
+                property count = 3
+                method* __iter():
+                    for i to self.count:
+                        yield i * 10
+                    end
+                end
+            end
+            var chain = new Chain(new Cell("a", new Cell("b", new Cell("c"))))
+            var from_foreach = []
+            foreach chain as i => letter:
+                from_foreach[] = letter + i
+            end
+            var characters = []
+            foreach "hé!" as character:
+                characters[] = character
+            end
+            [from_foreach, characters, list(chain), list(new Tens()), list({"x": 1, "y": 2}), list([1, 2])]
+            `, fn, context);
+        const values = result.value.elements.at(-1).elements.map((list) => list.elements.map((v) => v.value));
+        assert.deepStrictEqual(values, [["a0", "b1", "c2"], ["h", "é", "!"], ["a", "b", "c"], [0, 10, 20], ["x", "y"], [1, 2]]);
+        assert.throws(() => execute(`foreach 5 as n: n`, fn, context), /Must loop on an iterable value/);
+        assert.throws(() => execute(`list(new Cell(5))`, fn, context), /Must loop on an iterable value/);
+    });
+
+    it("should not stop an iterator with '__has_next' when it returns none", () => {
+        const result = execute(`
+            class Column:
+                property values
+                property index = 0
+                method __init(values):
+                    self.values = values
+                end
+                method __iter() -> self
+                method __has_next() -> self.index < len(self.values)
+                method __next():
+                    self.index += 1
+                    return self.values[self.index - 1]
+                end
+            end
+            var count = 0
+            foreach new Column([1, none, 3]) as value:
+                count += 1
+            end
+            [count, list(new Column([none, none]))]
+            `, fn, context);
+        const [count, nones] = result.value.elements.at(-1).elements;
+        assert.deepStrictEqual(count.value, 3);
+        assert.deepStrictEqual(nones.elements.length, 2);
+    });
+
+    it("should call the methods that overload the operators", () => {
+        const result = execute(`
+            class Vector:
+                property x
+                property y
+                method __init(x, y):
+                    self.x = x
+                    self.y = y
+                end
+                method __add(other) -> new Vector(self.x + other.x, self.y + other.y)
+                method __sub(other) -> new Vector(self.x - other.x, self.y - other.y)
+                method __mul(factor) -> new Vector(self.x * factor, self.y * factor)
+                method __div(factor) -> new Vector(self.x / factor, self.y / factor)
+                method __mod(n) -> new Vector(self.x % n, self.y % n)
+                method __pow(n) -> new Vector(self.x ** n, self.y ** n)
+                method __neg() -> new Vector(-self.x, -self.y)
+                method __eq(other) -> other instanceof Vector and self.x == other.x and self.y == other.y
+                method __bool() -> self.x != 0 or self.y != 0
+                method __repr() -> "(" + self.x + ", " + self.y + ")"
+            end
+            class Money:
+                property cents
+                method __init(cents):
+                    self.cents = cents
+                end
+                method __lt(other) -> self.cents < other.cents
+                method __le(other) -> self.cents <= other.cents
+                method __gt(other) -> self.cents > other.cents
+                method __ge(other) -> self.cents >= other.cents
+            end
+            class Row:
+                property cells = {}
+                method __getitem(key) -> self.cells[key]
+                method __setitem(key, value):
+                    var cells = self.cells
+                    cells[key] = value
+                    self.cells = cells
+                end
+                method __len() -> len(self.cells)
+            end
+            var a = new Vector(1, 2)
+            var b = new Vector(3, 4)
+            var vectors = [a + b, b - a, a * 3, b / 2, b % 3, b ** 2, -a]
+            var comparisons = [a == new Vector(1, 2), a != b, a == 5, new Money(100) < new Money(250), new Money(100) <= new Money(100), new Money(100) > new Money(250), new Money(250) >= new Money(100)]
+            var zero = new Vector(0, 0)
+            var truthiness = [if zero: "yes" else: "no", not zero, a and zero, zero ?? "never"]
+            var row = new Row()
+            row["name"] = "Thomas"
+            row["grades"] = [10]
+            row["grades"][] = 12
+            [vectors, comparisons, truthiness, [row["name"], row["grades"][1], len(row)]]
+            `, fn, context);
+        const [vectors, comparisons, truthiness, items] = result.value.elements.at(-1).elements;
+        assert.deepStrictEqual(vectors.elements.map((v) => v.toString()), ["(4, 6)", "(2, 2)", "(3, 6)", "(1.5, 2)", "(0, 1)", "(9, 16)", "(-1, -2)"]);
+        assert.deepStrictEqual(comparisons.elements.map((v) => v.state), [1, 1, 0, 1, 1, 0, 1]);
+        assert.deepStrictEqual(truthiness.elements[0].value, "no");
+        assert.deepStrictEqual(truthiness.elements[1].state, 1);
+        assert.deepStrictEqual(truthiness.elements[2].state, 0);
+        assert.deepStrictEqual(truthiness.elements[3].toString(), "(0, 0)");
+        assert.deepStrictEqual(items.elements.map((v) => v.value), ["Thomas", 12, 2]);
+        assert.throws(() => execute(`new Money(5) + new Money(6)`, fn, context), /Illegal operation/);
+        assert.throws(() => execute(`
+            class Broken:
+                method __len() -> "oops"
+            end
+            len(new Broken())
+        `, fn, context), CustomTypeError);
+    });
+
+    it("should destructure the lists, the dictionnaries and the arguments", () => {
+        const result = execute(`
+            var [first, second: number = 2, [third], ...others] = [1, 5, ["c"], 7, 8]
+            var {name, age: years = 0, "first-name": nickname, position: [x, y], ...extra} = {"name": "Thomas", "first-name": "Tom", "position": [3, 4], "town": "Paris"}
+            var [letter_a, letter_b] = "ab"
+            var [default_value = first + 100] = []
+            [first, second] = [second, first]
+            func distance([x1, y1], {scale}?={"scale": 1}) -> (x1 + y1) * scale
+            [[first, second, third, others], [name, years, nickname, x, y, extra], [letter_a, letter_b, default_value], [distance([1, 2]), distance([1, 2], {"scale": 10})]]
+            `, fn, context);
+        const [list, dict, others, calls] = result.value.elements.at(-1).elements;
+        assert.deepStrictEqual(list.elements.map((v) => v.toString()), ["5", "1", `"c"`, "[7, 8]"]);
+        assert.deepStrictEqual(dict.elements.map((v) => v.toString()), [`"Thomas"`, "0", `"Tom"`, "3", "4", `{town: "Paris"}`]);
+        assert.deepStrictEqual(others.elements.map((v) => v.value), ["a", "b", 101]);
+        assert.deepStrictEqual(calls.elements.map((v) => v.value), [3, 30]);
+        assert.throws(() => execute(`var [one, two] = [1]`, fn, context), /has no index 1/);
+        assert.throws(() => execute(`var {missing} = {"b": 1}`, fn, context), /has no key 'missing'/);
+        assert.throws(() => execute(`var {not_a_dict} = [1]`, fn, context), /Cannot destructure a value of type 'list'/);
+    });
+
+    it("should spread the lists and the dictionnaries", () => {
+        const result = execute(`
+            func sum_of_three(a, b, c) -> a + b + c
+            func forward(a, b, c) -> sum_of_three(...arguments)
+            class Rectangle:
+                property area
+                method __init(width, height):
+                    self.area = width * height
+                end
+            end
+            var middle = [2, 3]
+            var defaults = {"color": "red", "size": 1}
+            [sum_of_three(1, ...middle), forward(1, 2, 3), [1, ...middle, 4, ...[]], {...defaults, "size": 2}, new Rectangle(...middle).area]
+            `, fn, context);
+        const [sum, forwarded, list, dict, area] = result.value.elements.at(-1).elements;
+        assert.deepStrictEqual(sum.value, 6);
+        assert.deepStrictEqual(forwarded.value, 6);
+        assert.deepStrictEqual(list.elements.map((v) => v.value), [1, 2, 3, 4]);
+        assert.deepStrictEqual(dict.toString(), `{color: "red",size: 2}`);
+        assert.deepStrictEqual(area.value, 6);
+        assert.throws(() => execute(`var not_a_list: any = 5; [...not_a_list]`, fn, context), CustomTypeError);
+        assert.throws(() => execute(`var not_a_dict: any = [1]; {...not_a_dict}`, fn, context), /expected a dictionnary/);
+        assert.throws(() => execute(`func f(a, b) -> a + b; f(...[1, 2, 3])`, fn, context), /\(1\) too many args passed into 'f'/);
+    });
+
+    it("should compute with the bigints", () => {
+        const result = execute(`
+            var big = 2n ** 64n
+            var counter = 0xFFn
+            counter++
+            [big + 1, counter, 7n / 2, -7n % 3n, 0b1100n & 0b1010, 1n << 70n, ~5n, 5n == 5, 5n < 5.5, "n=" + 10n, typeof big]
+            `, fn, context);
+        assert.deepStrictEqual(result.value.elements.at(-1).elements.map((v) => v.toString()), [
+            "18446744073709551617", "256", "3", "-1", "8", "1180591620717411303424", "-6", "yes", "yes", `"n=10"`, `"bigint"`
+        ]);
+        assert.throws(() => execute(`5n + 1.5`, fn, context), /Cannot mix a bigint with the float 1.5/);
+        assert.throws(() => execute(`5n >>> 1`, fn, context), CustomTypeError);
+        assert.throws(() => execute(`1n / 0`, fn, context), /Division by Zero/);
+        assert.throws(() => execute(`2n ** -1n`, fn, context), /negative exponent/);
+    });
 });
@@ -0,0 +1,103 @@
+import assert from 'assert';
+import { Context } from '../context.js';
+import { run } from '../run.js';
+import global_symbol_table, { SymbolTable } from '../symbol_table.js';
+import { HtmlRenderer } from '../renderer.js';
+
+const fn = "<stdin>";
+const context = new Context("<tests>");
+const renderer = new HtmlRenderer();
+
+beforeEach(() => {
+    // delete the variables from the previous tests and keep the constants
+    context.symbol_table = new SymbolTable(global_symbol_table);
+});
+
+describe("HTML renderer", function() {
+    it("should render a simple element", () => {
+        const result = run(`
+            <>
+                <p> "Hello"
+            </>
+        `, fn, context).value;
+        if (result) assert.deepStrictEqual(renderer.render(result.elements[0]), "<p>Hello</p>");
+    });
+
+    it("should render the classes and the id", () => {
+        const result = run(`
+            <>
+                <div.container.big#main>
+            </>
+        `, fn, context).value;
+        if (result) assert.deepStrictEqual(renderer.render(result.elements[0]), `<div class="container big" id="main"></div>`);
+    });
+
+    it("should render the attributes", () => {
+        const result = run(`
+            var text = "Title"
+            <>
+                <div hidden title={text}>
+                <div hidden={false}>
+                <div hidden={true}>
+            </>
+        `, fn, context).value;
+        if (result) assert.deepStrictEqual(renderer.render(result.elements[1]), `<div hidden title="Title"></div><div></div><div hidden></div>`);
+    });
+
+    it("should render the void elements without closing tag", () => {
+        const result = run(`
+            <>
+                <p>
+                    <span> "a"
+                    <br>
+                    <img src="image.png">
+            </>
+        `, fn, context).value;
+        if (result) assert.deepStrictEqual(renderer.render(result.elements[0]), `<p><span>a</span><br><img src="image.png"></p>`);
+    });
+
+    it("should escape the text and the attributes", () => {
+        const result = run(`
+            <>
+                <p title={"\\"quoted\\""}> "1 < 2 && 3 > 2"
+            </>
+        `, fn, context).value;
+        if (result) assert.deepStrictEqual(renderer.render(result.elements[0]), `<p title="&quot;quoted&quot;">1 &lt; 2 &amp;&amp; 3 &gt; 2</p>`);
+    });
+
+    it("should render nested fragments and loops", () => {
+        const result = run(`
+            var list = [1, 2]
+            <>
+                <ul>
+                    foreach list as el:
+                        <li> f"Item $el"
+                    end
+            </>
+        `, fn, context).value;
+        if (result) assert.deepStrictEqual(renderer.render(result.elements[1]), `<ul><li>Item 1</li><li>Item 2</li></ul>`);
+    });
+
+    it("should render a custom tag", () => {
+        const result = run(`
+            tag Greet:
+                prop name
+                prop? punctuation: string = "!"
+
+                method render():
+                    var name = self.name
+                    return <>
+                        <h1>
+                            <span> {f"Hello $name"}
+                            <span> {self.punctuation}
+                    </>
+                end
+            end
+
+            <>
+                <Greet name="Thomas">
+            </>
+        `, fn, context).value;
+        if (result) assert.deepStrictEqual(renderer.render(result.elements[1]), `<h1><span>Hello Thomas</span><span>!</span></h1>`);
+    });
+});
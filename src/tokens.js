@@ -35,6 +35,7 @@ export class TokenType {
     static RBRACK                     = 'RBRACK'
     static COMMA                      = 'COMMA'
     static STRING                     = 'STRING'
+    static FORMATTED_STRING           = 'FORMATTED_STRING' // f"Hello ${name}"
     static ARROW                      = 'ARROW'
     static DOUBLE_ARROW               = 'DOUBLE_ARROW'
     static INC                        = 'INC'
@@ -57,6 +58,7 @@ export class TokenType {
     static RCHEVRON                   = 'RCHEVRON' // >
     static HASH                       = 'HASH' // #
     static INDENTATION                = 'INDENTATION' // \t
+    static COMMENT                    = 'COMMENT' // '# ...', only when the lexer keeps the comments
     static ARROBASE                   = 'ARROBASE' // @
     static EOF                        = 'EOF'
 }
@@ -65,12 +67,14 @@ export class Types {
     static ANY      = "any" // everything, var a = none, a is of type any
     static DYNAMIC  = "dynamic" // everything except none
     static NUMBER   = "number"
+    static BIGINT   = "bigint" // an arbitrary-precision integer (123n)
     static STRING   = "string"
     static LIST     = "list"
     static DICT     = "dict"
     static OBJECT   = "object"
     static BOOLEAN  = "boolean"
     static FUNCTION = "function"
+    static GENERATOR = "generator" // the value returned by a generator function ('func*')
     static HTML     = "html"
     static TAG      = "TAG"
 }
@@ -121,9 +125,18 @@ const KEYWORDS = [
     "pass",
     "typeof",
     "instanceof",
+    "is",
     "tag",
     "prop",
     "state",
+    "try",
+    "catch",
+    "finally",
+    "throw",
+    "yield",
+    "import",
+    "export",
+    "from",
 ];
 
 export default KEYWORDS;
@@ -162,6 +175,9 @@ export class Token {
     toString() {
         if (this.value === "\t" || this.value === "\n") {
             return this.type;
+        } else if (this.type === TokenType.FORMATTED_STRING) {
+            // the interpolations are displayed with their tokens (without the end of file)
+            return this.type + ":" + this.value.map((part) => typeof part === "string" ? part : `\${${part.tokens.slice(0, -1).join(" ")}}`).join("");
         } else {
             return this.type + (`:${this.value ?? ''}`);
         }
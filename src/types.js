@@ -0,0 +1,325 @@
+"use strict";
+
+import { Types } from "./tokens.js";
+import { Context } from "./context.js";
+import { BaseFunction, ClassValue, DictionnaryValue, EnumValue, FunctionValue, ListValue, NativeClassValue, NoneValue, NumberValue, StringValue, Value } from "./values.js";
+
+/**
+ * The type of `none` in the annotations (`string?` is `string | none`).
+ * At runtime, `none` has the type 'any' but it cannot be assigned to a typed variable.
+ */
+export const NONE = "none";
+
+/**
+ * @classdesc The base class of the types written in the annotations.
+ */
+export class Type {
+    /**
+     * The type as it would be written in an annotation.
+     * @returns {string}
+     */
+    toString() {
+        return Types.ANY;
+    }
+
+    /**
+     * The description of the type in the compiled code.
+     * @returns {any}
+     */
+    toJSON() {
+        return this.toString();
+    }
+}
+
+/**
+ * @classdesc A type designated by its name: 'number', 'none', 'Wolf' (a class), 'Status' (an enum), etc.
+ */
+export class NamedType extends Type {
+    /**
+     * @constructs NamedType
+     * @param {string} name The name of the type.
+     */
+    constructor(name) {
+        super();
+        this.name = name;
+    }
+
+    toString() {
+        return this.name;
+    }
+}
+
+/**
+ * @classdesc `list<T>`, a list whose elements are all of type T.
+ */
+export class ListType extends Type {
+    /**
+     * @constructs ListType
+     * @param {Type} element_type The type of the elements.
+     */
+    constructor(element_type) {
+        super();
+        this.element_type = element_type;
+    }
+
+    toString() {
+        return `list<${this.element_type}>`;
+    }
+
+    toJSON() {
+        return { list: this.element_type };
+    }
+}
+
+/**
+ * @classdesc `dict<K, V>`, a dictionnary whose keys are of type K and values of type V.
+ */
+export class DictType extends Type {
+    /**
+     * @constructs DictType
+     * @param {Type} key_type The type of the keys.
+     * @param {Type} value_type The type of the values.
+     */
+    constructor(key_type, value_type) {
+        super();
+        this.key_type = key_type;
+        this.value_type = value_type;
+    }
+
+    toString() {
+        return `dict<${this.key_type}, ${this.value_type}>`;
+    }
+
+    toJSON() {
+        return { dict: [this.key_type, this.value_type] };
+    }
+}
+
+/**
+ * @classdesc `A | B`, a value of one of the types. `T?` is `T | none`.
+ */
+export class UnionType extends Type {
+    /**
+     * @constructs UnionType
+     * @param {Type[]} types At least two types.
+     */
+    constructor(types) {
+        super();
+        this.types = types;
+    }
+
+    toString() {
+        if (this.types.length === 2 && String(this.types[1]) === NONE) {
+            return `${this.types[0] instanceof FunctionType ? `(${this.types[0]})` : this.types[0]}?`;
+        }
+        return this.types.map((t) => t instanceof FunctionType ? `(${t})` : String(t)).join(" | ");
+    }
+
+    toJSON() {
+        return { union: this.types };
+    }
+}
+
+/**
+ * @classdesc `(A, B) -> R`, a function that takes arguments of types A and B and returns a value of type R.
+ */
+export class FunctionType extends Type {
+    /**
+     * @constructs FunctionType
+     * @param {Type[]} arg_types The types of the arguments.
+     * @param {Type} return_type The type of the returned value.
+     * @param {number|null} required_count The number of arguments that are not optional (the optional ones are at the end), null if they are all required.
+     */
+    constructor(arg_types, return_type, required_count=null) {
+        super();
+        this.arg_types = arg_types;
+        this.return_type = return_type;
+        this.required_count = required_count ?? arg_types.length;
+    }
+
+    toString() {
+        return `(${this.arg_types.join(", ")}) -> ${this.return_type}`;
+    }
+
+    toJSON() {
+        return { function: [this.arg_types, this.return_type] };
+    }
+}
+
+/**
+ * Converts a type that might still be a string (the types of the values, the native functions, etc.) into a Type.
+ * @param {Type|string|null} type
+ * @returns {Type}
+ */
+export function to_type(type) {
+    if (type instanceof Type) return type;
+    return new NamedType(type ?? Types.ANY);
+}
+
+/**
+ * The type of a value as it is displayed in the errors.
+ * @param {Value} value
+ * @returns {string}
+ */
+export function type_of_value(value) {
+    return value instanceof NoneValue ? NONE : value.type;
+}
+
+/**
+ * Checks if a value can be assigned to a variable, an argument or a property of a certain type.
+ * @param {Value} value The value.
+ * @param {Type|string} type The type of the variable.
+ * @param {Context} context The context in which the class and enum names are searched for.
+ * @returns {boolean}
+ */
+export function is_assignable(value, type, context=null) {
+    type = to_type(type);
+
+    if (type instanceof UnionType) {
+        return type.types.some((t) => is_assignable(value, t, context));
+    } else if (type instanceof ListType) {
+        return value instanceof ListValue && value.elements.every((element) => is_assignable(element, type.element_type, context));
+    } else if (type instanceof DictType) {
+        if (!(value instanceof DictionnaryValue)) return false;
+        for (let [key, element] of value.elements) {
+            if (!is_assignable(new StringValue(key), type.key_type, context)) return false;
+            if (!is_assignable(element, type.value_type, context)) return false;
+        }
+        return true;
+    } else if (type instanceof FunctionType) {
+        if (!(value instanceof BaseFunction)) return false;
+        // the native functions don't describe the types of their arguments
+        if (!(value instanceof FunctionValue)) return true;
+        if (value.return_type && !is_type_assignable(type.return_type, value.return_type)) return false;
+        return is_signature_assignable(type, value.args);
+    }
+
+    switch (type.name) {
+        case Types.ANY: return true;
+        case Types.DYNAMIC: return !(value instanceof NoneValue);
+        case NONE: return value instanceof NoneValue;
+        // Enum is an object and its type remains Types.OBJECT so we're good
+        case Types.OBJECT: return value.type === Types.OBJECT || value instanceof NativeClassValue || value instanceof ClassValue;
+    }
+
+    if (value.type === type.name) return true;
+
+    // an instance of a class is also an instance of its parent classes
+    if (value instanceof ClassValue) {
+        let parent = value.parent_class;
+        while (parent) {
+            if (parent.name === type.name) return true;
+            parent = parent.parent_class;
+        }
+        return false;
+    }
+
+    // the members of an enum are numbers
+    let enumeration = context?.symbol_table.get(type.name)?.value;
+    if (enumeration instanceof EnumValue && value instanceof NumberValue) {
+        return Array.from(enumeration.properties.values()).some((member) => member.value === value.value);
+    }
+
+    return false;
+}
+
+/**
+ * The type of the elements that are modified by an assignment through some indexes (`list[0][] = value`, `dict["key"] = value`).
+ * @param {Type|string} type The type of the variable.
+ * @param {number} depth The number of indexes.
+ * @param {boolean} is_push Whether the last index is empty (`[]`), which adds an element to a list, or merges a dictionnary into a dictionnary.
+ * @returns {Type} 'any' if the type of the elements is unknown.
+ */
+export function element_type_at(type, depth, is_push=false) {
+    type = to_type(type);
+    for (let i = 0; i < depth; i++) {
+        if (type instanceof DictType && is_push && i === depth - 1) return type;
+        if (type instanceof ListType) type = type.element_type;
+        else if (type instanceof DictType) type = type.value_type;
+        else return to_type(Types.ANY);
+    }
+    return type;
+}
+
+/**
+ * Checks if a function with these arguments can be used as a function of the given type:
+ * each argument must accept the given type and the function must accept this number of arguments.
+ * @param {FunctionType} type The expected signature.
+ * @param {Array<{type: Type|string|null, is_rest: boolean, is_optional: boolean}>} args The arguments of the function.
+ * @param {(name: string) => string|null|undefined} get_parent_name Used to compare the classes statically (see `is_type_assignable`).
+ * @returns {boolean}
+ */
+export function is_signature_assignable(type, args, get_parent_name=() => undefined) {
+    let i = 0;
+    for (; i < type.arg_types.length; i++) {
+        let arg = args[i];
+        if (!arg) return false;
+        if (arg.is_rest) {
+            let element_type = arg.type instanceof ListType ? arg.type.element_type : to_type(Types.ANY);
+            return type.arg_types.slice(i).every((t) => is_type_assignable(element_type, t, get_parent_name));
+        }
+        if (!is_type_assignable(arg.type, type.arg_types[i], get_parent_name)) return false;
+    }
+    // the function would need more arguments
+    return args.slice(i).every((arg) => arg.is_optional || arg.is_rest);
+}
+
+/**
+ * Checks if a value of a certain type can be assigned to a variable of another type, without the values.
+ * When one of the types is 'any', we don't know, so it's accepted.
+ * @param {Type|string} expected The type of the variable.
+ * @param {Type|string} actual The type of the value.
+ * @param {(name: string) => string|null|undefined} get_parent_name Gives the name of the parent class of a class (null if it has no parent, undefined if it's not a class).
+ * @param {(name: string) => boolean} is_enum Checks if a name is the name of an enum (whose members are numbers).
+ * @returns {boolean}
+ */
+export function is_type_assignable(expected, actual, get_parent_name=() => undefined, is_enum=() => false) {
+    expected = to_type(expected);
+    actual = to_type(actual);
+
+    const is_named = (type, name) => type instanceof NamedType && type.name === name;
+    const check = (e, a) => is_type_assignable(e, a, get_parent_name, is_enum);
+
+    if (is_named(expected, Types.ANY) || is_named(actual, Types.ANY)) return true;
+
+    if (actual instanceof UnionType) {
+        return actual.types.every((t) => check(expected, t));
+    } else if (expected instanceof UnionType) {
+        return expected.types.some((t) => check(t, actual));
+    }
+
+    if (expected instanceof ListType) {
+        if (actual instanceof ListType) return check(expected.element_type, actual.element_type);
+        return is_named(actual, Types.LIST);
+    } else if (expected instanceof DictType) {
+        if (actual instanceof DictType) return check(expected.key_type, actual.key_type) && check(expected.value_type, actual.value_type);
+        return is_named(actual, Types.DICT);
+    } else if (expected instanceof FunctionType) {
+        if (actual instanceof FunctionType) {
+            // like \`is_signature_assignable\`: the function must accept the given arguments,
+            // and the arguments it would need in addition must be optional
+            if (expected.arg_types.length > actual.arg_types.length || expected.arg_types.length < actual.required_count) return false;
+            if (!expected.arg_types.every((t, i) => check(actual.arg_types[i], t))) return false;
+            return check(expected.return_type, actual.return_type);
+        }
+        return is_named(actual, Types.FUNCTION);
+    }
+
+    switch (expected.name) {
+        case Types.DYNAMIC: return !is_named(actual, NONE);
+        case Types.LIST: return actual instanceof ListType || is_named(actual, Types.LIST);
+        case Types.DICT: return actual instanceof DictType || is_named(actual, Types.DICT);
+        case Types.FUNCTION: return actual instanceof FunctionType || is_named(actual, Types.FUNCTION);
+    }
+
+    if (!(actual instanceof NamedType)) return false;
+    if (expected.name === Types.OBJECT) return actual.name === Types.OBJECT || get_parent_name(actual.name) !== undefined;
+    if (is_enum(expected.name)) return actual.name === expected.name || actual.name === Types.NUMBER;
+
+    let name = actual.name;
+    while (name) {
+        if (name === expected.name) return true;
+        name = get_parent_name(name);
+    }
+    return false;
+}
@@ -9,6 +9,7 @@ import { CustomTypeError, RuntimeError } from "./Exceptions.js";
 import { Interpreter } from "./interpreter.js";
 import { NATIVE_FUNCTIONS } from "./native.js";
 import { Types } from "./tokens.js";
+import { ListType, Type, is_assignable, to_type, type_of_value } from "./types.js";
 
 export class Value {
     /**
@@ -95,6 +96,43 @@ export class NumberValue extends Value {
     }
 }
 
+/**
+ * @classdesc An arbitrary-precision integer in our program (123n).
+ */
+export class BigIntValue extends Value {
+    /**
+     * @constructs BigIntValue
+     * @param {bigint} value The value, an arbitrary-precision integer.
+     */
+    constructor(value) {
+        super(Types.BIGINT);
+        this.value = value;
+    }
+
+    toString() {
+        return `${this.value}`;
+    }
+
+    is_true() {
+        return this.value !== 0n;
+    }
+
+    equivalent() {
+        return this.value;
+    }
+
+    /**
+     * @override
+     * @return {BigIntValue}
+     */
+    copy() {
+        let copy = new BigIntValue(this.value);
+        copy.set_pos(this.pos_start, this.pos_end);
+        copy.set_context(this.context);
+        return copy;
+    }
+}
+
 export class ListValue extends Value {
     /**
      * @constructs ListValue
@@ -237,6 +275,18 @@ export class BaseFunction extends Value {
     constructor(name) {
         super(Types.FUNCTION);
         this.name = name || "<anonymous>";
+        /**
+         * The symbol table of the module in which the function has been declared, if the function has been imported.
+         * @type {SymbolTable|null}
+         */
+        this.module_symbol_table = null;
+        /**
+         * The context in which the function has been created.
+         * Unlike `this.context`, which changes every time the value is accessed, it doesn't change.
+         * For a method, it's the context in which the class has been defined, since `self` is given by the context of each call.
+         * @type {Context|null}
+         */
+        this.closure = null;
     }
 
     /**
@@ -245,7 +295,16 @@ export class BaseFunction extends Value {
      */
     generate_new_context() {
         let new_context = new Context(this.name, this.context, this.pos_start);
-        new_context.symbol_table = new SymbolTable(new_context.parent.symbol_table);
+        // the variables are searched for where the function has been written (see `FunctionValue.closure`),
+        // and an imported function must still have access to the variables of its own module
+        let parent_symbol_table = this.closure?.symbol_table ?? this.module_symbol_table ?? new_context.parent.symbol_table;
+        // the instance on which a method is called is placed between its variables and the scope of the class
+        let self = this.closure && ["method", "getter", "setter"].includes(this.type_name) ? this.context?.symbol_table.get("self") : null;
+        if (self) {
+            parent_symbol_table = new SymbolTable(parent_symbol_table);
+            parent_symbol_table.set("self", self);
+        }
+        new_context.symbol_table = new SymbolTable(parent_symbol_table);
         return new_context;
     }
 
@@ -260,6 +319,23 @@ export class BaseFunction extends Value {
         return false;
     }
 
+    /**
+     * Throws an error if a given argument, or a returned value, doesn't match its type.
+     * @param {Value} value The value.
+     * @param {Type|string} type The expected type.
+     * @param {Position} pos_start The beginning of the highlighted code.
+     * @param {Position} pos_end The end of the highlighted code.
+     * @param {Context} context The context in which the error is thrown.
+     */
+    check_type(value, type, pos_start=value.pos_start, pos_end=value.pos_end, context=this.context) {
+        if (is_assignable(value, type, context)) return;
+        throw new CustomTypeError(
+            pos_start, pos_end,
+            `Type '${type_of_value(value)}' is not assignable to type '${type}'`,
+            context
+        );
+    }
+
     /**
      * Checks if the number of arguments correspond.
      * @param {Array<ArgumentNode>} args The names of the arguments.
@@ -268,21 +344,27 @@ export class BaseFunction extends Value {
     check_args(args, given_args) {
         // checks types
         for (let i = 0; i < given_args.length; i++) {
-            if (i > args.length) break;
+            if (i >= args.length) break;
             let given_arg = given_args[i];
             let arg = args[i];
             // a rest parameter can only be of type 'list'
-            if (arg.is_rest && arg.type !== Types.LIST) {
+            let arg_type = to_type(arg.type);
+            if (arg.is_rest && !(arg_type instanceof ListType) && String(arg_type) !== Types.LIST) {
                 throw new CustomTypeError(
                     arg.pos_start, arg.pos_end,
                     `A rest parameter must be of type 'list'`,
                     this.context
                 );
             }
-            // we must not check if the given arguments are list too
-            if (arg.is_rest) break;
+            // the remaining given arguments are the elements of the list
+            if (arg.is_rest) {
+                if (arg_type instanceof ListType) {
+                    for (let rest_arg of given_args.slice(i)) this.check_type(rest_arg, arg_type.element_type);
+                }
+                break;
+            }
             // a dynamic argument can't be optional without any default value (except none)
-            if (arg.is_optional && arg.type === Types.DYNAMIC) {
+            if (arg.is_optional && String(arg_type) === Types.DYNAMIC) {
                 if (arg.default_value_node instanceof NoneNode) {
                     throw new CustomTypeError(
                         arg.pos_start, arg.pos_end,
@@ -291,26 +373,11 @@ export class BaseFunction extends Value {
                     );
                 }
             }
-            if (arg.type === Types.DYNAMIC) {
-                if (given_arg instanceof NoneValue) {
-                    throw new CustomTypeError(
-                        given_arg.pos_start, given_arg.pos_end,
-                        `Type 'none' is not assignable to type 'dynamic'`,
-                        this.context
-                    );
-                }
-            } else if (arg.type !== Types.ANY) {
-                if (given_arg.type !== arg.type && !arg.is_rest) {
-                    if (arg.is_optional && given_arg instanceof NoneValue) {
-                        continue;
-                    }
-                    throw new CustomTypeError(
-                        given_arg.pos_start, given_arg.pos_end,
-                        `Type '${given_arg.type}' is not assignable to type '${arg.type}'`,
-                        this.context
-                    );
-                }
+            // none is the default value of an optional argument
+            if (arg.is_optional && given_arg instanceof NoneValue && String(arg_type) !== Types.DYNAMIC) {
+                continue;
             }
+            this.check_type(given_arg, arg_type);
         }
 
         // too many arguments
@@ -367,6 +434,7 @@ export class BaseFunction extends Value {
                 let arg_value = given_args[i];
                 arg_value.set_context(exec_ctx);
                 exec_ctx.symbol_table.set(arg_name, { type: Types.ANY, value: arg_value }); // create the variables (= args)
+                if (args[i].pattern) new Interpreter().destructure(args[i].pattern, arg_value, true, exec_ctx);
             } else {
                 // there is more arguments
                 // than the given arguments
@@ -377,6 +445,7 @@ export class BaseFunction extends Value {
                     let arg_value = default_values[e];
                     arg_value.set_context(exec_ctx);
                     exec_ctx.symbol_table.set(arg_name, { type: Types.ANY, value: arg_value }); // create the variables (with their default value)
+                    if (args[i].pattern) new Interpreter().destructure(args[i].pattern, arg_value, true, exec_ctx);
                     e++;
                 }
             }
@@ -413,6 +482,10 @@ export class ClassValue extends Value {
     }
 
     is_true() {
+        // the method `__bool` decides whether an instance is truthy (`if obj:`, `not obj`, etc.)
+        if (this.is_instance && this.self.has("__bool")) {
+            return new Interpreter().call_method(this, "__bool", [], this.pos_start, this.pos_end, this.context).is_true();
+        }
         return true;
     }
 
@@ -426,17 +499,15 @@ export class ClassValue extends Value {
      */
     copy() {
         let copy = new ClassValue(this.name, this.self, this.parent_class);
+        copy.is_instance = this.is_instance;
         copy.set_context(this.context);
         copy.set_pos(this.pos_start, this.pos_end);
         return copy;
     }
 
     toString() {
-        let __repr = this.self.get("__repr");
-        if (__repr) {
-            let method = __repr.value;
-            // @ts-ignore
-            let return_value = method.execute([]).value;
+        if (this.is_instance && this.self.has("__repr")) {
+            let return_value = new Interpreter().call_method(this, "__repr", [], this.pos_start, this.pos_end, this.context);
             if (return_value.repr !== undefined) {
                 return return_value.repr();
             }
@@ -450,13 +521,22 @@ export class TagValue extends Value {
     /**
      * @constructs TagValue
      * @param {string} name The name of the class.
-     * @param {Map<string, { prop: number, state: number, optional: number, value: { type: string, value: Value } }>} value Value of 'self'. Note: "optional" is just for "prop".
+     * @param {Map<string, { prop: number, state: number, optional: number, value: { type: string, value: Value }, default_node?: CustomNode }>} value Value of 'self'. Note: "optional" is just for "prop".
      */
     constructor(name, value) {
         super(Types.TAG);
         this.name = name;
         this.context_name = `<Tag ${this.name}>`; // we do it here because this name cannot be changed, it's very important
         this.self = value;
+        this.is_instance = false;
+        /**
+         * Only for instances (see components.js).
+         * It's shared between the copies of the instance.
+         * - rendered: the result of the last call to 'render'
+         * - listeners: the functions called each time the instance is rendered again
+         * @type {{rendered: HtmlValue|NoneValue|null, listeners: Array<(patches: Array<object>, tree: HtmlValue|NoneValue) => void>}}
+         */
+        this.component = { rendered: null, listeners: [] };
     }
 
     is_true() {
@@ -473,6 +553,8 @@ export class TagValue extends Value {
      */
     copy() {
         let copy = new TagValue(this.name, this.self);
+        copy.is_instance = this.is_instance;
+        copy.component = this.component;
         copy.set_context(this.context);
         copy.set_pos(this.pos_start, this.pos_end);
         return copy;
@@ -585,7 +667,7 @@ export class NativePropertyValue extends BaseFunction {
      * @return {NativePropertyValue} A copy of that instance.
      */
     copy() {
-        let copy = new NativePropertyValue(this.name, this.nature, this.from, this.status, this.static_prop, this.behavior);
+        let copy = new NativePropertyValue(this.name, this.nature, this.from, this.status, this.static_prop, this.behavior, this.method_args);
         copy.set_context(this.context);
         copy.set_pos(this.pos_start, this.pos_end);
         return copy;
@@ -610,12 +692,16 @@ export class FunctionValue extends BaseFunction {
      * @param {CustomNode} body_node The body.
      * @param {Array<ArgumentNode>} args The list of arguments.
      * @param {boolean} should_auto_return Should auto return? Yes for inline functions because the `return` keyword is the arrow.
+     * @param {Type|null} return_type The type of the returned value, if it's specified.
+     * @param {boolean} is_generator Is it a generator function (`func*`)?
      */
-    constructor(name, body_node, args, should_auto_return) {
+    constructor(name, body_node, args, should_auto_return, return_type=null, is_generator=false) {
         super(name);
         this.body_node = body_node;
         this.args = args;
         this.should_auto_return = should_auto_return;
+        this.return_type = return_type;
+        this.is_generator = is_generator;
         this.type_name = "function";
     }
 
@@ -641,10 +727,24 @@ export class FunctionValue extends BaseFunction {
 
         exec_ctx.symbol_table.set('arguments', { type: Types.LIST, value: new ListValue([...args]) });
 
+        // the body of a generator function is executed when its values are requested
+        if (this.is_generator) {
+            let generator = new GeneratorValue(this.name, interpreter.generate(this.body_node, exec_ctx)).set_pos(this.pos_start, this.pos_end).set_context(exec_ctx);
+            if (this.return_type) this.check_type(generator, this.return_type, this.pos_start, this.pos_end, exec_ctx);
+            return res.success(generator);
+        }
+
         let value = res.register(interpreter.visit(this.body_node, exec_ctx));
         if (res.should_return() && res.func_return_value == null) return res;
 
         let ret_value = (this.should_auto_return ? value : null) || res.func_return_value || new NoneValue();
+
+        if (this.return_type) {
+            // we show the 'return' statement, the body of an arrow function, or the call if nothing has been returned
+            let node = res.func_return_node ?? (this.should_auto_return ? this.body_node : null);
+            this.check_type(ret_value, this.return_type, node ? node.pos_start : this.pos_start, node ? node.pos_end : this.pos_end, exec_ctx);
+        }
+
         return res.success(ret_value);
     }
 
@@ -661,7 +761,10 @@ export class FunctionValue extends BaseFunction {
      * @return {FunctionValue} A copy of that instance.
      */
     copy() {
-        let copy = new FunctionValue(this.name, this.body_node, this.args, this.should_auto_return);
+        let copy = new FunctionValue(this.name, this.body_node, this.args, this.should_auto_return, this.return_type, this.is_generator);
+        copy.module_symbol_table = this.module_symbol_table;
+        copy.closure = this.closure;
+        copy.type_name = this.type_name;
         copy.set_context(this.context);
         copy.set_pos(this.pos_start, this.pos_end);
         return copy;
@@ -672,6 +775,75 @@ export class FunctionValue extends BaseFunction {
     }
 }
 
+/**
+ * @classdesc The value returned by a generator function (`func*`).
+ * The values are computed one by one, when they are requested (by `next()` or a `foreach` loop).
+ */
+export class GeneratorValue extends Value {
+    /**
+     * @constructs GeneratorValue
+     * @param {string} name The name of the generator function.
+     * @param {Generator<Value, RuntimeResult>} iterator The execution of the body of the generator function (see `Interpreter.generate`).
+     */
+    constructor(name, iterator) {
+        super(Types.GENERATOR);
+        this.name = name;
+        // the copies of the value share the same execution
+        this.state = { iterator, next: null, done: false };
+    }
+
+    /**
+     * Executes the generator until the next 'yield', if it hasn't been done yet.
+     * @returns {boolean} True if there is no more values.
+     */
+    is_done() {
+        if (!this.state.done && !this.state.next) {
+            let result = this.state.iterator.next();
+            if (result.done) {
+                this.state.done = true;
+            } else {
+                this.state.next = result.value;
+            }
+        }
+        return this.state.done;
+    }
+
+    /**
+     * Gets the next value.
+     * @returns {Value|null} Null if there is no more values.
+     */
+    next() {
+        if (this.is_done()) return null;
+        let value = this.state.next;
+        this.state.next = null;
+        return value;
+    }
+
+    is_true() {
+        return true;
+    }
+
+    equivalent() {
+        return {};
+    }
+
+    /**
+     * @override
+     * @return {GeneratorValue} A copy of that instance.
+     */
+    copy() {
+        let copy = new GeneratorValue(this.name, null);
+        copy.state = this.state;
+        copy.set_context(this.context);
+        copy.set_pos(this.pos_start, this.pos_end);
+        return copy;
+    }
+
+    toString() {
+        return `<generator ${this.name}>`;
+    }
+}
+
 /**
  * @classdesc native functions.
  */
@@ -783,6 +955,47 @@ export class EnumValue extends Value {
     }
 }
 
+/**
+ * @classdesc The namespace created by `import * as ns from "./file.vjs"`.
+ */
+export class ModuleValue extends Value {
+    /**
+     * @constructs ModuleValue
+     * @param {string} name The path to the file.
+     * @param {string[]} exports The names of the exported declarations.
+     * @param {SymbolTable} symbol_table The symbol table of the module.
+     */
+    constructor(name, exports, symbol_table) {
+        super(Types.OBJECT);
+        this.name = name;
+        this.exports = exports;
+        this.symbol_table = symbol_table;
+    }
+
+    is_true() {
+        return true;
+    }
+
+    equivalent() {
+        return {};
+    }
+
+    /**
+     * @override
+     * @return {ModuleValue} A copy of that instance.
+     */
+    copy() {
+        let copy = new ModuleValue(this.name, this.exports, this.symbol_table);
+        copy.set_context(this.context);
+        copy.set_pos(this.pos_start, this.pos_end);
+        return copy;
+    }
+
+    toString() {
+        return `<Module ${this.name}>`;
+    }
+}
+
 export class NoneValue extends Value {
     /**
      * @constructs NoneValue
@@ -869,6 +1082,11 @@ export class HtmlValue extends Value {
         this.attributes = attributes;
         this.events = events;
         this.children = children;
+        /**
+         * The instance of the custom tag (null for the native tags and the fragments).
+         * @type {TagValue|null}
+         */
+        this.instance = null;
     }
 
     is_true() {
@@ -885,6 +1103,7 @@ export class HtmlValue extends Value {
      */
     copy() {
         let copy = new HtmlValue(this.tagname, this.classes, this.id, this.attributes, this.events, this.children);
+        copy.instance = this.instance;
         copy.set_context(this.context);
         copy.set_pos(this.pos_start, this.pos_end);
         return copy;